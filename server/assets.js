@@ -0,0 +1,141 @@
+/**
+ * Uploaded image storage.
+ * Files live under data/assets/, named by the SHA-256 of their contents, with
+ * a row per asset in the `assets` table. Uploading identical bytes again
+ * returns the existing asset.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, renameSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import db from './db.js';
+import { isAssetId } from '../src/engine/Assets.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const ASSET_DIR = join(__dirname, '..', 'data', 'assets');
+
+mkdirSync(ASSET_DIR, { recursive: true });
+
+/** Largest accepted upload. */
+export const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+/** Accepted image types, recognised by their leading bytes rather than the declared type. */
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+];
+
+/**
+ * Detect the image type of a buffer.
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if it isn't a supported image
+ */
+export function sniffImageType(buffer) {
+  const matches = (bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+  for (const sig of IMAGE_SIGNATURES) {
+    if (matches(sig.bytes) && (!sig.at8 || matches(sig.at8, 8))) return sig.mime;
+  }
+  return null;
+}
+
+/** Path of an asset's file on disk. */
+export function assetPath(id) {
+  return join(ASSET_DIR, id);
+}
+
+/**
+ * Look up an asset.
+ * @param {string} id
+ * @returns {{ id: string, mime: string, size: number }|null}
+ */
+export function getAsset(id) {
+  if (!isAssetId(id)) return null;
+  return db.prepare('SELECT id, mime, size FROM assets WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Store an image, or return the existing asset with the same contents.
+ * @param {Buffer} buffer
+ * @param {number} userId – uploader
+ * @returns {{ asset: { id: string, mime: string, size: number }, created: boolean }|null}
+ *   null if the buffer isn't a supported image
+ */
+export function storeAsset(buffer, userId) {
+  const mime = sniffImageType(buffer);
+  if (!mime) return null;
+
+  const id = createHash('sha256').update(buffer).digest('hex');
+  const existing = getAsset(id);
+  if (existing && existsSync(assetPath(id))) return { asset: existing, created: false };
+
+  // Write to a temporary name first so a half-written file is never served
+  const tmp = `${assetPath(id)}.${process.pid}.tmp`;
+  writeFileSync(tmp, buffer);
+  renameSync(tmp, assetPath(id));
+
+  db.prepare(`
+    INSERT OR IGNORE INTO assets (id, mime, size, uploaded_by) VALUES (?, ?, ?, ?)
+  `).run(id, mime, buffer.length, userId);
+  return { asset: { id, mime, size: buffer.length }, created: !existing };
+}
+
+/**
+ * Store a base64 data URL (as older maps and monsters embedded them).
+ * @returns {string|null} the asset ID, or null if it isn't an image data URL
+ */
+function storeDataUrl(dataUrl, userId) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/[\w.+-]+;base64,(.+)$/);
+  if (!match) return null;
+  const stored = storeAsset(Buffer.from(match[1], 'base64'), userId);
+  return stored ? stored.asset.id : null;
+}
+
+/**
+ * Move a map's embedded background image out into an asset.
+ * @returns {object|null} the updated map JSON, or null if there was nothing to move
+ */
+function migrateMapJSON(text, userId) {
+  let mapData;
+  try { mapData = JSON.parse(text); } catch { return null; }
+  if (!mapData || !('backgroundImage' in mapData)) return null;
+  const { backgroundImage, ...rest } = mapData;
+  return { ...rest, backgroundAsset: rest.backgroundAsset || storeDataUrl(backgroundImage, userId) };
+}
+
+/**
+ * One-off migration: images that older versions embedded as data URLs in
+ * games.map_data, saved_maps.map_data and characters.monster_image are
+ * written out as assets and replaced by their IDs. Safe to run on every start.
+ */
+export function migrateEmbeddedImages() {
+  const games = db.prepare(`
+    SELECT id, dm_user_id, map_data FROM games WHERE map_data LIKE '%"backgroundImage"%'
+  `).all();
+  for (const game of games) {
+    const mapData = migrateMapJSON(game.map_data, game.dm_user_id);
+    if (mapData) {
+      db.prepare('UPDATE games SET map_data = ? WHERE id = ?').run(JSON.stringify(mapData), game.id);
+    }
+  }
+
+  const savedMaps = db.prepare(`
+    SELECT id, user_id, map_data FROM saved_maps WHERE map_data LIKE '%"backgroundImage"%'
+  `).all();
+  for (const map of savedMaps) {
+    const mapData = migrateMapJSON(map.map_data, map.user_id);
+    if (mapData) {
+      db.prepare('UPDATE saved_maps SET map_data = ? WHERE id = ?').run(JSON.stringify(mapData), map.id);
+    }
+  }
+
+  const monsters = db.prepare(`
+    SELECT id, user_id, monster_image FROM characters WHERE monster_image LIKE 'data:%'
+  `).all();
+  for (const char of monsters) {
+    db.prepare('UPDATE characters SET monster_image = ? WHERE id = ?')
+      .run(storeDataUrl(char.monster_image, char.user_id), char.id);
+  }
+}
@@ -1,36 +1,162 @@
 /**
- * JWT authentication helpers and middleware.
+ * Authentication: short-lived JWT access tokens, rotating refresh tokens
+ * stored in SQLite, and the Express middleware.
+ *
+ * A session is a chain of refresh tokens (a "family"). Each refresh revokes the
+ * presented token and issues the next one in the family; presenting a token that
+ * was already rotated means it leaked, so the whole family is revoked.
  */
 
 import jwt from 'jsonwebtoken';
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import db from './db.js';
 
-// In production, use an environment variable. For this prototype, a hardcoded secret is fine.
-const JWT_SECRET = process.env.JWT_SECRET || 'dnd-crawler-secret-key-change-in-prod';
-const TOKEN_EXPIRY = '7d';
+const ACCESS_TOKEN_EXPIRY = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET not set – using a random secret; access tokens will not survive a restart');
+}
+const JWT_SECRET = process.env.JWT_SECRET || randomBytes(32).toString('hex');
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function tokenVersion(userId) {
+  const row = db.prepare('SELECT token_version FROM users WHERE id = ?').get(userId);
+  return row ? row.token_version : null;
+}
 
 /**
- * Generate a JWT for a user.
+ * Generate an access token for a user.
  * @param {{ id: number, username: string }} user
  * @returns {string}
  */
 export function generateToken(user) {
   return jwt.sign(
-    { id: user.id, username: user.username },
+    { id: user.id, username: user.username, ver: tokenVersion(user.id) },
     JWT_SECRET,
-    { expiresIn: TOKEN_EXPIRY }
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
   );
 }
 
 /**
- * Express middleware – verifies the Authorization header and attaches `req.user`.
+ * Store a new refresh token.
+ * @param {number} userId
+ * @param {string} [familyId] – continue an existing session; omit to start a new one
+ * @returns {string} the raw token (only its hash is stored)
+ */
+function createRefreshToken(userId, familyId = randomUUID()) {
+  const token = randomBytes(32).toString('base64url');
+  db.prepare(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `).run(userId, hashToken(token), familyId, `+${REFRESH_TOKEN_DAYS} days`);
+  return token;
+}
+
+/**
+ * Start a new session: an access token plus a refresh token.
+ * @param {{ id: number, username: string }} user
+ * @returns {{ token: string, refreshToken: string, user: { id: number, username: string } }}
+ */
+export function createSession(user) {
+  return {
+    token: generateToken(user),
+    refreshToken: createRefreshToken(user.id),
+    user: { id: user.id, username: user.username },
+  };
+}
+
+/**
+ * The stored row for a refresh token that is unrevoked and unexpired, or null.
+ */
+function findActiveRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+  return db.prepare(`
+    SELECT * FROM refresh_tokens
+    WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+  `).get(hashToken(refreshToken)) || null;
+}
+
+/**
+ * Exchange a refresh token for a new access token and the next refresh token.
+ * @param {string} refreshToken
+ * @returns {{ token: string, refreshToken: string, user: object }|null} null if the
+ *   token is unknown, expired or already used
  */
+export function rotateRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+  return db.transaction(() => {
+    const row = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(hashToken(refreshToken));
+    if (!row) return null;
+
+    if (row.revoked_at) {
+      // Reuse of a rotated token: someone else has a copy, end the session
+      db.prepare(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE family_id = ? AND revoked_at IS NULL
+      `).run(row.family_id);
+      return null;
+    }
+    if (!findActiveRefreshToken(refreshToken)) return null; // expired
+
+    const user = db.prepare('SELECT id, username FROM users WHERE id = ?').get(row.user_id);
+    if (!user) return null;
+
+    db.prepare('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+    return {
+      token: generateToken(user),
+      refreshToken: createRefreshToken(user.id, row.family_id),
+      user,
+    };
+  })();
+}
+
 /**
- * Verify a JWT token string and return the decoded payload.
- * Returns null if invalid/expired.
+ * End the session a refresh token belongs to.
+ * @param {string} refreshToken
+ * @returns {number|null} the session's user ID, or null if the token wasn't active
+ */
+export function revokeSession(refreshToken) {
+  const row = findActiveRefreshToken(refreshToken);
+  if (!row) return null;
+  db.prepare(`
+    UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+    WHERE family_id = ? AND revoked_at IS NULL
+  `).run(row.family_id);
+  return row.user_id;
+}
+
+/**
+ * End every session of a user: revoke all refresh tokens and invalidate
+ * access tokens already handed out.
+ * @param {number} userId
+ */
+export function revokeAllSessions(userId) {
+  db.transaction(() => {
+    db.prepare('UPDATE users SET token_version = token_version + 1 WHERE id = ?').run(userId);
+    db.prepare(`
+      UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `).run(userId);
+  })();
+}
+
+/**
+ * Verify an access token string and return the decoded payload.
+ * Returns null if invalid/expired or revoked by a logout everywhere.
  */
 export function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.ver !== tokenVersion(decoded.id)) return null;
+    return decoded;
   } catch {
     return null;
   }
@@ -47,11 +173,12 @@ export function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // { id, username, iat, exp }
-    next();
-  } catch (err) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    // 401, not 403: the client refreshes its session on 401 and treats 403 as
+    // a permission error
+    return res.status(401).json({ error: 'Invalid or expired token' });
   }
+  req.user = decoded; // { id, username, ver, iat, exp }
+  next();
 }
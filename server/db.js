@@ -137,4 +137,167 @@ try {
   db.exec(`ALTER TABLE characters ADD COLUMN hidden_from_players INTEGER DEFAULT 0`);
 } catch (e) { /* Column already exists */ }
 
+// Character sheets (ability scores, proficiencies, AC, level).
+// HP and speed stay on the characters row, which the live HP pipeline already uses.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS character_sheets (
+    character_id INTEGER PRIMARY KEY REFERENCES characters(id) ON DELETE CASCADE,
+    level INTEGER DEFAULT 1,
+    ac INTEGER DEFAULT 10,
+    proficiency_bonus INTEGER DEFAULT 2,
+    str INTEGER DEFAULT 10,
+    dex INTEGER DEFAULT 10,
+    con INTEGER DEFAULT 10,
+    int INTEGER DEFAULT 10,
+    wis INTEGER DEFAULT 10,
+    cha INTEGER DEFAULT 10,
+    save_proficiencies TEXT DEFAULT '[]',
+    skill_proficiencies TEXT DEFAULT '{}',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Structured dice roll attached to a chat message (JSON, includes `verified`)
+try {
+  db.exec(`ALTER TABLE messages ADD COLUMN roll_data TEXT DEFAULT NULL`);
+} catch (e) { /* Column already exists */ }
+
+// Damage formula rolled when an attack macro hits
+try {
+  db.exec(`ALTER TABLE dice_macros ADD COLUMN damage_formula TEXT DEFAULT ''`);
+} catch (e) { /* Column already exists */ }
+
+// Conditions on a character (JSON array, see src/engine/Conditions.js)
+try {
+  db.exec(`ALTER TABLE characters ADD COLUMN conditions TEXT DEFAULT '[]'`);
+} catch (e) { /* Column already exists */ }
+
+// Encounter log: one row per combat (start → end of action mode) and its events.
+// Events keep character names so the log still reads after characters are deleted.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS encounters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    round INTEGER DEFAULT 1,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME DEFAULT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS encounter_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    encounter_id INTEGER NOT NULL REFERENCES encounters(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    character_id INTEGER DEFAULT NULL,
+    character_name TEXT DEFAULT NULL,
+    actor_name TEXT DEFAULT NULL,
+    content TEXT NOT NULL,
+    data TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Turn/initiative state per game, so combat survives restarts and empty rooms
+db.exec(`
+  CREATE TABLE IF NOT EXISTS turn_states (
+    game_id INTEGER PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+    enabled INTEGER DEFAULT 0,
+    turn_order TEXT DEFAULT '[]',
+    active_index INTEGER DEFAULT -1,
+    round INTEGER DEFAULT 1,
+    initiative_rolls TEXT DEFAULT '{}',
+    sorted_order TEXT DEFAULT '[]',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Invite links: the token grants the holder a role ('player' | 'spectator') in the game
+db.exec(`
+  CREATE TABLE IF NOT EXISTS game_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    token TEXT UNIQUE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'player',
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Private games (joined through invite codes only) and archiving.
+// Games created before privacy existed stay public.
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN is_private INTEGER DEFAULT 1`);
+  db.exec(`UPDATE games SET is_private = 0`);
+} catch (e) { /* Column already exists */ }
+
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN archived_at DATETIME DEFAULT NULL`);
+} catch (e) { /* Column already exists */ }
+
+// Invite limits: expiry time and maximum number of uses (NULL = unlimited)
+try {
+  db.exec(`ALTER TABLE game_invites ADD COLUMN expires_at DATETIME DEFAULT NULL`);
+} catch (e) { /* Column already exists */ }
+
+try {
+  db.exec(`ALTER TABLE game_invites ADD COLUMN max_uses INTEGER DEFAULT NULL`);
+} catch (e) { /* Column already exists */ }
+
+try {
+  db.exec(`ALTER TABLE game_invites ADD COLUMN uses INTEGER DEFAULT 0`);
+} catch (e) { /* Column already exists */ }
+
+// Users banned from a game can't rejoin it, by invite or otherwise
+db.exec(`
+  CREATE TABLE IF NOT EXISTS game_bans (
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    banned_by INTEGER NOT NULL REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (game_id, user_id)
+  );
+`);
+
+// Map version, bumped on every map change so clients can spot missed diffs
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN map_version INTEGER DEFAULT 0`);
+} catch (e) { /* Column already exists */ }
+
+// Sessions: long-lived refresh tokens (stored as SHA-256 hashes) that are
+// rotated on every use. Bumping users.token_version invalidates every access
+// token issued before it (logout everywhere, password change).
+try {
+  db.exec(`ALTER TABLE users ADD COLUMN token_version INTEGER DEFAULT 0`);
+} catch (e) { /* Column already exists */ }
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    family_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+`);
+
+// Uploaded images, stored on disk under data/assets/ by content hash
+db.exec(`
+  CREATE TABLE IF NOT EXISTS assets (
+    id TEXT PRIMARY KEY,
+    mime TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Level of the game's map a character is on (see MapLevels)
+try {
+  db.exec(`ALTER TABLE characters ADD COLUMN level INTEGER DEFAULT 0`);
+} catch (e) { /* Column already exists */ }
+
 export default db;
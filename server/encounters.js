@@ -0,0 +1,124 @@
+/**
+ * Encounter log persistence.
+ * An encounter runs from the DM starting turns until action mode ends. Its
+ * events – start, each turn, rolls and attacks, damage, condition changes and
+ * the end – are stored so the DM can review or export them after the session.
+ */
+
+import db from './db.js';
+
+/** The game's running encounter, or undefined. */
+export function activeEncounter(gameId) {
+  return db.prepare(
+    'SELECT * FROM encounters WHERE game_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1'
+  ).get(gameId);
+}
+
+/**
+ * Start an encounter (or return the one already running).
+ * @param {number} gameId
+ * @param {string[]} participants – character names in initiative order
+ * @returns {object} encounter row
+ */
+export function startEncounter(gameId, participants) {
+  const existing = activeEncounter(gameId);
+  if (existing) return existing;
+
+  const result = db.prepare('INSERT INTO encounters (game_id) VALUES (?)').run(gameId);
+  const encounter = db.prepare('SELECT * FROM encounters WHERE id = ?').get(result.lastInsertRowid);
+  insertEvent(encounter, {
+    type: 'start',
+    content: `Encounter started: ${participants.join(', ')}`,
+    data: { participants },
+  });
+  return encounter;
+}
+
+/** End the running encounter, if any. */
+export function endEncounter(gameId) {
+  const encounter = activeEncounter(gameId);
+  if (!encounter) return;
+  insertEvent(encounter, { type: 'end', content: `Encounter ended after ${encounter.round} round${encounter.round === 1 ? '' : 's'}` });
+  db.prepare('UPDATE encounters SET ended_at = CURRENT_TIMESTAMP WHERE id = ?').run(encounter.id);
+}
+
+/**
+ * Record the start of a character's turn and advance the encounter's round.
+ * @param {number} gameId
+ * @param {number} round – 1-based round number
+ * @param {{ id: number, name: string }} character
+ */
+export function logTurn(gameId, round, character) {
+  const encounter = activeEncounter(gameId);
+  if (!encounter) return;
+  if (round !== encounter.round) {
+    db.prepare('UPDATE encounters SET round = ? WHERE id = ?').run(round, encounter.id);
+    encounter.round = round;
+  }
+  insertEvent(encounter, {
+    type: 'turn',
+    characterId: character.id,
+    characterName: character.name,
+    content: `${character.name}'s turn`,
+  });
+}
+
+/**
+ * Record something that happened during the running encounter (no-op outside one).
+ * @param {number} gameId
+ * @param {{ type: string, content: string, characterId?: number, characterName?: string,
+ *           actorName?: string, data?: object }} event
+ */
+export function logEncounterEvent(gameId, event) {
+  const encounter = activeEncounter(gameId);
+  if (!encounter) return;
+  insertEvent(encounter, event);
+}
+
+function insertEvent(encounter, event) {
+  db.prepare(`
+    INSERT INTO encounter_events
+      (encounter_id, round, type, character_id, character_name, actor_name, content, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    encounter.id,
+    encounter.round,
+    event.type,
+    event.characterId ?? null,
+    event.characterName ?? null,
+    event.actorName ?? null,
+    event.content,
+    event.data ? JSON.stringify(event.data) : null
+  );
+}
+
+/** Past and running encounters of a game, newest first, with event counts. */
+export function listEncounters(gameId) {
+  return db.prepare(`
+    SELECT e.*, (SELECT COUNT(*) FROM encounter_events WHERE encounter_id = e.id) AS event_count
+    FROM encounters e
+    WHERE e.game_id = ?
+    ORDER BY e.started_at DESC, e.id DESC
+  `).all(gameId);
+}
+
+/**
+ * One encounter with its events in order.
+ * @returns {{ encounter: object, events: object[] } | null}
+ */
+export function getEncounter(gameId, encounterId) {
+  const encounter = db.prepare('SELECT * FROM encounters WHERE id = ? AND game_id = ?').get(encounterId, gameId);
+  if (!encounter) return null;
+
+  const events = db.prepare(
+    'SELECT * FROM encounter_events WHERE encounter_id = ? ORDER BY id ASC'
+  ).all(encounterId).map(({ data, ...e }) => {
+    let parsed = null;
+    if (data) {
+      try { parsed = JSON.parse(data); } catch { /* corrupt data — keep the text */ }
+    }
+    return { ...e, data: parsed };
+  });
+
+  return { encounter, events };
+}
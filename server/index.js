@@ -14,16 +14,27 @@ import gameRoutes from './routes/games.js';
 import characterRoutes from './routes/characters.js';
 import mapRoutes from './routes/maps.js';
 import macroRoutes from './routes/macros.js';
-import { initWebSocket } from './ws.js';
+import memberRoutes from './routes/members.js';
+import assetRoutes from './routes/assets.js';
+import { initWebSocket, flushPositionSaves } from './ws.js';
+import { migrateEmbeddedImages } from './assets.js';
+import { saveAllGameMaps } from './mapState.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 const server = createServer(app);
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (hop count or subnet list) so that
+// per-IP rate limits see the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '16mb' })); // map data can include background images
+app.use(express.json({ limit: '4mb' })); // a 100×100 map is ~1.5 MB; images go to /api/assets
 
 // --- API Routes ---
 app.use('/api', authRoutes);
@@ -31,6 +42,11 @@ app.use('/api/games', gameRoutes);
 app.use('/api', characterRoutes);
 app.use('/api/maps', mapRoutes);
 app.use('/api', macroRoutes);
+app.use('/api', memberRoutes);
+app.use('/api/assets', assetRoutes);
+
+// Move images older versions embedded in map and monster data out to asset files
+migrateEmbeddedImages();
 
 // --- WebSocket ---
 initWebSocket(server);
@@ -48,3 +64,14 @@ if (process.env.NODE_ENV === 'production') {
 server.listen(PORT, () => {
   console.log(`D&D Crawler server running on http://localhost:${PORT}`);
 });
+
+// --- Shutdown ---
+// Token moves and map edits are written back in batches: save what's still
+// queued before the process goes away
+process.on('exit', () => {
+  flushPositionSaves();
+  saveAllGameMaps();
+});
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(0));
+}
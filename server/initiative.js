@@ -0,0 +1,129 @@
+/**
+ * Server-side initiative: d20 + the character's initiative modifier, optional
+ * shared rolls for groups of like monsters, and a tie-broken initiative order.
+ */
+
+import { rollFormula } from '../src/engine/DiceFormulaParser.js';
+import { sheetVariables } from '../src/engine/CharacterSheet.js';
+import { loadSheet } from './sheets.js';
+
+/** Give up rerolling a tie after this many attempts and keep the current order. */
+const MAX_TIEBREAK_REROLLS = 10;
+
+/** Monster name without a trailing counter ("Goblin 2" → "Goblin"). */
+function baseName(name) {
+  return name.replace(/[\s#]*\d+$/, '').trim() || name;
+}
+
+/**
+ * Key for characters that share an initiative roll: monsters of the same creature
+ * type and base name when grouping, otherwise each character on its own.
+ */
+function groupKey(char, groupMonsters) {
+  if (!groupMonsters || !char.is_monster) return `char:${char.id}`;
+  return `monster:${char.creature_type || 'humanoid'}:${baseName(char.name).toLowerCase()}`;
+}
+
+/**
+ * Roll initiative for some characters.
+ * @param {object[]} characters – rows from the characters table
+ * @param {{ groupMonsters?: boolean, random: (sides: number) => number }} options
+ * @returns {{ characterIds: number[], name: string, total: number, breakdown: string, hidden: boolean }[]}
+ *   one entry per roll (a monster group shares one)
+ */
+export function rollInitiative(characters, { groupMonsters = false, random }) {
+  const groups = new Map();
+  for (const char of characters) {
+    const key = groupKey(char, groupMonsters);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(char);
+  }
+
+  return [...groups.values()].map(members => {
+    const variables = sheetVariables(loadSheet(members[0]));
+    const result = rollFormula('1d20+@init', { variables, random });
+    return {
+      characterIds: members.map(c => c.id),
+      name: members.length > 1 ? `${baseName(members[0].name)} ×${members.length}` : members[0].name,
+      total: result.total,
+      breakdown: result.breakdown,
+      hidden: members.every(c => c.is_monster && c.hidden_from_players),
+    };
+  });
+}
+
+/**
+ * Order every character by initiative: highest roll first, ties broken by DEX
+ * score, then by rerolling a d20 until the tied characters differ. Members of a
+ * monster group with the same roll stay together. Characters without a roll go
+ * last, keeping their relative position in `previousOrder`.
+ * @param {object[]} characters – all characters in the game
+ * @param {Record<number, number>} rolls – characterId → initiative roll
+ * @param {{ groupMonsters?: boolean, previousOrder?: number[], random: (sides: number) => number }} options
+ * @returns {{ order: number[], tiebreaks: Map<number, string> }} character IDs in order,
+ *   and how each tie was broken ('DEX' or 'reroll N')
+ */
+export function initiativeOrder(characters, rolls, { groupMonsters = false, previousOrder = [], random }) {
+  const units = new Map();
+  const unrolled = [];
+  for (const char of characters) {
+    const roll = rolls[char.id];
+    if (roll == null) {
+      unrolled.push(char);
+      continue;
+    }
+    const key = `${groupKey(char, groupMonsters)}:${roll}`;
+    if (!units.has(key)) {
+      units.set(key, { ids: [], roll, dex: loadSheet(char).abilities.dex, tiebreak: null });
+    }
+    units.get(key).ids.push(char.id);
+  }
+
+  const sorted = [...units.values()].sort((a, b) => b.roll - a.roll || b.dex - a.dex);
+  const tiebreaks = new Map();
+
+  // Same roll but different DEX: note that DEX decided it
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].roll === sorted[i - 1].roll && sorted[i].dex !== sorted[i - 1].dex) {
+      for (const unit of [sorted[i - 1], sorted[i]]) {
+        if (!unit.tiebreak) unit.tiebreak = 'DEX';
+      }
+    }
+  }
+
+  // Same roll and DEX: reroll a d20 for each until they all differ
+  for (let start = 0; start < sorted.length;) {
+    let end = start + 1;
+    while (end < sorted.length && sorted[end].roll === sorted[start].roll && sorted[end].dex === sorted[start].dex) {
+      end++;
+    }
+    if (end - start > 1) {
+      const tied = sorted.slice(start, end);
+      for (let attempt = 0; attempt < MAX_TIEBREAK_REROLLS; attempt++) {
+        for (const unit of tied) unit.reroll = random(20);
+        if (new Set(tied.map(u => u.reroll)).size === tied.length) break;
+      }
+      tied.sort((a, b) => b.reroll - a.reroll);
+      for (const unit of tied) unit.tiebreak = `reroll ${unit.reroll}`;
+      sorted.splice(start, tied.length, ...tied);
+    }
+    start = end;
+  }
+
+  const order = [];
+  for (const unit of sorted) {
+    for (const id of unit.ids) {
+      order.push(id);
+      if (unit.tiebreak) tiebreaks.set(id, unit.tiebreak);
+    }
+  }
+
+  const position = (id) => {
+    const i = previousOrder.indexOf(id);
+    return i === -1 ? previousOrder.length : i;
+  };
+  unrolled.sort((a, b) => position(a.id) - position(b.id));
+  order.push(...unrolled.map(c => c.id));
+
+  return { order, tiebreaks };
+}
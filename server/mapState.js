@@ -0,0 +1,195 @@
+/**
+ * Server-side copy of each game's map.
+ * Parsed from games.map_data on first use and kept in memory so the server can
+ * apply authoritative changes (doors, DM edits) without re-parsing the JSON each time.
+ * A game's map is a stack of levels (see MapLevels); a single version covers them all.
+ *
+ * Every change bumps the game's map version (games.map_version). Clients track
+ * the version they hold and ask for a full resync when they see a gap. Small
+ * changes are written back to the database after a short delay, so a burst of
+ * edits costs one write of the (possibly large) map JSON.
+ */
+
+import db from './db.js';
+import { MapLevels } from '../src/engine/MapLevels.js';
+
+/** Delay before changed maps are written back to the database. */
+const SAVE_DELAY_MS = 2000;
+
+/** Map<gameId, { levels: MapLevels, version: number }> */
+const maps = new Map();
+
+/** Map<gameId, Timeout> – pending delayed saves */
+const saveTimers = new Map();
+
+function load(gameId) {
+  if (maps.has(gameId)) return maps.get(gameId);
+
+  const row = db.prepare('SELECT map_data, map_version FROM games WHERE id = ?').get(gameId);
+  if (!row || !row.map_data) return null;
+
+  let levels;
+  try {
+    levels = MapLevels.fromJSON(JSON.parse(row.map_data));
+  } catch {
+    return null; // corrupt map data — treat as no map
+  }
+  if (levels.levels.length === 0) return null;
+  const entry = { levels, version: row.map_version || 0 };
+  maps.set(gameId, entry);
+  return entry;
+}
+
+/**
+ * Get the parsed levels of a game, loading them from the database if needed.
+ * @param {number} gameId
+ * @returns {MapLevels|null} null if the game has no saved map yet
+ */
+export function getGameLevels(gameId) {
+  const entry = load(gameId);
+  return entry ? entry.levels : null;
+}
+
+/**
+ * Get the map of one level of a game.
+ * @param {number} gameId
+ * @param {number} [level=0]
+ * @returns {import('../src/engine/GameMap.js').GameMap|null} null if the game
+ *   has no saved map or no such level
+ */
+export function getGameMap(gameId, level = 0) {
+  const entry = load(gameId);
+  return entry?.levels.get(level)?.map ?? null;
+}
+
+/**
+ * The game's current map version.
+ * @param {number} gameId
+ * @returns {number}
+ */
+export function getMapVersion(gameId) {
+  const entry = load(gameId);
+  if (entry) return entry.version;
+  const row = db.prepare('SELECT map_version FROM games WHERE id = ?').get(gameId);
+  return row ? row.map_version || 0 : 0;
+}
+
+/**
+ * Record a change made to the cached map (via getGameMap/getGameLevels): bump the version
+ * and schedule a save.
+ * @param {number} gameId
+ * @returns {number} the new version
+ */
+export function commitMapChange(gameId) {
+  const entry = maps.get(gameId);
+  if (!entry) return getMapVersion(gameId);
+  entry.version++;
+  if (!saveTimers.has(gameId)) {
+    saveTimers.set(gameId, setTimeout(() => saveGameMap(gameId), SAVE_DELAY_MS));
+  }
+  return entry.version;
+}
+
+/**
+ * Replace a game's map wholesale and save it immediately.
+ * @param {number} gameId
+ * @param {object} mapData – MapLevels.toJSON() output, or a single GameMap's
+ *   JSON (which becomes a game with one level)
+ * @returns {number} the new version
+ */
+export function replaceGameMap(gameId, mapData) {
+  const version = getMapVersion(gameId) + 1;
+  clearTimeout(saveTimers.get(gameId));
+  saveTimers.delete(gameId);
+  db.prepare('UPDATE games SET map_data = ?, map_version = ? WHERE id = ?')
+    .run(JSON.stringify(mapData), version, gameId);
+  maps.delete(gameId); // parsed again on next use
+  return version;
+}
+
+/**
+ * Replace one level's map, add a level, or remove one, and save immediately.
+ * Characters on a removed level move to the first level.
+ * @param {number} gameId
+ * @param {number} level
+ * @param {import('../src/engine/GameMap.js').GameMap|null} gameMap – null removes the level
+ * @param {string} [name] – name for a new level
+ * @returns {{ version: number, levels: MapLevels }|null} null if the game has
+ *   no map yet, or the level is the last one and can't be removed
+ */
+export function replaceGameLevel(gameId, level, gameMap, name) {
+  const entry = load(gameId);
+  if (!entry) return null;
+  if (gameMap) {
+    entry.levels.set(level, gameMap, name);
+  } else {
+    if (!entry.levels.remove(level)) return null;
+    // Move its characters to the first level now, rather than leave them on
+    // an ID a later level could reuse
+    db.prepare('UPDATE characters SET level = ? WHERE game_id = ? AND level = ?')
+      .run(entry.levels.resolve(level), gameId, level);
+  }
+  entry.version++;
+  saveGameMap(gameId);
+  return { version: entry.version, levels: entry.levels };
+}
+
+/**
+ * Write the cached map for a game back to the database now.
+ * @param {number} gameId
+ */
+export function saveGameMap(gameId) {
+  clearTimeout(saveTimers.get(gameId));
+  saveTimers.delete(gameId);
+  const entry = maps.get(gameId);
+  if (!entry) return;
+  db.prepare('UPDATE games SET map_data = ?, map_version = ? WHERE id = ?')
+    .run(JSON.stringify(entry.levels.toJSON()), entry.version, gameId);
+}
+
+/**
+ * Write every map with changes still waiting for their delayed save, e.g.
+ * when the server shuts down.
+ */
+export function saveAllGameMaps() {
+  for (const gameId of [...saveTimers.keys()]) saveGameMap(gameId);
+}
+
+/**
+ * Save any pending changes and drop the cached map, e.g. when a room empties
+ * or the game is deleted. The next read comes from the database.
+ * @param {number} gameId
+ */
+export function invalidateGameMap(gameId) {
+  if (saveTimers.has(gameId)) saveGameMap(gameId);
+  maps.delete(gameId);
+}
+
+/**
+ * Map JSON as players see it: secret doors are left out, so those edges read
+ * as plain walls (placing a door also sets its wall). Only DMs get the full map.
+ * @param {object} mapData – MapLevels.toJSON() output, or a single GameMap's JSON
+ * @returns {object} a copy; mapData itself is left untouched
+ */
+export function playerMapData(mapData) {
+  if (!mapData) return mapData;
+  if (Array.isArray(mapData.levels)) {
+    return { ...mapData, levels: mapData.levels.map(l => ({ ...l, map: playerMapData(l.map) })) };
+  }
+  if (!Array.isArray(mapData.cells)) return mapData;
+  return { ...mapData, cells: mapData.cells.map(row => row.map(playerCellData)) };
+}
+
+/**
+ * One cell's JSON as players see it (see playerMapData).
+ * @param {object} cell
+ * @returns {object} the cell itself if it has no secret doors, else a copy without them
+ */
+export function playerCellData(cell) {
+  const doors = cell?.doors;
+  if (!doors || !Object.values(doors).some(d => d?.secret)) return cell;
+  return {
+    ...cell,
+    doors: Object.fromEntries(Object.entries(doors).filter(([, d]) => !d?.secret)),
+  };
+}
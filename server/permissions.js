@@ -0,0 +1,49 @@
+/**
+ * Game authorization helpers shared by the REST routes and the WebSocket server.
+ *
+ * Every member has a role in `game_players`: 'dm', 'player' or 'spectator'.
+ * A game can have several DMs (co-DMs) with the same rights; `games.dm_user_id`
+ * is the owner – the DM who can appoint co-DMs, hand the game over or delete it.
+ */
+
+import db from './db.js';
+
+/**
+ * The user's role in a game.
+ * @returns {'dm'|'player'|'spectator'|null} null if they aren't a member
+ */
+export function getGameRole(gameId, userId) {
+  const row = db.prepare(
+    'SELECT role FROM game_players WHERE game_id = ? AND user_id = ?'
+  ).get(gameId, userId);
+  return row ? row.role : null;
+}
+
+/** True if a membership role carries DM rights. */
+export function isDMRole(role) {
+  return role === 'dm';
+}
+
+/** True if the user is one of the game's DMs. */
+export function isGameDM(gameId, userId) {
+  return isDMRole(getGameRole(gameId, userId));
+}
+
+/** True if the user owns the game. */
+export function isGameOwner(gameId, userId) {
+  const game = db.prepare('SELECT dm_user_id FROM games WHERE id = ?').get(gameId);
+  return !!game && game.dm_user_id === userId;
+}
+
+/**
+ * True if the user may change something owned within a game – their own
+ * character, macro, etc. – or is a DM of that game. Either way they must
+ * still be a member: leaving, or being kicked, ends access to what they own.
+ * @param {{ user_id: number, game_id: number }} record
+ * @param {number} userId
+ */
+export function canManage(record, userId) {
+  const role = getGameRole(record.game_id, userId);
+  if (!role) return false;
+  return record.user_id === userId || isDMRole(role);
+}
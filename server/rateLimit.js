@@ -0,0 +1,141 @@
+/**
+ * In-process rate limiting – no external store, so limits are per server process
+ * and reset on restart.
+ *
+ *   - Fixed-window request limiters for Express routes (per IP).
+ *   - Failed-login tracking with lockout, per IP and per account.
+ *   - Token buckets per WebSocket client and message type.
+ */
+
+/** How often expired entries are swept from the in-memory maps. */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sweepers = new Set();
+setInterval(() => {
+  const now = Date.now();
+  for (const sweep of sweepers) sweep(now);
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Express middleware allowing `limit` requests per `windowMs` from one client IP.
+ * Over the limit it answers 429 with a Retry-After header.
+ * @param {{ limit: number, windowMs: number, message?: string }} options
+ */
+export function rateLimit({ limit, windowMs, message = 'Too many requests, please try again later' }) {
+  /** Map<ip, { count, resetAt }> */
+  const windows = new Map();
+  sweepers.add((now) => {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+  });
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let w = windows.get(req.ip);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(req.ip, w);
+    }
+    w.count++;
+    if (w.count > limit) {
+      res.set('Retry-After', String(Math.ceil((w.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+/**
+ * Track failed attempts per key and lock a key out once it reaches `maxFailures`
+ * within `windowMs`. Each further lockout of the same key doubles in length, up
+ * to `maxLockoutMs`, until a success or a quiet window clears the record.
+ * @param {{ maxFailures: number, windowMs: number, lockoutMs: number, maxLockoutMs?: number }} options
+ */
+export function createLockout({ maxFailures, windowMs, lockoutMs, maxLockoutMs = lockoutMs * 16 }) {
+  /** Map<key, { failures, windowStart, lockouts, lockedUntil }> */
+  const records = new Map();
+  sweepers.add((now) => {
+    for (const [key, r] of records) {
+      if (r.lockedUntil <= now && r.windowStart + windowMs <= now) records.delete(key);
+    }
+  });
+
+  return {
+    /**
+     * Milliseconds until the key may try again, or 0 if it isn't locked out.
+     * @param {string} key
+     */
+    lockedFor(key) {
+      const r = records.get(key);
+      return r ? Math.max(0, r.lockedUntil - Date.now()) : 0;
+    },
+
+    /**
+     * Record a failed attempt.
+     * @param {string} key
+     * @returns {number} milliseconds the key is now locked out for (0 if not)
+     */
+    fail(key) {
+      const now = Date.now();
+      let r = records.get(key);
+      if (!r) {
+        r = { failures: 0, windowStart: now, lockouts: 0, lockedUntil: 0 };
+        records.set(key, r);
+      } else if (r.windowStart + windowMs <= now) {
+        r.failures = 0;
+        r.windowStart = now;
+      }
+      r.failures++;
+      if (r.failures >= maxFailures) {
+        const duration = Math.min(lockoutMs * 2 ** r.lockouts, maxLockoutMs);
+        r.lockouts++;
+        r.failures = 0;
+        r.windowStart = now;
+        r.lockedUntil = now + duration;
+        return duration;
+      }
+      return 0;
+    },
+
+    /**
+     * Forget a key's failures after a successful attempt.
+     * @param {string} key
+     */
+    succeed(key) {
+      records.delete(key);
+    },
+  };
+}
+
+/**
+ * Token-bucket limits for one WebSocket connection. Each message type has its
+ * own bucket that holds up to `burst` messages and refills at `perSecond`;
+ * types not listed use `limits.default`.
+ * @param {Record<string, { perSecond: number, burst: number }>} limits
+ * @returns {{ allow: (type: string) => boolean }}
+ */
+export function createMessageLimiter(limits) {
+  /** Map<type, { tokens, updatedAt }> */
+  const buckets = new Map();
+
+  return {
+    allow(type) {
+      const limit = limits[type] || limits.default;
+      if (!limit) return true;
+
+      const now = Date.now();
+      let bucket = buckets.get(type);
+      if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now };
+        buckets.set(type, bucket);
+      }
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+      bucket.updatedAt = now;
+
+      if (bucket.tokens < 1) return false;
+      bucket.tokens--;
+      return true;
+    },
+  };
+}
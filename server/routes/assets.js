@@ -0,0 +1,66 @@
+/**
+ * Asset routes: upload images and serve them.
+ * Uploads are the raw image bytes (Content-Type: image/*), not JSON.
+ * Serving needs no token – <img> tags can't send one – but asset IDs are
+ * content hashes, so only someone who has seen a map or monster can name one.
+ */
+
+import { Router, raw } from 'express';
+import { authenticateToken } from '../auth.js';
+import { rateLimit } from '../rateLimit.js';
+import { MAX_ASSET_BYTES, assetPath, getAsset, storeAsset } from '../assets.js';
+import { assetUrl } from '../../src/engine/Assets.js';
+
+const router = Router();
+
+const uploadLimit = rateLimit({ limit: 60, windowMs: 60 * 60 * 1000, message: 'Too many uploads, please try again later' });
+
+/**
+ * POST /api/assets
+ * Body: image bytes (PNG, JPEG, GIF or WebP, at most 10 MB)
+ * Returns: { id, url, mime, size } – 201 for a new asset, 200 if it already existed
+ */
+router.post(
+  '/',
+  authenticateToken,
+  uploadLimit,
+  raw({ type: 'image/*', limit: MAX_ASSET_BYTES }),
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the image as the request body with an image/* Content-Type' });
+    }
+
+    const stored = storeAsset(req.body, req.user.id);
+    if (!stored) {
+      return res.status(415).json({ error: 'Only PNG, JPEG, GIF and WebP images are supported' });
+    }
+
+    const { asset, created } = stored;
+    res.status(created ? 201 : 200).json({ ...asset, url: assetUrl(asset.id) });
+  }
+);
+
+/**
+ * GET /api/assets/:id
+ * The image itself. Contents never change for an ID, so it may be cached forever.
+ */
+router.get('/:id', (req, res) => {
+  const asset = getAsset(req.params.id);
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+
+  res.sendFile(assetPath(asset.id), {
+    headers: {
+      'Content-Type': asset.mime,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    },
+    etag: false,
+    lastModified: false,
+  }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Asset not found' });
+  });
+});
+
+export default router;
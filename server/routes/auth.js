@@ -1,20 +1,59 @@
 /**
- * Auth routes: register and login.
+ * Auth routes: register, login, token refresh, logout and password change.
+ * Register, login and refresh return a session:
+ *   { token, refreshToken, user: { id, username } }
+ * `token` is a short-lived access token; `refreshToken` is exchanged for the
+ * next session at POST /api/refresh and can only be used once.
  */
 
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import db from '../db.js';
-import { generateToken } from '../auth.js';
+import {
+  authenticateToken, createSession, rotateRefreshToken, revokeSession, revokeAllSessions,
+} from '../auth.js';
+import { disconnectUser } from '../ws.js';
+import { rateLimit, createLockout } from '../rateLimit.js';
 
 const router = Router();
 
+const MINUTE = 60 * 1000;
+
+// Request caps per IP, counting successful requests too
+const registerLimit = rateLimit({ limit: 10, windowMs: 60 * MINUTE, message: 'Too many accounts created, please try again later' });
+const loginLimit = rateLimit({ limit: 30, windowMs: 15 * MINUTE });
+const refreshLimit = rateLimit({ limit: 60, windowMs: MINUTE });
+
+// Lockouts after repeated wrong passwords: a generous one per IP, a tight one
+// per account (so spreading guesses over many IPs doesn't help)
+const ipLockout = createLockout({ maxFailures: 20, windowMs: 15 * MINUTE, lockoutMs: 15 * MINUTE });
+const accountLockout = createLockout({ maxFailures: 5, windowMs: 15 * MINUTE, lockoutMs: 5 * MINUTE });
+
+function accountKey(username) {
+  return String(username).toLowerCase();
+}
+
+/** Answer 429 for a locked-out login. */
+function lockedOut(res, ms) {
+  const minutes = Math.ceil(ms / MINUTE);
+  res.set('Retry-After', String(Math.ceil(ms / 1000)));
+  return res.status(429).json({
+    error: `Too many failed attempts. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+  });
+}
+
+/** Record a wrong password for this IP and account. */
+function recordFailure(req, username) {
+  ipLockout.fail(req.ip);
+  accountLockout.fail(accountKey(username));
+}
+
 /**
  * POST /api/register
  * Body: { username, password }
- * Returns: { token, user: { id, username } }
+ * Returns: a session
  */
-router.post('/register', (req, res) => {
+router.post('/register', registerLimit, (req, res) => {
   const { username, password } = req.body;
 
   // Validation
@@ -39,37 +78,111 @@ router.post('/register', (req, res) => {
   const result = db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)').run(username, hash);
 
   const user = { id: result.lastInsertRowid, username };
-  const token = generateToken(user);
-
-  res.status(201).json({ token, user });
+  res.status(201).json(createSession(user));
 });
 
 /**
  * POST /api/login
  * Body: { username, password }
- * Returns: { token, user: { id, username } }
+ * Returns: a session
  */
-router.post('/login', (req, res) => {
+router.post('/login', loginLimit, (req, res) => {
   const { username, password } = req.body;
 
   if (!username || !password) {
     return res.status(400).json({ error: 'Username and password are required' });
   }
 
+  const wait = Math.max(ipLockout.lockedFor(req.ip), accountLockout.lockedFor(accountKey(username)));
+  if (wait > 0) {
+    return lockedOut(res, wait);
+  }
+
   const row = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
   if (!row) {
+    recordFailure(req, username);
     return res.status(401).json({ error: 'Invalid username or password' });
   }
 
   const valid = bcrypt.compareSync(password, row.password_hash);
   if (!valid) {
+    recordFailure(req, username);
     return res.status(401).json({ error: 'Invalid username or password' });
   }
 
+  accountLockout.succeed(accountKey(username));
   const user = { id: row.id, username: row.username };
-  const token = generateToken(user);
+  res.json(createSession(user));
+});
+
+/**
+ * POST /api/refresh
+ * Body: { refreshToken }
+ * Returns: the next session (the presented refresh token is used up)
+ */
+router.post('/refresh', refreshLimit, (req, res) => {
+  const session = rotateRefreshToken(req.body && req.body.refreshToken);
+  if (!session) {
+    return res.status(401).json({ error: 'Session expired, please log in again' });
+  }
+  res.json(session);
+});
+
+/**
+ * POST /api/logout
+ * Body: { refreshToken, everywhere? }
+ * End this session, or with `everywhere` every session of the user – other
+ * devices are logged out and disconnected from their games.
+ */
+router.post('/logout', (req, res) => {
+  const { refreshToken, everywhere } = req.body || {};
+  const userId = revokeSession(refreshToken);
+
+  if (userId != null && everywhere) {
+    revokeAllSessions(userId);
+    disconnectUser(userId, 'Logged out');
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * PUT /api/password
+ * Body: { currentPassword, newPassword }
+ * Change the password. Every existing session is ended; returns a new session
+ * for the caller.
+ */
+router.put('/password', authenticateToken, (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+  if (newPassword.length < 4) {
+    return res.status(400).json({ error: 'Password must be at least 4 characters' });
+  }
+
+  const row = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+  if (!row) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const wait = Math.max(ipLockout.lockedFor(req.ip), accountLockout.lockedFor(accountKey(row.username)));
+  if (wait > 0) {
+    return lockedOut(res, wait);
+  }
+  if (!bcrypt.compareSync(currentPassword, row.password_hash)) {
+    recordFailure(req, row.username);
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+  accountLockout.succeed(accountKey(row.username));
+
+  const hash = bcrypt.hashSync(newPassword, 10);
+  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, row.id);
+  revokeAllSessions(row.id);
+  disconnectUser(row.id, 'Password changed');
 
-  res.json({ token, user });
+  res.json(createSession({ id: row.id, username: row.username }));
 });
 
 export default router;
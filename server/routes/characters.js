@@ -5,6 +5,11 @@
 import { Router } from 'express';
 import db from '../db.js';
 import { authenticateToken } from '../auth.js';
+import { getGameRole, isDMRole, isGameDM, canManage } from '../permissions.js';
+import { loadSheet, saveSheet } from '../sheets.js';
+import { getAsset } from '../assets.js';
+import { normalizeSheet } from '../../src/engine/CharacterSheet.js';
+import { getGameLevels } from '../mapState.js';
 
 const router = Router();
 
@@ -14,7 +19,10 @@ router.use(authenticateToken);
 /**
  * POST /api/games/:gameId/characters
  * Create a character in a game.
- * Body: { name, class_name, color, token, x, y, angle, speed }
+ * Body: { name, class_name, color, token, x, y, angle, speed, level }
+ * An unknown or missing level puts the character on the map's first level.
+ * Only the DM may place a character: players' characters start at the
+ * level's spawn point, with a speed in the character sheet's range.
  */
 router.post('/games/:gameId/characters', (req, res) => {
   const gameId = parseInt(req.params.gameId, 10);
@@ -26,31 +34,43 @@ router.post('/games/:gameId/characters', (req, res) => {
   }
 
   // Check membership
-  const membership = db.prepare(
-    'SELECT role FROM game_players WHERE game_id = ? AND user_id = ?'
-  ).get(gameId, req.user.id);
+  const role = getGameRole(gameId, req.user.id);
 
-  if (!membership) {
+  if (!role) {
     return res.status(403).json({ error: 'You are not a member of this game' });
   }
 
-  const { name, class_name, color, token, x, y, angle, speed, is_monster, hp, max_hp, monster_image, creature_type, size } = req.body;
+  if (role === 'spectator') {
+    return res.status(403).json({ error: 'Spectators cannot add characters' });
+  }
+
+  const { name, class_name, color, token, x, y, angle, speed, level, is_monster, hp, max_hp, monster_image, creature_type, size } = req.body;
 
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Character name is required' });
   }
 
   // Only the DM can create monsters
-  if (is_monster) {
-    const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
-    if (!game || game.dm_user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the DM can add monsters' });
-    }
+  if (is_monster && !isDMRole(role)) {
+    return res.status(403).json({ error: 'Only the DM can add monsters' });
   }
 
+  if (monster_image && !getAsset(monster_image)) {
+    return res.status(400).json({ error: 'monster_image must be an uploaded asset ID' });
+  }
+
+  // The movement checks start from the stored position and speed, so players
+  // can't choose them freely
+  const isDM = isDMRole(role);
+  const levels = getGameLevels(gameId);
+  const charLevel = levels?.resolve(level) ?? 0;
+  const spawn = isDM
+    ? { x: x ?? 2.5, y: y ?? 1.5 }
+    : levels?.getMap(charLevel)?.spawnPoint() ?? { x: 2.5, y: 1.5 };
+
   const result = db.prepare(`
-    INSERT INTO characters (user_id, game_id, name, class_name, color, token, x, y, angle, speed, is_monster, hp, max_hp, monster_image, creature_type, size)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO characters (user_id, game_id, name, class_name, color, token, x, y, angle, speed, level, is_monster, hp, max_hp, monster_image, creature_type, size)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     req.user.id,
     gameId,
@@ -58,10 +78,11 @@ router.post('/games/:gameId/characters', (req, res) => {
     class_name || '',
     color || '#e74c3c',
     token || '',
-    x ?? 2.5,
-    y ?? 1.5,
+    spawn.x,
+    spawn.y,
     angle ?? 0,
-    speed ?? 30,
+    isDM ? speed ?? 30 : normalizeSheet({ speed }).speed,
+    charLevel,
     is_monster ? 1 : 0,
     hp ?? null,
     max_hp ?? null,
@@ -78,7 +99,8 @@ router.post('/games/:gameId/characters', (req, res) => {
 /**
  * PUT /api/characters/:id
  * Update a character's position/state.
- * Only the character's owner or the game's DM can update.
+ * Only the character's owner or the game's DM can update; only the DM can
+ * change position and speed.
  */
 router.put('/characters/:id', (req, res) => {
   const charId = parseInt(req.params.id, 10);
@@ -89,15 +111,23 @@ router.put('/characters/:id', (req, res) => {
   }
 
   // Check authorization: must be owner or DM
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(character.game_id);
-  const isOwner = character.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(character, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to update this character' });
   }
+  const isDM = isGameDM(character.game_id, req.user.id);
+
+  const { name, class_name, color, token, angle, hp, max_hp, monster_image, creature_type, size } = req.body;
 
-  const { name, class_name, color, token, x, y, angle, speed, hp, max_hp, monster_image, creature_type, size } = req.body;
+  // Player positions go through the WebSocket move handler, which checks walls
+  // and the movement budget — only the DM may place a token directly, or
+  // change the speed that budget comes from.
+  const x = isDM ? req.body.x : null;
+  const y = isDM ? req.body.y : null;
+  const speed = isDM ? req.body.speed : null;
+
+  if (monster_image && !getAsset(monster_image)) {
+    return res.status(400).json({ error: 'monster_image must be an uploaded asset ID' });
+  }
 
   db.prepare(`
     UPDATE characters SET
@@ -136,6 +166,55 @@ router.put('/characters/:id', (req, res) => {
   res.json(updated);
 });
 
+/**
+ * GET /api/characters/:id/sheet
+ * Get a character's sheet (ability scores, proficiencies, AC, HP, speed).
+ * Only the character's owner or the game's DM can view it.
+ */
+router.get('/characters/:id/sheet', (req, res) => {
+  const charId = parseInt(req.params.id, 10);
+
+  const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(charId);
+  if (!character) {
+    return res.status(404).json({ error: 'Character not found' });
+  }
+
+  if (!canManage(character, req.user.id)) {
+    return res.status(403).json({ error: 'Not authorized to view this character sheet' });
+  }
+
+  res.json(loadSheet(character));
+});
+
+/**
+ * PUT /api/characters/:id/sheet
+ * Replace a character's sheet. Values are clamped to valid ranges;
+ * hp, maxHp and speed are written through to the character. Only the DM can
+ * change speed; from anyone else it is ignored.
+ * Body: { level, ac, hp, maxHp, speed, proficiencyBonus, abilities, saves, skills }
+ */
+router.put('/characters/:id/sheet', (req, res) => {
+  const charId = parseInt(req.params.id, 10);
+
+  const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(charId);
+  if (!character) {
+    return res.status(404).json({ error: 'Character not found' });
+  }
+
+  if (!canManage(character, req.user.id)) {
+    return res.status(403).json({ error: 'Not authorized to update this character sheet' });
+  }
+
+  if (!req.body || typeof req.body !== 'object') {
+    return res.status(400).json({ error: 'Sheet data is required' });
+  }
+
+  const sheet = isGameDM(character.game_id, req.user.id)
+    ? req.body
+    : { ...req.body, speed: character.speed };
+  res.json(saveSheet(character, sheet));
+});
+
 /**
  * DELETE /api/characters/:id
  * Remove a character. Only the owner or DM can delete.
@@ -148,11 +227,7 @@ router.delete('/characters/:id', (req, res) => {
     return res.status(404).json({ error: 'Character not found' });
   }
 
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(character.game_id);
-  const isOwner = character.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(character, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to delete this character' });
   }
 
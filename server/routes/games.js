@@ -1,31 +1,50 @@
 /**
- * Game management routes: create, list, join, get state.
+ * Game management routes: create, list, join, invite codes, settings, get state.
+ * Games are private by default: others join them through an invite code.
  */
 
 import { Router } from 'express';
+import { randomInt } from 'crypto';
 import db from '../db.js';
 import { authenticateToken } from '../auth.js';
+import { getGameLevels, getMapVersion, replaceGameMap, replaceGameLevel, invalidateGameMap, playerMapData } from '../mapState.js';
+import { GameMap } from '../../src/engine/GameMap.js';
+import { MapLevels } from '../../src/engine/MapLevels.js';
+import { listEncounters, getEncounter } from '../encounters.js';
+import { forgetTurnState } from '../turnState.js';
+import { closeGame, broadcastMapChange } from '../ws.js';
+import { getGameRole, isDMRole, isGameDM, isGameOwner } from '../permissions.js';
 
 const router = Router();
 
+/** Roles that can be granted by joining or by an invite code (co-DMs are appointed by the owner). */
+const JOIN_ROLES = ['player', 'spectator'];
+
+/** Invite codes: unambiguous characters (no 0/O, 1/I), matched case-insensitively. */
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 10;
+const MAX_INVITE_HOURS = 24 * 30;
+const MAX_INVITE_USES = 1000;
+
 // All game routes require authentication
 router.use(authenticateToken);
 
 /**
  * POST /api/games
- * Body: { name }
+ * Body: { name, is_private? } – private (invite only) unless is_private is false
  * Creates a new game with the current user as DM.
  */
 router.post('/', (req, res) => {
   const { name } = req.body;
+  const isPrivate = req.body.is_private !== false;
 
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Game name is required' });
   }
 
   const result = db.prepare(
-    'INSERT INTO games (name, dm_user_id) VALUES (?, ?)'
-  ).run(name.trim(), req.user.id);
+    'INSERT INTO games (name, dm_user_id, is_private) VALUES (?, ?, ?)'
+  ).run(name.trim(), req.user.id, isPrivate ? 1 : 0);
 
   const gameId = result.lastInsertRowid;
 
@@ -38,13 +57,15 @@ router.post('/', (req, res) => {
     id: gameId,
     name: name.trim(),
     dm_user_id: req.user.id,
+    is_private: isPrivate ? 1 : 0,
     role: 'dm',
   });
 });
 
 /**
  * GET /api/games
- * List all games with DM name and player count.
+ * List the user's games plus public, unarchived games they aren't banned from,
+ * with DM name and player count.
  */
 router.get('/', (req, res) => {
   const games = db.prepare(`
@@ -53,23 +74,92 @@ router.get('/', (req, res) => {
       g.name,
       g.dm_user_id,
       u.username AS dm_name,
+      g.is_private,
+      g.archived_at,
       g.created_at,
       (SELECT COUNT(*) FROM game_players WHERE game_id = g.id) AS player_count,
-      (SELECT role FROM game_players WHERE game_id = g.id AND user_id = ?) AS my_role
+      gp.role AS my_role
     FROM games g
     JOIN users u ON u.id = g.dm_user_id
+    LEFT JOIN game_players gp ON gp.game_id = g.id AND gp.user_id = ?
+    WHERE gp.role IS NOT NULL
+      OR (g.is_private = 0 AND g.archived_at IS NULL
+          AND NOT EXISTS (SELECT 1 FROM game_bans WHERE game_id = g.id AND user_id = ?))
     ORDER BY g.created_at DESC
-  `).all(req.user.id);
+  `).all(req.user.id, req.user.id);
 
   res.json(games);
 });
 
+/**
+ * Why a user can't join a game right now, or null if they can.
+ * @returns {string|null}
+ */
+function joinBlockedReason(game, userId) {
+  if (game.archived_at) return 'This game has been archived';
+  const banned = db.prepare('SELECT 1 FROM game_bans WHERE game_id = ? AND user_id = ?').get(game.id, userId);
+  if (banned) return 'You have been banned from this game';
+  return null;
+}
+
+/**
+ * POST /api/games/invites/:code/accept
+ * Join the invite's game with the role it grants. Members who already have
+ * a role keep it, except that a spectator invited as a player is promoted.
+ * Each new join or promotion counts as one use of the invite.
+ */
+router.post('/invites/:code/accept', (req, res) => {
+  const invite = db.prepare(`
+    SELECT * FROM game_invites
+    WHERE token = ? COLLATE NOCASE
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      AND (max_uses IS NULL OR uses < max_uses)
+  `).get(req.params.code.trim());
+  if (!invite) {
+    return res.status(404).json({ error: 'Invite code is invalid, expired or used up' });
+  }
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(invite.game_id);
+  const existing = db.prepare(
+    'SELECT * FROM game_players WHERE game_id = ? AND user_id = ?'
+  ).get(invite.game_id, req.user.id);
+
+  if (existing && !(existing.role === 'spectator' && invite.role === 'player')) {
+    return res.json({ id: invite.game_id, role: existing.role, message: 'Already joined' });
+  }
+
+  const blocked = joinBlockedReason(game, req.user.id);
+  if (blocked) {
+    return res.status(403).json({ error: blocked });
+  }
+
+  if (existing) {
+    db.prepare(
+      'UPDATE game_players SET role = ? WHERE game_id = ? AND user_id = ?'
+    ).run(invite.role, invite.game_id, req.user.id);
+  } else {
+    db.prepare(
+      'INSERT INTO game_players (game_id, user_id, role) VALUES (?, ?, ?)'
+    ).run(invite.game_id, req.user.id, invite.role);
+  }
+  db.prepare('UPDATE game_invites SET uses = uses + 1 WHERE id = ?').run(invite.id);
+
+  res.json({ id: invite.game_id, role: invite.role });
+});
+
 /**
  * POST /api/games/:id/join
- * Join a game as a player.
+ * Body: { role? } – 'player' (default) or 'spectator'
+ * Join a public game as a player, or watch it as a spectator.
+ * Private games can only be joined with an invite code.
  */
 router.post('/:id/join', (req, res) => {
   const gameId = parseInt(req.params.id, 10);
+  const role = req.body && req.body.role != null ? req.body.role : 'player';
+
+  if (!JOIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Role must be player or spectator' });
+  }
 
   const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
   if (!game) {
@@ -85,12 +175,131 @@ router.post('/:id/join', (req, res) => {
     return res.json({ id: gameId, role: existing.role, message: 'Already joined' });
   }
 
-  // Join as player
+  if (game.is_private) {
+    return res.status(403).json({ error: 'This game is private — ask the DM for an invite code' });
+  }
+
+  const blocked = joinBlockedReason(game, req.user.id);
+  if (blocked) {
+    return res.status(403).json({ error: blocked });
+  }
+
   db.prepare(
     'INSERT INTO game_players (game_id, user_id, role) VALUES (?, ?, ?)'
-  ).run(gameId, req.user.id, 'player');
+  ).run(gameId, req.user.id, role);
+
+  res.json({ id: gameId, role });
+});
+
+/** A fresh invite code that isn't in use. */
+function generateInviteCode() {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code += INVITE_ALPHABET[randomInt(INVITE_ALPHABET.length)];
+    }
+    const taken = db.prepare('SELECT 1 FROM game_invites WHERE token = ? COLLATE NOCASE').get(code);
+    if (!taken) return code;
+  }
+}
+
+/**
+ * GET /api/games/:id/invites
+ * List the game's invite codes that can still be used (DM only).
+ */
+router.get('/:id/invites', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can view invite codes' });
+  }
+
+  const invites = db.prepare(`
+    SELECT id, token AS code, role, expires_at, max_uses, uses, created_at
+    FROM game_invites
+    WHERE game_id = ?
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      AND (max_uses IS NULL OR uses < max_uses)
+    ORDER BY created_at DESC, id DESC
+  `).all(gameId);
+
+  res.json({ invites });
+});
+
+/**
+ * POST /api/games/:id/invites
+ * Body: { role, expires_in_hours?, max_uses? } – 'player' or 'spectator';
+ *   omitted limits mean the code never expires / has unlimited uses
+ * Create an invite code granting that role (DM only).
+ */
+router.post('/:id/invites', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can create invite codes' });
+  }
+
+  const { role, expires_in_hours, max_uses } = req.body || {};
+  if (!JOIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Role must be player or spectator' });
+  }
+
+  const hours = expires_in_hours == null ? null : Number(expires_in_hours);
+  if (hours !== null && !(hours > 0 && hours <= MAX_INVITE_HOURS)) {
+    return res.status(400).json({ error: `Expiry must be between 0 and ${MAX_INVITE_HOURS} hours` });
+  }
+
+  const maxUses = max_uses == null ? null : Number(max_uses);
+  if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+    return res.status(400).json({ error: `Use limit must be a whole number from 1 to ${MAX_INVITE_USES}` });
+  }
+
+  const code = generateInviteCode();
+  const result = db.prepare(`
+    INSERT INTO game_invites (game_id, token, role, created_by, expires_at, max_uses)
+    VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END, ?)
+  `).run(gameId, code, role, req.user.id, hours, `+${Math.round((hours || 0) * 60)} minutes`, maxUses);
+
+  const invite = db.prepare(
+    'SELECT id, token AS code, role, expires_at, max_uses, uses, created_at FROM game_invites WHERE id = ?'
+  ).get(result.lastInsertRowid);
+
+  res.status(201).json(invite);
+});
+
+/**
+ * DELETE /api/games/:id/invites/:inviteId
+ * Revoke an invite code (DM only).
+ */
+router.delete('/:id/invites/:inviteId', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+  const inviteId = parseInt(req.params.inviteId, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can revoke invite codes' });
+  }
+
+  const result = db.prepare('DELETE FROM game_invites WHERE id = ? AND game_id = ?').run(inviteId, gameId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
 
-  res.json({ id: gameId, role: 'player' });
+  res.json({ success: true });
 });
 
 /**
@@ -106,11 +315,9 @@ router.get('/:id', (req, res) => {
   }
 
   // Check membership
-  const membership = db.prepare(
-    'SELECT role FROM game_players WHERE game_id = ? AND user_id = ?'
-  ).get(gameId, req.user.id);
+  const role = getGameRole(gameId, req.user.id);
 
-  if (!membership) {
+  if (!role) {
     return res.status(403).json({ error: 'You are not a member of this game' });
   }
 
@@ -131,7 +338,7 @@ router.get('/:id', (req, res) => {
   `).all(gameId);
 
   // Filter and sanitize characters for non-DM users
-  const isDM = membership.role === 'dm';
+  const isDM = isDMRole(role);
   const sanitizedCharacters = characters
     .filter(c => {
       // Hide monsters that are hidden from players (non-DM only)
@@ -146,12 +353,18 @@ router.get('/:id', (req, res) => {
       return c;
     });
 
+  const mapData = getGameLevels(gameId)?.toJSON() ?? null;
+
   res.json({
     id: game.id,
     name: game.name,
     dm_user_id: game.dm_user_id,
-    map_data: game.map_data ? JSON.parse(game.map_data) : null,
-    my_role: membership.role,
+    is_private: game.is_private,
+    archived_at: game.archived_at,
+    // The live copy may hold edits that haven't been written back yet
+    map_data: isDM ? mapData : playerMapData(mapData),
+    map_version: getMapVersion(gameId),
+    my_role: role,
     characters: sanitizedCharacters,
     players,
   });
@@ -159,7 +372,9 @@ router.get('/:id', (req, res) => {
 
 /**
  * PUT /api/games/:id/map
- * Save map data (DM only).
+ * Replace the map (DM only). Players in the game receive it as a live map change.
+ * Body: { map_data, level? } – with a level, map_data is that level's map and
+ * only it is replaced (or added); otherwise it is the whole map (all levels).
  */
 router.put('/:id/map', (req, res) => {
   const gameId = parseInt(req.params.id, 10);
@@ -169,41 +384,60 @@ router.put('/:id/map', (req, res) => {
     return res.status(404).json({ error: 'Game not found' });
   }
 
-  if (game.dm_user_id !== req.user.id) {
+  if (!isGameDM(gameId, req.user.id)) {
     return res.status(403).json({ error: 'Only the DM can save the map' });
   }
 
-  const { map_data } = req.body;
-  db.prepare('UPDATE games SET map_data = ? WHERE id = ?').run(
-    JSON.stringify(map_data),
-    gameId
-  );
+  const { map_data, level } = req.body;
+  if (!map_data || typeof map_data !== 'object') {
+    return res.status(400).json({ error: 'map_data is required' });
+  }
 
-  res.json({ success: true });
+  if (level == null) {
+    if (!MapLevels.isValidJSON(map_data)) {
+      return res.status(400).json({ error: 'map_data is not a valid map' });
+    }
+    const version = replaceGameMap(gameId, map_data);
+    broadcastMapChange(gameId, getGameLevels(gameId)?.toJSON() ?? map_data, version);
+    return res.json({ success: true, map_version: version });
+  }
+
+  if (!Number.isInteger(level) || level < 0) {
+    return res.status(400).json({ error: 'level must be a level ID' });
+  }
+  if (!GameMap.isValidJSON(map_data)) {
+    return res.status(400).json({ error: 'map_data is not a valid map' });
+  }
+  const result = replaceGameLevel(gameId, level, GameMap.fromJSON(map_data));
+  if (!result) {
+    return res.status(409).json({ error: 'The game has no map yet; save the whole map first' });
+  }
+  broadcastMapChange(gameId, result.levels.toJSON(), result.version, level);
+
+  res.json({ success: true, map_version: result.version });
 });
 
 /**
  * GET /api/games/:id/messages
  * Get chat message history for a game.
  * Returns group messages + DMs involving the current user.
+ * Dice rolls include their structured `roll` object (null for plain messages).
  */
 router.get('/:id/messages', (req, res) => {
   const gameId = parseInt(req.params.id, 10);
 
   // Check membership
-  const membership = db.prepare(
-    'SELECT role FROM game_players WHERE game_id = ? AND user_id = ?'
-  ).get(gameId, req.user.id);
+  const role = getGameRole(gameId, req.user.id);
 
-  if (!membership) {
+  if (!role) {
     return res.status(403).json({ error: 'You are not a member of this game' });
   }
 
   const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
 
   // Get group messages + DMs where user is sender or recipient
-  const messages = db.prepare(`
-    SELECT id, game_id, sender_id, sender_name, recipient_id, content, created_at
+  const rows = db.prepare(`
+    SELECT id, game_id, sender_id, sender_name, recipient_id, content, roll_data, created_at
     FROM messages
     WHERE game_id = ?
       AND (recipient_id IS NULL OR sender_id = ? OR recipient_id = ?)
@@ -211,7 +445,133 @@ router.get('/:id/messages', (req, res) => {
     LIMIT ?
   `).all(gameId, req.user.id, req.user.id, limit);
 
+  const messages = rows.map(({ roll_data, ...m }) => {
+    let roll = null;
+    if (roll_data) {
+      try { roll = JSON.parse(roll_data); } catch { /* corrupt roll — show as text */ }
+    }
+    return { ...m, roll };
+  });
+
   res.json({ messages });
 });
 
+/**
+ * GET /api/games/:id/encounters
+ * List the game's encounters, newest first (DM only).
+ */
+router.get('/:id/encounters', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can view the encounter log' });
+  }
+
+  res.json({ encounters: listEncounters(gameId) });
+});
+
+/**
+ * GET /api/games/:id/encounters/:encounterId
+ * One encounter with all its events in order (DM only).
+ */
+router.get('/:id/encounters/:encounterId', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+  const encounterId = parseInt(req.params.encounterId, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can view the encounter log' });
+  }
+
+  const result = getEncounter(gameId, encounterId);
+  if (!result) {
+    return res.status(404).json({ error: 'Encounter not found' });
+  }
+
+  res.json(result);
+});
+
+/**
+ * PUT /api/games/:id
+ * Body: { name?, is_private?, archived? }
+ * Rename the game, make it public/private, or archive/unarchive it (DM only).
+ * Archived games stay open to their members but can't be joined.
+ */
+router.put('/:id', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameDM(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the DM can change game settings' });
+  }
+
+  const { name, is_private, archived } = req.body || {};
+  if (name != null && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'Game name is required' });
+  }
+
+  db.prepare(`
+    UPDATE games SET
+      name = COALESCE(?, name),
+      is_private = COALESCE(?, is_private),
+      archived_at = CASE WHEN ? IS NULL THEN archived_at WHEN ? = 1 THEN COALESCE(archived_at, CURRENT_TIMESTAMP) ELSE NULL END
+    WHERE id = ?
+  `).run(
+    name != null ? name.trim() : null,
+    is_private != null ? (is_private ? 1 : 0) : null,
+    archived != null ? 1 : null,
+    archived ? 1 : 0,
+    gameId
+  );
+
+  const updated = db.prepare('SELECT id, name, dm_user_id, is_private, archived_at FROM games WHERE id = ?').get(gameId);
+  res.json(updated);
+});
+
+/**
+ * DELETE /api/games/:id
+ * Delete the game with its characters, chat and membership (owner only).
+ * Connected users are disconnected.
+ */
+router.delete('/:id', (req, res) => {
+  const gameId = parseInt(req.params.id, 10);
+
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (!isGameOwner(gameId, req.user.id)) {
+    return res.status(403).json({ error: 'Only the game owner can delete the game' });
+  }
+
+  closeGame(gameId, 'The game was deleted');
+
+  // Sheets and macros cascade from characters; invites, bans, encounters and turn state from games
+  db.transaction(() => {
+    db.prepare('DELETE FROM dice_macros WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM characters WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM messages WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM game_players WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM games WHERE id = ?').run(gameId);
+  })();
+  invalidateGameMap(gameId);
+  forgetTurnState(gameId);
+
+  res.json({ success: true });
+});
+
 export default router;
@@ -5,6 +5,7 @@
 import { Router } from 'express';
 import db from '../db.js';
 import { authenticateToken } from '../auth.js';
+import { canManage } from '../permissions.js';
 
 const router = Router();
 
@@ -24,11 +25,7 @@ router.get('/characters/:charId/macros', (req, res) => {
   }
 
   // Check authorization: must be owner or DM
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(character.game_id);
-  const isOwner = character.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(character, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to view macros for this character' });
   }
 
@@ -42,7 +39,7 @@ router.get('/characters/:charId/macros', (req, res) => {
 /**
  * POST /api/characters/:charId/macros
  * Create a macro for a character. Owner or DM only.
- * Body: { name, formula, description?, category? }
+ * Body: { name, formula, description?, category?, damage_formula? }
  */
 router.post('/characters/:charId/macros', (req, res) => {
   const charId = parseInt(req.params.charId, 10);
@@ -53,15 +50,11 @@ router.post('/characters/:charId/macros', (req, res) => {
   }
 
   // Check authorization: must be owner or DM
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(character.game_id);
-  const isOwner = character.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(character, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to create macros for this character' });
   }
 
-  const { name, formula, description, category } = req.body;
+  const { name, formula, description, category, damage_formula } = req.body;
 
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Macro name is required' });
@@ -80,8 +73,8 @@ router.post('/characters/:charId/macros', (req, res) => {
   const sortOrder = (maxOrder?.max_order ?? -1) + 1;
 
   const result = db.prepare(`
-    INSERT INTO dice_macros (character_id, game_id, user_id, name, formula, description, category, sort_order)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO dice_macros (character_id, game_id, user_id, name, formula, description, category, sort_order, damage_formula)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     charId,
     character.game_id,
@@ -90,7 +83,8 @@ router.post('/characters/:charId/macros', (req, res) => {
     formula.trim(),
     description || '',
     cat,
-    sortOrder
+    sortOrder,
+    damage_formula ? damage_formula.trim() : ''
   );
 
   const macro = db.prepare('SELECT * FROM dice_macros WHERE id = ?').get(result.lastInsertRowid);
@@ -100,7 +94,7 @@ router.post('/characters/:charId/macros', (req, res) => {
 /**
  * PUT /api/macros/:id
  * Update a macro. Owner or DM only.
- * Body: { name?, formula?, description?, category? }
+ * Body: { name?, formula?, description?, category?, damage_formula? }
  */
 router.put('/macros/:id', (req, res) => {
   const macroId = parseInt(req.params.id, 10);
@@ -111,15 +105,11 @@ router.put('/macros/:id', (req, res) => {
   }
 
   // Check authorization: must be owner or DM
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(macro.game_id);
-  const isOwner = macro.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(macro, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to update this macro' });
   }
 
-  const { name, formula, description, category } = req.body;
+  const { name, formula, description, category, damage_formula } = req.body;
 
   const validCategories = ['attack', 'ability', 'save', 'skill', 'spell', 'custom'];
   const cat = category !== undefined ? (validCategories.includes(category) ? category : 'custom') : null;
@@ -129,13 +119,15 @@ router.put('/macros/:id', (req, res) => {
       name = COALESCE(?, name),
       formula = COALESCE(?, formula),
       description = COALESCE(?, description),
-      category = COALESCE(?, category)
+      category = COALESCE(?, category),
+      damage_formula = COALESCE(?, damage_formula)
     WHERE id = ?
   `).run(
     name ? name.trim() : null,
     formula ? formula.trim() : null,
     description !== undefined ? description : null,
     cat,
+    damage_formula !== undefined ? String(damage_formula || '').trim() : null,
     macroId
   );
 
@@ -156,11 +148,7 @@ router.delete('/macros/:id', (req, res) => {
   }
 
   // Check authorization: must be owner or DM
-  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(macro.game_id);
-  const isOwner = macro.user_id === req.user.id;
-  const isDM = game && game.dm_user_id === req.user.id;
-
-  if (!isOwner && !isDM) {
+  if (!canManage(macro, req.user.id)) {
     return res.status(403).json({ error: 'Not authorized to delete this macro' });
   }
 
@@ -0,0 +1,216 @@
+/**
+ * Game membership routes: list members and bans, kick, ban/unban, change
+ * roles (appoint co-DMs) and transfer ownership. Any DM may manage players and
+ * spectators; only the owner may act on other DMs or hand the game over.
+ * Removed users are disconnected from the live game.
+ */
+
+import { Router } from 'express';
+import db from '../db.js';
+import { authenticateToken } from '../auth.js';
+import { getGameRole, isDMRole, isGameDM, isGameOwner } from '../permissions.js';
+import { removeFromGame, setMemberRole } from '../ws.js';
+
+const router = Router();
+
+const MEMBER_ROLES = ['dm', 'player', 'spectator'];
+
+// All membership routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Load the game for a DM-only request, answering 404/403 itself when the
+ * game doesn't exist or the user isn't one of its DMs.
+ * @returns {object|null} the game row, or null if a response was sent
+ */
+function gameForDM(req, res) {
+  const gameId = parseInt(req.params.id, 10);
+  const game = db.prepare('SELECT * FROM games WHERE id = ?').get(gameId);
+  if (!game) {
+    res.status(404).json({ error: 'Game not found' });
+    return null;
+  }
+  if (!isGameDM(gameId, req.user.id)) {
+    res.status(403).json({ error: 'Only the DM can manage members' });
+    return null;
+  }
+  return game;
+}
+
+/**
+ * Why the requesting DM may not kick, ban or change the role of `userId`, or null if they may.
+ * The owner is untouchable; other DMs can only be managed by the owner.
+ */
+function manageBlockedReason(game, req, userId) {
+  if (userId === game.dm_user_id) return 'The game owner cannot be removed or changed — transfer ownership first';
+  if (isGameDM(game.id, userId) && !isGameOwner(game.id, req.user.id)) {
+    return 'Only the game owner can manage other DMs';
+  }
+  return null;
+}
+
+/**
+ * GET /api/games/:id/members
+ * Members with their role and join date, plus banned users.
+ */
+router.get('/games/:id/members', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+
+  const members = db.prepare(`
+    SELECT gp.user_id, u.username, gp.role, gp.joined_at
+    FROM game_players gp
+    JOIN users u ON u.id = gp.user_id
+    WHERE gp.game_id = ?
+    ORDER BY gp.role = 'dm' DESC, gp.joined_at ASC
+  `).all(game.id);
+
+  const bans = db.prepare(`
+    SELECT b.user_id, u.username, b.created_at
+    FROM game_bans b
+    JOIN users u ON u.id = b.user_id
+    WHERE b.game_id = ?
+    ORDER BY b.created_at DESC
+  `).all(game.id);
+
+  res.json({ owner_id: game.dm_user_id, members, bans });
+});
+
+/**
+ * PUT /api/games/:id/members/:userId
+ * Body: { role } – 'dm', 'player' or 'spectator'
+ * Change a member's role. Appointing or removing a co-DM is owner only.
+ */
+router.put('/games/:id/members/:userId', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+  const userId = parseInt(req.params.userId, 10);
+  const role = req.body && req.body.role;
+
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Role must be dm, player or spectator' });
+  }
+
+  const current = getGameRole(game.id, userId);
+  if (!current) {
+    return res.status(404).json({ error: 'User is not a member of this game' });
+  }
+
+  const blocked = manageBlockedReason(game, req, userId);
+  if (blocked) {
+    return res.status(403).json({ error: blocked });
+  }
+
+  if (isDMRole(role) && !isGameOwner(game.id, req.user.id)) {
+    return res.status(403).json({ error: 'Only the game owner can appoint co-DMs' });
+  }
+
+  db.prepare('UPDATE game_players SET role = ? WHERE game_id = ? AND user_id = ?').run(role, game.id, userId);
+  if (role !== current) setMemberRole(game.id, userId, role);
+  res.json({ user_id: userId, role });
+});
+
+/**
+ * DELETE /api/games/:id/members/:userId
+ * Kick a member. They can rejoin if they have an invite code (or the game is public).
+ * Their characters stay in the game.
+ */
+router.delete('/games/:id/members/:userId', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+  const userId = parseInt(req.params.userId, 10);
+
+  const blocked = manageBlockedReason(game, req, userId);
+  if (blocked) {
+    return res.status(403).json({ error: blocked });
+  }
+
+  const result = db.prepare('DELETE FROM game_players WHERE game_id = ? AND user_id = ?').run(game.id, userId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'User is not a member of this game' });
+  }
+
+  removeFromGame(game.id, userId, 'You were removed from the game by the DM');
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/games/:id/bans
+ * Body: { userId }
+ * Ban a user: removes them from the game and stops them rejoining.
+ */
+router.post('/games/:id/bans', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+  const userId = parseInt(req.body && req.body.userId, 10);
+
+  const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const blocked = manageBlockedReason(game, req, userId);
+  if (blocked) {
+    return res.status(403).json({ error: blocked });
+  }
+
+  db.prepare(
+    'INSERT OR IGNORE INTO game_bans (game_id, user_id, banned_by) VALUES (?, ?, ?)'
+  ).run(game.id, userId, req.user.id);
+  db.prepare('DELETE FROM game_players WHERE game_id = ? AND user_id = ?').run(game.id, userId);
+
+  removeFromGame(game.id, userId, 'You were banned from the game by the DM');
+  res.status(201).json({ success: true });
+});
+
+/**
+ * DELETE /api/games/:id/bans/:userId
+ * Lift a ban. The user still needs an invite code to rejoin a private game.
+ */
+router.delete('/games/:id/bans/:userId', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+  const userId = parseInt(req.params.userId, 10);
+
+  const result = db.prepare('DELETE FROM game_bans WHERE game_id = ? AND user_id = ?').run(game.id, userId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'User is not banned' });
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/games/:id/transfer
+ * Body: { userId }
+ * Make another member the owner (owner only). The new owner becomes a DM if
+ * they weren't one; the previous owner stays on as a co-DM.
+ */
+router.post('/games/:id/transfer', (req, res) => {
+  const game = gameForDM(req, res);
+  if (!game) return;
+  const userId = parseInt(req.body && req.body.userId, 10);
+
+  if (!isGameOwner(game.id, req.user.id)) {
+    return res.status(403).json({ error: 'Only the game owner can transfer ownership' });
+  }
+
+  if (userId === game.dm_user_id) {
+    return res.status(400).json({ error: 'You already own this game' });
+  }
+
+  const member = db.prepare('SELECT * FROM game_players WHERE game_id = ? AND user_id = ?').get(game.id, userId);
+  if (!member) {
+    return res.status(404).json({ error: 'User is not a member of this game' });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE games SET dm_user_id = ? WHERE id = ?').run(userId, game.id);
+    db.prepare('UPDATE game_players SET role = ? WHERE game_id = ? AND user_id = ?').run('dm', game.id, userId);
+  })();
+
+  if (!isDMRole(member.role)) setMemberRole(game.id, userId, 'dm');
+  res.json({ success: true, dm_user_id: userId });
+});
+
+export default router;
@@ -0,0 +1,79 @@
+/**
+ * Character sheet persistence.
+ * Sheets live in `character_sheets`; HP and speed are read from and written to
+ * the `characters` row so the existing HP and movement code sees the same values.
+ */
+
+import db from './db.js';
+import { ABILITIES, defaultSheet, normalizeSheet } from '../src/engine/CharacterSheet.js';
+
+function parseJSON(text, fallback) {
+  try { return JSON.parse(text) ?? fallback; } catch { return fallback; }
+}
+
+/**
+ * Load a character's sheet. Characters without a saved sheet get the defaults.
+ * @param {object} character – row from the characters table
+ * @returns {object} normalized sheet (see CharacterSheet.js)
+ */
+export function loadSheet(character) {
+  const row = db.prepare('SELECT * FROM character_sheets WHERE character_id = ?').get(character.id);
+  const data = row
+    ? {
+      level: row.level,
+      ac: row.ac,
+      proficiencyBonus: row.proficiency_bonus,
+      abilities: Object.fromEntries(ABILITIES.map(a => [a, row[a]])),
+      saves: parseJSON(row.save_proficiencies, []),
+      skills: parseJSON(row.skill_proficiencies, {}),
+    }
+    : defaultSheet();
+
+  return normalizeSheet({
+    ...data,
+    hp: character.hp,
+    maxHp: character.max_hp,
+    speed: character.speed,
+  });
+}
+
+/**
+ * Validate and store a sheet for a character (insert or replace).
+ * @param {object} character – row from the characters table
+ * @param {object} data – sheet fields from the client
+ * @returns {object} the normalized sheet that was saved
+ */
+export function saveSheet(character, data) {
+  const sheet = normalizeSheet(data);
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO character_sheets
+        (character_id, level, ac, proficiency_bonus, str, dex, con, int, wis, cha,
+         save_proficiencies, skill_proficiencies, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(character_id) DO UPDATE SET
+        level = excluded.level,
+        ac = excluded.ac,
+        proficiency_bonus = excluded.proficiency_bonus,
+        str = excluded.str, dex = excluded.dex, con = excluded.con,
+        int = excluded.int, wis = excluded.wis, cha = excluded.cha,
+        save_proficiencies = excluded.save_proficiencies,
+        skill_proficiencies = excluded.skill_proficiencies,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      character.id,
+      sheet.level,
+      sheet.ac,
+      sheet.proficiencyBonus,
+      ...ABILITIES.map(a => sheet.abilities[a]),
+      JSON.stringify(sheet.saves),
+      JSON.stringify(sheet.skills)
+    );
+
+    db.prepare('UPDATE characters SET hp = ?, max_hp = ?, speed = ? WHERE id = ?')
+      .run(sheet.hp, sheet.maxHp, sheet.speed, character.id);
+  })();
+
+  return sheet;
+}
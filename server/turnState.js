@@ -0,0 +1,129 @@
+/**
+ * Turn and initiative state per game.
+ * Persisted in `turn_states` so combat survives server restarts, empty rooms and
+ * a DM's browser dropping out; kept in memory once loaded.
+ *
+ * State shape:
+ *   {
+ *     enabled, order: number[], activeIndex, round,
+ *     initiativeRolls: { [characterId]: number },  // rolls entered before turns start
+ *     sortedPlayerOrder: number[],                 // last initiative sort (pre-start list order)
+ *   }
+ */
+
+import db from './db.js';
+
+/** Map<gameId, TurnState> */
+const states = new Map();
+
+function parseJSON(text, fallback) {
+  try { return JSON.parse(text) ?? fallback; } catch { return fallback; }
+}
+
+/**
+ * Get a game's turn state, loading it from the database if needed.
+ * @param {number} gameId
+ * @returns {object|null} null if the game has never used action mode
+ */
+export function getTurnState(gameId) {
+  if (states.has(gameId)) return states.get(gameId);
+
+  const row = db.prepare('SELECT * FROM turn_states WHERE game_id = ?').get(gameId);
+  if (!row) return null;
+
+  const state = {
+    enabled: !!row.enabled,
+    order: parseJSON(row.turn_order, []),
+    activeIndex: row.active_index,
+    round: row.round,
+    initiativeRolls: parseJSON(row.initiative_rolls, {}),
+    sortedPlayerOrder: parseJSON(row.sorted_order, []),
+  };
+  states.set(gameId, state);
+  return state;
+}
+
+/**
+ * Replace the turn order/active turn. Initiative rolls and the sorted order are
+ * kept while action mode stays on and cleared when it is switched off.
+ * Always stores a new object, so callers may keep the previous state for comparison.
+ * @param {number} gameId
+ * @param {{ enabled: boolean, order: number[], activeIndex: number, round: number,
+ *           sortedPlayerOrder?: number[] }} turnState
+ * @returns {object} the stored state
+ */
+export function setTurnState(gameId, turnState) {
+  const previous = getTurnState(gameId);
+  const keep = turnState.enabled && previous && previous.enabled;
+  const state = {
+    enabled: turnState.enabled,
+    order: turnState.order,
+    activeIndex: turnState.activeIndex,
+    round: turnState.round,
+    initiativeRolls: keep ? previous.initiativeRolls : {},
+    sortedPlayerOrder: turnState.sortedPlayerOrder || (keep ? previous.sortedPlayerOrder : []),
+  };
+  save(gameId, state);
+  return state;
+}
+
+/**
+ * Record (or clear, with null) a character's initiative roll.
+ * @param {number} gameId
+ * @param {number} characterId
+ * @param {number|null} roll
+ */
+export function setInitiativeRoll(gameId, characterId, roll) {
+  const previous = getTurnState(gameId) || emptyState();
+  const initiativeRolls = { ...previous.initiativeRolls };
+  if (roll == null) delete initiativeRolls[characterId];
+  else initiativeRolls[characterId] = roll;
+  save(gameId, { ...previous, initiativeRolls });
+}
+
+/**
+ * Record the DM's initiative sort (character IDs, highest roll first).
+ * @param {number} gameId
+ * @param {number[]} sortedPlayerOrder
+ */
+export function setSortedOrder(gameId, sortedPlayerOrder) {
+  const previous = getTurnState(gameId) || emptyState();
+  save(gameId, { ...previous, sortedPlayerOrder });
+}
+
+/**
+ * Drop the in-memory copy (e.g. when a room empties); the database keeps it.
+ * @param {number} gameId
+ */
+export function forgetTurnState(gameId) {
+  states.delete(gameId);
+}
+
+function emptyState() {
+  return { enabled: false, order: [], activeIndex: -1, round: 1, initiativeRolls: {}, sortedPlayerOrder: [] };
+}
+
+function save(gameId, state) {
+  states.set(gameId, state);
+  db.prepare(`
+    INSERT INTO turn_states
+      (game_id, enabled, turn_order, active_index, round, initiative_rolls, sorted_order, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(game_id) DO UPDATE SET
+      enabled = excluded.enabled,
+      turn_order = excluded.turn_order,
+      active_index = excluded.active_index,
+      round = excluded.round,
+      initiative_rolls = excluded.initiative_rolls,
+      sorted_order = excluded.sorted_order,
+      updated_at = excluded.updated_at
+  `).run(
+    gameId,
+    state.enabled ? 1 : 0,
+    JSON.stringify(state.order),
+    state.activeIndex,
+    state.round,
+    JSON.stringify(state.initiativeRolls),
+    JSON.stringify(state.sortedPlayerOrder)
+  );
+}
@@ -4,14 +4,102 @@
  */
 
 import { WebSocketServer } from 'ws';
+import { randomInt } from 'crypto';
 import { verifyToken } from './auth.js';
 import db from './db.js';
+import {
+  getGameMap, getGameLevels, getMapVersion, commitMapChange, replaceGameMap, replaceGameLevel, invalidateGameMap,
+  playerMapData, playerCellData,
+} from './mapState.js';
+import { GameMap } from '../src/engine/GameMap.js';
+import { MapLevels } from '../src/engine/MapLevels.js';
+import { rollFormula, validateFormula, toRollData } from '../src/engine/DiceFormulaParser.js';
+import { sheetVariables } from '../src/engine/CharacterSheet.js';
+import { normalizeConditions, isConditionList, isImmobilized, applyConditionEdit } from '../src/engine/Conditions.js';
+import { loadSheet } from './sheets.js';
+import { startEncounter, endEncounter, logTurn, logEncounterEvent } from './encounters.js';
+import { getTurnState, setTurnState, setInitiativeRoll, setSortedOrder, forgetTurnState } from './turnState.js';
+import { rollInitiative, initiativeOrder } from './initiative.js';
+import { getGameRole, isDMRole } from './permissions.js';
+import { createMessageLimiter } from './rateLimit.js';
 
 /** Map<gameId, Set<ClientInfo>> */
 const rooms = new Map();
 
-/** Map<gameId, { enabled, order, activeIndex }> – current turn state per game */
-const roomTurnState = new Map();
+/** Map<gameId, { characterId, moved }> – cells moved by the active character this turn */
+const roomMovement = new Map();
+
+/**
+ * Map<gameId, { client, since }> – who made the latest map changes, and the
+ * version before that run of changes began. A DM's edits are based on the
+ * version they last saw: their own changes since then are already in their
+ * copy of the map, anyone else's are not.
+ */
+const mapWriters = new Map();
+
+/** Slack (in cells) on the movement budget to absorb float rounding between client and server. */
+const MOVE_BUDGET_SLACK = 0.05;
+
+/**
+ * How far (in cells) a player's character may be from the middle of a door's
+ * edge to open or close it: the client's 1.5, plus slack for a throttled move
+ * that hasn't reached the server yet.
+ */
+const DOOR_REACH = 1.75;
+
+/**
+ * Map<gameId, Map<attackId, PendingAttack>> – attack hits waiting for the DM to apply damage.
+ * @typedef {{ attackId: number, targetId: number, targetName: string, attackerName: string,
+ *             weapon: string, damage: number, crit: boolean }} PendingAttack
+ */
+const pendingAttacks = new Map();
+let nextAttackId = 1;
+
+/**
+ * Per-connection message rate limits: each type gets a bucket of `burst` messages
+ * refilling at `perSecond`; unlisted types use `default`. Override or extend with
+ * the WS_RATE_LIMITS environment variable, e.g. '{"chat_message":{"perSecond":2,"burst":10}}'.
+ */
+const WS_RATE_LIMITS = {
+  default: { perSecond: 10, burst: 30 },
+  move: { perSecond: 20, burst: 40 },          // clients throttle to ~15/s
+  dm_drag: { perSecond: 60, burst: 120 },      // sent on every pointer move
+  map_diff: { perSecond: 20, burst: 40 },      // clients batch edits every 100ms
+  map_sync_request: { perSecond: 0.5, burst: 3 },
+  chat_message: { perSecond: 1, burst: 5 },
+  roll_request: { perSecond: 1, burst: 5 },
+  initiative_roll_request: { perSecond: 1, burst: 5 },
+  attack_request: { perSecond: 1, burst: 5 },
+  map_change: { perSecond: 0.2, burst: 3 },
+  use_stairs: { perSecond: 1, burst: 3 },
+  auth: { perSecond: 0.1, burst: 1 },           // repeats are ignored; a flood of them closes the socket
+  ...parseRateLimits(process.env.WS_RATE_LIMITS),
+};
+
+/**
+ * A connection whose messages keep getting dropped is closed: this many drops
+ * in a burst, refilling at 10 per second.
+ */
+const MAX_DROPPED_BURST = 100;
+
+/** Tell a client it is being rate limited at most this often. */
+const RATE_NOTICE_INTERVAL_MS = 2000;
+
+function parseRateLimits(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    console.warn('Ignoring invalid WS_RATE_LIMITS (expected JSON)');
+    return {};
+  }
+}
+
+/** Message types a spectator may send – they watch and chat, nothing else. */
+const SPECTATOR_MESSAGE_TYPES = new Set(['chat_message', 'map_sync_request']);
+
+/** Most cells accepted in one map diff. */
+const MAX_DIFF_CELLS = 2000;
 
 /**
  * @typedef {Object} ClientInfo
@@ -19,7 +107,10 @@ const roomTurnState = new Map();
  * @property {number} userId
  * @property {string} username
  * @property {number} gameId
- * @property {string} role – 'dm' | 'player'
+ * @property {string} role – 'dm' | 'player' | 'spectator'
+ * @property {{ allow: (type: string) => boolean }} limiter – message rate limits
+ * @property {{ allow: (type: string) => boolean }} dropped – budget of rate-limited messages
+ * @property {number} rateNoticeAt – when the client was last told it is rate limited
  */
 
 /** Batch of positions to save to DB, keyed by characterId. */
@@ -31,7 +122,8 @@ let saveInterval = null;
  * @param {import('http').Server} server
  */
 export function initWebSocket(server) {
-  const wss = new WebSocketServer({ server, path: '/ws' });
+  // Messages are small now that images are uploaded separately; a full map change is the largest
+  const wss = new WebSocketServer({ server, path: '/ws', maxPayload: 4 * 1024 * 1024 });
 
   wss.on('connection', (ws) => {
     /** @type {ClientInfo|null} */
@@ -44,7 +136,7 @@ export function initWebSocket(server) {
       }
     }, 5000);
 
-    ws.on('message', (raw) => {
+    const onMessage = (raw) => {
       let msg;
       try {
         msg = JSON.parse(raw);
@@ -52,8 +144,8 @@ export function initWebSocket(server) {
         return; // ignore non-JSON
       }
 
-      // --- Auth message (must be first) ---
-      if (msg.type === 'auth') {
+      // --- Auth message (must be first; a socket authenticates once) ---
+      if (msg.type === 'auth' && !client) {
         clearTimeout(authTimeout);
 
         const user = verifyToken(msg.token);
@@ -69,11 +161,8 @@ export function initWebSocket(server) {
         }
 
         // Check game membership
-        const membership = db.prepare(
-          'SELECT role FROM game_players WHERE game_id = ? AND user_id = ?'
-        ).get(gameId, user.id);
-
-        if (!membership) {
+        const role = getGameRole(gameId, user.id);
+        if (!role) {
           ws.close(4004, 'Not a member of this game');
           return;
         }
@@ -84,7 +173,10 @@ export function initWebSocket(server) {
           userId: user.id,
           username: user.username,
           gameId,
-          role: membership.role,
+          role,
+          limiter: createMessageLimiter(WS_RATE_LIMITS),
+          dropped: createMessageLimiter({ default: { perSecond: 10, burst: MAX_DROPPED_BURST } }),
+          rateNoticeAt: 0,
         };
 
         if (!rooms.has(gameId)) {
@@ -92,9 +184,18 @@ export function initWebSocket(server) {
         }
         rooms.get(gameId).add(client);
 
-        // Confirm auth — include current turn state if active
-        const turnState = roomTurnState.get(gameId) || null;
-        ws.send(JSON.stringify({ type: 'auth_ok', turnState }));
+        // Confirm auth — include the saved turn state (order, rolls) so a
+        // rejoining client or restarted server picks up where combat left off
+        // and the map version, so a client that missed map diffs can resync
+        const turnState = getTurnState(gameId);
+        ws.send(JSON.stringify({ type: 'auth_ok', turnState, mapVersion: getMapVersion(gameId) }));
+
+        // A (re)joining DM picks up any damage still waiting for confirmation
+        if (isDMRole(client.role)) {
+          for (const pending of (pendingAttacks.get(gameId) || new Map()).values()) {
+            ws.send(JSON.stringify(attackPendingMessage(pending)));
+          }
+        }
         return;
       }
 
@@ -104,6 +205,29 @@ export function initWebSocket(server) {
         return;
       }
 
+      // Over the rate limit: drop the message, tell the sender, and cut off
+      // connections that keep flooding
+      if (!client.limiter.allow(msg.type)) {
+        if (!client.dropped.allow('message')) {
+          ws.close(4008, 'Rate limit exceeded');
+        } else if (Date.now() - client.rateNoticeAt > RATE_NOTICE_INTERVAL_MS) {
+          client.rateNoticeAt = Date.now();
+          ws.send(JSON.stringify({ type: 'rate_limited', messageType: msg.type }));
+        }
+        return;
+      }
+
+      // Already authenticated: a second auth would start over with fresh rate
+      // limits and a second room entry for the same socket
+      if (msg.type === 'auth') {
+        return;
+      }
+
+      // Spectators are read-only: no moves, rolls, character or map changes
+      if (client.role === 'spectator' && !SPECTATOR_MESSAGE_TYPES.has(msg.type)) {
+        return;
+      }
+
       // --- Position update ---
       if (msg.type === 'move') {
         handleMove(client, msg);
@@ -120,7 +244,7 @@ export function initWebSocket(server) {
           if (room) {
             for (const c of room) {
               if (c === client || c.ws.readyState !== 1) continue;
-              const payload = c.role === 'dm' ? char : safeChar;
+              const payload = isDMRole(c.role) ? char : safeChar;
               c.ws.send(JSON.stringify({ type: 'character_added', character: payload }));
             }
           }
@@ -141,47 +265,62 @@ export function initWebSocket(server) {
 
       // --- Turn update (DM only) ---
       if (msg.type === 'turn_update') {
-        if (client.role !== 'dm') return; // only DM can update turns
+        if (!isDMRole(client.role)) return; // only DM can update turns
         const turnState = {
           enabled: !!msg.enabled,
           order: Array.isArray(msg.order) ? msg.order : [],
           activeIndex: typeof msg.activeIndex === 'number' ? msg.activeIndex : -1,
+          round: Number.isInteger(msg.round) && msg.round > 0 ? msg.round : 1,
         };
-        // Store on room so new joiners get current state
-        roomTurnState.set(client.gameId, turnState);
+        const previous = getTurnState(client.gameId);
+        // Every new turn (or leaving action mode) starts a fresh movement budget
+        if (isNewTurn(previous, turnState)) {
+          roomMovement.delete(client.gameId);
+        }
         // Include sorted player order if present (from DM initiative sort)
         const broadcast = { type: 'turn_update', ...turnState };
         if (Array.isArray(msg.sortedPlayerOrder)) {
           broadcast.sortedPlayerOrder = msg.sortedPlayerOrder;
         }
+        // Persist so rejoining clients (and a restarted server) get the current state
+        setTurnState(client.gameId, { ...turnState, sortedPlayerOrder: broadcast.sortedPlayerOrder });
+        recordEncounterProgress(client.gameId, previous, turnState);
         // Broadcast to ALL clients in the room (including sender for confirmation)
         broadcastToAll(client.gameId, broadcast);
         return;
       }
 
-      // --- Initiative roll (any player for own character, or DM for any) ---
+      // --- Initiative roll typed in by the DM ---
       if (msg.type === 'initiative_roll') {
+        // Only the DM types in rolls; players roll on the server (initiative_roll_request)
+        if (!isDMRole(client.role)) return;
         const { characterId, roll } = msg;
-        if (characterId == null) return;
-        // Validate: DM can set any, players can only set their own
-        if (client.role !== 'dm') {
-          const char = db.prepare('SELECT user_id FROM characters WHERE id = ?').get(characterId);
-          if (!char || char.user_id !== client.userId) return;
-        }
+        if (!Number.isInteger(characterId)) return;
+        const char = db.prepare('SELECT id FROM characters WHERE id = ? AND game_id = ?').get(characterId, client.gameId);
+        if (!char) return;
+        const value = typeof roll === 'number' && Number.isFinite(roll) ? roll : null;
+        setInitiativeRoll(client.gameId, characterId, value);
         // Broadcast to all clients (including sender for confirmation)
         broadcastToAll(client.gameId, {
           type: 'initiative_roll',
           characterId,
-          roll: typeof roll === 'number' ? roll : null,
+          roll: value,
           userId: client.userId,
         });
         return;
       }
 
+      // --- Roll initiative server-side (players: own characters; DM: any, sorted afterwards) ---
+      if (msg.type === 'initiative_roll_request') {
+        handleInitiativeRollRequest(client, msg);
+        return;
+      }
+
       // --- Initiative sort (DM only) ---
       if (msg.type === 'initiative_sort') {
-        if (client.role !== 'dm') return; // only DM can sort initiative
+        if (!isDMRole(client.role)) return; // only DM can sort initiative
         const sortedCharIds = Array.isArray(msg.sortedCharIds) ? msg.sortedCharIds : [];
+        setSortedOrder(client.gameId, sortedCharIds);
         broadcastToAll(client.gameId, { type: 'initiative_sort', sortedCharIds });
         return;
       }
@@ -192,30 +331,44 @@ export function initWebSocket(server) {
         return;
       }
 
+      // --- Dice roll request (rolled server-side, broadcast as a verified chat message) ---
+      if (msg.type === 'roll_request') {
+        handleRollRequest(client, msg);
+        return;
+      }
+
       // --- Monster HP update (DM only, broadcast only to DM clients) ---
       if (msg.type === 'monster_hp_update') {
-        if (client.role !== 'dm') return;
+        if (!isDMRole(client.role)) return;
         const { characterId, hp } = msg;
-        if (characterId == null || hp == null) return;
-        db.prepare('UPDATE characters SET hp = ? WHERE id = ?').run(hp, characterId);
-        // Broadcast only to DM clients (players should not see HP)
-        const room = rooms.get(client.gameId);
-        if (room) {
-          const data = JSON.stringify({ type: 'monster_hp_update', characterId, hp });
-          for (const c of room) {
-            if (c.role === 'dm' && c.ws.readyState === 1) {
-              c.ws.send(data);
-            }
-          }
-        }
+        if (!Number.isInteger(characterId) || !Number.isFinite(hp)) return;
+        setCharacterHP(client.gameId, characterId, hp);
+        return;
+      }
+
+      // --- Attack: roll to hit against the target's AC, then damage on a hit ---
+      if (msg.type === 'attack_request') {
+        handleAttackRequest(client, msg);
+        return;
+      }
+
+      // --- Attack damage confirmation (DM only) ---
+      if (msg.type === 'attack_resolve') {
+        handleAttackResolve(client, msg);
+        return;
+      }
+
+      // --- Conditions (DM: any character; players: their own characters) ---
+      if (msg.type === 'conditions_update') {
+        handleConditionsUpdate(client, msg);
         return;
       }
 
       // --- DM drag (DM only) ---
       if (msg.type === 'dm_drag') {
-        if (client.role !== 'dm') return;
+        if (!isDMRole(client.role)) return;
         const { characterId, x, y } = msg;
-        if (characterId == null || x == null || y == null) return;
+        if (!Number.isInteger(characterId) || !Number.isFinite(x) || !Number.isFinite(y)) return;
         // Broadcast to others
         broadcastToOthers(client, { type: 'dm_drag', characterId, x, y });
         // Queue position for DB save (reuse existing mechanism)
@@ -224,51 +377,57 @@ export function initWebSocket(server) {
       }
 
       // --- Map cell edit (DM only — real-time map modifications) ---
-      if (msg.type === 'map_edit') {
-        if (client.role !== 'dm') return;
-        const { x, y, cellData } = msg;
-        if (x == null || y == null || !cellData) return;
-        broadcastToOthers(client, { type: 'map_edit', x, y, cellData });
+      if (msg.type === 'map_diff') {
+        handleMapDiff(client, msg);
         return;
       }
 
-      // --- Map settings update (DM only — lightweight setting sync) ---
-      if (msg.type === 'map_settings') {
-        if (client.role !== 'dm') return;
-        const { settings } = msg;
-        if (!settings || typeof settings !== 'object') return;
-        broadcastToOthers(client, { type: 'map_settings', settings });
+      // --- Full map resync (a client saw a gap in map versions) ---
+      if (msg.type === 'map_sync_request') {
+        const levels = getGameLevels(client.gameId);
+        const mapData = levels ? levels.toJSON() : null;
+        ws.send(JSON.stringify({
+          type: 'map_sync',
+          version: getMapVersion(client.gameId),
+          mapData: isDMRole(client.role) ? mapData : playerMapData(mapData),
+        }));
         return;
       }
 
-      // --- Map change (DM only — live map switch) ---
+      // --- Map change (DM only — live map switch, or adding/removing a level) ---
       if (msg.type === 'map_change') {
-        if (client.role !== 'dm') return;
-        const { mapData } = msg;
-        if (!mapData) return;
-        // Save to database
-        db.prepare('UPDATE games SET map_data = ? WHERE id = ?')
-          .run(JSON.stringify(mapData), client.gameId);
-        // Broadcast to OTHER clients only — DM already applied the map locally
-        broadcastToOthers(client, { type: 'map_change', mapData });
+        if (!isDMRole(client.role)) return;
+        handleMapChange(client, msg);
+        return;
+      }
+
+      // --- Stairs and portals (owner or DM) ---
+      if (msg.type === 'use_stairs') {
+        handleUseStairs(client, msg);
+        return;
+      }
+
+      // --- Door state change (DM: anything; players: open/close unlocked doors) ---
+      if (msg.type === 'door_update') {
+        handleDoorUpdate(client, msg);
         return;
       }
 
       // --- Monster visibility toggle (DM only) ---
       if (msg.type === 'visibility_toggle') {
-        if (client.role !== 'dm') return;
+        if (!isDMRole(client.role)) return;
         const { characterId, hidden } = msg;
-        if (characterId == null || hidden == null) return;
+        if (!Number.isInteger(characterId) || hidden == null) return;
         // Update database
-        db.prepare('UPDATE characters SET hidden_from_players = ? WHERE id = ?')
-          .run(hidden ? 1 : 0, characterId);
+        db.prepare('UPDATE characters SET hidden_from_players = ? WHERE id = ? AND game_id = ?')
+          .run(hidden ? 1 : 0, characterId, client.gameId);
         const room = rooms.get(client.gameId);
         if (!room) return;
         if (hidden) {
           // Tell players to remove this character; tell DMs about the toggle
           for (const c of room) {
             if (c.ws.readyState !== 1) continue;
-            if (c.role === 'dm') {
+            if (isDMRole(c.role)) {
               c.ws.send(JSON.stringify({ type: 'visibility_toggle', characterId, hidden: true }));
             } else {
               c.ws.send(JSON.stringify({ type: 'character_removed', characterId }));
@@ -281,7 +440,7 @@ export function initWebSocket(server) {
           const { hp, max_hp, class_name, speed, hidden_from_players, ...safeChar } = char;
           for (const c of room) {
             if (c.ws.readyState !== 1) continue;
-            if (c.role === 'dm') {
+            if (isDMRole(c.role)) {
               c.ws.send(JSON.stringify({ type: 'visibility_toggle', characterId, hidden: false }));
             } else {
               c.ws.send(JSON.stringify({ type: 'character_added', character: safeChar }));
@@ -290,6 +449,15 @@ export function initWebSocket(server) {
         }
         return;
       }
+    };
+
+    // A bad message must never take the whole server down with it
+    ws.on('message', (raw) => {
+      try {
+        onMessage(raw);
+      } catch (err) {
+        console.error('Error handling WebSocket message:', err);
+      }
     });
 
     ws.on('close', () => {
@@ -300,7 +468,11 @@ export function initWebSocket(server) {
           room.delete(client);
           if (room.size === 0) {
             rooms.delete(client.gameId);
-            roomTurnState.delete(client.gameId);
+            forgetTurnState(client.gameId);
+            roomMovement.delete(client.gameId);
+            mapWriters.delete(client.gameId);
+            invalidateGameMap(client.gameId);
+            pendingAttacks.delete(client.gameId);
           }
         }
       }
@@ -317,8 +489,89 @@ export function initWebSocket(server) {
   console.log('WebSocket server initialized on /ws');
 }
 
+/**
+ * Disconnect a user from a game's room (kicked or banned). They get a
+ * `removed` message first so their client stops reconnecting.
+ * @param {number} gameId
+ * @param {number} userId
+ * @param {string} reason – shown to the user
+ */
+export function removeFromGame(gameId, userId, reason) {
+  const room = rooms.get(gameId);
+  if (!room) return;
+  for (const c of [...room]) {
+    if (c.userId === userId) disconnectClient(c, reason);
+  }
+}
+
+/**
+ * Disconnect everyone from a game's room (the game was deleted).
+ * @param {number} gameId
+ * @param {string} reason – shown to the users
+ */
+export function closeGame(gameId, reason) {
+  const room = rooms.get(gameId);
+  if (!room) return;
+  for (const c of [...room]) disconnectClient(c, reason);
+}
+
+/**
+ * Apply a membership role change (e.g. a co-DM appointed) to a user's
+ * live connections; their client reloads the game with the new role.
+ * @param {number} gameId
+ * @param {number} userId
+ * @param {string} role – 'dm' | 'player' | 'spectator'
+ */
+export function setMemberRole(gameId, userId, role) {
+  const room = rooms.get(gameId);
+  if (!room) return;
+  for (const c of room) {
+    if (c.userId !== userId) continue;
+    c.role = role;
+    if (c.ws.readyState === 1) {
+      c.ws.send(JSON.stringify({ type: 'role_changed', role }));
+    }
+  }
+}
+
+/**
+ * Tell everyone in a game that its map was replaced (e.g. saved over REST).
+ * @param {number} gameId
+ * @param {object} mapData – all levels (MapLevels.toJSON() output)
+ * @param {number} version
+ * @param {number|null} [level=null] – the one level that changed, if only one did
+ */
+export function broadcastMapChange(gameId, mapData, version, level = null) {
+  mapWriters.delete(gameId);
+  const message = { type: 'map_change', mapData, version, level };
+  broadcastByRole(gameId, message, { ...message, mapData: playerMapData(mapData) });
+}
+
+/**
+ * Close every live connection of a user whose sessions were revoked. Clients
+ * treat close code 4002 as an expired token: they try to refresh and reconnect,
+ * which only succeeds on the device that still holds a valid session.
+ * @param {number} userId
+ * @param {string} reason
+ */
+export function disconnectUser(userId, reason) {
+  for (const room of rooms.values()) {
+    for (const c of [...room]) {
+      if (c.userId === userId) c.ws.close(4002, reason);
+    }
+  }
+}
+
+function disconnectClient(client, reason) {
+  if (client.ws.readyState === 1) {
+    client.ws.send(JSON.stringify({ type: 'removed', reason }));
+  }
+  client.ws.close(4006, 'Removed from game');
+}
+
 /**
  * Handle a chat message: validate, persist to DB, route to recipients.
+ * A roll supplied by the client is passed through but always marked unverified.
  */
 function handleChatMessage(client, msg) {
   let content = typeof msg.content === 'string' ? msg.content.trim() : '';
@@ -326,9 +579,9 @@ function handleChatMessage(client, msg) {
 
   const recipientId = typeof msg.recipientId === 'number' ? msg.recipientId : null;
 
-  // Validate optional roll data
+  // Validate optional roll data (spectators can't roll)
   let roll = null;
-  if (msg.roll && typeof msg.roll === 'object') {
+  if (msg.roll && typeof msg.roll === 'object' && client.role !== 'spectator') {
     const { sides, count, results, total } = msg.roll;
     if (typeof sides === 'number' && typeof count === 'number'
         && Array.isArray(results) && typeof total === 'number') {
@@ -339,13 +592,290 @@ function handleChatMessage(client, msg) {
       if (Array.isArray(msg.roll.groups)) roll.groups = msg.roll.groups;
       if (typeof msg.roll.modifier === 'number') roll.modifier = msg.roll.modifier;
       if (typeof msg.roll.breakdown === 'string') roll.breakdown = msg.roll.breakdown;
+      roll.verified = false;
     }
   }
 
-  // Persist to database
+  postChatMessage(client, content, recipientId, roll);
+}
+
+/**
+ * Handle a roll request: evaluate the formula with the server's RNG and post
+ * the result to chat as a verified roll. When a characterId is given, `@name`
+ * variables in the formula resolve against that character's sheet. A formula
+ * that doesn't validate or can't be evaluated is answered with `roll_error`.
+ */
+function handleRollRequest(client, msg) {
+  const formula = typeof msg.formula === 'string' ? msg.formula.trim() : '';
+  const fail = (error) => {
+    if (client.ws.readyState === 1) {
+      client.ws.send(JSON.stringify({ type: 'roll_error', formula, error }));
+    }
+  };
+  const variables = rollVariables(client, msg.characterId);
+  const validation = validateFormula(formula, { variables });
+  if (!validation.valid) return fail(validation.error);
+
+  const macroName = typeof msg.macroName === 'string' ? msg.macroName.slice(0, 100) : null;
+  const recipientId = typeof msg.recipientId === 'number' ? msg.recipientId : null;
+
+  const result = rollFormula(formula, {
+    variables,
+    random: (sides) => randomInt(1, sides + 1),
+  });
+  if (result.error) return fail(result.error);
+  const roll = { ...toRollData(result, macroName), verified: true };
+
+  const label = macroName ? `${macroName} (${result.formula})` : result.formula;
+  const content = `rolled ${label}: ${result.breakdown}`.slice(0, 500);
+
+  postChatMessage(client, content, recipientId, roll);
+}
+
+/**
+ * Sheet variables for a roll made on behalf of a character.
+ * Only the character's owner or the DM may roll with its sheet.
+ * @returns {Record<string, number>} empty if there is no usable character
+ */
+function rollVariables(client, characterId) {
+  if (typeof characterId !== 'number') return {};
+  const char = db.prepare('SELECT * FROM characters WHERE id = ? AND game_id = ?').get(characterId, client.gameId);
+  if (!char) return {};
+  if (char.user_id !== client.userId && !isDMRole(client.role)) return {};
+  return sheetVariables(loadSheet(char));
+}
+
+/**
+ * Roll d20 + initiative modifier for the requested characters (all of them when
+ * `characterIds` is omitted). Players may only roll for their own characters,
+ * and only once per combat.
+ * When the DM rolls, monsters can share one roll per group and the whole list
+ * is re-sorted with tie-breakers. Results go to chat; hidden monsters are left
+ * out of the chat message.
+ */
+function handleInitiativeRollRequest(client, msg) {
+  const isDM = isDMRole(client.role);
+  const all = db.prepare('SELECT * FROM characters WHERE game_id = ?').all(client.gameId);
+  let characters = Array.isArray(msg.characterIds)
+    ? all.filter(c => msg.characterIds.includes(c.id))
+    : all;
+  if (!isDM) {
+    // A player rolls once per combat: no rerolling for a better result
+    const rolled = getTurnState(client.gameId)?.initiativeRolls || {};
+    characters = characters.filter(c => c.user_id === client.userId && !c.is_monster && !(c.id in rolled));
+  }
+  if (characters.length === 0) return;
+
+  const random = (sides) => randomInt(1, sides + 1);
+  const groupMonsters = isDM && !!msg.groupMonsters;
+  const entries = rollInitiative(characters, { groupMonsters, random });
+
+  for (const entry of entries) {
+    for (const characterId of entry.characterIds) {
+      setInitiativeRoll(client.gameId, characterId, entry.total);
+      broadcastToAll(client.gameId, {
+        type: 'initiative_roll',
+        characterId,
+        roll: entry.total,
+        userId: client.userId,
+      });
+    }
+  }
+
+  // The DM's roll also settles the order (players' rolls wait for the DM to sort)
+  let tiebreaks = new Map();
+  let order = [];
+  if (isDM) {
+    const state = getTurnState(client.gameId);
+    const result = initiativeOrder(all, state.initiativeRolls, {
+      groupMonsters,
+      previousOrder: state.sortedPlayerOrder,
+      random,
+    });
+    ({ order, tiebreaks } = result);
+    setSortedOrder(client.gameId, result.order);
+    broadcastToAll(client.gameId, { type: 'initiative_sort', sortedCharIds: result.order });
+  }
+
+  const parts = entries
+    .filter(e => !e.hidden)
+    .sort((a, b) => b.total - a.total || order.indexOf(a.characterIds[0]) - order.indexOf(b.characterIds[0]))
+    .map(e => {
+      const tiebreak = tiebreaks.get(e.characterIds[0]);
+      return `${e.name} ${e.total} (${e.breakdown}${tiebreak ? `; ${tiebreak}` : ''})`;
+    });
+  if (parts.length > 0) {
+    postChatMessage(client, `rolled initiative: ${parts.join(', ')}`.slice(0, 500), null, null);
+  }
+}
+
+/**
+ * Handle an attack: the attacker's macro is rolled to hit against the target's
+ * AC (natural 20 always hits, natural 1 always misses) and, on a hit, its damage
+ * formula is rolled with doubled dice on a crit. The result goes to chat, with
+ * hidden creatures left unnamed; the damage waits for the DM to confirm before
+ * it comes off the target's HP.
+ */
+function handleAttackRequest(client, msg) {
+  const { attackerId, targetId, macroId } = msg;
+  const fail = (error) => {
+    if (client.ws.readyState === 1) {
+      client.ws.send(JSON.stringify({ type: 'attack_error', error }));
+    }
+  };
+
+  if (![attackerId, targetId, macroId].every(Number.isInteger)) return fail('Invalid attack');
+
+  const getChar = db.prepare('SELECT * FROM characters WHERE id = ? AND game_id = ?');
+  const attacker = getChar.get(attackerId, client.gameId);
+  const target = getChar.get(targetId, client.gameId);
+  // Players can't see hidden creatures, so they can't have picked one as a target
+  if (!attacker || !target || (target.hidden_from_players && !isDMRole(client.role))) {
+    return fail('Attacker or target not found');
+  }
+  if (attacker.id === target.id) return fail('A character cannot attack itself');
+
+  if (!isDMRole(client.role)) {
+    if (attacker.user_id !== client.userId || attacker.is_monster) return fail('You do not control that character');
+    // In action mode only the active character may attack
+    const turnState = getTurnState(client.gameId);
+    if (turnState && turnState.enabled && activeCharacterId(turnState) !== attacker.id) {
+      return fail('It is not your turn');
+    }
+  }
+
+  const macro = db.prepare('SELECT * FROM dice_macros WHERE id = ? AND character_id = ?').get(macroId, attacker.id);
+  if (!macro) return fail('Attack macro not found');
+
+  const variables = sheetVariables(loadSheet(attacker));
+  const hitCheck = validateFormula(macro.formula, { variables });
+  if (!hitCheck.valid) return fail(`${macro.name}: ${hitCheck.error}`);
+  const damageFormula = (macro.damage_formula || '').trim();
+  if (damageFormula) {
+    const damageCheck = validateFormula(damageFormula, { variables });
+    if (!damageCheck.valid) return fail(`${macro.name} damage: ${damageCheck.error}`);
+  }
+
+  const random = (sides) => randomInt(1, sides + 1);
+  const toHit = rollFormula(macro.formula, { variables, random });
+  if (toHit.error) return fail(`${macro.name}: ${toHit.error}`);
+  const ac = loadSheet(target).ac;
+  const hit = !toHit.fumble && (toHit.crit || toHit.total >= ac);
+
+  let damage = null;
+  if (hit && damageFormula) {
+    damage = rollFormula(damageFormula, { variables, random, critical: toHit.crit });
+    if (damage.error) return fail(`${macro.name} damage: ${damage.error}`);
+  }
+  const damageTotal = damage ? Math.max(0, damage.total) : 0;
+
+  let outcome = toHit.crit ? 'critical hit' : hit ? 'hit' : 'miss';
+  if (damage) outcome += ` for ${damageTotal} damage`;
+  // The chat goes to everyone: hidden creatures stay nameless there
+  const attackerName = attacker.hidden_from_players ? 'a hidden creature' : attacker.name;
+  const targetName = target.hidden_from_players ? 'a hidden creature' : target.name;
+  const content = `attacks ${targetName} with ${macro.name}: ${toHit.breakdown} — ${outcome}`.slice(0, 500);
+
+  // Untracked HP still goes to the DM, who can apply it against max HP or just dismiss it
+  const pending = hit && damageTotal > 0;
+  const attackId = pending ? nextAttackId++ : null;
+
+  const roll = {
+    ...toRollData(toHit, macro.name),
+    verified: true,
+    attack: {
+      attackId,
+      attackerId: attacker.hidden_from_players ? null : attacker.id,
+      attackerName,
+      targetId: target.hidden_from_players ? null : target.id,
+      targetName,
+      hit,
+      damage: damage ? { ...toRollData(damage, 'Damage'), total: damageTotal } : null,
+    },
+  };
+
+  postChatMessage(client, content, null, roll);
+
+  if (pending) {
+    const entry = {
+      attackId,
+      targetId: target.id,
+      targetName: target.name,
+      attackerName: attacker.name,
+      weapon: macro.name,
+      damage: damageTotal,
+      crit: toHit.crit,
+    };
+    if (!pendingAttacks.has(client.gameId)) pendingAttacks.set(client.gameId, new Map());
+    pendingAttacks.get(client.gameId).set(attackId, entry);
+    sendToDMs(client.gameId, attackPendingMessage(entry));
+  }
+}
+
+/** The `attack_pending` message shown to DMs, with the target's current HP. */
+function attackPendingMessage(pending) {
+  const target = db.prepare('SELECT hp, max_hp FROM characters WHERE id = ?').get(pending.targetId);
+  return {
+    type: 'attack_pending',
+    ...pending,
+    hp: target ? target.hp : null,
+    maxHp: target ? target.max_hp : null,
+  };
+}
+
+/**
+ * DM confirms (optionally with an adjusted amount) or dismisses pending attack damage.
+ * Confirmed damage goes through the same HP update as manual edits.
+ */
+function handleAttackResolve(client, msg) {
+  if (!isDMRole(client.role)) return;
+  const room = pendingAttacks.get(client.gameId);
+  const pending = room && room.get(msg.attackId);
+  if (!pending) return;
+  room.delete(msg.attackId);
+
+  let applied = 0;
+  if (msg.apply) {
+    applied = typeof msg.amount === 'number' && Number.isFinite(msg.amount)
+      ? Math.max(0, Math.round(msg.amount))
+      : pending.damage;
+    const target = db.prepare('SELECT hp, max_hp FROM characters WHERE id = ? AND game_id = ?').get(pending.targetId, client.gameId);
+    if (target) {
+      // Untracked HP counts as full health; with no max HP either, only the log records the damage
+      const before = target.hp ?? target.max_hp;
+      const hp = before != null ? Math.max(0, before - applied) : null;
+      if (hp != null) setCharacterHP(client.gameId, pending.targetId, hp);
+      const hpText = hp != null ? ` (HP ${before} → ${hp})` : '';
+      logEncounterEvent(client.gameId, {
+        type: 'damage',
+        actorName: client.username,
+        characterId: pending.targetId,
+        characterName: pending.targetName,
+        content: `${pending.targetName} takes ${applied} damage from ${pending.attackerName}'s ${pending.weapon}${hpText}`,
+        data: { attackId: pending.attackId, amount: applied, rolled: pending.damage, hpBefore: before, hpAfter: hp },
+      });
+    }
+  }
+
+  sendToDMs(client.gameId, { type: 'attack_resolved', attackId: pending.attackId, applied });
+}
+
+/**
+ * Store a character's HP and tell the DM clients (players never see HP).
+ */
+function setCharacterHP(gameId, characterId, hp) {
+  db.prepare('UPDATE characters SET hp = ? WHERE id = ? AND game_id = ?').run(hp, characterId, gameId);
+  sendToDMs(gameId, { type: 'monster_hp_update', characterId, hp });
+}
+
+/**
+ * Persist a chat message (with optional roll) and deliver it:
+ * group messages to the whole room, DMs to sender and recipient only.
+ */
+function postChatMessage(client, content, recipientId, roll) {
   const result = db.prepare(
-    'INSERT INTO messages (game_id, sender_id, sender_name, recipient_id, content) VALUES (?, ?, ?, ?, ?)'
-  ).run(client.gameId, client.userId, client.username, recipientId, content);
+    'INSERT INTO messages (game_id, sender_id, sender_name, recipient_id, content, roll_data) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(client.gameId, client.userId, client.username, recipientId, content, roll ? JSON.stringify(roll) : null);
 
   const outMsg = {
     type: 'chat_message',
@@ -358,6 +888,18 @@ function handleChatMessage(client, msg) {
     createdAt: new Date().toISOString(),
   };
 
+  // Public rolls made during combat go into the encounter log
+  if (roll && recipientId === null) {
+    logEncounterEvent(client.gameId, {
+      type: roll.attack ? 'attack' : 'roll',
+      actorName: client.username,
+      characterId: roll.attack ? roll.attack.attackerId : null,
+      characterName: roll.attack ? roll.attack.attackerName : null,
+      content,
+      data: roll,
+    });
+  }
+
   if (recipientId === null) {
     // Group message — broadcast to everyone in the room
     broadcastToAll(client.gameId, outMsg);
@@ -375,29 +917,436 @@ function handleChatMessage(client, msg) {
 }
 
 /**
- * Handle a move message: validate ownership, broadcast to room, queue DB save.
+ * Handle a move message: validate ownership, walls and movement budget,
+ * broadcast to room, queue DB save.
+ * Illegal player moves are rejected (or clamped to the remaining budget) and the
+ * sender is told where the character actually is via `move_correction`.
  */
 function handleMove(client, msg) {
   const { characterId, x, y, angle } = msg;
-  if (characterId == null || x == null || y == null || angle == null) return;
+  if (!Number.isInteger(characterId)) return;
+  // Positions are saved in batches outside this handler, so reject bad values here
+  if (![x, y, angle].every(Number.isFinite)) return;
+
+  const char = db.prepare(
+    'SELECT user_id, game_id, x, y, level, speed, conditions FROM characters WHERE id = ?'
+  ).get(characterId);
+  if (!char || char.game_id !== client.gameId) return;
+
+  let to = { x, y };
+
+  // The DM moves freely; players must own the character and obey the map
+  if (!isDMRole(client.role)) {
+    if (char.user_id !== client.userId) return;
+
+    // Last accepted position: a queued save if there is one, else the DB row
+    const from = pendingPositionSaves.get(characterId) || char;
+    const turnState = getTurnState(client.gameId);
+    const activeId = activeCharacterId(turnState);
+
+    // Action mode: only the character whose turn it is may move
+    if (activeId != null && activeId !== characterId) {
+      sendMoveCorrection(client, characterId, from, angle, 'not_your_turn');
+      return;
+    }
+
+    const gameMap = getGameLevels(client.gameId)?.getMap(char.level);
+    if (gameMap && !isMoveClear(gameMap, from.x, from.y, x, y)) {
+      sendMoveCorrection(client, characterId, from, angle, 'blocked');
+      return;
+    }
 
-  // Verify ownership: must own the character or be DM
-  if (client.role !== 'dm') {
-    const char = db.prepare('SELECT user_id FROM characters WHERE id = ?').get(characterId);
-    if (!char || char.user_id !== client.userId) return;
+    // Action mode: spend the movement budget (speed in feet, 5ft per cell)
+    if (activeId != null) {
+      let record = roomMovement.get(client.gameId);
+      if (!record || record.characterId !== characterId) {
+        record = { characterId, moved: 0 };
+        roomMovement.set(client.gameId, record);
+      }
+      // Grappled, restrained, etc. leave no movement at all
+      const budget = isImmobilized(normalizeConditions(char.conditions)) ? 0 : (char.speed ?? 30) / 5;
+      const remaining = Math.max(0, budget - record.moved);
+      const step = Math.hypot(x - from.x, y - from.y);
+
+      if (step > remaining + MOVE_BUDGET_SLACK) {
+        // Clamp to the furthest point along the straight line the budget allows.
+        // The full move may only have been clear by an L-shaped route, so the
+        // shortened one is checked again.
+        const t = remaining / step;
+        to = { x: from.x + (x - from.x) * t, y: from.y + (y - from.y) * t };
+        if (remaining > 0 && gameMap && !isMoveClear(gameMap, from.x, from.y, to.x, to.y)) {
+          sendMoveCorrection(client, characterId, from, angle, 'blocked');
+          return;
+        }
+        record.moved = budget;
+        sendMoveCorrection(client, characterId, to, angle, 'out_of_movement', record.moved);
+        if (remaining === 0) return;
+      } else {
+        record.moved += step;
+      }
+    }
   }
 
   // Broadcast to all OTHER clients in the same game
   broadcastToOthers(client, {
     type: 'move',
     characterId,
-    x,
-    y,
+    x: to.x,
+    y: to.y,
     angle,
   });
 
   // Queue position for batch DB save
-  pendingPositionSaves.set(characterId, { x, y, angle });
+  pendingPositionSaves.set(characterId, { x: to.x, y: to.y, angle });
+}
+
+/**
+ * Check a move segment against walls, closed doors and solid cells.
+ * Clients resolve collisions by sliding along X then Y, so either L-shaped
+ * route between the two points is accepted as well as the straight line.
+ */
+function isMoveClear(gameMap, x0, y0, x1, y1) {
+  // A character stranded off-map or inside rock (e.g. after a map switch) may
+  // step out into a neighbouring open cell; deeper in, the DM has to move it
+  const sx = Math.floor(x0), sy = Math.floor(y0);
+  const start = gameMap.getCell(sx, sy);
+  if (!start || start.solid) {
+    const ex = Math.floor(x1), ey = Math.floor(y1);
+    const end = gameMap.getCell(ex, ey);
+    return !!end && !end.solid && Math.abs(ex - sx) <= 1 && Math.abs(ey - sy) <= 1;
+  }
+
+  if (gameMap.isPathClear(x0, y0, x1, y1)) return true;
+  return (gameMap.isPathClear(x0, y0, x1, y0) && gameMap.isPathClear(x1, y0, x1, y1))
+    || (gameMap.isPathClear(x0, y0, x0, y1) && gameMap.isPathClear(x0, y1, x1, y1));
+}
+
+/**
+ * Replace a character's conditions, persist and broadcast them. Players edit
+ * only the conditions they applied themselves (see applyConditionEdit), so a
+ * DM's grapple can't be shrugged off. Conditions on hidden monsters are only
+ * sent to DMs.
+ */
+function handleConditionsUpdate(client, msg) {
+  const { characterId } = msg;
+  if (!Number.isInteger(characterId) || !isConditionList(msg.conditions)) return;
+  const char = db.prepare(
+    'SELECT name, user_id, is_monster, hidden_from_players, conditions FROM characters WHERE id = ? AND game_id = ?'
+  ).get(characterId, client.gameId);
+  if (!char) return;
+  const isDM = isDMRole(client.role);
+  if (!isDM && (char.user_id !== client.userId || char.is_monster)) return;
+
+  const conditions = applyConditionEdit(normalizeConditions(char.conditions), normalizeConditions(msg.conditions), isDM);
+  db.prepare('UPDATE characters SET conditions = ? WHERE id = ?')
+    .run(JSON.stringify(conditions), characterId);
+
+  logEncounterEvent(client.gameId, {
+    type: 'condition',
+    actorName: client.username,
+    characterId,
+    characterName: char.name,
+    content: `${char.name}: ${conditions.map(c => c.label).join(', ') || 'no conditions'}`,
+    data: { conditions },
+  });
+
+  const message = { type: 'conditions_update', characterId, conditions };
+  if (char.hidden_from_players) {
+    sendToDMs(client.gameId, message);
+  } else {
+    broadcastToAll(client.gameId, message);
+  }
+}
+
+/**
+ * Tell a client where one of its characters really is after a rejected or clamped move.
+ * @param {string} reason – 'blocked' | 'out_of_movement' | 'not_your_turn'
+ * @param {number} [moved] – cells moved this turn, so the client can sync its budget
+ */
+function sendMoveCorrection(client, characterId, pos, angle, reason, moved) {
+  if (client.ws.readyState !== 1) return;
+  const record = roomMovement.get(client.gameId);
+  if (moved == null && record && record.characterId === characterId) moved = record.moved;
+  client.ws.send(JSON.stringify({
+    type: 'move_correction',
+    characterId,
+    x: pos.x,
+    y: pos.y,
+    angle,
+    moved: moved ?? null,
+    reason,
+  }));
+}
+
+/**
+ * Keep the encounter log in step with the turn state: starting turns opens an
+ * encounter, each new active character (or new round) logs a turn, and
+ * leaving action mode closes it.
+ */
+function recordEncounterProgress(gameId, previous, turnState) {
+  if (!turnState.enabled) {
+    endEncounter(gameId);
+    return;
+  }
+  if (turnState.order.length === 0) return; // still rolling initiative
+
+  const names = new Map(
+    db.prepare('SELECT id, name FROM characters WHERE game_id = ?').all(gameId).map(c => [c.id, c.name])
+  );
+  startEncounter(gameId, turnState.order.map(id => names.get(id)).filter(Boolean));
+
+  const activeId = activeCharacterId(turnState);
+  if (activeId == null) return;
+  if (activeId !== activeCharacterId(previous) || turnState.round !== (previous && previous.round)) {
+    logTurn(gameId, turnState.round, { id: activeId, name: names.get(activeId) || 'Unknown' });
+  }
+}
+
+/**
+ * Whether a turn update starts a new turn: the turn passed (even back to the
+ * same character, e.g. the only one in the order), a new round began, or
+ * action mode was switched on or off.
+ */
+function isNewTurn(previous, next) {
+  if (!previous) return true;
+  return previous.enabled !== next.enabled
+    || previous.activeIndex !== next.activeIndex
+    || previous.round !== next.round
+    || activeCharacterId(previous) !== activeCharacterId(next);
+}
+
+/** Character whose turn it is in action mode, or null outside of combat. */
+function activeCharacterId(turnState) {
+  if (!turnState || !turnState.enabled) return null;
+  if (turnState.order.length === 0 || turnState.activeIndex < 0) return null;
+  return turnState.order[turnState.activeIndex] ?? null;
+}
+
+/**
+ * Handle a batch of DM map edits: `{ baseVersion, level, cells: [{ x, y, cell }], settings? }`.
+ * Edits made against an out-of-date map (someone else changed it since
+ * `baseVersion`), or to a level that no longer exists, get a `map_error` so
+ * the DM's client resyncs. Otherwise cells are applied field by field, the map
+ * version is bumped and the diff goes to everyone else with the new version.
+ * The sender gets a `map_ack` with the version its edits produced – the
+ * current one if they changed nothing.
+ */
+function handleMapDiff(client, msg) {
+  if (!isDMRole(client.role)) return;
+  const fail = (error) => {
+    if (client.ws.readyState === 1) {
+      client.ws.send(JSON.stringify({ type: 'map_error', error, version: getMapVersion(client.gameId) }));
+    }
+  };
+  if (!isUpToDate(client, msg.baseVersion)) return fail('The map changed before your edit arrived');
+  const level = msg.level ?? 0;
+  const gameMap = getGameMap(client.gameId, level);
+  if (!gameMap) return fail('That level no longer exists');
+
+  const cells = [];
+  for (const entry of Array.isArray(msg.cells) ? msg.cells.slice(0, MAX_DIFF_CELLS) : []) {
+    if (!entry || !Number.isInteger(entry.x) || !Number.isInteger(entry.y)) continue;
+    if (!entry.cell || typeof entry.cell !== 'object') continue;
+    const cell = gameMap.getCell(entry.x, entry.y);
+    if (!cell) continue;
+    const before = JSON.stringify(cell);
+    cell.assign(entry.cell);
+    if (JSON.stringify(cell) === before) continue;
+    // Always send doors, edge colours and the reveal flag, so clearing them reaches clients
+    cells.push({
+      x: entry.x,
+      y: entry.y,
+      cell: { ...cell.toJSON(), doors: cell.doors, wallEdgeColors: cell.wallEdgeColors, revealed: cell.revealed },
+    });
+  }
+  const settings = gameMap.applySettings(msg.settings);
+  if (cells.length === 0 && Object.keys(settings).length === 0) {
+    client.ws.send(JSON.stringify({ type: 'map_ack', version: getMapVersion(client.gameId) }));
+    return;
+  }
+
+  const version = commitMapChange(client.gameId);
+  recordMapWrite(client, version - 1);
+  const message = { type: 'map_diff', version, level, cells, settings };
+  broadcastByRole(client.gameId, message, {
+    ...message,
+    cells: cells.map(c => ({ ...c, cell: playerCellData(c.cell) })),
+  }, client);
+  client.ws.send(JSON.stringify({ type: 'map_ack', version }));
+}
+
+/**
+ * Handle a door change: validate permissions, apply to the server map, persist, broadcast.
+ * The DM may place, remove, lock or hide doors. Players may only open or close
+ * an existing door that is neither locked nor secret, with a character next to
+ * it – in action mode, the character whose turn it is.
+ */
+function handleDoorUpdate(client, msg) {
+  const { x, y, edge } = msg;
+  if (!Number.isInteger(x) || !Number.isInteger(y) || !['N', 'S', 'E', 'W'].includes(edge)) return;
+  if (msg.door !== null && typeof msg.door !== 'object') return;
+
+  const level = msg.level ?? 0;
+  const gameMap = getGameMap(client.gameId, level);
+  if (!gameMap) return;
+  const cell = gameMap.getCell(x, y);
+  if (!cell) return;
+
+  let door;
+  if (isDMRole(client.role)) {
+    door = msg.door && {
+      open: !!msg.door.open,
+      locked: !!msg.door.locked,
+      secret: !!msg.door.secret,
+    };
+  } else {
+    const current = cell.getDoor(edge);
+    if (!current || current.locked || current.secret || !msg.door) return;
+    if (!canReachDoor(client, level, x, y, edge)) return;
+    door = { ...current, open: !!msg.door.open };
+  }
+
+  gameMap.setDoor(x, y, edge, door);
+  const version = commitMapChange(client.gameId);
+  recordMapWrite(client, version - 1);
+
+  // Players never learn about secret doors: to them it's a wall, so hiding
+  // a door removes it and revealing one places it
+  const message = { type: 'door_update', level, x, y, edge, door, version };
+  broadcastByRole(client.gameId, message, { ...message, door: door?.secret ? null : door });
+}
+
+/**
+ * Note that `client` just changed the map from `versionBefore`, extending its
+ * run of changes or starting a new one.
+ */
+function recordMapWrite(client, versionBefore) {
+  const writer = mapWriters.get(client.gameId);
+  if (!writer || writer.client !== client) {
+    mapWriters.set(client.gameId, { client, since: versionBefore });
+  }
+}
+
+/**
+ * Whether a client that last saw `baseVersion` has every change made since:
+ * nothing changed, or only the client itself changed the map.
+ */
+function isUpToDate(client, baseVersion) {
+  const current = getMapVersion(client.gameId);
+  if (baseVersion === current) return true;
+  const writer = mapWriters.get(client.gameId);
+  return !!writer && writer.client === client && Number.isInteger(baseVersion)
+    && baseVersion >= writer.since && baseVersion < current;
+}
+
+/**
+ * Whether one of the player's characters on `level` is within DOOR_REACH of
+ * the middle of a door's edge. In action mode only the active character counts.
+ */
+function canReachDoor(client, level, x, y, edge) {
+  const midX = x + (edge === 'E' ? 1 : edge === 'W' ? 0 : 0.5);
+  const midY = y + (edge === 'S' ? 1 : edge === 'N' ? 0 : 0.5);
+  const levels = getGameLevels(client.gameId);
+  const activeId = activeCharacterId(getTurnState(client.gameId));
+  const chars = db.prepare(
+    'SELECT id, x, y, level FROM characters WHERE game_id = ? AND user_id = ? AND is_monster = 0'
+  ).all(client.gameId, client.userId);
+
+  return chars.some(char => {
+    if (activeId != null && char.id !== activeId) return false;
+    if (levels.resolve(char.level) !== level) return false;
+    // Last accepted position: a queued save if there is one, else the DB row
+    const pos = pendingPositionSaves.get(char.id) || char;
+    return Math.hypot(pos.x - midX, pos.y - midY) <= DOOR_REACH;
+  });
+}
+
+/**
+ * Handle a live map change from the DM:
+ *   { mapData }                 – replace the whole map (all levels)
+ *   { level, mapData, name? }   – replace one level's map, or add the level
+ *   { level, remove: true }     – remove a level (not the last one)
+ * Everyone else gets all levels, plus which level changed so that only the
+ * characters on it are moved. The DM has already applied the change locally;
+ * a change that can't be applied gets a `map_error` so the DM's client resyncs.
+ */
+function handleMapChange(client, msg) {
+  const { mapData, level } = msg;
+  const fail = (error) => {
+    if (client.ws.readyState === 1) {
+      client.ws.send(JSON.stringify({ type: 'map_error', error }));
+    }
+  };
+
+  let version;
+  if (level == null) {
+    if (!MapLevels.isValidJSON(mapData)) return fail('Invalid map data');
+    version = replaceGameMap(client.gameId, mapData);
+  } else {
+    if (!Number.isInteger(level) || level < 0) return fail('Invalid level');
+    let gameMap = null;
+    if (!msg.remove) {
+      if (!GameMap.isValidJSON(mapData)) return fail('Invalid map data');
+      try {
+        gameMap = GameMap.fromJSON(mapData);
+      } catch {
+        return fail('Invalid map data');
+      }
+    }
+    const name = typeof msg.name === 'string' ? msg.name.trim().slice(0, 60) : undefined;
+    const result = replaceGameLevel(client.gameId, level, gameMap, name);
+    if (!result) return fail(msg.remove ? 'The last level cannot be removed' : 'The game has no map yet');
+    version = result.version;
+  }
+  recordMapWrite(client, version - 1);
+
+  const levels = getGameLevels(client.gameId);
+  const message = {
+    type: 'map_change',
+    mapData: levels ? levels.toJSON() : mapData,
+    version,
+    level: level ?? null,
+  };
+  broadcastByRole(client.gameId, message, { ...message, mapData: playerMapData(message.mapData) }, client);
+  client.ws.send(JSON.stringify({ type: 'map_ack', version }));
+}
+
+/**
+ * Take the stairs or portal in the cell a character stands on: move it to the
+ * linked cell on the other level, save and broadcast `character_level`.
+ * Players may only move their own characters, and in action mode only on
+ * their turn. Hidden monsters are only reported to DMs.
+ */
+function handleUseStairs(client, msg) {
+  const { characterId } = msg;
+  if (!Number.isInteger(characterId)) return;
+  const char = db.prepare(
+    'SELECT user_id, x, y, level, hidden_from_players FROM characters WHERE id = ? AND game_id = ?'
+  ).get(characterId, client.gameId);
+  if (!char) return;
+
+  if (!isDMRole(client.role)) {
+    if (char.user_id !== client.userId) return;
+    const activeId = activeCharacterId(getTurnState(client.gameId));
+    if (activeId != null && activeId !== characterId) return;
+  }
+
+  const levels = getGameLevels(client.gameId);
+  if (!levels) return;
+  const pos = pendingPositionSaves.get(characterId) || char;
+  const to = levels.destination(levels.resolve(char.level), Math.floor(pos.x), Math.floor(pos.y));
+  if (!to) return;
+
+  pendingPositionSaves.delete(characterId);
+  db.prepare('UPDATE characters SET level = ?, x = ?, y = ? WHERE id = ?')
+    .run(to.level, to.x, to.y, characterId);
+
+  const message = { type: 'character_level', characterId, level: to.level, x: to.x, y: to.y };
+  if (char.hidden_from_players) {
+    sendToDMs(client.gameId, message);
+  } else {
+    broadcastToAll(client.gameId, message);
+  }
 }
 
 /**
@@ -415,6 +1364,42 @@ function broadcastToOthers(sender, message) {
   }
 }
 
+/**
+ * Send a message to the DM clients in a game room.
+ */
+function sendToDMs(gameId, message) {
+  const room = rooms.get(gameId);
+  if (!room) return;
+
+  const data = JSON.stringify(message);
+  for (const client of room) {
+    if (isDMRole(client.role) && client.ws.readyState === 1) {
+      client.ws.send(data);
+    }
+  }
+}
+
+/**
+ * Send one message to the DM clients in a game room and another to everyone
+ * else, e.g. map data with the DM-only parts taken out.
+ * @param {number} gameId
+ * @param {object} dmMessage
+ * @param {object} playerMessage
+ * @param {ClientInfo|null} [except=null] – a client to leave out (the sender)
+ */
+function broadcastByRole(gameId, dmMessage, playerMessage, except = null) {
+  const room = rooms.get(gameId);
+  if (!room) return;
+
+  const dmData = JSON.stringify(dmMessage);
+  const playerData = JSON.stringify(playerMessage);
+  for (const client of room) {
+    if (client !== except && client.ws.readyState === 1) {
+      client.ws.send(isDMRole(client.role) ? dmData : playerData);
+    }
+  }
+}
+
 /**
  * Send a message to ALL clients in a game room (including sender).
  */
@@ -433,7 +1418,7 @@ function broadcastToAll(gameId, message) {
 /**
  * Flush queued position updates to the database.
  */
-function flushPositionSaves() {
+export function flushPositionSaves() {
   if (pendingPositionSaves.size === 0) return;
 
   const updateWithAngle = db.prepare(
@@ -0,0 +1,25 @@
+/**
+ * Assets.js
+ *
+ * Uploaded images (map backgrounds, monster sprites) shared by the browser and
+ * the server. An asset's ID is the SHA-256 hex digest of its contents, so the
+ * same image uploaded twice is stored once and its URL never changes meaning.
+ * Maps and characters store the ID; `assetUrl` turns it into something an
+ * <img> can load.
+ */
+
+const ASSET_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+/** True if `id` looks like an asset ID. */
+export function isAssetId(id) {
+  return typeof id === 'string' && ASSET_ID_PATTERN.test(id);
+}
+
+/**
+ * URL an asset is served from, or null for a missing/invalid ID.
+ * @param {string|null} id
+ * @returns {string|null}
+ */
+export function assetUrl(id) {
+  return isAssetId(id) ? `/api/assets/${id}` : null;
+}
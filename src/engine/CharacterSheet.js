@@ -0,0 +1,165 @@
+/**
+ * CharacterSheet.js
+ *
+ * D&D 5e character sheet data shared by the browser and the server:
+ * ability scores, proficiencies and the derived values that dice formulas
+ * can reference as variables (e.g. `1d20+@dex+@prof`).
+ *
+ * Sheet shape:
+ *   {
+ *     level, ac, hp, maxHp, speed, proficiencyBonus,
+ *     abilities: { str, dex, con, int, wis, cha },   // scores, 1..30
+ *     saves: ['str', 'con'],                         // proficient saving throws
+ *     skills: { stealth: 1, perception: 2 },         // 1 = proficient, 2 = expertise
+ *   }
+ */
+
+export const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+export const ABILITY_LABELS = {
+  str: 'Strength',
+  dex: 'Dexterity',
+  con: 'Constitution',
+  int: 'Intelligence',
+  wis: 'Wisdom',
+  cha: 'Charisma',
+};
+
+/** Skill → governing ability. Keys double as formula variable names. */
+export const SKILLS = {
+  acrobatics: 'dex',
+  animal_handling: 'wis',
+  arcana: 'int',
+  athletics: 'str',
+  deception: 'cha',
+  history: 'int',
+  insight: 'wis',
+  intimidation: 'cha',
+  investigation: 'int',
+  medicine: 'wis',
+  nature: 'int',
+  perception: 'wis',
+  performance: 'cha',
+  persuasion: 'cha',
+  religion: 'int',
+  sleight_of_hand: 'dex',
+  stealth: 'dex',
+  survival: 'wis',
+};
+
+/** Human-readable skill name, e.g. 'sleight_of_hand' → 'Sleight of Hand'. */
+export function skillLabel(skill) {
+  return skill.split('_')
+    .map(w => (w === 'of' ? w : w[0].toUpperCase() + w.slice(1)))
+    .join(' ');
+}
+
+/** Ability modifier for a score (10 → +0, 15 → +2, 8 → -1). */
+export function abilityModifier(score) {
+  return Math.floor((score - 10) / 2);
+}
+
+/** Standard proficiency bonus for a character level (1–4 → +2 … 17–20 → +6). */
+export function proficiencyForLevel(level) {
+  return Math.floor((Math.max(1, level) - 1) / 4) + 2;
+}
+
+/** A blank level-1 sheet with all scores at 10. */
+export function defaultSheet() {
+  return {
+    level: 1,
+    ac: 10,
+    hp: null,
+    maxHp: null,
+    speed: 30,
+    proficiencyBonus: 2,
+    abilities: { str: 10, dex: 10, con: 10, int: 10, wis: 10, cha: 10 },
+    saves: [],
+    skills: {},
+  };
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Fill in defaults and clamp every field to a sane range.
+ * Unknown abilities/skills are dropped.
+ * @param {object} [data]
+ * @returns {object} a complete sheet
+ */
+export function normalizeSheet(data = {}) {
+  const base = defaultSheet();
+  const sheet = {
+    level: clampInt(data.level, 1, 20, base.level),
+    ac: clampInt(data.ac, 0, 50, base.ac),
+    hp: data.hp == null ? null : clampInt(data.hp, -999, 9999, null),
+    maxHp: data.maxHp == null ? null : clampInt(data.maxHp, 0, 9999, null),
+    speed: clampInt(data.speed, 0, 200, base.speed),
+    proficiencyBonus: clampInt(data.proficiencyBonus, 0, 10, base.proficiencyBonus),
+    abilities: {},
+    saves: [],
+    skills: {},
+  };
+
+  for (const a of ABILITIES) {
+    sheet.abilities[a] = clampInt(data.abilities && data.abilities[a], 1, 30, base.abilities[a]);
+  }
+  if (Array.isArray(data.saves)) {
+    sheet.saves = ABILITIES.filter(a => data.saves.includes(a));
+  }
+  if (data.skills && typeof data.skills === 'object') {
+    for (const skill of Object.keys(SKILLS)) {
+      const rank = clampInt(data.skills[skill], 0, 2, 0);
+      if (rank > 0) sheet.skills[skill] = rank;
+    }
+  }
+  return sheet;
+}
+
+/** Saving throw bonus for an ability. */
+export function saveBonus(sheet, ability) {
+  const mod = abilityModifier(sheet.abilities[ability]);
+  return sheet.saves.includes(ability) ? mod + sheet.proficiencyBonus : mod;
+}
+
+/** Skill check bonus, including proficiency or expertise. */
+export function skillBonus(sheet, skill) {
+  const mod = abilityModifier(sheet.abilities[SKILLS[skill]]);
+  return mod + (sheet.skills[skill] || 0) * sheet.proficiencyBonus;
+}
+
+/**
+ * Flatten a sheet into the variables dice formulas can reference with `@name`:
+ *   @str … @cha            ability modifiers
+ *   @str_score … @cha_score raw scores
+ *   @str_save … @cha_save  saving throw bonuses
+ *   @stealth, @perception … skill bonuses
+ *   @prof, @level, @ac, @hp, @max_hp, @speed, @init
+ * @param {object} sheet
+ * @returns {Record<string, number>}
+ */
+export function sheetVariables(sheet) {
+  const s = normalizeSheet(sheet);
+  const vars = {
+    prof: s.proficiencyBonus,
+    level: s.level,
+    ac: s.ac,
+    hp: s.hp ?? 0,
+    max_hp: s.maxHp ?? 0,
+    speed: s.speed,
+    init: abilityModifier(s.abilities.dex),
+  };
+  for (const a of ABILITIES) {
+    vars[a] = abilityModifier(s.abilities[a]);
+    vars[`${a}_score`] = s.abilities[a];
+    vars[`${a}_save`] = saveBonus(s, a);
+  }
+  for (const skill of Object.keys(SKILLS)) {
+    vars[skill] = skillBonus(s, skill);
+  }
+  return vars;
+}
@@ -0,0 +1,147 @@
+/**
+ * Conditions.js
+ *
+ * D&D 5e conditions (plus DM-defined custom ones) shared by the browser and
+ * the server. A character's conditions are stored as a JSON array:
+ *
+ *   [
+ *     { id: 'prone', label: 'Prone', icon: '🛌', rounds: null },  // until removed
+ *     { id: 'custom', label: 'Blessed', icon: '✨', rounds: 10 },  // custom, 10 rounds
+ *   ]
+ *
+ * `rounds` counts down at the end of the character's own turn; the condition
+ * is removed when it reaches zero. Conditions the DM applied carry
+ * `fromDM: true`, and only the DM can change or remove them.
+ */
+
+/** Standard conditions. `immobile` ones reduce the character's speed to 0. */
+export const CONDITIONS = {
+  blinded:       { label: 'Blinded',       icon: '🙈' },
+  charmed:       { label: 'Charmed',       icon: '💘' },
+  deafened:      { label: 'Deafened',      icon: '🙉' },
+  exhaustion:    { label: 'Exhaustion',    icon: '😩' },
+  frightened:    { label: 'Frightened',    icon: '😱' },
+  grappled:      { label: 'Grappled',      icon: '🤼', immobile: true },
+  incapacitated: { label: 'Incapacitated', icon: '💫' },
+  invisible:     { label: 'Invisible',     icon: '👻' },
+  paralyzed:     { label: 'Paralyzed',     icon: '⚡', immobile: true },
+  petrified:     { label: 'Petrified',     icon: '🗿', immobile: true },
+  poisoned:      { label: 'Poisoned',      icon: '🤢' },
+  prone:         { label: 'Prone',         icon: '🛌' },
+  restrained:    { label: 'Restrained',    icon: '⛓️', immobile: true },
+  stunned:       { label: 'Stunned',       icon: '😵', immobile: true },
+  unconscious:   { label: 'Unconscious',   icon: '💤', immobile: true },
+};
+
+export const CUSTOM_CONDITION_ICON = '✳️';
+export const MAX_CONDITIONS = 20;
+export const MAX_CONDITION_ROUNDS = 999;
+const MAX_LABEL_LENGTH = 24;
+
+/**
+ * Clean up a condition list: fill in labels/icons of standard conditions,
+ * clamp durations and drop invalid or duplicate entries.
+ * @param {Array|string|null} value – array or its JSON encoding (as stored in the DB)
+ * @returns {{ id: string, label: string, icon: string, rounds: number|null, fromDM?: true }[]}
+ */
+export function normalizeConditions(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch { list = []; }
+  }
+  if (!Array.isArray(list)) return [];
+
+  const result = [];
+  const seen = new Set();
+  for (const c of list) {
+    if (!c || typeof c !== 'object') continue;
+
+    let condition;
+    if (CONDITIONS[c.id]) {
+      condition = { id: c.id, label: CONDITIONS[c.id].label, icon: CONDITIONS[c.id].icon };
+    } else {
+      const label = typeof c.label === 'string' ? c.label.trim().slice(0, MAX_LABEL_LENGTH) : '';
+      if (!label) continue;
+      const icon = typeof c.icon === 'string' && c.icon.trim() ? [...c.icon.trim()].slice(0, 2).join('') : CUSTOM_CONDITION_ICON;
+      condition = { id: 'custom', label, icon };
+    }
+
+    const key = conditionKey(condition);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const rounds = Math.round(Number(c.rounds));
+    condition.rounds = c.rounds == null || !Number.isFinite(rounds) || rounds < 1
+      ? null
+      : Math.min(rounds, MAX_CONDITION_ROUNDS);
+    if (c.fromDM === true) condition.fromDM = true;
+
+    result.push(condition);
+    if (result.length >= MAX_CONDITIONS) break;
+  }
+  return result;
+}
+
+/** Identity of a condition in a list: its id, or the label for custom ones. */
+function conditionKey(condition) {
+  return condition.id === 'custom' ? `custom:${condition.label.toLowerCase()}` : condition.id;
+}
+
+/**
+ * Work out a character's conditions after an edit. What the DM sends is
+ * stored as is, with conditions new to the list marked `fromDM`. A player's
+ * edit only adds, changes or removes their own conditions; the DM's stay.
+ * @param {Array} stored – the character's current conditions (normalized)
+ * @param {Array} requested – the edited list (normalized)
+ * @param {boolean} byDM
+ * @returns {Array}
+ */
+export function applyConditionEdit(stored, requested, byDM) {
+  const storedByKey = new Map(stored.map(c => [conditionKey(c), c]));
+  if (byDM) {
+    return requested.map(({ fromDM, ...c }) => {
+      const before = storedByKey.get(conditionKey(c));
+      return !before || before.fromDM ? { ...c, fromDM: true } : c;
+    });
+  }
+  const dmApplied = stored.filter(c => c.fromDM);
+  const locked = new Set(dmApplied.map(conditionKey));
+  const own = requested
+    .filter(c => !locked.has(conditionKey(c)))
+    .map(({ fromDM, ...c }) => c);
+  return [...dmApplied, ...own].slice(0, MAX_CONDITIONS);
+}
+
+/**
+ * True if `value` is a condition list as clients send it: an array of at most
+ * MAX_CONDITIONS objects, each a standard condition or a custom one with a
+ * label, and a duration in rounds or null. Used to reject malformed messages
+ * before normalizeConditions() quietly cleans up the rest.
+ */
+export function isConditionList(value) {
+  return Array.isArray(value) && value.length <= MAX_CONDITIONS && value.every(c =>
+    c !== null && typeof c === 'object' && !Array.isArray(c)
+    && (!!CONDITIONS[c.id] || (c.id === 'custom' && typeof c.label === 'string'))
+    && (c.rounds == null || Number.isFinite(c.rounds)));
+}
+
+/** True if any condition stops the character from moving (speed 0). */
+export function isImmobilized(conditions) {
+  return (conditions || []).some(c => CONDITIONS[c.id] && CONDITIONS[c.id].immobile);
+}
+
+/**
+ * Count timed conditions down by one round (at the end of the character's turn).
+ * @returns {Array} the remaining conditions – expired ones are dropped
+ */
+export function tickConditions(conditions) {
+  return (conditions || [])
+    .map(c => (c.rounds == null ? c : { ...c, rounds: c.rounds - 1 }))
+    .filter(c => c.rounds == null || c.rounds > 0);
+}
+
+/** Tooltip text, e.g. "Restrained (2 rounds left)". */
+export function conditionTitle(condition) {
+  if (condition.rounds == null) return condition.label;
+  return `${condition.label} (${condition.rounds} round${condition.rounds === 1 ? '' : 's'} left)`;
+}
@@ -10,77 +10,626 @@
  *   NdXklK     — Roll N, keep lowest K (e.g. 2d20kl1)
  *   NdXadv     — Advantage: roll 2dX, keep highest (sugar for 2dXkh1, count must be 1)
  *   NdXdis     — Disadvantage: roll 2dX, keep lowest (sugar for 2dXkl1, count must be 1)
+ *   NdX!       — Exploding: each max roll adds another die (e.g. 3d6!)
+ *   NdX!!      — Compounding: max rolls are added onto the same die
+ *   NdXrN      — Reroll while the die matches (r1, r<3); roN rerolls once (ro<3)
+ *   NdXminN    — Treat results below N as N (e.g. 2d6min2)
+ *   NdX>=N     — Success pool: count dice meeting the target (>=, >, <=, <, =), e.g. 10d10>=7
  *   +N / -N    — Constant modifier
- *   Combinations: 2d8+1d6+4, 1d20adv+5, 4d6kh3-2
+ *   @name      — Character sheet variable (e.g. @dex, @prof), see CharacterSheet.sheetVariables
+ *   * /        — Multiply / divide (division is exact; wrap in floor() or ceil() to round;
+ *                dividing by a roll that came up 0 gives 0, by a constant 0 is an error)
+ *   ( )        — Grouping, also for computed dice counts and sides: (@level/2)d6
+ *   max(a, b, …), min(a, b, …), floor(x), ceil(x), round(x), abs(x)
+ *   Combinations: 2d8+1d6+4, 1d20adv+5, 4d6kh3-2, 1d20+@dex+@prof, ceil(@level/2)d6
+ *
+ * Dice counts and sides are rounded down, as is the final total (D&D rounds down).
+ * Dice modifiers apply in the order reroll → explode → min → keep → success,
+ * and every die records its raw rolls so the breakdown can show what happened.
+ * Groups of d20s are flagged `crit` / `fumble` on a kept natural 20 / 1.
+ *
+ * Shared by the browser and the server (which rolls with its own RNG for
+ * verified results — see `options.random` on rollFormula).
  */
 
+const MAX_FORMULA_LENGTH = 200;
+
+// Caps so a lucky (or rigged) RNG can't roll forever
+const MAX_EXPLOSIONS = 100;   // extra dice per group from ! / !!
+const MAX_REROLLS = 100;      // rerolls per die for rN
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+
+const FUNCTIONS = {
+  max: { minArgs: 1, maxArgs: Infinity, fn: Math.max },
+  min: { minArgs: 1, maxArgs: Infinity, fn: Math.min },
+  floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+  ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+  round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+  abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+};
+
+/** A parse or evaluation error pointing at a character in the formula. */
+class FormulaError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} index – 0-based offset into the formula
+   */
+  constructor(message, index) {
+    super(message);
+    this.index = index;
+  }
+}
+
 /**
- * Tokenize a formula string into dice groups and modifiers.
+ * Split a formula into tokens, each tagged with its offset in the input.
+ * Identifiers are runs of letters (`d`, `kh`, `adv`, `max`), so `2d6kh1`
+ * becomes 2, d, 6, kh, 1.
  * @param {string} formula
- * @returns {Array<{ type: 'dice'|'modifier', ... }>}
+ * @returns {Array<{ type: 'num'|'var'|'ident'|'op'|'end', value: any, index: number }>}
  */
 function tokenize(formula) {
   const tokens = [];
-  // Normalize: lowercase, strip spaces
-  const f = formula.toLowerCase().replace(/\s+/g, '');
-
-  // Regex to match dice groups and modifiers
-  // Dice: optional count, d, sides, optional keep/adv/dis
-  // Modifier: +N or -N (standalone number)
-  const pattern = /([+-]?)(\d*)d(\d+)(kh\d+|kl\d+|adv|dis)?|([+-]?\d+)/g;
-
-  let match;
-  let firstToken = true;
-
-  while ((match = pattern.exec(f)) !== null) {
-    if (match[3] !== undefined) {
-      // Dice group: [sign, count, sides, keep]
-      const sign = match[1] === '-' ? -1 : 1;
-      const count = match[2] ? parseInt(match[2], 10) : 1;
-      const sides = parseInt(match[3], 10);
-      const keepStr = match[4] || null;
-
-      let keep = null;
-      let actualCount = count;
-
-      if (keepStr === 'adv') {
-        // Advantage: roll 2, keep highest 1
-        actualCount = 2;
-        keep = { type: 'highest', count: 1 };
-      } else if (keepStr === 'dis') {
-        // Disadvantage: roll 2, keep lowest 1
-        actualCount = 2;
-        keep = { type: 'lowest', count: 1 };
-      } else if (keepStr) {
-        const keepType = keepStr.startsWith('kh') ? 'highest' : 'lowest';
-        const keepCount = parseInt(keepStr.slice(2), 10);
-        keep = { type: keepType, count: keepCount };
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/\d/.test(ch)) {
+      const start = i;
+      while (i < formula.length && /\d/.test(formula[i])) i++;
+      tokens.push({ type: 'num', value: parseInt(formula.slice(start, i), 10), index: start });
+    } else if (ch === '@') {
+      const start = i++;
+      while (i < formula.length && /[a-z0-9_]/i.test(formula[i])) i++;
+      const name = formula.slice(start + 1, i).toLowerCase();
+      if (!name) throw new FormulaError('Expected a variable name after @', start);
+      tokens.push({ type: 'var', value: name, index: start });
+    } else if (/[a-z]/i.test(ch)) {
+      const start = i;
+      while (i < formula.length && /[a-z]/i.test(formula[i])) i++;
+      tokens.push({ type: 'ident', value: formula.slice(start, i).toLowerCase(), index: start });
+    } else if ('+-*/(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, index: i });
+      i++;
+    } else if ('!<>='.includes(ch)) {
+      // Dice modifier operators: ! !! >= <= > < =
+      const two = formula.slice(i, i + 2);
+      const value = two === '!!' || two === '>=' || two === '<=' ? two : ch;
+      tokens.push({ type: 'op', value, index: i });
+      i += value.length;
+    } else {
+      throw new FormulaError(`Unexpected character "${ch}"`, i);
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, index: formula.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing an expression tree.
+ *
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/') unary)*
+ *   unary   := ('+' | '-') unary | dice
+ *   dice    := primary? ('d' primary diceMod*)?
+ *   primary := number | @var | '(' expr ')' | func '(' expr (',' expr)* ')'
+ *   diceMod := 'kh' number | 'kl' number | 'adv' | 'dis' | '!' | '!!'
+ *            | ('r' | 'ro') compare | 'min' number | compare
+ *   compare := ('>=' | '<=' | '>' | '<' | '=')? number
+ *
+ * Node shapes: { type: 'num', value } | { type: 'var', name }
+ *   | { type: 'neg', arg } | { type: 'bin', op, left, right }
+ *   | { type: 'call', name, args }
+ *   | { type: 'dice', count, sides, keep, explode, reroll, min, target }
+ *   | { type: 'group', expr } (parentheses, kept for the breakdown)
+ * Every node carries `index`, its offset in the formula.
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isOp(value) {
+    const t = this.peek();
+    return t.type === 'op' && t.value === value;
+  }
+
+  isIdent(value) {
+    const t = this.peek();
+    return t.type === 'ident' && t.value === value;
+  }
+
+  expectOp(value) {
+    const t = this.peek();
+    if (!this.isOp(value)) throw new FormulaError(`Expected "${value}"`, t.index);
+    return this.next();
+  }
+
+  parse() {
+    const t = this.peek();
+    if (t.type === 'end') throw new FormulaError('Formula is empty', t.index);
+    const node = this.parseExpr();
+    const rest = this.peek();
+    if (rest.type !== 'end') {
+      throw new FormulaError(`Unexpected "${rest.value}"`, rest.index);
+    }
+    return node;
+  }
+
+  parseExpr() {
+    let left = this.parseTerm();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next();
+      const right = this.parseTerm();
+      left = { type: 'bin', op: op.value, left, right, index: op.index };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/')) {
+      const op = this.next();
+      const right = this.parseUnary();
+      left = { type: 'bin', op: op.value, left, right, index: op.index };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+')) {
+      const op = this.next();
+      const arg = this.parseUnary();
+      return op.value === '-' ? { type: 'neg', arg, index: op.index } : arg;
+    }
+    return this.parseDice();
+  }
+
+  parseDice() {
+    const start = this.peek();
+    const count = this.isIdent('d') ? null : this.parsePrimary();
+    if (!this.isIdent('d')) return count;
+
+    const d = this.next();
+    if (count) this.assertNoDice(count, 'Dice count');
+    const sides = this.parsePrimary();
+    this.assertNoDice(sides, 'Dice sides');
+
+    const node = {
+      type: 'dice',
+      count: count || { type: 'num', value: 1, index: d.index },
+      sides,
+      keep: null,
+      explode: null,    // 'explode' | 'compound'
+      reroll: [],       // [{ once, compare: { op, value } }]
+      min: null,
+      target: null,     // { op, value } – success pool
+      index: count ? start.index : d.index,
+    };
+    this.parseDiceModifiers(node);
+    return node;
+  }
+
+  parseDiceModifiers(node) {
+    for (;;) {
+      const t = this.peek();
+      if (t.type === 'ident' && ['kh', 'kl', 'adv', 'dis'].includes(t.value)) {
+        this.next();
+        if (node.keep) throw new FormulaError('Only one keep/adv/dis modifier per dice group', t.index);
+        if (t.value === 'kh' || t.value === 'kl') {
+          node.keep = { type: t.value === 'kh' ? 'highest' : 'lowest', count: this.expectNumber(t.value), index: t.index };
+        } else {
+          node.keep = { type: t.value === 'adv' ? 'highest' : 'lowest', count: 1, index: t.index, sugar: t.value };
+        }
+      } else if (t.type === 'ident' && (t.value === 'r' || t.value === 'ro')) {
+        this.next();
+        node.reroll.push({ once: t.value === 'ro', compare: this.parseCompare(t.value), index: t.index });
+      } else if (t.type === 'ident' && t.value === 'min') {
+        this.next();
+        if (node.min) throw new FormulaError('Only one min modifier per dice group', t.index);
+        node.min = { value: this.expectNumber('min'), index: t.index };
+      } else if (t.type === 'op' && (t.value === '!' || t.value === '!!')) {
+        this.next();
+        if (node.explode) throw new FormulaError('Only one explode modifier per dice group', t.index);
+        node.explode = t.value === '!!' ? 'compound' : 'explode';
+      } else if (t.type === 'op' && COMPARATORS.includes(t.value)) {
+        if (node.target) throw new FormulaError('Only one success target per dice group', t.index);
+        node.target = { ...this.parseCompare(null), index: t.index };
+      } else if (t.type === 'ident' && t.value !== 'd' && !FUNCTIONS[t.value]) {
+        throw new FormulaError(`Unknown dice modifier "${t.value}"`, t.index);
+      } else {
+        return;
       }
+    }
+  }
 
-      tokens.push({
-        type: 'dice',
-        sign,
-        count: actualCount,
-        sides,
-        keep,
-        raw: match[0],
-      });
-    } else if (match[5] !== undefined) {
-      // Constant modifier
-      let val = parseInt(match[5], 10);
-      // If this is the first token and has no explicit sign, treat as positive
-      if (firstToken && !match[5].startsWith('+') && !match[5].startsWith('-')) {
-        val = Math.abs(val);
+  /**
+   * An optional comparison operator followed by a number, e.g. `<3` or `1`
+   * (a bare number means equals).
+   * @param {string|null} after – the modifier being parsed, for error messages
+   */
+  parseCompare(after) {
+    const t = this.peek();
+    let op = '=';
+    if (t.type === 'op' && COMPARATORS.includes(t.value)) {
+      this.next();
+      op = t.value;
+    }
+    return { op, value: this.expectNumber(after || op) };
+  }
+
+  expectNumber(after) {
+    const n = this.peek();
+    if (n.type !== 'num') throw new FormulaError(`Expected a number after "${after}"`, n.index);
+    this.next();
+    return n.value;
+  }
+
+  parsePrimary() {
+    const t = this.peek();
+
+    if (t.type === 'num') {
+      this.next();
+      return { type: 'num', value: t.value, index: t.index };
+    }
+    if (t.type === 'var') {
+      this.next();
+      return { type: 'var', name: t.value, index: t.index };
+    }
+    if (this.isOp('(')) {
+      this.next();
+      const expr = this.parseExpr();
+      this.expectOp(')');
+      return { type: 'group', expr, index: t.index };
+    }
+    if (t.type === 'ident' && FUNCTIONS[t.value]) {
+      this.next();
+      this.expectOp('(');
+      const args = [this.parseExpr()];
+      while (this.isOp(',')) {
+        this.next();
+        args.push(this.parseExpr());
       }
-      tokens.push({
-        type: 'modifier',
-        value: val,
-      });
+      this.expectOp(')');
+      const spec = FUNCTIONS[t.value];
+      if (args.length < spec.minArgs || args.length > spec.maxArgs) {
+        throw new FormulaError(`Wrong number of arguments to ${t.value}()`, t.index);
+      }
+      return { type: 'call', name: t.value, args, index: t.index };
     }
-    firstToken = false;
+    if (t.type === 'ident') throw new FormulaError(`Unknown name "${t.value}"`, t.index);
+    if (t.type === 'end') throw new FormulaError('Unexpected end of formula', t.index);
+    throw new FormulaError(`Unexpected "${t.value}"`, t.index);
   }
 
-  return tokens;
+  assertNoDice(node, what) {
+    if (containsDice(node)) throw new FormulaError(`${what} cannot contain dice`, node.index);
+  }
+}
+
+function containsDice(node) {
+  switch (node.type) {
+    case 'dice': return true;
+    case 'neg': return containsDice(node.arg);
+    case 'group': return containsDice(node.expr);
+    case 'bin': return containsDice(node.left) || containsDice(node.right);
+    case 'call': return node.args.some(containsDice);
+    default: return false;
+  }
+}
+
+/** Parse a formula into an expression tree; throws FormulaError. */
+function parse(formula) {
+  if (formula.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(`Formula is too long (max ${MAX_FORMULA_LENGTH} characters)`, MAX_FORMULA_LENGTH);
+  }
+  return new Parser(tokenize(formula)).parse();
+}
+
+/**
+ * Split the top level of an expression into signed additive terms,
+ * e.g. `1d20 - (2 + @dex)` → [+1d20, -(2 + @dex)].
+ */
+function additiveTerms(node, sign = 1, out = []) {
+  if (node.type === 'bin' && (node.op === '+' || node.op === '-')) {
+    additiveTerms(node.left, sign, out);
+    additiveTerms(node.right, node.op === '-' ? -sign : sign, out);
+  } else if (node.type === 'neg') {
+    additiveTerms(node.arg, -sign, out);
+  } else {
+    out.push({ sign, node });
+  }
+  return out;
+}
+
+/**
+ * Evaluates an expression tree, rolling dice as it goes.
+ * Rolled groups are collected in formula order.
+ */
+class Evaluator {
+  constructor(options = {}) {
+    this.roll = options.random || rollDie;
+    this.variables = options.variables || {};
+    this.strictVariables = !!options.strictVariables;
+    this.critical = !!options.critical;
+    this.groups = [];
+  }
+
+  eval(node) {
+    switch (node.type) {
+      case 'num':
+        return node.value;
+      case 'var': {
+        const value = this.variables[node.name];
+        if (typeof value === 'number') return value;
+        if (this.strictVariables) throw new FormulaError(`Unknown variable @${node.name}`, node.index);
+        return 0;
+      }
+      case 'group':
+        return this.eval(node.expr);
+      case 'neg':
+        return -this.eval(node.arg);
+      case 'call':
+        return FUNCTIONS[node.name].fn(...node.args.map(a => this.eval(a)));
+      case 'bin': {
+        const left = this.eval(node.left);
+        const right = this.eval(node.right);
+        if (node.op === '+') return left + right;
+        if (node.op === '-') return left - right;
+        if (node.op === '*') return left * right;
+        if (right === 0) {
+          // Rolled divisors can come up 0 (1d6/(1d6-1)); that must not sink a valid formula
+          if (containsDice(node.right)) return 0;
+          throw new FormulaError('Division by zero', node.index);
+        }
+        return left / right;
+      }
+      case 'dice':
+        return this.rollDice(node);
+      default:
+        throw new FormulaError('Could not parse formula', node.index);
+    }
+  }
+
+  rollDice(node) {
+    const count = Math.floor(this.eval(node.count));
+    const sides = Math.floor(this.eval(node.sides));
+
+    if (node.keep && node.keep.sugar && count !== 1) {
+      throw new FormulaError(`"${node.keep.sugar}" only works on a single die (e.g. 1d20${node.keep.sugar})`, node.keep.index);
+    }
+    // adv/dis roll a second die; a critical hit doubles the dice rolled
+    let actualCount = node.keep && node.keep.sugar ? 2 : count;
+
+    if (actualCount < 1 || actualCount > 100) {
+      throw new FormulaError('Dice count must be between 1 and 100', node.count.index);
+    }
+    if (sides < 1 || sides > 1000) {
+      throw new FormulaError('Dice sides must be between 1 and 1000', node.sides.index);
+    }
+    if (node.explode && sides < 2) {
+      throw new FormulaError('A one-sided die always rolls its maximum, so it can\'t explode', node.sides.index);
+    }
+    if (node.keep && node.keep.count < 1) {
+      throw new FormulaError('Keep count must be at least 1', node.keep.index);
+    }
+    if (node.keep && node.keep.count > actualCount && !node.explode) {
+      throw new FormulaError(`Cannot keep ${node.keep.count} dice when only rolling ${actualCount}`, node.keep.index);
+    }
+    for (const r of node.reroll) {
+      let faces = 0;
+      for (let v = 1; v <= sides; v++) if (compare(v, r.compare)) faces++;
+      if (faces === 0) throw new FormulaError('Reroll condition never matches', r.index);
+      if (faces === sides && !r.once) throw new FormulaError('Reroll condition matches every face', r.index);
+    }
+    if (node.min && (node.min.value < 1 || node.min.value > sides)) {
+      throw new FormulaError(`min must be between 1 and ${sides}`, node.min.index);
+    }
+    if (this.critical && !(node.keep && node.keep.sugar)) {
+      actualCount *= 2;
+    }
+
+    // Roll, applying rerolls, then explosions
+    const dice = [];
+    let explosions = 0;
+    const rollOne = () => {
+      const rolls = [this.roll(sides)];
+      for (const r of node.reroll) {
+        let tries = 0;
+        while (compare(rolls[rolls.length - 1], r.compare) && tries < (r.once ? 1 : MAX_REROLLS)) {
+          rolls.push(this.roll(sides));
+          tries++;
+        }
+      }
+      return { value: rolls[rolls.length - 1], rolls };
+    };
+
+    for (let i = 0; i < actualCount; i++) {
+      const die = rollOne();
+      dice.push(die);
+
+      if (node.explode === 'compound') {
+        // Each max roll adds another roll onto this die
+        let last = die.value;
+        const parts = [last];
+        while (last === sides && explosions < MAX_EXPLOSIONS) {
+          last = this.roll(sides);
+          parts.push(last);
+          explosions++;
+        }
+        if (parts.length > 1) {
+          die.compounded = parts;
+          die.value = parts.reduce((a, b) => a + b, 0);
+        }
+      } else if (node.explode === 'explode') {
+        // Each max roll adds a new die, which can explode in turn
+        let current = die;
+        while (current.value === sides && explosions < MAX_EXPLOSIONS) {
+          current.exploded = true;
+          const extra = this.roll(sides);
+          current = { value: extra, rolls: [extra], fromExplosion: true };
+          dice.push(current);
+          explosions++;
+        }
+      }
+    }
+
+    // Natural result (before min) decides crits; min raises low results
+    for (const die of dice) {
+      die.natural = die.compounded ? die.compounded[0] : die.value;
+      if (node.min && die.value < node.min.value) {
+        die.raisedFrom = die.value;
+        die.value = node.min.value;
+      }
+    }
+
+    // Keep highest / lowest
+    const keep = node.keep ? { type: node.keep.type, count: node.keep.count } : null;
+    if (keep) {
+      const sorted = dice.map((d, i) => ({ v: d.value, i }));
+      if (keep.type === 'highest') {
+        sorted.sort((a, b) => b.v - a.v);
+      } else {
+        sorted.sort((a, b) => a.v - b.v);
+      }
+      const keepIndices = new Set(sorted.slice(0, keep.count).map(x => x.i));
+      dice.forEach((d, i) => { if (!keepIndices.has(i)) d.dropped = true; });
+    }
+
+    const target = node.target ? { op: node.target.op, value: node.target.value } : null;
+    let successes = null;
+    if (target) {
+      successes = 0;
+      for (const d of dice) {
+        if (d.dropped) continue;
+        d.success = compare(d.value, target);
+        if (d.success) successes++;
+      }
+    }
+
+    // Natural 20s and 1s on d20s (only meaningful when a single die is kept)
+    const keptDice = dice.filter(d => !d.dropped);
+    let crit = false;
+    let fumble = false;
+    if (sides === 20) {
+      for (const d of keptDice) {
+        if (d.natural === 20) d.crit = true;
+        else if (d.natural === 1) d.fumble = true;
+      }
+      if (keptDice.length === 1 && !target) {
+        crit = !!keptDice[0].crit;
+        fumble = !!keptDice[0].fumble;
+      }
+    }
+
+    const results = dice.map(d => d.value);
+    const kept = keptDice.map(d => d.value);
+    const dropped = dice.filter(d => d.dropped).map(d => d.value);
+    const value = target ? successes : kept.reduce((a, b) => a + b, 0);
+
+    const group = {
+      count: actualCount,
+      sides,
+      sign: 1,
+      keep,
+      explode: node.explode,
+      reroll: node.reroll.map(r => ({ once: r.once, compare: r.compare })),
+      min: node.min ? node.min.value : null,
+      target,
+      results,
+      kept,
+      dropped,
+      dice,
+      successes,
+      crit,
+      fumble,
+      value,
+    };
+    group.label = groupLabel(group);
+    this.groups.push(group);
+    node.group = group;
+    return value;
+  }
+}
+
+/** Test a value against a { op, value } comparison. */
+function compare(v, { op, value }) {
+  switch (op) {
+    case '>=': return v >= value;
+    case '<=': return v <= value;
+    case '>': return v > value;
+    case '<': return v < value;
+    default: return v === value;
+  }
+}
+
+function formatCompare({ op, value }, defaultOp) {
+  return op === defaultOp ? String(value) : `${op}${value}`;
+}
+
+/** Canonical notation for a rolled group, e.g. `4d6r1kh3` or `10d10>=7`. */
+function groupLabel(g) {
+  let label = `${g.count}d${g.sides}`;
+  if (g.explode) label += g.explode === 'compound' ? '!!' : '!';
+  for (const r of g.reroll) label += `${r.once ? 'ro' : 'r'}${formatCompare(r.compare, '=')}`;
+  if (g.min) label += `min${g.min}`;
+  if (g.keep) label += g.keep.type === 'highest' ? `kh${g.keep.count}` : `kl${g.keep.count}`;
+  if (g.target) label += `${g.target.op}${g.target.value}`;
+  return label;
+}
+
+/**
+ * One die in a breakdown:
+ *   ~~1~~   dropped          6!    exploded (the next die is its bonus roll)
+ *   1→4     rerolled         6+6+2 compounded
+ *   1→2     raised by min    7*    success in a pool
+ */
+function formatDie(d) {
+  let text = d.compounded ? d.compounded.join('+') : d.rolls.join('→');
+  if (d.raisedFrom !== undefined) text += `→${d.value}`;
+  if (d.exploded) text += '!';
+  if (d.success) text += '*';
+  return d.dropped ? `~~${text}~~` : text;
+}
+
+/** `4d6kh3[6, 5, ~~1~~, 4]` */
+function formatGroup(g) {
+  return `${g.label}[${g.dice.map(formatDie).join(', ')}]`;
+}
+
+/** Render an evaluated expression with variables and dice replaced by their values. */
+function formatNode(node, evaluator) {
+  switch (node.type) {
+    case 'num':
+      return String(node.value);
+    case 'var':
+      return String(evaluator.eval(node));
+    case 'group':
+      return `(${formatNode(node.expr, evaluator)})`;
+    case 'neg':
+      return `-${formatNode(node.arg, evaluator)}`;
+    case 'call':
+      return `${node.name}(${node.args.map(a => formatNode(a, evaluator)).join(', ')})`;
+    case 'bin':
+      return `${formatNode(node.left, evaluator)} ${node.op} ${formatNode(node.right, evaluator)}`;
+    case 'dice':
+      return formatGroup(node.group);
+    default:
+      return '?';
+  }
 }
 
 /**
@@ -92,176 +641,157 @@ function rollDie(sides) {
   return Math.floor(Math.random() * sides) + 1;
 }
 
+/**
+ * Shape a rollFormula result into the roll payload carried by chat messages.
+ * Includes the flat count/sides/results fields older ChatPanel code renders.
+ * @param {ReturnType<typeof rollFormula>} result
+ * @param {string|null} [macroName]
+ * @returns {object}
+ */
+export function toRollData(result, macroName = null) {
+  const rollData = {
+    formula: result.formula,
+    macroName: macroName || null,
+    groups: result.groups,
+    modifier: result.modifier,
+    total: result.total,
+    breakdown: result.breakdown,
+    crit: !!result.crit,
+    fumble: !!result.fumble,
+  };
+
+  // Add backward-compatible fields for simple rolls (single dice group, no keep)
+  if (result.groups.length === 1 && !result.groups[0].keep && !result.groups[0].explode) {
+    rollData.count = result.groups[0].count;
+    rollData.sides = result.groups[0].sides;
+    rollData.results = result.groups[0].results;
+  } else {
+    // For complex rolls, use first group as fallback
+    const g = result.groups[0] || { count: 1, sides: 20, results: [result.total] };
+    rollData.count = g.count;
+    rollData.sides = g.sides;
+    rollData.results = g.kept || g.results;
+  }
+
+  return rollData;
+}
+
 /**
  * Parse and evaluate a dice formula string.
- * @param {string} formula - e.g. "2d6+5", "1d20adv+3", "4d6kh3"
+ * @param {string} formula - e.g. "2d6+5", "1d20adv+3", "4d6kh3", "(@level/2)d6"
+ * @param {{ random?: (sides: number) => number, variables?: Record<string, number>, critical?: boolean }} [options]
+ *   random – die roller returning 1..sides (defaults to Math.random)
+ *   variables – values for `@name` references (unknown names count as 0)
+ *   critical – roll twice as many dice (damage on a critical hit)
  * @returns {{
  *   formula: string,
- *   groups: Array<{ count: number, sides: number, results: number[], kept: number[], dropped: number[], sign: number, keep: object|null }>,
+ *   groups: Array<{
+ *     count: number, sides: number, sign: number, label: string,
+ *     results: number[], kept: number[], dropped: number[],
+ *     dice: Array<{ value, rolls, natural, dropped?, exploded?, fromExplosion?, compounded?, raisedFrom?, success?, crit?, fumble? }>,
+ *     keep: object|null, explode: string|null, reroll: object[], min: number|null, target: object|null,
+ *     successes: number|null, value: number, crit: boolean, fumble: boolean
+ *   }>,
  *   modifier: number,
  *   total: number,
- *   breakdown: string
+ *   breakdown: string,
+ *   crit: boolean,
+ *   fumble: boolean,
+ *   error?: string
  * }}
+ *   `error` is set (and total is 0) when the formula can't be evaluated, e.g. a
+ *   dice count computed from variables that falls out of range.
+ *   For formulas that are a plain sum of dice and constants, total = Σ sign·kept + modifier.
+ *   Otherwise (e.g. `2*1d6`, `max(1d4, 2)`) modifier is 0 and the breakdown shows the expression.
  */
-export function rollFormula(formula) {
-  const tokens = tokenize(formula);
-
-  if (tokens.length === 0) {
+export function rollFormula(formula, options = {}) {
+  let tree;
+  const evaluator = new Evaluator(options);
+  let total;
+  try {
+    tree = parse(formula);
+    total = Math.floor(evaluator.eval(tree));
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
     return {
       formula,
       groups: [],
       modifier: 0,
       total: 0,
       breakdown: 'Invalid formula',
+      crit: false,
+      fumble: false,
+      error: `${err.message} at position ${err.index + 1}`,
     };
   }
 
-  const groups = [];
-  let modifier = 0;
-
-  for (const token of tokens) {
-    if (token.type === 'modifier') {
-      modifier += token.value;
-    } else if (token.type === 'dice') {
-      // Roll all dice
-      const results = [];
-      for (let i = 0; i < token.count; i++) {
-        results.push(rollDie(token.sides));
-      }
+  const groups = evaluator.groups;
+  const terms = additiveTerms(tree);
+  const additive = terms.every(t => t.node.type === 'dice' || !containsDice(t.node));
 
-      let kept = [...results];
-      let dropped = [];
-
-      if (token.keep) {
-        const sorted = [...results].map((v, i) => ({ v, i }));
-
-        if (token.keep.type === 'highest') {
-          sorted.sort((a, b) => b.v - a.v);
-        } else {
-          sorted.sort((a, b) => a.v - b.v);
-        }
-
-        const keepIndices = new Set(sorted.slice(0, token.keep.count).map(x => x.i));
-        kept = [];
-        dropped = [];
-
-        for (let i = 0; i < results.length; i++) {
-          if (keepIndices.has(i)) {
-            kept.push(results[i]);
-          } else {
-            dropped.push(results[i]);
-          }
-        }
-      }
-
-      groups.push({
-        count: token.count,
-        sides: token.sides,
-        sign: token.sign,
-        keep: token.keep,
-        results,
-        kept,
-        dropped,
-      });
+  let modifier = 0;
+  let breakdown;
+  if (additive) {
+    // Plain sum: list the dice, then the constants folded into one modifier
+    for (const t of terms) {
+      if (t.node.type === 'dice') t.node.group.sign = t.sign;
     }
-  }
+    const diceSum = groups.reduce((sum, g) => sum + g.sign * g.value, 0);
+    modifier = total - diceSum;
 
-  // Calculate total
-  let total = modifier;
-  for (const g of groups) {
-    const groupSum = g.kept.reduce((a, b) => a + b, 0);
-    total += groupSum * g.sign;
-  }
-
-  // Build breakdown string
-  const parts = [];
-  for (const g of groups) {
-    const prefix = g.sign === -1 ? '-' : (parts.length > 0 ? '+' : '');
-    const diceStr = g.results.map((v, i) => {
-      if (g.dropped.length > 0) {
-        // Check if this specific result at this index was dropped
-        // We need to track which indices were dropped
-        const sorted = [...g.results].map((val, idx) => ({ val, idx }));
-        if (g.keep.type === 'highest') {
-          sorted.sort((a, b) => b.val - a.val);
-        } else {
-          sorted.sort((a, b) => a.val - b.val);
-        }
-        const keepIndices = new Set(sorted.slice(0, g.keep.count).map(x => x.idx));
-        return keepIndices.has(i) ? String(v) : `~~${v}~~`;
-      }
-      return String(v);
-    }).join(', ');
-
-    const label = `${g.count}d${g.sides}${g.keep ? (g.keep.type === 'highest' ? `kh${g.keep.count}` : `kl${g.keep.count}`) : ''}`;
-    parts.push(`${prefix}${label}[${diceStr}]`);
-  }
-
-  if (modifier !== 0) {
-    parts.push(`${modifier > 0 ? '+' : ''}${modifier}`);
+    const parts = [];
+    for (const g of groups) {
+      const prefix = g.sign === -1 ? '-' : (parts.length > 0 ? '+' : '');
+      parts.push(`${prefix}${formatGroup(g)}`);
+    }
+    if (modifier !== 0) {
+      parts.push(`${modifier > 0 ? '+' : ''}${modifier}`);
+    }
+    parts.push(`= ${total}`);
+    breakdown = parts.join(' ');
+  } else {
+    breakdown = `${formatNode(tree, evaluator)} = ${total}`;
   }
 
-  parts.push(`= ${total}`);
-  const breakdown = parts.join(' ');
-
   return {
     formula: formula.trim(),
     groups,
     modifier,
     total,
     breakdown,
+    crit: groups.some(g => g.crit),
+    fumble: groups.some(g => g.fumble),
   };
 }
 
 /**
- * Validate a formula string without rolling.
+ * Validate a formula string without keeping the roll.
+ * Errors carry the 1-based character position they refer to.
  * @param {string} formula
- * @returns {{ valid: boolean, error?: string }}
+ * @param {{ variables?: Record<string, number> }} [options] – known `@name` variables
+ * @returns {{ valid: boolean, error?: string, position?: number }}
  */
-export function validateFormula(formula) {
+export function validateFormula(formula, options = {}) {
   if (!formula || typeof formula !== 'string') {
     return { valid: false, error: 'Formula is required' };
   }
 
-  const f = formula.toLowerCase().replace(/\s+/g, '');
-
-  if (f.length === 0) {
-    return { valid: false, error: 'Formula is empty' };
-  }
-
-  // Check for invalid characters
-  if (/[^0-9d+\-khladvsi]/.test(f)) {
-    return { valid: false, error: 'Formula contains invalid characters' };
-  }
-
-  const tokens = tokenize(formula);
-
-  if (tokens.length === 0) {
-    return { valid: false, error: 'Could not parse formula' };
-  }
-
-  // Must contain at least one dice group
-  const hasDice = tokens.some(t => t.type === 'dice');
-  if (!hasDice) {
-    return { valid: false, error: 'Formula must contain at least one dice roll (e.g. 1d20)' };
-  }
-
-  // Validate each dice group
-  for (const token of tokens) {
-    if (token.type === 'dice') {
-      if (token.count < 1 || token.count > 100) {
-        return { valid: false, error: 'Dice count must be between 1 and 100' };
-      }
-      if (token.sides < 2 || token.sides > 1000) {
-        return { valid: false, error: 'Dice sides must be between 2 and 1000' };
-      }
-      if (token.keep && token.keep.count >= token.count) {
-        return { valid: false, error: `Cannot keep ${token.keep.count} dice when only rolling ${token.count}` };
-      }
-      if (token.keep && token.keep.count < 1) {
-        return { valid: false, error: 'Keep count must be at least 1' };
-      }
+  let tree;
+  try {
+    tree = parse(formula);
+    if (!containsDice(tree)) {
+      return { valid: false, error: 'Formula must contain at least one dice roll (e.g. 1d20)' };
     }
+    // Dry run to resolve variables and check counts/sides computed from them
+    new Evaluator({
+      variables: options.variables,
+      strictVariables: true,
+      random: () => 1,
+    }).eval(tree);
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    const position = err.index + 1;
+    return { valid: false, error: `${err.message} at position ${position}`, position };
   }
 
   return { valid: true };
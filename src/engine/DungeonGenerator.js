@@ -0,0 +1,545 @@
+/**
+ * Seeded procedural dungeon generator.
+ * The same seed and options always produce the same map, so a DM can share a
+ * seed instead of a map file.
+ *
+ * Generation happens in two steps. First a layout marks each cell as rock, as
+ * passage or as part of a numbered room, and records the openings between
+ * them. The layout is then turned into a GameMap: rock becomes solid cells,
+ * walls go wherever two regions meet without an opening, and some openings
+ * get doors.
+ */
+
+import { GameMap, Cell, WALL_N, WALL_S, WALL_E, WALL_W, EDGE_FLAGS } from './GameMap.js';
+
+/** Layout styles, keyed by the value passed as `style`. */
+export const DUNGEON_STYLES = {
+  bsp: 'Rooms & Corridors',
+  caves: 'Caves',
+  maze: 'Maze',
+};
+
+/**
+ * Lighting themes, keyed by the value passed as `lighting`.
+ * room / passage: base cell light (0..1); variance: random spread per room;
+ * torches: whether torches are placed on walls.
+ */
+export const LIGHTING_THEMES = {
+  torchlit: { label: 'Torchlit', room: 0.8, passage: 0.5, variance: 0.2, torches: true },
+  bright: { label: 'Bright', room: 1.0, passage: 0.8, variance: 0, torches: false },
+  gloomy: { label: 'Gloomy', room: 0.5, passage: 0.3, variance: 0.1, torches: true },
+  dark: { label: 'Pitch Dark', room: 0.2, passage: 0.2, variance: 0, torches: false },
+};
+
+/** Floor and wall colours per style (floors are from the map editor's palette). */
+const PALETTES = {
+  bsp: { rooms: ['#4a4a3a', '#4a3a2a', '#3a3a2a', '#5a4a1a'], passage: '#3a3a3a', wall: '#7a6b5a' },
+  caves: { rooms: ['#2a3a3a'], passage: '#2a3a3a', wall: '#5a4a3a' },
+  maze: { rooms: ['#4a4a3a', '#3a1a3a'], passage: '#3a3a3a', wall: '#6b6b6b' },
+};
+
+const ROCK = -1;
+const PASSAGE = 0;
+
+/** BSP leaves are never split smaller than this, leaving room for a 3×3 room and a margin. */
+const MIN_LEAF = 5;
+
+/** Chance that an opening into a room gets a door, and how such doors start out. */
+const DOOR_CHANCE = 0.6;
+const LOCKED_CHANCE = 0.15;
+const SECRET_CHANCE = 0.05;
+
+const SPRITES = {
+  torch: '🔥', chest: '📦', skeleton: '💀', altar: '🗿', treasure: '💎',
+  potion: '🧪', key: '🔑', trap: '⚠️', barrel: '🛢️',
+};
+const ROOM_OBJECTS = ['chest', 'barrel', 'barrel', 'skeleton', 'potion', 'treasure', 'key', 'altar'];
+const CAVE_OBJECTS = ['skeleton', 'skeleton', 'treasure', 'potion', 'barrel'];
+
+/**
+ * A new random seed: short enough to read out at the table.
+ * @returns {string}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Deterministic random number generator (mulberry32) for a seed string.
+ * @param {string|number} seed
+ * @returns {() => number} returns floats in [0, 1)
+ */
+export function createRng(seed) {
+  // FNV-1a hash of the seed text
+  let a = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    a = Math.imul(a ^ ch.codePointAt(0), 0x01000193);
+  }
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a dungeon.
+ * @param {object} options
+ * @param {string|number} options.seed
+ * @param {number} [options.width=30]  – columns (5..100)
+ * @param {number} [options.height=30] – rows (5..100)
+ * @param {number} [options.rooms=8]   – rooms (BSP, maze) or open chambers (caves)
+ * @param {'bsp'|'caves'|'maze'} [options.style='bsp']
+ * @param {string} [options.lighting='torchlit'] – key of LIGHTING_THEMES
+ * @param {number} [options.objectDensity=0.3]   – 0 (none) .. 1 (cluttered)
+ * @returns {GameMap} with walls mirrored on both sides of every edge
+ */
+export function generateDungeon({
+  seed,
+  width = 30,
+  height = 30,
+  rooms = 8,
+  style = 'bsp',
+  lighting = 'torchlit',
+  objectDensity = 0.3,
+} = {}) {
+  const w = clampInt(width, 5, 100);
+  const h = clampInt(height, 5, 100);
+  const roomCount = clampInt(rooms, 1, 50);
+  const density = Math.max(0, Math.min(1, Number(objectDensity) || 0));
+  if (!DUNGEON_STYLES[style]) style = 'bsp';
+  const theme = LIGHTING_THEMES[lighting] || LIGHTING_THEMES.torchlit;
+
+  const rng = createRng(`${seed}|${style}|${w}x${h}|${roomCount}`);
+  const layout = createLayout(w, h);
+  if (style === 'caves') layoutCaves(layout, roomCount, rng);
+  else if (style === 'maze') layoutMaze(layout, roomCount, rng);
+  else layoutBSP(layout, roomCount, rng);
+
+  const map = buildMap(layout, PALETTES[style], theme, rng);
+  placeObjects(map, layout, style, theme, density, rng);
+  return map;
+}
+
+// --- Random helpers ---
+
+function clampInt(value, min, max) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : min;
+}
+
+/** Integer in [min, max]. */
+function randInt(rng, min, max) {
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function shuffle(rng, list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// --- Layout ---
+
+/**
+ * Empty layout: all rock.
+ * region[y][x] is ROCK, PASSAGE or a room number (1..n).
+ * openings: edges between two open cells with no wall, keyed by edgeKey().
+ * joinPassages: whether neighbouring passage cells are open to each other
+ * without an opening (false for mazes, whose passages are walled apart).
+ */
+function createLayout(width, height) {
+  return {
+    width,
+    height,
+    region: Array.from({ length: height }, () => new Array(width).fill(ROCK)),
+    rooms: [], // { id, x, y, w, h }
+    openings: new Set(),
+    doorways: [], // openings between a room and a passage: door candidates
+    joinPassages: true,
+  };
+}
+
+/** Key for the edge between two orthogonally adjacent cells, whichever order they're given in. */
+function edgeKey(x1, y1, x2, y2) {
+  if (x2 < x1 || y2 < y1) return edgeKey(x2, y2, x1, y1);
+  return `${x1},${y1},${x2 > x1 ? 'E' : 'S'}`;
+}
+
+function carveRoom(layout, x, y, w, h) {
+  const room = { id: layout.rooms.length + 1, x, y, w, h };
+  for (let cy = y; cy < y + h; cy++) {
+    for (let cx = x; cx < x + w; cx++) layout.region[cy][cx] = room.id;
+  }
+  layout.rooms.push(room);
+  return room;
+}
+
+/** Open the edge between two adjacent open cells, noting it as a doorway if it leads into a room. */
+function openEdge(layout, x1, y1, x2, y2) {
+  const key = edgeKey(x1, y1, x2, y2);
+  if (layout.openings.has(key)) return;
+  layout.openings.add(key);
+  const a = layout.region[y1][x1];
+  const b = layout.region[y2][x2];
+  if (a !== b && (a === PASSAGE || b === PASSAGE)) {
+    const [x, y, edge] = key.split(',');
+    layout.doorways.push({ x: Number(x), y: Number(y), edge });
+  }
+}
+
+/**
+ * Carve an L-shaped corridor between two cells, through rock and across any
+ * rooms in the way, opening every boundary it crosses.
+ */
+function carveCorridor(layout, x1, y1, x2, y2, horizontalFirst) {
+  const path = [[x1, y1]];
+  let x = x1, y = y1;
+  const stepX = () => { while (x !== x2) { x += Math.sign(x2 - x); path.push([x, y]); } };
+  const stepY = () => { while (y !== y2) { y += Math.sign(y2 - y); path.push([x, y]); } };
+  if (horizontalFirst) { stepX(); stepY(); } else { stepY(); stepX(); }
+
+  for (let i = 0; i < path.length; i++) {
+    const [cx, cy] = path[i];
+    if (layout.region[cy][cx] === ROCK) layout.region[cy][cx] = PASSAGE;
+    if (i > 0) {
+      const [px, py] = path[i - 1];
+      if (layout.region[py][px] !== layout.region[cy][cx]) openEdge(layout, px, py, cx, cy);
+    }
+  }
+}
+
+const roomCenter = (room) => [room.x + Math.floor(room.w / 2), room.y + Math.floor(room.h / 2)];
+
+/**
+ * Rooms and corridors: split the map into `count` leaves (binary space
+ * partition), put a room in each, then join sibling subtrees with corridors so
+ * every room is reachable.
+ */
+function layoutBSP(layout, count, rng) {
+  const root = { x: 0, y: 0, w: layout.width, h: layout.height };
+  const leaves = [root];
+
+  while (leaves.length < count) {
+    const splittable = leaves.filter(l => l.w >= MIN_LEAF * 2 || l.h >= MIN_LEAF * 2);
+    if (splittable.length === 0) break;
+    const leaf = splittable.reduce((a, b) => (b.w * b.h > a.w * a.h ? b : a));
+
+    let vertical = leaf.w > leaf.h || (leaf.w === leaf.h && rng() < 0.5);
+    if (leaf.w < MIN_LEAF * 2) vertical = false;
+    if (leaf.h < MIN_LEAF * 2) vertical = true;
+    if (vertical) {
+      const at = randInt(rng, MIN_LEAF, leaf.w - MIN_LEAF);
+      leaf.left = { x: leaf.x, y: leaf.y, w: at, h: leaf.h };
+      leaf.right = { x: leaf.x + at, y: leaf.y, w: leaf.w - at, h: leaf.h };
+    } else {
+      const at = randInt(rng, MIN_LEAF, leaf.h - MIN_LEAF);
+      leaf.left = { x: leaf.x, y: leaf.y, w: leaf.w, h: at };
+      leaf.right = { x: leaf.x, y: leaf.y + at, w: leaf.w, h: leaf.h - at };
+    }
+    leaves.splice(leaves.indexOf(leaf), 1, leaf.left, leaf.right);
+  }
+
+  // A room in each leaf, at least one cell in from the leaf's edges so rooms never touch
+  for (const leaf of leaves) {
+    const rw = randInt(rng, 3, Math.max(3, Math.min(leaf.w - 2, 12)));
+    const rh = randInt(rng, 3, Math.max(3, Math.min(leaf.h - 2, 12)));
+    const rx = leaf.x + randInt(rng, 1, Math.max(1, leaf.w - rw - 1));
+    const ry = leaf.y + randInt(rng, 1, Math.max(1, leaf.h - rh - 1));
+    leaf.room = carveRoom(layout, rx, ry, Math.min(rw, layout.width - rx), Math.min(rh, layout.height - ry));
+  }
+
+  // Join each pair of siblings: a random room on one side to the nearest on the other
+  const connect = (node) => {
+    if (node.room) return [node.room];
+    const left = connect(node.left);
+    const right = connect(node.right);
+    const a = pick(rng, left);
+    const [ax, ay] = roomCenter(a);
+    let b = right[0];
+    let best = Infinity;
+    for (const room of right) {
+      const [bx, by] = roomCenter(room);
+      const d = Math.abs(bx - ax) + Math.abs(by - ay);
+      if (d < best) { best = d; b = room; }
+    }
+    const [bx, by] = roomCenter(b);
+    carveCorridor(layout, ax, ay, bx, by, rng() < 0.5);
+    return left.concat(right);
+  };
+  connect(root);
+}
+
+/**
+ * Caves: random fill smoothed by a cellular automaton, with `count` open
+ * chambers cleared first. Separate pockets are tunnelled together.
+ */
+function layoutCaves(layout, count, rng) {
+  const { width, height, region } = layout;
+  const inner = (x, y) => x > 0 && y > 0 && x < width - 1 && y < height - 1;
+
+  let openCells = region.map((row, y) => row.map((_, x) => inner(x, y) && rng() < 0.5));
+  for (let i = 0; i < count; i++) {
+    const r = randInt(rng, 2, 4);
+    const cx = randInt(rng, 1, width - 2);
+    const cy = randInt(rng, 1, height - 2);
+    for (let y = cy - r; y <= cy + r; y++) {
+      for (let x = cx - r; x <= cx + r; x++) {
+        if (inner(x, y) && (x - cx) ** 2 + (y - cy) ** 2 <= r * r) openCells[y][x] = true;
+      }
+    }
+  }
+
+  // Smooth: a cell becomes rock when most of its 8 neighbours (off-map counts as rock) are rock
+  for (let pass = 0; pass < 4; pass++) {
+    openCells = openCells.map((row, y) => row.map((_, x) => {
+      if (!inner(x, y)) return false;
+      let rock = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && !openCells[y + dy]?.[x + dx]) rock++;
+        }
+      }
+      return rock < 5;
+    }));
+  }
+
+  // Find the separate pockets of open cave
+  const pockets = [];
+  const seen = openCells.map(row => row.map(() => false));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!openCells[y][x] || seen[y][x]) continue;
+      const cells = [];
+      const stack = [[x, y]];
+      seen[y][x] = true;
+      while (stack.length) {
+        const [cx, cy] = stack.pop();
+        cells.push([cx, cy]);
+        for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+          if (openCells[ny]?.[nx] && !seen[ny][nx]) {
+            seen[ny][nx] = true;
+            stack.push([nx, ny]);
+          }
+        }
+      }
+      pockets.push(cells);
+    }
+  }
+  if (pockets.length === 0) {
+    // Nothing survived smoothing (tiny map): one chamber in the middle
+    const cx = Math.floor(width / 2);
+    const cy = Math.floor(height / 2);
+    pockets.push([[cx, cy]]);
+  }
+
+  for (const cells of pockets) {
+    for (const [x, y] of cells) region[y][x] = PASSAGE;
+  }
+
+  // Tunnel each smaller pocket to the nearest cell of the growing cave
+  pockets.sort((a, b) => b.length - a.length);
+  const joined = [...pockets[0]];
+  for (const cells of pockets.slice(1)) {
+    const [sx, sy] = pick(rng, cells);
+    let target = joined[0];
+    let best = Infinity;
+    for (const [jx, jy] of joined) {
+      const d = Math.abs(jx - sx) + Math.abs(jy - sy);
+      if (d < best) { best = d; target = [jx, jy]; }
+    }
+    carveCorridor(layout, sx, sy, target[0], target[1], rng() < 0.5);
+    joined.push(...cells);
+  }
+}
+
+/**
+ * Maze: every cell is open and walls run along cell edges. `count` rooms are
+ * placed first, the remaining cells become a perfect maze (recursive
+ * backtracker), and each room gets a doorway into every maze section it borders.
+ */
+function layoutMaze(layout, count, rng) {
+  const { width, height, region } = layout;
+  layout.joinPassages = false;
+
+  // Rooms: up to `count`, kept one cell apart
+  for (let i = 0, tries = 0; i < count && tries < count * 30; tries++) {
+    const rw = randInt(rng, 2, Math.max(2, Math.min(5, width - 2)));
+    const rh = randInt(rng, 2, Math.max(2, Math.min(5, height - 2)));
+    const rx = randInt(rng, 0, width - rw);
+    const ry = randInt(rng, 0, height - rh);
+    let clear = true;
+    for (let y = Math.max(0, ry - 1); y < Math.min(height, ry + rh + 1) && clear; y++) {
+      for (let x = Math.max(0, rx - 1); x < Math.min(width, rx + rw + 1); x++) {
+        if (region[y][x] !== ROCK) { clear = false; break; }
+      }
+    }
+    if (!clear) continue;
+    carveRoom(layout, rx, ry, rw, rh);
+    i++;
+  }
+
+  // Maze through everything else; rooms can split it into several sections
+  const section = region.map(row => row.map(() => -1));
+  let sections = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (region[y][x] !== ROCK) continue;
+      region[y][x] = PASSAGE;
+      section[y][x] = sections;
+      const stack = [[x, y]];
+      while (stack.length) {
+        const [cx, cy] = stack[stack.length - 1];
+        const next = shuffle(rng, [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]])
+          .find(([nx, ny]) => region[ny]?.[nx] === ROCK);
+        if (!next) { stack.pop(); continue; }
+        const [nx, ny] = next;
+        region[ny][nx] = PASSAGE;
+        section[ny][nx] = sections;
+        openEdge(layout, cx, cy, nx, ny);
+        stack.push(next);
+      }
+      sections++;
+    }
+  }
+
+  for (const room of layout.rooms) {
+    const borders = new Map(); // section → candidate edges into it
+    for (let y = room.y; y < room.y + room.h; y++) {
+      for (let x = room.x; x < room.x + room.w; x++) {
+        for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+          if (region[ny]?.[nx] !== PASSAGE) continue;
+          const s = section[ny][nx];
+          if (!borders.has(s)) borders.set(s, []);
+          borders.get(s).push([x, y, nx, ny]);
+        }
+      }
+    }
+    for (const edges of borders.values()) openEdge(layout, ...pick(rng, edges));
+  }
+}
+
+// --- Layout → GameMap ---
+
+function buildMap(layout, palette, theme, rng) {
+  const { width, height, region } = layout;
+  const map = new GameMap(width, height);
+
+  const roomLight = new Map();
+  const roomFloor = new Map();
+  for (const room of layout.rooms) {
+    const light = theme.room + (rng() * 2 - 1) * theme.variance;
+    roomLight.set(room.id, Math.round(Math.max(0.1, Math.min(1, light)) * 10) / 10);
+    roomFloor.set(room.id, pick(rng, palette.rooms));
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const id = region[y][x];
+      map.cells[y][x] = id === ROCK
+        ? new Cell({
+          walls: WALL_N | WALL_S | WALL_E | WALL_W,
+          wallColor: palette.wall,
+          floorColor: '#1a1a1a',
+          light: 0,
+          solid: true,
+        })
+        : new Cell({
+          wallColor: palette.wall,
+          floorColor: id === PASSAGE ? palette.passage : roomFloor.get(id),
+          light: id === PASSAGE ? theme.passage : roomLight.get(id),
+        });
+    }
+  }
+
+  // Walls between open cells that aren't joined
+  const joined = (x1, y1, x2, y2) => {
+    const a = region[y1][x1];
+    const b = region[y2][x2];
+    if (a === ROCK || b === ROCK) return false;
+    if (layout.openings.has(edgeKey(x1, y1, x2, y2))) return true;
+    return a === b && (a !== PASSAGE || layout.joinPassages);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (region[y][x] === ROCK) continue;
+      const cell = map.cells[y][x];
+      if (x + 1 < width && !joined(x, y, x + 1, y)) cell.setWall(WALL_E, true);
+      if (y + 1 < height && !joined(x, y, x, y + 1)) cell.setWall(WALL_S, true);
+      if (x > 0 && region[y][x - 1] === ROCK) cell.setWall(WALL_W, true);
+      if (y > 0 && region[y - 1][x] === ROCK) cell.setWall(WALL_N, true);
+    }
+  }
+  map.buildBorderWalls();
+  map.syncWalls();
+
+  for (const { x, y, edge } of layout.doorways) {
+    if (rng() >= DOOR_CHANCE) continue;
+    const roll = rng();
+    map.setDoor(x, y, edge, {
+      open: false,
+      locked: roll < LOCKED_CHANCE,
+      secret: roll >= LOCKED_CHANCE && roll < LOCKED_CHANCE + SECRET_CHANCE,
+    });
+  }
+
+  return map;
+}
+
+/** Torch position on a cell, pushed against one of its walls. */
+const TORCH_SPOTS = {
+  N: { x: 0.5, y: 0.1 },
+  S: { x: 0.5, y: 0.9 },
+  W: { x: 0.1, y: 0.5 },
+  E: { x: 0.9, y: 0.5 },
+};
+
+function placeObjects(map, layout, style, theme, density, rng) {
+  const { region } = layout;
+  const put = (x, y, type, spot = { x: 0.5, y: 0.5 }) => {
+    map.cells[y][x].objects.push({ type, sprite: SPRITES[type], ...spot });
+  };
+  const wallEdges = (x, y) => Object.keys(TORCH_SPOTS)
+    .filter(edge => map.cells[y][x].hasWall(EDGE_FLAGS[edge]) && !map.cells[y][x].doors[edge]);
+
+  const passages = [];
+  for (let y = 0; y < layout.height; y++) {
+    for (let x = 0; x < layout.width; x++) {
+      if (region[y][x] === PASSAGE) passages.push([x, y]);
+    }
+  }
+
+  for (const room of layout.rooms) {
+    const cells = [];
+    for (let y = room.y; y < room.y + room.h; y++) {
+      for (let x = room.x; x < room.x + room.w; x++) cells.push([x, y]);
+    }
+    shuffle(rng, cells);
+
+    if (theme.torches) {
+      const spot = cells.find(([x, y]) => wallEdges(x, y).length > 0);
+      if (spot) put(spot[0], spot[1], 'torch', TORCH_SPOTS[pick(rng, wallEdges(spot[0], spot[1]))]);
+    }
+    const count = Math.round(cells.length * density * 0.2);
+    for (const [x, y] of cells.slice(0, count)) put(x, y, pick(rng, ROOM_OBJECTS));
+  }
+
+  // Passages: the odd torch and trap; caves also get their scattered finds here
+  for (const [x, y] of passages) {
+    const walls = wallEdges(x, y);
+    if (theme.torches && walls.length > 0 && rng() < 0.06) {
+      put(x, y, 'torch', TORCH_SPOTS[pick(rng, walls)]);
+    } else if (rng() < density * 0.03) {
+      put(x, y, 'trap');
+    } else if (style === 'caves' && rng() < density * 0.06) {
+      put(x, y, pick(rng, CAVE_OBJECTS));
+    }
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * EditHistory.js
+ *
+ * Undo/redo stack for map edits.
+ *
+ * Edits are recorded by snapshot: `begin(map)` before changing anything and
+ * `commit(map)` afterwards store a command holding the before/after state of
+ * just the cells and map settings that changed, so every kind of edit is
+ * covered without each tool describing its own changes. If the map was
+ * resized or swapped for another in between, the whole map is stored instead.
+ * Edits that aren't applied locally (e.g. server-authoritative doors) can push
+ * their own command with undo/redo methods.
+ *
+ * undo()/redo() return what they touched, so the caller can redraw and
+ * broadcast it:
+ *   { cells: { x, y }[], settings: object|null, replaced: boolean }
+ */
+
+import { GameMap, Cell, MAP_SETTING_KEYS } from './GameMap.js';
+
+/** Map-level fields covered by the history, besides the cells. */
+const SETTING_KEYS = ['backgroundAsset', ...Object.keys(MAP_SETTING_KEYS)];
+
+export class EditHistory {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.limit=100] – oldest edits are dropped beyond this
+   * @param {(map: GameMap) => void} [options.replaceMap] – swaps in a whole map;
+   *   needed to undo resizes and map replacements
+   */
+  constructor({ limit = 100, replaceMap = null } = {}) {
+    this.limit = limit;
+    this.replaceMap = replaceMap;
+    this.undoStack = [];
+    this.redoStack = [];
+    this._pending = null;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /** Whether an edit has begun and not yet been committed. */
+  get recording() {
+    return this._pending !== null;
+  }
+
+  /**
+   * Snapshot the map before an edit. Does nothing if an edit is already open,
+   * so a drag or slider can call it on every step.
+   * @param {GameMap} map
+   */
+  begin(map) {
+    if (this._pending) return;
+    this._pending = {
+      map,
+      width: map.width,
+      height: map.height,
+      settings: readSettings(map),
+      cells: map.cells.map(row => row.map(cellText)),
+    };
+  }
+
+  /**
+   * Close the open edit and record whatever changed since begin().
+   * @param {GameMap} map – the map as it is now
+   * @returns {boolean} whether anything was recorded
+   */
+  commit(map) {
+    const before = this._pending;
+    this._pending = null;
+    if (!before) return false;
+
+    if (map !== before.map || map.width !== before.width || map.height !== before.height) {
+      this.push(this._replacement(before, map));
+      return true;
+    }
+
+    const cells = [];
+    for (let y = 0; y < map.height; y++) {
+      for (let x = 0; x < map.width; x++) {
+        const after = cellText(map.cells[y][x]);
+        if (after !== before.cells[y][x]) cells.push({ x, y, before: before.cells[y][x], after });
+      }
+    }
+    const settingsBefore = {};
+    const settingsAfter = {};
+    for (const key of SETTING_KEYS) {
+      if (map[key] !== before.settings[key]) {
+        settingsBefore[key] = before.settings[key];
+        settingsAfter[key] = map[key];
+      }
+    }
+    if (cells.length === 0 && Object.keys(settingsAfter).length === 0) return false;
+
+    this.push({
+      undo: (target) => restore(target, cells, 'after', 'before', settingsAfter, settingsBefore),
+      redo: (target) => restore(target, cells, 'before', 'after', settingsBefore, settingsAfter),
+    });
+    return true;
+  }
+
+  /** Drop the open edit without recording it. */
+  cancel() {
+    this._pending = null;
+  }
+
+  /**
+   * Record a command. Starts a new branch: anything that could be redone is lost.
+   * @param {{ undo: (map: GameMap) => object, redo: (map: GameMap) => object }} command
+   */
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the latest edit.
+   * @param {GameMap} map – the map being edited
+   * @returns {{ cells: { x: number, y: number }[], settings: object|null, replaced: boolean }|null}
+   *   null if there was nothing to undo
+   */
+  undo(map) {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    this.redoStack.push(command);
+    return command.undo(map);
+  }
+
+  /**
+   * Redo the latest undone edit.
+   * @param {GameMap} map
+   * @returns {{ cells: { x: number, y: number }[], settings: object|null, replaced: boolean }|null}
+   */
+  redo(map) {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    this.undoStack.push(command);
+    return command.redo(map);
+  }
+
+  /** Forget everything, e.g. when a different map is loaded from outside the editor. */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._pending = null;
+  }
+
+  _replacement(before, map) {
+    const beforeText = JSON.stringify({
+      width: before.width,
+      height: before.height,
+      ...before.settings,
+      cells: before.cells.map(row => row.map(text => JSON.parse(text))),
+    });
+    const afterText = JSON.stringify(map.toJSON());
+    const swap = (text) => {
+      if (this.replaceMap) this.replaceMap(GameMap.fromJSON(JSON.parse(text)));
+      return { cells: [], settings: null, replaced: true };
+    };
+    return { undo: () => swap(beforeText), redo: () => swap(afterText) };
+  }
+}
+
+function cellText(cell) {
+  return JSON.stringify(cell.toJSON());
+}
+
+function readSettings(map) {
+  const settings = {};
+  for (const key of SETTING_KEYS) settings[key] = map[key];
+  return settings;
+}
+
+/**
+ * Move cells and settings from one recorded state to the other. A cell or
+ * setting that no longer matches the state being left has been changed since
+ * by someone else (a co-DM, the server), and is left alone.
+ */
+function restore(map, cells, from, to, settingsFrom, settingsTo) {
+  const touched = [];
+  for (const change of cells) {
+    const cell = map.getCell(change.x, change.y);
+    if (!cell || cellText(cell) !== change[from]) continue;
+    Object.assign(cell, new Cell(JSON.parse(change[to])));
+    touched.push({ x: change.x, y: change.y });
+  }
+
+  const settings = {};
+  for (const key of Object.keys(settingsTo)) {
+    if (map[key] !== settingsFrom[key]) continue;
+    map[key] = settingsTo[key];
+    settings[key] = settingsTo[key];
+  }
+
+  return {
+    cells: touched,
+    settings: Object.keys(settings).length ? settings : null,
+    replaced: false,
+  };
+}
@@ -12,6 +12,42 @@ export const WALL_S = 0b0010;
 export const WALL_E = 0b0100;
 export const WALL_W = 0b1000;
 
+// Edge letter ↔ wall flag lookups (doors and edge colours are keyed by letter)
+export const EDGE_FLAGS = { N: WALL_N, S: WALL_S, E: WALL_E, W: WALL_W };
+export const FLAG_EDGES = { [WALL_N]: 'N', [WALL_S]: 'S', [WALL_E]: 'E', [WALL_W]: 'W' };
+export const OPPOSITE_EDGE = { N: 'S', S: 'N', E: 'W', W: 'E' };
+
+/**
+ * Next state in the editor's door cycle:
+ * none → closed → open → locked → secret → none.
+ * @param {{ open: boolean, locked: boolean, secret: boolean } | null} door
+ * @returns {{ open: boolean, locked: boolean, secret: boolean } | null}
+ */
+export function nextDoorState(door) {
+  if (!door) return { open: false, locked: false, secret: false };
+  if (door.secret) return null;
+  if (door.locked) return { open: false, locked: false, secret: true };
+  if (door.open) return { open: false, locked: true, secret: false };
+  return { open: true, locked: false, secret: false };
+}
+
+/**
+ * Map-level settings that can be changed live (map diffs). The background image
+ * itself is only replaced with the whole map.
+ */
+export const MAP_SETTING_KEYS = {
+  wallColor: 'string',
+  floorOpacity: 'number',
+  gridOpacity: 'number',
+  bgOpacity: 'number',
+  bgOffsetX: 'number',
+  bgOffsetY: 'number',
+  bgScale: 'number',
+  dynamicFog: 'boolean',
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
 export class Cell {
   constructor({
     walls = 0,
@@ -19,9 +55,11 @@ export class Cell {
     ceilingColor = '#1a1a1a',
     wallColor = '#6b6b6b',
     wallEdgeColors = null,
+    doors = null,
     objects = [],
     light = 1.0,
     visible = true,
+    revealed = false,
     solid = false,
   } = {}) {
     this.walls = walls;           // bitmask of WALL_N | WALL_S | ...
@@ -29,9 +67,11 @@ export class Cell {
     this.ceilingColor = ceilingColor;
     this.wallColor = wallColor;
     this.wallEdgeColors = wallEdgeColors || {};  // { N?: string, S?: string, E?: string, W?: string }
+    this.doors = doors || {};      // { N?: Door, S?: Door, ... } – Door = { open, locked, secret }
     this.objects = objects;        // array of { type, sprite, x, y }
     this.light = light;           // 0..1 ambient light multiplier
     this.visible = visible;       // DM can hide cells entirely
+    this.revealed = revealed;     // DM can show cells outside line of sight
     this.solid = solid;           // true = solid rock block (no passable floor)
   }
 
@@ -47,6 +87,73 @@ export class Cell {
     if (on) this.walls |= flag;
     else this.walls &= ~flag;
   }
+
+  /** Door on an edge ('N' | 'S' | 'E' | 'W'), or null. */
+  getDoor(edge) {
+    return this.doors[edge] || null;
+  }
+
+  /**
+   * Copy serialised cell fields onto this cell. Fields that are missing or of
+   * the wrong type are ignored, so untrusted data (map diffs) can't corrupt it.
+   * @param {object} data – fields as produced by GameMap.toJSON()
+   */
+  assign(data) {
+    if (!isPlainObject(data)) return;
+    if (Number.isInteger(data.walls)) this.walls = data.walls & 0b1111;
+    for (const key of ['floorColor', 'ceilingColor', 'wallColor']) {
+      if (typeof data[key] === 'string') this[key] = data[key];
+    }
+    if (typeof data.light === 'number' && Number.isFinite(data.light)) {
+      this.light = Math.max(0, Math.min(1, data.light));
+    }
+    if (typeof data.visible === 'boolean') this.visible = data.visible;
+    if (typeof data.revealed === 'boolean') this.revealed = data.revealed;
+    if (typeof data.solid === 'boolean') this.solid = data.solid;
+    if (Array.isArray(data.objects)) this.objects = data.objects.filter(isPlainObject);
+    if (isPlainObject(data.wallEdgeColors)) this.wallEdgeColors = { ...data.wallEdgeColors };
+    if (isPlainObject(data.doors)) {
+      this.doors = {};
+      for (const [edge, door] of Object.entries(data.doors)) {
+        if (!EDGE_FLAGS[edge] || !isPlainObject(door)) continue;
+        this.doors[edge] = { open: !!door.open, locked: !!door.locked, secret: !!door.secret };
+      }
+    }
+  }
+
+  /** Serialise to a plain object (the per-cell part of GameMap.toJSON()). */
+  toJSON() {
+    const out = {
+      walls: this.walls,
+      floorColor: this.floorColor,
+      ceilingColor: this.ceilingColor,
+      wallColor: this.wallColor,
+      light: this.light,
+      visible: this.visible,
+      solid: this.solid,
+      objects: this.objects,
+    };
+    // Only include per-edge colors if any have been set
+    if (this.wallEdgeColors && Object.keys(this.wallEdgeColors).length > 0) {
+      out.wallEdgeColors = this.wallEdgeColors;
+    }
+    // Likewise for doors
+    if (this.doors && Object.keys(this.doors).length > 0) {
+      out.doors = this.doors;
+    }
+    if (this.revealed) out.revealed = true;
+    return out;
+  }
+
+  /**
+   * Whether the edge blocks movement and sight.
+   * A door sits in a wall, so the edge blocks unless the door is open.
+   */
+  blocks(flag) {
+    if (!this.hasWall(flag)) return false;
+    const door = this.doors[FLAG_EDGES[flag]];
+    return !(door && door.open);
+  }
 }
 
 export class GameMap {
@@ -61,7 +168,7 @@ export class GameMap {
     this.cells = [];
 
     // Background image (DM reference overlay)
-    this.backgroundImage = null; // data URL string or null
+    this.backgroundAsset = null; // asset ID (see Assets.js) or null
     this.bgOffsetX = 0;          // image offset in cells
     this.bgOffsetY = 0;
     this.bgScale = 1.0;          // scale factor relative to grid
@@ -72,6 +179,9 @@ export class GameMap {
     // Map-level wall color (DM can override for theme: brown for indoors, black for caves, etc.)
     this.wallColor = '';         // empty = use per-cell defaults
 
+    // Line-of-sight fog: players only see what their characters can see
+    this.dynamicFog = true;
+
     for (let y = 0; y < height; y++) {
       const row = [];
       for (let x = 0; x < width; x++) {
@@ -90,6 +200,128 @@ export class GameMap {
     return this.cells[y][x];
   }
 
+  /**
+   * The cell on the other side of an edge, with the matching edge letter.
+   * @returns {{ x: number, y: number, edge: string } | null}
+   */
+  neighbourAcross(x, y, edge) {
+    let nx = x, ny = y;
+    if (edge === 'N') ny--;
+    else if (edge === 'S') ny++;
+    else if (edge === 'E') nx++;
+    else if (edge === 'W') nx--;
+    if (!this.inBounds(nx, ny)) return null;
+    return { x: nx, y: ny, edge: OPPOSITE_EDGE[edge] };
+  }
+
+  /**
+   * Place, update or remove a door on an edge, mirrored on the adjacent cell.
+   * Placing a door also sets the wall on both sides; removing one leaves the wall.
+   * @param {number} x
+   * @param {number} y
+   * @param {string} edge – 'N' | 'S' | 'E' | 'W'
+   * @param {{ open?: boolean, locked?: boolean, secret?: boolean } | null} door
+   * @returns {{ x: number, y: number }[]} cells that were modified
+   */
+  setDoor(x, y, edge, door) {
+    const cell = this.getCell(x, y);
+    if (!cell || !EDGE_FLAGS[edge]) return [];
+    const touched = [{ x, y }];
+    const sides = [{ cell, edge }];
+    const across = this.neighbourAcross(x, y, edge);
+    if (across) {
+      sides.push({ cell: this.cells[across.y][across.x], edge: across.edge });
+      touched.push({ x: across.x, y: across.y });
+    }
+
+    for (const side of sides) {
+      if (door) {
+        side.cell.setWall(EDGE_FLAGS[side.edge], true);
+        side.cell.doors[side.edge] = {
+          open: !!door.open,
+          locked: !!door.locked,
+          secret: !!door.secret,
+        };
+      } else {
+        delete side.cell.doors[side.edge];
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Whether something can step from cell (x, y) across `edge` into the
+   * neighbouring cell: no wall or closed door on either face, and the
+   * neighbour exists and is not solid.
+   */
+  canStep(x, y, edge) {
+    const cell = this.getCell(x, y);
+    const across = this.neighbourAcross(x, y, edge);
+    if (!cell || !across) return false;
+    const next = this.cells[across.y][across.x];
+    if (next.solid) return false;
+    return !cell.blocks(EDGE_FLAGS[edge]) && !next.blocks(EDGE_FLAGS[across.edge]);
+  }
+
+  /**
+   * Whether a point can travel in a straight line from (x0, y0) to (x1, y1)
+   * without crossing a blocking edge or entering a solid cell.
+   * Walks the grid cells along the segment (DDA).
+   */
+  isPathClear(x0, y0, x1, y1) {
+    let cx = Math.floor(x0);
+    let cy = Math.floor(y0);
+    const tx = Math.floor(x1);
+    const ty = Math.floor(y1);
+    if (!this.inBounds(tx, ty)) return false;
+
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const tDeltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+    const tDeltaY = dy !== 0 ? Math.abs(1 / dy) : Infinity;
+    let tMaxX = dx !== 0 ? (dx > 0 ? cx + 1 - x0 : x0 - cx) * tDeltaX : Infinity;
+    let tMaxY = dy !== 0 ? (dy > 0 ? cy + 1 - y0 : y0 - cy) * tDeltaY : Infinity;
+
+    // Guard against runaway loops on degenerate input
+    let steps = Math.abs(tx - cx) + Math.abs(ty - cy) + 2;
+
+    while ((cx !== tx || cy !== ty) && steps-- > 0) {
+      if (tMaxX < tMaxY) {
+        const edge = dx > 0 ? 'E' : 'W';
+        if (!this.canStep(cx, cy, edge)) return false;
+        cx += dx > 0 ? 1 : -1;
+        tMaxX += tDeltaX;
+      } else {
+        const edge = dy > 0 ? 'S' : 'N';
+        if (!this.canStep(cx, cy, edge)) return false;
+        cy += dy > 0 ? 1 : -1;
+        tMaxY += tDeltaY;
+      }
+    }
+    return cx === tx && cy === ty;
+  }
+
+  /**
+   * Where new characters appear: the centre of the open (not solid) cell
+   * nearest to cell (2, 1), where they have always started.
+   * @returns {{ x: number, y: number }}
+   */
+  spawnPoint() {
+    let best = { x: 2, y: 1 };
+    let bestDist = Infinity;
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (this.cells[y][x].solid) continue;
+        const dist = (x - 2) ** 2 + (y - 1) ** 2;
+        if (dist < bestDist) {
+          best = { x, y };
+          bestDist = dist;
+        }
+      }
+    }
+    return { x: best.x + 0.5, y: best.y + 0.5 };
+  }
+
   /**
    * Build walls along the map border so the player can never walk off-edge.
    */
@@ -120,16 +352,42 @@ export class GameMap {
           this.cells[y + 1][x].setWall(WALL_N, true);
         if (cell.hasWall(WALL_N) && y - 1 >= 0)
           this.cells[y - 1][x].setWall(WALL_S, true);
+
+        // Mirror doors onto the opposite face as well
+        for (const edge of Object.keys(cell.doors)) {
+          const across = this.neighbourAcross(x, y, edge);
+          if (across && !this.cells[across.y][across.x].doors[across.edge]) {
+            this.setDoor(x, y, edge, cell.doors[edge]);
+          }
+        }
       }
     }
   }
 
+  /**
+   * Apply map-level settings, ignoring unknown keys and values of the wrong type.
+   * @param {object} settings – e.g. { wallColor: '#7a5c3a', dynamicFog: false }
+   * @returns {object} the settings that changed
+   */
+  applySettings(settings) {
+    const applied = {};
+    if (!isPlainObject(settings)) return applied;
+    for (const [key, type] of Object.entries(MAP_SETTING_KEYS)) {
+      const value = settings[key];
+      if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) continue;
+      if (this[key] === value) continue;
+      this[key] = value;
+      applied[key] = value;
+    }
+    return applied;
+  }
+
   /** Serialise to a plain object (for saving / networking later). */
   toJSON() {
     return {
       width: this.width,
       height: this.height,
-      backgroundImage: this.backgroundImage,
+      backgroundAsset: this.backgroundAsset,
       bgOffsetX: this.bgOffsetX,
       bgOffsetY: this.bgOffsetY,
       bgScale: this.bgScale,
@@ -137,31 +395,27 @@ export class GameMap {
       floorOpacity: this.floorOpacity,
       gridOpacity: this.gridOpacity,
       wallColor: this.wallColor,
-      cells: this.cells.map(row =>
-        row.map(c => {
-          const out = {
-            walls: c.walls,
-            floorColor: c.floorColor,
-            ceilingColor: c.ceilingColor,
-            wallColor: c.wallColor,
-            light: c.light,
-            visible: c.visible,
-            solid: c.solid,
-            objects: c.objects,
-          };
-          // Only include per-edge colors if any have been set
-          if (c.wallEdgeColors && Object.keys(c.wallEdgeColors).length > 0) {
-            out.wallEdgeColors = c.wallEdgeColors;
-          }
-          return out;
-        })
-      ),
+      dynamicFog: this.dynamicFog,
+      cells: this.cells.map(row => row.map(c => c.toJSON())),
     };
   }
 
+  /**
+   * Whether `data` has the shape fromJSON() needs: integer dimensions and a
+   * cells array with exactly that many rows and columns of cell objects.
+   * Map data from clients is checked with this before it is parsed or stored.
+   */
+  static isValidJSON(data) {
+    if (!isPlainObject(data)) return false;
+    const { width, height, cells } = data;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) return false;
+    return Array.isArray(cells) && cells.length === height
+      && cells.every(row => Array.isArray(row) && row.length === width && row.every(isPlainObject));
+  }
+
   static fromJSON(data) {
     const map = new GameMap(data.width, data.height);
-    map.backgroundImage = data.backgroundImage || null;
+    map.backgroundAsset = data.backgroundAsset || null;
     map.bgOffsetX = data.bgOffsetX ?? 0;
     map.bgOffsetY = data.bgOffsetY ?? 0;
     map.bgScale = data.bgScale ?? 1.0;
@@ -169,6 +423,8 @@ export class GameMap {
     map.floorOpacity = data.floorOpacity ?? 0.7;
     map.gridOpacity = data.gridOpacity ?? 0.12;
     map.wallColor = data.wallColor || '';
+    // Maps saved before line-of-sight fog existed keep showing everything
+    map.dynamicFog = data.dynamicFog ?? false;
     for (let y = 0; y < data.height; y++) {
       for (let x = 0; x < data.width; x++) {
         const src = data.cells[y][x];
@@ -0,0 +1,261 @@
+/**
+ * MapFiles.js
+ *
+ * Map files that can be carried from one server to another.
+ *
+ * Our own format is a GameMap's JSON with its background image embedded, so
+ * the file doesn't depend on the asset store it came from:
+ *   { format: 'dndcrawler-map', version: 1, map: { ...GameMap JSON },
+ *     assets: { [assetId]: 'data:image/png;base64,...' } }
+ *
+ * Universal VTT files (.dd2vtt / .uvtt, as exported by Dungeondraft and
+ * similar tools) are read into a GameMap: line-of-sight segments are snapped
+ * to cell edges and become walls, portals become doors, and lights brighten
+ * the cells they can see. Everything is measured in grid units from
+ * `resolution.map_origin`, which is also the image's top-left corner.
+ *
+ * Reading never touches the asset store: the background comes back as a data
+ * URL for the caller to upload, with `map.backgroundAsset` left empty.
+ */
+
+import { GameMap, EDGE_FLAGS } from './GameMap.js';
+
+export const MAP_FILE_FORMAT = 'dndcrawler-map';
+export const MAP_FILE_VERSION = 1;
+
+/** Grid size limits, the same as the map editor's. */
+const MIN_SIZE = 5;
+const MAX_SIZE = 100;
+
+/** Cell light bounds; the editor's darkest light level is 0.2. */
+const MIN_LIGHT = 0.2;
+const MAX_LIGHT = 1;
+
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+/** Leading base64 characters of each image type's signature. */
+const BASE64_SIGNATURES = [
+  { prefix: 'iVBORw0KGgo', mime: 'image/png' },
+  { prefix: '/9j/', mime: 'image/jpeg' },
+  { prefix: 'R0lGOD', mime: 'image/gif' },
+  { prefix: 'UklGR', mime: 'image/webp' },
+];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPoint = (p) => isPlainObject(p) && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+/**
+ * Build a self-contained map file.
+ * @param {object} mapData – GameMap JSON
+ * @param {Object<string, string>} [assets] – image data URLs by asset ID
+ * @returns {object}
+ */
+export function createMapFile(mapData, assets = {}) {
+  const embedded = {};
+  if (mapData.backgroundAsset && assets[mapData.backgroundAsset]) {
+    embedded[mapData.backgroundAsset] = assets[mapData.backgroundAsset];
+  }
+  return { format: MAP_FILE_FORMAT, version: MAP_FILE_VERSION, map: mapData, assets: embedded };
+}
+
+/**
+ * Read a map file in either of the supported formats.
+ * @param {object} data – parsed JSON
+ * @returns {{ map: GameMap, background: string|null, pixelsPerGrid: number|null }}
+ *   background: data URL of the image to upload and set as the map's background;
+ *   pixelsPerGrid: the image's grid size in pixels (Universal VTT only – the
+ *   caller sets bgScale from it once it knows the uploaded image's size)
+ * @throws {Error} if the file isn't a map file this version can read
+ */
+export function readMapFile(data) {
+  if (isPlainObject(data) && data.format === MAP_FILE_FORMAT) return readOwnFormat(data);
+  if (isUniversalVTT(data)) return fromUniversalVTT(data);
+  throw new Error('Not a map file');
+}
+
+/** True if `data` looks like a Universal VTT (.dd2vtt / .uvtt) file. */
+export function isUniversalVTT(data) {
+  return isPlainObject(data) && isPlainObject(data.resolution) && isPoint(data.resolution.map_size);
+}
+
+function readOwnFormat(data) {
+  if (!Number.isInteger(data.version) || data.version > MAP_FILE_VERSION) {
+    throw new Error('This map file was made by a newer version');
+  }
+  const mapData = data.map;
+  if (!isPlainObject(mapData) || !Array.isArray(mapData.cells)
+      || !Number.isInteger(mapData.width) || !Number.isInteger(mapData.height)) {
+    throw new Error('Map file has no map');
+  }
+  const map = GameMap.fromJSON(mapData);
+  const image = isPlainObject(data.assets) ? data.assets[mapData.backgroundAsset] : null;
+  map.backgroundAsset = null;
+  return {
+    map,
+    background: typeof image === 'string' && IMAGE_DATA_URL.test(image) ? image : null,
+    pixelsPerGrid: null,
+  };
+}
+
+// --- Universal VTT ---
+
+/**
+ * Convert a Universal VTT file into a GameMap. The grid is clamped to the
+ * editor's 5..100 cells per side; anything beyond is dropped.
+ * @param {object} data – parsed .dd2vtt / .uvtt JSON
+ * @returns {{ map: GameMap, background: string|null, pixelsPerGrid: number|null }}
+ */
+export function fromUniversalVTT(data) {
+  const { resolution } = data;
+  const origin = isPoint(resolution.map_origin) ? resolution.map_origin : { x: 0, y: 0 };
+  const toGrid = (p) => ({ x: p.x - origin.x, y: p.y - origin.y });
+
+  const width = clampSize(resolution.map_size.x);
+  const height = clampSize(resolution.map_size.y);
+  const map = new GameMap(width, height);
+
+  // Walls, including the object outlines added in format 0.3
+  const polylines = [
+    ...(Array.isArray(data.line_of_sight) ? data.line_of_sight : []),
+    ...(Array.isArray(data.objects_line_of_sight) ? data.objects_line_of_sight : []),
+  ];
+  for (const line of polylines) {
+    if (!Array.isArray(line)) continue;
+    const points = line.filter(isPoint).map(toGrid);
+    for (let i = 1; i < points.length; i++) {
+      for (const e of snapSegment(points[i - 1], points[i])) setWall(map, e.x, e.y, e.edge);
+    }
+  }
+
+  // Doors on the edges under each portal, or the edge nearest its centre
+  for (const portal of Array.isArray(data.portals) ? data.portals : []) {
+    if (!isPlainObject(portal)) continue;
+    const bounds = Array.isArray(portal.bounds) ? portal.bounds.filter(isPoint) : [];
+    let edges = bounds.length >= 2 ? snapSegment(toGrid(bounds[0]), toGrid(bounds[1])) : [];
+    if (!edges.length && isPoint(portal.position)) edges = [nearestEdge(toGrid(portal.position))];
+    const door = { open: portal.closed === false, locked: false, secret: false };
+    for (const e of edges) {
+      const side = edgeInBounds(map, e.x, e.y, e.edge);
+      if (side) map.setDoor(side.x, side.y, side.edge, door);
+    }
+  }
+
+  const lights = (Array.isArray(data.lights) ? data.lights : [])
+    .filter(l => isPlainObject(l) && isPoint(l.position) && Number.isFinite(l.range) && l.range > 0);
+  if (lights.length) applyLights(map, lights.map(l => ({ ...l, position: toGrid(l.position) })), data.environment);
+
+  const ppg = Number(resolution.pixels_per_grid);
+  const background = typeof data.image === 'string' && data.image ? imageDataUrl(data.image) : null;
+  return {
+    map,
+    background,
+    pixelsPerGrid: background && Number.isFinite(ppg) && ppg > 0 ? ppg : null,
+  };
+}
+
+function clampSize(n) {
+  return Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.ceil((Number(n) || 0) - 1e-6)));
+}
+
+/**
+ * Snap a segment's ends to the nearest grid corners and walk between them
+ * one cell edge at a time, staying as close to the segment as possible
+ * (diagonals become staircases).
+ * @returns {{ x: number, y: number, edge: string }[]} each edge as a cell and its N or W face
+ */
+function snapSegment(a, b) {
+  const ax = Math.round(a.x), ay = Math.round(a.y);
+  const bx = Math.round(b.x), by = Math.round(b.y);
+  const sx = Math.sign(bx - ax), sy = Math.sign(by - ay);
+  // Distance of a corner from the line through the snapped ends (unnormalised)
+  const off = (x, y) => Math.abs((x - ax) * (by - ay) - (y - ay) * (bx - ax));
+
+  const edges = [];
+  let x = ax, y = ay;
+  while (x !== bx || y !== by) {
+    const stepX = x !== bx && (y === by || off(x + sx, y) <= off(x, y + sy));
+    if (stepX) {
+      // Horizontal edge along grid line y, above the cell in column min(x, x + sx)
+      edges.push({ x: Math.min(x, x + sx), y, edge: 'N' });
+      x += sx;
+    } else {
+      // Vertical edge along grid line x, left of the cell in row min(y, y + sy)
+      edges.push({ x, y: Math.min(y, y + sy), edge: 'W' });
+      y += sy;
+    }
+  }
+  return edges;
+}
+
+/** The cell edge closest to a point. */
+function nearestEdge(p) {
+  const cx = Math.floor(p.x), cy = Math.floor(p.y);
+  const toVertical = Math.abs(p.x - Math.round(p.x));
+  const toHorizontal = Math.abs(p.y - Math.round(p.y));
+  return toHorizontal <= toVertical
+    ? { x: cx, y: Math.round(p.y), edge: 'N' }
+    : { x: Math.round(p.x), y: cy, edge: 'W' };
+}
+
+/**
+ * The face of an edge that lies inside the map: the given cell's, or the
+ * neighbour's for edges along the map's bottom or right border.
+ */
+function edgeInBounds(map, x, y, edge) {
+  if (map.inBounds(x, y)) return { x, y, edge };
+  const nx = edge === 'W' ? x - 1 : x;
+  const ny = edge === 'N' ? y - 1 : y;
+  if (!map.inBounds(nx, ny)) return null;
+  return { x: nx, y: ny, edge: edge === 'N' ? 'S' : 'E' };
+}
+
+/** Set a wall on both faces of an edge. */
+function setWall(map, x, y, edge) {
+  const side = edgeInBounds(map, x, y, edge);
+  if (!side) return;
+  map.cells[side.y][side.x].setWall(EDGE_FLAGS[side.edge], true);
+  const across = map.neighbourAcross(side.x, side.y, side.edge);
+  if (across) map.cells[across.y][across.x].setWall(EDGE_FLAGS[across.edge], true);
+}
+
+/**
+ * Light cells from the file's lights: each adds its intensity, fading to
+ * nothing at its range, to every cell centre it has a clear line to, on top
+ * of the ambient light. Light colours aren't kept – cells only have a level.
+ */
+function applyLights(map, lights, environment) {
+  const ambient = isPlainObject(environment) ? colorLuminance(environment.ambient_light) : null;
+  const base = ambient ?? MIN_LIGHT;
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      let level = base;
+      for (const light of lights) {
+        const { x: lx, y: ly } = light.position;
+        const d = Math.hypot(x + 0.5 - lx, y + 0.5 - ly);
+        if (d >= light.range) continue;
+        if (!map.isPathClear(lx, ly, x + 0.5, y + 0.5)) continue;
+        const intensity = Number.isFinite(light.intensity) ? light.intensity : 1;
+        level += intensity * (1 - d / light.range);
+      }
+      const clamped = Math.max(MIN_LIGHT, Math.min(MAX_LIGHT, level));
+      map.cells[y][x].light = Math.round(clamped * 100) / 100;
+    }
+  }
+}
+
+/** Relative luminance (0..1) of an "AARRGGBB" / "RRGGBB" hex colour, or null. */
+function colorLuminance(hex) {
+  if (typeof hex !== 'string' || !/^(?:[0-9a-f]{2})?[0-9a-f]{6}$/i.test(hex)) return null;
+  const rgb = hex.slice(-6);
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(rgb.slice(i, i + 2), 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** Turn a file's bare base64 image into a data URL, or null if it isn't a supported image. */
+function imageDataUrl(base64) {
+  const data = base64.replace(/\s+/g, '');
+  const sig = BASE64_SIGNATURES.find(s => data.startsWith(s.prefix));
+  if (!sig) return null;
+  const url = `data:${sig.mime};base64,${data}`;
+  return IMAGE_DATA_URL.test(url) ? url : null;
+}
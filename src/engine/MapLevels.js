@@ -0,0 +1,139 @@
+/**
+ * MapLevels.js
+ *
+ * A game's map as a stack of linked levels – floors of a tower, depths of a
+ * dungeon. Each level is an ordinary GameMap with an ID and a name; characters
+ * record the ID of the level they are on.
+ *
+ * Stairs and portals are cell objects with a `link` to a cell on another level:
+ *   { type: 'stairs', sprite: '🪜', x: 0.5, y: 0.5, link: { level: 1, x: 4, y: 7 } }
+ * A character standing in the cell can take them to the linked cell.
+ *
+ * Serialised as { levels: [{ id, name, map }] }. A plain GameMap JSON (games
+ * from before levels existed, saved maps) reads as a single level with ID 0.
+ */
+
+import { GameMap } from './GameMap.js';
+
+/** Object types that can carry a link; the DM's link tool places stairs where there is neither. */
+export const LINK_OBJECT_TYPES = ['stairs', 'portal'];
+
+/** Sprite for stairs placed by the link tool. */
+export const STAIRS_SPRITE = '🪜';
+
+export class MapLevels {
+  /**
+   * @param {{ id: number, name: string, map: GameMap }[]} [levels]
+   */
+  constructor(levels = []) {
+    this.levels = levels;
+  }
+
+  /** The level with this ID, or null. */
+  get(id) {
+    return this.levels.find(l => l.id === id) || null;
+  }
+
+  /**
+   * The ID of an existing level: `id` itself if there is such a level,
+   * otherwise the first level's (a character on a removed level lands there).
+   * @returns {number|null} null only if there are no levels at all
+   */
+  resolve(id) {
+    if (this.get(id)) return id;
+    return this.levels.length ? this.levels[0].id : null;
+  }
+
+  /** The map of level `id`, falling back to the first level like resolve(). */
+  getMap(id) {
+    const level = this.get(this.resolve(id));
+    return level ? level.map : null;
+  }
+
+  /** ID the next added level will get. */
+  nextId() {
+    return this.levels.reduce((max, l) => Math.max(max, l.id), -1) + 1;
+  }
+
+  /**
+   * Replace the map of level `id`, or add the level if there is none with that ID.
+   * @param {number} id
+   * @param {GameMap} map
+   * @param {string} [name] – for a new level; defaults to "Level <id + 1>"
+   * @returns {{ id: number, name: string, map: GameMap }}
+   */
+  set(id, map, name) {
+    const level = this.get(id);
+    if (level) {
+      level.map = map;
+      return level;
+    }
+    const added = { id, name: name || `Level ${id + 1}`, map };
+    this.levels.push(added);
+    return added;
+  }
+
+  /**
+   * Remove a level. The last remaining level can't be removed.
+   * @returns {boolean} whether it was removed
+   */
+  remove(id) {
+    if (this.levels.length <= 1 || !this.get(id)) return false;
+    this.levels = this.levels.filter(l => l.id !== id);
+    return true;
+  }
+
+  /**
+   * Where the stairs or portal in cell (x, y) of a level lead: the centre of
+   * the linked cell, provided that level exists and the cell is open floor.
+   * @param {number} id – level the character is on
+   * @param {number} x – cell column
+   * @param {number} y – cell row
+   * @returns {{ level: number, x: number, y: number } | null}
+   */
+  destination(id, x, y) {
+    const cell = this.getMap(id)?.getCell(x, y);
+    if (!cell) return null;
+    for (const obj of cell.objects) {
+      const link = obj.link;
+      if (!LINK_OBJECT_TYPES.includes(obj.type) || !link) continue;
+      if (!Number.isInteger(link.x) || !Number.isInteger(link.y)) continue;
+      const target = this.get(link.level)?.map.getCell(link.x, link.y);
+      if (!target || target.solid) continue;
+      return { level: link.level, x: link.x + 0.5, y: link.y + 0.5 };
+    }
+    return null;
+  }
+
+  /** Serialise to a plain object (what games.map_data holds). */
+  toJSON() {
+    return {
+      levels: this.levels.map(({ id, name, map }) => ({ id, name, map: map.toJSON() })),
+    };
+  }
+
+  /**
+   * Whether `data` is something fromJSON() can read: at least one level, each
+   * with a valid map, or a single valid GameMap JSON.
+   */
+  static isValidJSON(data) {
+    if (!Array.isArray(data?.levels)) return GameMap.isValidJSON(data);
+    return data.levels.length > 0
+      && data.levels.every(level => level && typeof level === 'object' && GameMap.isValidJSON(level.map));
+  }
+
+  /**
+   * @param {object} data – MapLevels.toJSON() output, or a single GameMap's JSON
+   * @returns {MapLevels}
+   */
+  static fromJSON(data) {
+    if (!Array.isArray(data.levels)) {
+      return new MapLevels([{ id: 0, name: 'Level 1', map: GameMap.fromJSON(data) }]);
+    }
+    return new MapLevels(data.levels.map((level, i) => ({
+      id: Number.isInteger(level.id) ? level.id : i,
+      name: typeof level.name === 'string' && level.name ? level.name : `Level ${i + 1}`,
+      map: GameMap.fromJSON(level.map),
+    })));
+  }
+}
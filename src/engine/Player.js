@@ -4,6 +4,8 @@
  */
 
 import { WALL_N, WALL_S, WALL_E, WALL_W } from './GameMap.js';
+import { normalizeConditions } from './Conditions.js';
+import { assetUrl } from './Assets.js';
 
 let _nextId = 1;
 
@@ -22,6 +24,7 @@ export class Player {
     this.className = ''; // e.g. "Fighter", "Wizard"
     this.ownerId = null;     // user ID who owns this character
     this.characterId = null; // database character ID (for save/update)
+    this.level = 0;          // ID of the map level the character is on (see MapLevels)
 
     // D&D movement speed (in feet). Each cell = 5ft.
     this.dndSpeed = 30;       // default 30ft = 6 cells per turn
@@ -31,11 +34,14 @@ export class Player {
     this.isMonster = false;
     this.hp = null;
     this.maxHp = null;
-    this.monsterImage = null;    // data URL for custom monster sprite
+    this.monsterImage = null;    // asset ID of a custom monster sprite
     this._monsterImageObj = null; // cached HTMLImageElement for rendering
     this.creatureType = 'humanoid'; // skeleton, goblin, orc, wolf, dragon, humanoid
     this.size = 'medium';           // small, medium, large
     this.hiddenFromPlayers = false;  // DM can hide monsters from player view
+
+    // Conditions (prone, restrained, custom…) — see Conditions.js
+    this.conditions = [];
   }
 
   /** Movement range in cells (each cell = 5ft). */
@@ -68,15 +74,16 @@ export class Player {
     p.ownerId = data.user_id;
     p.characterId = data.id;
     p.dndSpeed = data.speed ?? 30;
+    p.level = data.level ?? 0;
 
     // Monster fields
     p.isMonster = !!data.is_monster;
     p.hp = data.hp ?? null;
     p.maxHp = data.max_hp ?? null;
     p.monsterImage = data.monster_image || null;
-    if (p.monsterImage) {
+    if (assetUrl(p.monsterImage)) {
       p._monsterImageObj = new Image();
-      p._monsterImageObj.src = p.monsterImage;
+      p._monsterImageObj.src = assetUrl(p.monsterImage);
     }
 
     // Creature type and size
@@ -84,6 +91,7 @@ export class Player {
     p.size = data.size || 'medium';
     p.radius = p.collisionRadius; // override default based on size
     p.hiddenFromPlayers = !!data.hidden_from_players;
+    p.conditions = normalizeConditions(data.conditions);
 
     return p;
   }
@@ -140,21 +148,21 @@ export class Player {
         const cell = gameMap.getCell(cx, cy);
         if (!cell) return true; // out of bounds = solid
 
-        // Check walls of this cell vs the player circle
+        // Check walls (and closed doors) of this cell vs the player circle
         // North wall: at y = cy
-        if (cell.hasWall(WALL_N) && py - r < cy && py > cy - 0.5 && px + r > cx && px - r < cx + 1) {
+        if (cell.blocks(WALL_N) && py - r < cy && py > cy - 0.5 && px + r > cx && px - r < cx + 1) {
           return true;
         }
         // South wall: at y = cy + 1
-        if (cell.hasWall(WALL_S) && py + r > cy + 1 && py < cy + 1.5 && px + r > cx && px - r < cx + 1) {
+        if (cell.blocks(WALL_S) && py + r > cy + 1 && py < cy + 1.5 && px + r > cx && px - r < cx + 1) {
           return true;
         }
         // West wall: at x = cx
-        if (cell.hasWall(WALL_W) && px - r < cx && px > cx - 0.5 && py + r > cy && py - r < cy + 1) {
+        if (cell.blocks(WALL_W) && px - r < cx && px > cx - 0.5 && py + r > cy && py - r < cy + 1) {
           return true;
         }
         // East wall: at x = cx + 1
-        if (cell.hasWall(WALL_E) && px + r > cx + 1 && px < cx + 1.5 && py + r > cy && py - r < cy + 1) {
+        if (cell.blocks(WALL_E) && px + r > cx + 1 && px < cx + 1.5 && py + r > cy && py - r < cy + 1) {
           return true;
         }
       }
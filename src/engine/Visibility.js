@@ -0,0 +1,224 @@
+/**
+ * Line-of-sight visibility for dynamic fog of war.
+ *
+ * Sight is traced from the centre of each viewer's cell to a handful of
+ * sample points inside every target cell. A ray is blocked when it crosses
+ * a wall edge (WALL_N/S/E/W on either side of the boundary) or a closed
+ * door, or passes through a `solid` cell. Solid cells and walled cells that
+ * a ray reaches are themselves visible, so the edges of a room are always drawn.
+ */
+
+import { WALL_N, WALL_S, WALL_E, WALL_W } from './GameMap.js';
+
+// Sample points inside a target cell (fractions of a cell). The centre plus
+// four points just inside the corners, so partially visible cells still show.
+const SAMPLE_POINTS = [
+  [0.5, 0.5],
+  [0.08, 0.08],
+  [0.92, 0.08],
+  [0.08, 0.92],
+  [0.92, 0.92],
+];
+
+/**
+ * Check whether sight passes from cell (x, y) to its neighbour in direction `flag`.
+ * A wall or closed door on either side of the shared edge blocks.
+ */
+function edgeOpen(gameMap, x, y, flag) {
+  const cell = gameMap.getCell(x, y);
+  if (!cell) return false;
+  if (cell.blocks(flag)) return false;
+
+  let nx = x, ny = y, opposite;
+  if (flag === WALL_N) { ny--; opposite = WALL_S; }
+  else if (flag === WALL_S) { ny++; opposite = WALL_N; }
+  else if (flag === WALL_E) { nx++; opposite = WALL_W; }
+  else { nx--; opposite = WALL_E; }
+
+  const neighbour = gameMap.getCell(nx, ny);
+  if (!neighbour) return false;
+  return !neighbour.blocks(opposite);
+}
+
+/**
+ * Walk the grid from (x0, y0) to (x1, y1) with a DDA traversal.
+ * Returns true if the ray reaches the cell containing (x1, y1).
+ */
+function traceRay(gameMap, x0, y0, x1, y1) {
+  let cx = Math.floor(x0);
+  let cy = Math.floor(y0);
+  const tx = Math.floor(x1);
+  const ty = Math.floor(y1);
+
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const stepX = dx > 0 ? 1 : -1;
+  const stepY = dy > 0 ? 1 : -1;
+  const tDeltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+  const tDeltaY = dy !== 0 ? Math.abs(1 / dy) : Infinity;
+  let tMaxX = dx !== 0 ? (dx > 0 ? cx + 1 - x0 : x0 - cx) * tDeltaX : Infinity;
+  let tMaxY = dy !== 0 ? (dy > 0 ? cy + 1 - y0 : y0 - cy) * tDeltaY : Infinity;
+
+  // Guard against runaway loops on degenerate input
+  let steps = gameMap.width + gameMap.height + 2;
+
+  while ((cx !== tx || cy !== ty) && steps-- > 0) {
+    if (tMaxX < tMaxY) {
+      if (!edgeOpen(gameMap, cx, cy, stepX > 0 ? WALL_E : WALL_W)) return false;
+      cx += stepX;
+      tMaxX += tDeltaX;
+    } else {
+      if (!edgeOpen(gameMap, cx, cy, stepY > 0 ? WALL_S : WALL_N)) return false;
+      cy += stepY;
+      tMaxY += tDeltaY;
+    }
+
+    if (cx === tx && cy === ty) return true;
+
+    // Solid rock stops sight (but is itself visible when it is the target)
+    const cell = gameMap.getCell(cx, cy);
+    if (!cell || cell.solid) return false;
+  }
+  return cx === tx && cy === ty;
+}
+
+/**
+ * Compute the set of cells visible from a single grid cell.
+ * @param {import('./GameMap.js').GameMap} gameMap
+ * @param {number} originX – cell column
+ * @param {number} originY – cell row
+ * @param {Uint8Array} [out] – optional buffer (width * height) to mark visible cells in
+ * @returns {Uint8Array} 1 = visible, indexed by y * width + x
+ */
+export function computeVisibleCells(gameMap, originX, originY, out = null) {
+  const { width, height } = gameMap;
+  const visible = out || new Uint8Array(width * height);
+  if (!gameMap.inBounds(originX, originY)) return visible;
+
+  const ox = originX + 0.5;
+  const oy = originY + 0.5;
+  visible[originY * width + originX] = 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (visible[idx]) continue;
+      for (const [sx, sy] of SAMPLE_POINTS) {
+        if (traceRay(gameMap, ox, oy, x + sx, y + sy)) {
+          visible[idx] = 1;
+          break;
+        }
+      }
+    }
+  }
+  return visible;
+}
+
+/**
+ * Tracks what a player's characters can currently see and which cells they
+ * have explored before. Line of sight is only recomputed when a viewer moves
+ * to a different cell or the map changes (see `invalidate`).
+ */
+export class VisionTracker {
+  /**
+   * @param {string|null} [storageKey] – localStorage key for remembering explored cells
+   */
+  constructor(storageKey = null) {
+    this.storageKey = storageKey;
+    this.visible = null;   // Uint8Array – cells in line of sight right now
+    this.explored = null;  // Uint8Array – cells ever seen on this map
+    this._width = 0;
+    this._height = 0;
+    this._originKey = '';
+    this._dirty = true;
+  }
+
+  /** Force a recompute on the next update (call after wall / solid edits). */
+  invalidate() {
+    this._dirty = true;
+  }
+
+  /** Forget everything explored (e.g. when switching to a different map). */
+  reset() {
+    this.visible = null;
+    this.explored = null;
+    this._originKey = '';
+    this._dirty = true;
+    if (this.storageKey) {
+      try { localStorage.removeItem(this.storageKey); } catch { /* storage unavailable */ }
+    }
+  }
+
+  /**
+   * Recompute visibility for the given viewers if anything relevant changed.
+   * @param {import('./GameMap.js').GameMap} gameMap
+   * @param {{ x: number, y: number }[]} viewers – characters that grant sight
+   */
+  update(gameMap, viewers) {
+    if (gameMap.width !== this._width || gameMap.height !== this._height || !this.explored) {
+      this._width = gameMap.width;
+      this._height = gameMap.height;
+      this.explored = this._loadExplored(gameMap.width * gameMap.height);
+      this._dirty = true;
+    }
+
+    const cells = viewers.map(v => `${Math.floor(v.x)},${Math.floor(v.y)}`);
+    const originKey = cells.join('|');
+    if (!this._dirty && originKey === this._originKey) return;
+
+    this._originKey = originKey;
+    this._dirty = false;
+
+    const visible = new Uint8Array(gameMap.width * gameMap.height);
+    for (const v of viewers) {
+      computeVisibleCells(gameMap, Math.floor(v.x), Math.floor(v.y), visible);
+    }
+    this.visible = visible;
+
+    let changed = false;
+    for (let i = 0; i < visible.length; i++) {
+      if (visible[i] && !this.explored[i]) {
+        this.explored[i] = 1;
+        changed = true;
+      }
+    }
+    if (changed) this._saveExplored();
+  }
+
+  /** True if the cell is currently in line of sight. */
+  isVisible(x, y) {
+    if (!this.visible || x < 0 || y < 0 || x >= this._width || y >= this._height) return false;
+    return this.visible[y * this._width + x] === 1;
+  }
+
+  /** True if the cell has been seen at some point. */
+  isExplored(x, y) {
+    if (!this.explored || x < 0 || y < 0 || x >= this._width || y >= this._height) return false;
+    return this.explored[y * this._width + x] === 1;
+  }
+
+  _loadExplored(size) {
+    const explored = new Uint8Array(size);
+    if (!this.storageKey) return explored;
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (saved && saved.size === size && Array.isArray(saved.cells)) {
+        for (const i of saved.cells) {
+          if (i >= 0 && i < size) explored[i] = 1;
+        }
+      }
+    } catch { /* corrupt or unavailable storage — start fresh */ }
+    return explored;
+  }
+
+  _saveExplored() {
+    if (!this.storageKey) return;
+    const cells = [];
+    for (let i = 0; i < this.explored.length; i++) {
+      if (this.explored[i]) cells.push(i);
+    }
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ size: this.explored.length, cells }));
+    } catch { /* quota exceeded — memory only */ }
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * WallDetectWorker.js
+ *
+ * Web Worker that runs WallDetection off the main thread, so the map editor
+ * stays responsive while a large image is analysed.
+ *
+ * Message in:  { width, height, data, fallbackGrid } – RGBA pixels, plus the
+ *              grid to use if none can be found in the image
+ * Message out: { grid, gridDetected, walls, solids } or { error }
+ */
+
+import { toLuminance, detectGrid, detectFeatures } from './WallDetection.js';
+
+self.onmessage = (e) => {
+  const { width, height, data, fallbackGrid } = e.data;
+  try {
+    const gray = toLuminance({ width, height, data });
+    const detected = detectGrid(gray);
+    const grid = detected || fallbackGrid;
+    const { walls, solids } = detectFeatures(gray, grid);
+    self.postMessage({ grid, gridDetected: !!detected, walls, solids });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
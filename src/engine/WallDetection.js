@@ -0,0 +1,291 @@
+/**
+ * WallDetection.js
+ *
+ * Finds the grid in a battle-map image and suggests walls and solid cells.
+ * Pure functions over pixel data with no DOM access, so they can run in a Web
+ * Worker (see WallDetectWorker.js).
+ *
+ * Grid lines show up as evenly spaced peaks in the image's column and row
+ * profiles of thin-line contrast. The pitch whose "comb" lines up best with
+ * those peaks is the cell size. A wall is a grid edge that is clearly darker
+ * than the cells on either side, or that separates two very different cells.
+ * A solid cell is uniformly dark compared with the rest of the map.
+ */
+
+/** Smallest and largest grid pitch (image pixels per cell) searched for. */
+const MIN_PITCH = 12;
+const MAX_PITCH = 400;
+
+/** Minimum comb score (see combScore; both axes summed) for a grid to count as found. */
+const MIN_GRID_SCORE = 12;
+
+/** A grid also matches at multiples of its pitch; the smallest pitch scoring this close to the best wins. */
+const HARMONIC_RATIO = 0.8;
+
+/** An edge is a wall if it scores this much above the typical edge, and at least MIN_WALL_SCORE. */
+const WALL_MARGIN = 0.1;
+const MIN_WALL_SCORE = 0.12;
+
+/** A cell is solid if darker than both limits and no more varied than SOLID_MAX_STDDEV. */
+const SOLID_MAX_LUM = 0.25;
+const SOLID_RELATIVE_LUM = 0.45; // fraction of the median cell's brightness
+const SOLID_MAX_STDDEV = 0.08;
+
+/**
+ * Convert RGBA pixels to luminance in 0..1.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image – ImageData or alike
+ * @returns {{ width: number, height: number, lum: Float32Array }}
+ */
+export function toLuminance({ width, height, data }) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < lum.length; i++, p += 4) {
+    lum[i] = (0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) / 255;
+  }
+  return { width, height, lum };
+}
+
+/**
+ * Find the image's grid.
+ * Cell (x, y) covers image pixels originX + x * pitch .. originX + (x + 1) * pitch
+ * (likewise vertically). The origin is chosen so that a partial cell at the edge
+ * of the image is kept if at least half of it is visible, so it may be negative.
+ * @param {{ width: number, height: number, lum: Float32Array }} gray
+ * @returns {{ pitch: number, originX: number, originY: number, cols: number, rows: number }|null}
+ *   null if no convincing grid was found
+ */
+export function detectGrid(gray) {
+  const { width, height } = gray;
+  const maxPitch = Math.min(MAX_PITCH, width / 3, height / 3);
+  if (maxPitch < MIN_PITCH) return null;
+
+  const colProfile = lineProfile(gray, true);
+  const rowProfile = lineProfile(gray, false);
+  const scoreAt = (pitch) => {
+    const x = combScore(colProfile, pitch);
+    const y = combScore(rowProfile, pitch);
+    return { pitch, score: x.score + y.score, offsetX: x.offset, offsetY: y.offset };
+  };
+
+  // Step so that a pitch between two candidates is off by at most a pixel at
+  // the far side of the image, or the comb's teeth drift off the lines
+  const stepFor = (pitch) => pitch * 2 / Math.max(width, height);
+  const candidates = [];
+  for (let pitch = MIN_PITCH; pitch <= maxPitch; pitch += stepFor(pitch)) {
+    candidates.push(scoreAt(pitch));
+  }
+  const bestScore = Math.max(...candidates.map(c => c.score));
+  if (!(bestScore >= MIN_GRID_SCORE)) return null;
+
+  // Smallest pitch that scores nearly as well, then climb to the top of its peak
+  let i = candidates.findIndex(c => c.score >= bestScore * HARMONIC_RATIO);
+  while (i + 1 < candidates.length && candidates[i + 1].score > candidates[i].score) i++;
+
+  // Fine-tune between the neighbouring candidates
+  let chosen = candidates[i];
+  const coarse = chosen.pitch;
+  const fine = stepFor(coarse);
+  for (let pitch = coarse - fine; pitch <= coarse + fine; pitch += fine / 10) {
+    const c = scoreAt(pitch);
+    if (c.score > chosen.score) chosen = c;
+  }
+
+  const { pitch } = chosen;
+  const origin = (offset) => (offset > pitch / 2 ? offset - pitch : offset);
+  const originX = origin(chosen.offsetX);
+  const originY = origin(chosen.offsetY);
+  return {
+    pitch,
+    originX,
+    originY,
+    cols: Math.max(1, Math.round((width - originX) / pitch)),
+    rows: Math.max(1, Math.round((height - originY) / pitch)),
+  };
+}
+
+/**
+ * Suggest walls and solid cells for a grid laid over the image.
+ * Only interior edges are considered; the map border is left to "Add Border Walls".
+ * Walls are given as the N or W edge of the cell south / east of them.
+ * @param {{ width: number, height: number, lum: Float32Array }} gray
+ * @param {{ pitch: number, originX: number, originY: number, cols: number, rows: number }} grid
+ * @returns {{ walls: { x: number, y: number, edge: 'N'|'W', score: number }[],
+ *             solids: { x: number, y: number, score: number }[] }}
+ */
+export function detectFeatures(gray, { pitch, originX, originY, cols, rows }) {
+  // --- Solid cells ---
+  const stats = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const s = cellStats(gray, originX + x * pitch, originY + y * pitch, pitch);
+      if (s) stats.push({ x, y, ...s });
+    }
+  }
+  const medianLum = median(stats.map(s => s.mean));
+  const solidLimit = Math.min(SOLID_MAX_LUM, medianLum * SOLID_RELATIVE_LUM);
+  const solids = stats
+    .filter(s => s.mean < solidLimit && s.stddev < SOLID_MAX_STDDEV)
+    .map(s => ({ x: s.x, y: s.y, score: 1 - s.mean / solidLimit }));
+  const isSolid = new Set(solids.map(s => `${s.x},${s.y}`));
+
+  // --- Walls ---
+  const edges = [];
+  for (let y = 1; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const score = edgeScore(gray, true, originY + y * pitch, originX + x * pitch, pitch);
+      if (score !== null) edges.push({ x, y, edge: 'N', score, other: `${x},${y - 1}` });
+    }
+  }
+  for (let x = 1; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      const score = edgeScore(gray, false, originX + x * pitch, originY + y * pitch, pitch);
+      if (score !== null) edges.push({ x, y, edge: 'W', score, other: `${x - 1},${y}` });
+    }
+  }
+  // Most edges are open floor, so the median edge is what "no wall" looks like
+  const threshold = Math.max(MIN_WALL_SCORE, median(edges.map(e => e.score)) + WALL_MARGIN);
+  const walls = edges
+    .filter(e => e.score >= threshold && !(isSolid.has(`${e.x},${e.y}`) && isSolid.has(e.other)))
+    .map(({ x, y, edge, score }) => ({ x, y, edge, score }));
+
+  return { walls, solids };
+}
+
+// --- Grid detection helpers ---
+
+/**
+ * Thin-line strength per column (vertical = true) or per row, standardised to
+ * mean 0 and standard deviation 1.
+ */
+function lineProfile({ width, height, lum }, vertical) {
+  const length = vertical ? width : height;
+  const across = vertical ? height : width;
+  const stride = vertical ? 1 : width; // step between neighbouring columns / rows
+  const step = Math.max(1, Math.floor(across / 512));
+
+  const profile = new Float32Array(length);
+  for (let i = 1; i < length - 1; i++) {
+    let sum = 0;
+    for (let j = 0; j < across; j += step) {
+      const c = vertical ? j * width + i : i * width + j;
+      sum += Math.abs(2 * lum[c] - lum[c - stride] - lum[c + stride]);
+    }
+    profile[i] = sum;
+  }
+
+  // Light smoothing so a line falling between two pixels still scores
+  const smoothed = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    smoothed[i] = (profile[Math.max(0, i - 1)] + 2 * profile[i] + profile[Math.min(length - 1, i + 1)]) / 4;
+  }
+
+  let mean = 0;
+  for (const v of smoothed) mean += v;
+  mean /= length;
+  let variance = 0;
+  for (const v of smoothed) variance += (v - mean) ** 2;
+  const sd = Math.sqrt(variance / length) || 1;
+  return smoothed.map(v => (v - mean) / sd);
+}
+
+/**
+ * How well evenly spaced lines `pitch` apart match the profile's peaks, at the
+ * best whole-pixel offset. The score is the sum over the teeth divided by
+ * sqrt(teeth): on a featureless image it stays around 1 whatever the pitch, so
+ * large pitches with only a few teeth can't win by luck.
+ * @returns {{ score: number, offset: number }}
+ */
+function combScore(profile, pitch) {
+  let best = { score: -Infinity, offset: 0 };
+  for (let offset = 0; offset < pitch; offset++) {
+    let sum = 0;
+    let n = 0;
+    for (let k = 0; ; k++) {
+      const i = Math.round(offset + k * pitch);
+      if (i >= profile.length) break;
+      sum += profile[i];
+      n++;
+    }
+    if (n > 0 && sum / Math.sqrt(n) > best.score) best = { score: sum / Math.sqrt(n), offset };
+  }
+  return best;
+}
+
+// --- Feature detection helpers ---
+
+/** Luminance at (x, y), or NaN outside the image. */
+function pixel({ width, height, lum }, x, y) {
+  const px = Math.round(x);
+  const py = Math.round(y);
+  if (px < 0 || py < 0 || px >= width || py >= height) return NaN;
+  return lum[py * width + px];
+}
+
+/**
+ * Mean luminance across a line: `half` pixels either side of `line`, at
+ * position `t` along it.
+ */
+function acrossMean(gray, horizontal, line, t, half) {
+  let sum = 0;
+  let n = 0;
+  for (let d = -half; d <= half; d++) {
+    const v = horizontal ? pixel(gray, t, line + d) : pixel(gray, line + d, t);
+    if (!Number.isNaN(v)) { sum += v; n++; }
+  }
+  return n ? sum / n : NaN;
+}
+
+/**
+ * Wall score for one grid edge: how much darker the edge is than the cells
+ * either side, or how different those cells are from each other. Corners are
+ * skipped, where neighbouring walls would bleed in.
+ * @param {boolean} horizontal – true for an edge between two rows
+ * @param {number} line – the edge's y (horizontal) or x (vertical) in the image
+ * @param {number} start – where the edge begins along the other axis
+ * @returns {number|null} null if the edge lies outside the image
+ */
+function edgeScore(gray, horizontal, line, start, pitch) {
+  const band = Math.max(1, Math.round(pitch * 0.06));
+  const side = Math.max(band + 2, Math.round(pitch * 0.3));
+  const step = Math.max(1, pitch / 24);
+
+  let total = 0;
+  let n = 0;
+  for (let t = start + pitch * 0.2; t <= start + pitch * 0.8; t += step) {
+    const edge = acrossMean(gray, horizontal, line, t, band);
+    const a = acrossMean(gray, horizontal, line - side, t, 1);
+    const b = acrossMean(gray, horizontal, line + side, t, 1);
+    if (Number.isNaN(edge) || Number.isNaN(a) || Number.isNaN(b)) continue;
+    total += Math.max((a + b) / 2 - edge, Math.abs(a - b));
+    n++;
+  }
+  return n ? total / n : null;
+}
+
+/**
+ * Brightness of a cell's interior (the middle 60%, clear of its edges).
+ * @returns {{ mean: number, stddev: number }|null} null if the cell lies outside the image
+ */
+function cellStats(gray, left, top, pitch) {
+  const step = Math.max(1, pitch / 16);
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = top + pitch * 0.2; y <= top + pitch * 0.8; y += step) {
+    for (let x = left + pitch * 0.2; x <= left + pitch * 0.8; x += step) {
+      const v = pixel(gray, x, y);
+      if (Number.isNaN(v)) continue;
+      sum += v;
+      sumSq += v * v;
+      n++;
+    }
+  }
+  if (!n) return null;
+  const mean = sum / n;
+  return { mean, stddev: Math.sqrt(Math.max(0, sumSq / n - mean * mean)) };
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
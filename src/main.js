@@ -6,8 +6,11 @@
 
 import { createDemoMap } from './engine/DemoMap.js';
 import { GameMap } from './engine/GameMap.js';
+import { MapLevels } from './engine/MapLevels.js';
 import { Player } from './engine/Player.js';
 import { InputManager } from './engine/InputManager.js';
+import { VisionTracker } from './engine/Visibility.js';
+import { isImmobilized } from './engine/Conditions.js';
 import { MapRenderer2D } from './renderers/MapRenderer2D.js';
 import { RaycastRenderer } from './renderers/RaycastRenderer.js';
 import { DMTools } from './ui/DMTools.js';
@@ -20,25 +23,33 @@ import { AuthScreen } from './ui/AuthScreen.js';
 import { GameLobby } from './ui/GameLobby.js';
 import { MapCreator } from './ui/MapCreator.js';
 import { MapLibrary } from './ui/MapLibrary.js';
+import { EncounterLog } from './ui/EncounterLog.js';
+import { GameMembers } from './ui/GameMembers.js';
 import { UtilitiesPanel } from './ui/UtilitiesPanel.js';
+import { CharacterSheetPanel } from './ui/CharacterSheetPanel.js';
+import { AttackConfirmPanel } from './ui/AttackConfirmPanel.js';
 import {
   getCurrentUser, logout, getGameState, updateCharacter, saveMapData,
-  getMessages, createMonster, getSavedMaps, getSavedMap,
+  getMessages, createMonster, getSavedMaps, getSavedMap, acceptInvite,
 } from './services/api.js';
 import * as socket from './services/socket.js';
 
 // --- App state ---
 let currentUser = null;   // { id, username }
 let currentGameId = null;
-let currentRole = null;   // 'dm' | 'player'
+let currentRole = null;   // 'dm' | 'player' | 'spectator'
 let gamePlayers = [];     // [{ userId, username, role }] – all users in the game
-let gameMap = null;
+let levels = null;        // MapLevels – every level of the game's map
+let gameMap = null;       // map of the level being viewed
+let viewLevel = 0;        // ID of the level being viewed
 let players = [];
 let activePlayer = null;
 let authScreen = null;
 let gameLobby = null;
 let mapCreator = null;
 let mapLibraryInstance = null;
+let encounterLogInstance = null;
+let membersInstance = null;
 
 // --- DOM containers ---
 const authContainer = document.getElementById('auth-container');
@@ -46,12 +57,16 @@ const lobbyContainer = document.getElementById('lobby-container');
 const gameContainer = document.getElementById('game-container');
 const mapCreatorContainer = document.getElementById('map-creator-container');
 
+// Invite code from an invite link (?invite=...) waiting for the user to be logged in
+let pendingInvite = new URLSearchParams(window.location.search).get('invite');
+
 // --- Boot: check existing session ---
 function boot() {
   const user = getCurrentUser();
   if (user) {
     currentUser = user;
     showLobby();
+    if (pendingInvite) acceptPendingInvite();
   } else {
     showAuth();
   }
@@ -65,9 +80,27 @@ function showAuth() {
   authScreen = new AuthScreen(authContainer, (user) => {
     currentUser = user;
     showLobby();
+    if (pendingInvite) acceptPendingInvite();
   });
 }
 
+// --- Invite links: join with the granted role and go straight into the game ---
+async function acceptPendingInvite() {
+  const code = pendingInvite;
+  pendingInvite = null;
+  window.history.replaceState(null, '', window.location.pathname);
+
+  try {
+    const game = await acceptInvite(code);
+    currentGameId = game.id;
+    currentRole = game.role;
+    loadGame(game.id);
+  } catch (err) {
+    console.error('Failed to accept invite:', err);
+    alert(`Could not use invite link: ${err.message}`);
+  }
+}
+
 // --- Game lobby ---
 function showLobby() {
   hideAll();
@@ -81,9 +114,9 @@ function showLobby() {
       currentRole = game.role;
       loadGame(game.id);
     },
-    () => {
-      // Logout
-      logout();
+    (everywhere) => {
+      // Logout (of this session, or every session)
+      logout(everywhere);
       currentUser = null;
       showAuth();
     },
@@ -101,19 +134,26 @@ function showLobby() {
 }
 
 // --- Map Creator ---
-function showMapCreator(gameId, existingMapData) {
+/**
+ * Open the map editor on one level of a game's map.
+ * @param {number} gameId
+ * @param {object|null} existingMapData – the game's map (all levels), or null for a new map
+ * @param {number|null} [level=null] – level to edit; defaults to the first
+ */
+function showMapCreator(gameId, existingMapData, level = null) {
   hideAll();
   mapCreatorContainer.style.display = 'block';
 
-  const existingMap = existingMapData ? GameMap.fromJSON(existingMapData) : null;
+  const gameLevels = existingMapData ? MapLevels.fromJSON(existingMapData) : null;
+  const editLevel = gameLevels ? gameLevels.resolve(level) : null;
+  const existingMap = gameLevels ? gameLevels.getMap(editLevel) : null;
 
   mapCreator = new MapCreator(
     mapCreatorContainer,
     existingMap,
     (mapData) => {
-      // Save map to server, broadcast to connected players, then reload game view
-      saveMapData(gameId, mapData).then(() => {
-        socket.sendMapChange(mapData);
+      // Save the level to server (which sends it to connected players), then reload game view
+      saveMapData(gameId, mapData, editLevel).then(() => {
         loadGame(gameId);
       }).catch(err => {
         console.error('Failed to save map:', err);
@@ -134,8 +174,8 @@ function openMapLibraryInGame() {
   mapLibraryInstance = new MapLibrary(
     gameContainer,
     (mapData) => {
-      // Load the selected map into the current game
-      saveMapData(currentGameId, mapData).then(() => {
+      // Load the selected map into the level being viewed
+      saveMapData(currentGameId, mapData, viewLevel).then(() => {
         mapLibraryInstance.destroy();
         mapLibraryInstance = null;
         loadGame(currentGameId);
@@ -154,6 +194,50 @@ function openMapLibraryInGame() {
   );
 }
 
+// --- Encounter log (DM) ---
+function openEncounterLog() {
+  if (encounterLogInstance) return; // already open
+  encounterLogInstance = new EncounterLog(gameContainer, currentGameId, closeEncounterLog);
+}
+
+function closeEncounterLog() {
+  if (encounterLogInstance) {
+    encounterLogInstance.destroy();
+    encounterLogInstance = null;
+  }
+}
+
+// --- Members & invites (DM) ---
+function openMembers() {
+  if (membersInstance) return; // already open
+  membersInstance = new GameMembers(
+    gameContainer,
+    currentGameId,
+    currentUser,
+    closeMembers,
+    () => {
+      closeMembers();
+      leaveGame();
+    }
+  );
+}
+
+function closeMembers() {
+  if (membersInstance) {
+    membersInstance.destroy();
+    membersInstance = null;
+  }
+}
+
+// --- Leave the current game (removed from it, or it was deleted) ---
+function leaveGame() {
+  if (!currentGameId) return;
+  cleanup();
+  currentGameId = null;
+  currentRole = null;
+  showLobby();
+}
+
 // --- Load game and start ---
 async function loadGame(gameId) {
   hideAll();
@@ -171,23 +255,29 @@ async function loadGame(gameId) {
     }));
 
     // Load map
+    mapVersion = state.map_version ?? 0;
     if (state.map_data) {
-      gameMap = GameMap.fromJSON(state.map_data);
+      levels = MapLevels.fromJSON(state.map_data);
     } else {
       // New game – use demo map and save it
-      gameMap = createDemoMap();
+      levels = new MapLevels([{ id: 0, name: 'Level 1', map: createDemoMap() }]);
       if (currentRole === 'dm') {
-        saveMapData(gameId, gameMap.toJSON()).catch(() => {});
+        saveMapData(gameId, levels.toJSON()).catch(() => {});
       }
     }
 
-    // Load characters
+    // Load characters (one on a level that no longer exists is on the first)
     players = state.characters.map(c => Player.fromServerData(c));
+    for (const p of players) p.level = levels.resolve(p.level);
 
     // Select the user's first non-monster character, or first non-monster available
     const myChar = players.find(p => p.ownerId === currentUser.id && !p.isMonster);
     activePlayer = myChar || players.find(p => !p.isMonster) || players[0] || null;
 
+    // Start on the selected character's level
+    viewLevel = levels.resolve(activePlayer ? activePlayer.level : null);
+    gameMap = levels.getMap(viewLevel);
+
     initGameUI();
   } catch (err) {
     console.error('Failed to load game:', err);
@@ -210,6 +300,11 @@ function hideAll() {
 
 // --- Handle auth expiry ---
 window.addEventListener('auth-expired', () => {
+  if (currentGameId) {
+    cleanup();
+    currentGameId = null;
+    currentRole = null;
+  }
   currentUser = null;
   showAuth();
 });
@@ -228,14 +323,18 @@ let roster = null;
 let turnTracker = null;
 let chatPanel = null;
 let diceRoller = null;
+let vision = null;            // line-of-sight tracker for the viewed level (players only — DM sees everything)
+const visions = new Map();    // level → VisionTracker
+let followedPlayer = null;    // character (and its level) the view last followed, see followActiveLevel()
+let followedLevel = null;
 let animFrameId = null;
-let saveTimer = 0;
-let mapSaveTimer = 0;
+let mapVersion = 0;           // server map version the loaded map corresponds to
 
 // --- Turn / Action Mode state ---
 let actionModeEnabled = false;
 let turnOrder = [];           // [characterId, ...]
 let turnActiveIndex = -1;     // index into turnOrder
+let turnRound = 1;            // current combat round
 
 // --- Movement budget tracking (D&D movement speed enforcement) ---
 let turnDistanceMoved = {};   // { [characterId]: number } – cells moved this turn
@@ -258,6 +357,12 @@ let isMeasuring = false;
 let measurePoints = [];    // array of { x, y } waypoints (anchors/pivots)
 let measureEnd = null;     // { x, y } current cursor world coords (snapped)
 let utilitiesPanel = null;
+let sheetPanel = null;
+let attackPanel = null;       // DM queue of attack damage awaiting confirmation
+// --- Attack targeting state ---
+let attackMode = null;        // { macro, attackerId } while picking a target
+let attackHint = null;        // DOM hint shown while picking a target
+let attackHintTimeout = null;
 let yourTurnBanner = null;
 let yourTurnTimeout = null;
 
@@ -274,32 +379,54 @@ function initGameUI() {
   // Renderers
   renderer2d = new MapRenderer2D(canvas2d, gameMap);
   renderer2d.role = currentRole;
+  renderer2d.level = viewLevel;
   rendererFP = new RaycastRenderer(canvasFP, gameMap);
   rendererFP.role = currentRole;
+  rendererFP.level = viewLevel;
   rendererFP._loadFloorTexture();
 
+  // Line-of-sight fog — explored cells are remembered per game and level in localStorage
+  vision = visionFor(viewLevel);
+  renderer2d.vision = vision;
+  renderer2d.userId = currentUser.id;
+
   // DM Tools – pass role so it can hide for non-DMs
   dmTools = new DMTools(
     document.getElementById('toolbar'),
-    gameMap,
+    levels,
     renderer2d,
     currentRole,
     (enabled) => onActionModeToggle(enabled),
-    () => showMapCreator(currentGameId, gameMap.toJSON()),
+    () => showMapCreator(currentGameId, levels.toJSON(), viewLevel),
     // onCellEdit — broadcast cell changes to other players in real-time
-    (x, y, cellData) => {
-      socket.sendMapEdit(x, y, cellData);
+    (x, y, cellData, level) => {
+      socket.sendMapEdit(x, y, cellData, level);
     },
-    // onMapSwitch — DM selected a different map from the dropdown
+    // onMapSwitch — DM selected a different map for the viewed level from the dropdown
     (mapData) => {
-      applyNewMap(mapData);
-      socket.sendMapChange(mapData);
+      levels.set(viewLevel, GameMap.fromJSON(mapData));
+      applyNewMap(levels.toJSON(), viewLevel);
+      socket.sendMapChange(mapData, { level: viewLevel });
     },
     // onMapSettings — DM changed a map-level setting (e.g. wall color)
-    (settings) => {
-      socket.sendMapSettings(settings);
-    }
+    (settings, level) => {
+      socket.sendMapSettings(settings, level);
+    },
+    // onDoorChange — DM placed, cycled or removed a door (applied when the server echoes it)
+    (x, y, edge, door, level) => {
+      socket.sendDoorUpdate(x, y, edge, door, level);
+    },
+    // onOpenEncounterLog — review past and running encounters
+    () => openEncounterLog(),
+    // onOpenMembers — members, bans, invite codes and game settings
+    () => openMembers(),
+    // onViewLevel — DM picked a level to look at
+    (level) => showLevel(level),
+    // onAddLevel / onRemoveLevel
+    () => addLevel(),
+    (level) => removeLevel(level)
   );
+  dmTools.showLevel(viewLevel);
 
   // Load saved maps into the DM map selector dropdown
   if (currentRole === 'dm' && dmTools) {
@@ -324,6 +451,9 @@ function initGameUI() {
         if (diceRoller && player.characterId) {
           diceRoller.setActiveCharacter(player);
         }
+        if (sheetPanel && player.characterId) {
+          sheetPanel.setCharacter(player);
+        }
       }
     },
     (allPlayers) => { players = allPlayers; },
@@ -375,6 +505,14 @@ function initGameUI() {
     (characterId, hp) => {
       // DM changed monster HP — broadcast to other DM clients
       socket.sendMonsterHPUpdate(characterId, hp);
+    },
+    (characterId, conditions) => {
+      // Conditions added, removed or expired — persist + broadcast
+      socket.sendConditionsUpdate(characterId, conditions);
+    },
+    (characterIds, groupMonsters) => {
+      // Roll initiative on the server — results come back as initiative_roll/sort
+      socket.sendInitiativeRollRequest(characterIds, groupMonsters);
     }
   );
 
@@ -383,20 +521,35 @@ function initGameUI() {
     document.getElementById('chat-container'),
     currentUser,
     gamePlayers,
-    (content, recipientId, roll) => {
-      socket.sendChatMessage(content, recipientId, roll);
+    (content, recipientId) => {
+      socket.sendChatMessage(content, recipientId);
+    },
+    // Spectators watch and chat but don't roll
+    currentRole === 'spectator' ? null : (formula) => {
+      socket.sendRollRequest(formula);
     }
   );
 
-  // Dice Roller Panel
-  diceRoller = new DiceRoller(
-    document.getElementById('dice-roller-container'),
-    currentUser,
-    currentRole,
-    (content, recipientId, roll) => {
-      socket.sendChatMessage(content, recipientId, roll);
-    }
-  );
+  // Dice Roller Panel (not for spectators)
+  if (currentRole !== 'spectator') {
+    diceRoller = new DiceRoller(
+      document.getElementById('dice-roller-container'),
+      currentUser,
+      currentRole,
+      (formula, macroName, characterId) => {
+        socket.sendRollRequest(formula, macroName, null, characterId);
+      },
+      (macro) => startAttack(macro)
+    );
+  }
+
+  // Attack damage confirmations (DM only)
+  if (currentRole === 'dm') {
+    attackPanel = new AttackConfirmPanel(
+      document.getElementById('viewport'),
+      (attackId, apply, amount) => socket.sendAttackResolve(attackId, apply, amount)
+    );
+  }
 
   // Utilities panel (measurement tools, available to all users)
   utilitiesPanel = new UtilitiesPanel(
@@ -413,9 +566,28 @@ function initGameUI() {
     }
   );
 
-  // Set initial active character for macros + theme
-  if (activePlayer && activePlayer.characterId) {
+  // Character sheet panel (ability scores, skills, AC/HP/speed of the active character)
+  sheetPanel = new CharacterSheetPanel(
+    document.getElementById('sheet-container'),
+    (characterId, sheet) => {
+      const player = players.find(p => p.characterId === characterId);
+      if (player) {
+        player.hp = sheet.hp;
+        player.maxHp = sheet.maxHp;
+        player.dndSpeed = sheet.speed;
+      }
+      if (diceRoller && diceRoller.activeCharacterId === characterId) {
+        diceRoller.setSheet(sheet);
+      }
+      if (turnTracker) turnTracker._render();
+    },
+    currentRole,
+  );
+
+  // Set initial active character for macros + theme (spectators only follow a character)
+  if (activePlayer && activePlayer.characterId && currentRole !== 'spectator') {
     diceRoller.setActiveCharacter(activePlayer);
+    sheetPanel.setCharacter(activePlayer);
   }
 
   // Load chat history
@@ -428,7 +600,10 @@ function initGameUI() {
         senderName: m.sender_name,
         recipientId: m.recipient_id,
         content: m.content,
-        createdAt: m.created_at,
+        roll: m.roll || null,
+        // SQLite timestamps are UTC without a zone marker
+        createdAt: m.created_at && !m.created_at.endsWith('Z')
+          ? `${m.created_at.replace(' ', 'T')}Z` : m.created_at,
       }));
       chatPanel.loadHistory(normalized);
     }
@@ -444,9 +619,12 @@ function initGameUI() {
   const minimapCanvas = document.getElementById('minimap');
   if (minimapCanvas) {
     minimapRenderer = new MapRenderer2D(minimapCanvas, gameMap);
+    minimapRenderer.level = viewLevel;
     minimapRenderer.tileSize = 10;
     minimapRenderer.showGrid = false;
     minimapRenderer.wallThickness = 1;
+    minimapRenderer.vision = vision;
+    minimapRenderer.userId = currentUser.id;
   }
 
   // Scroll zoom
@@ -492,14 +670,12 @@ function initGameUI() {
   // Start game loop
   lastTime = 0;
   rosterRefreshTimer = 0;
-  saveTimer = 0;
-  mapSaveTimer = 0;
   animFrameId = requestAnimationFrame(gameLoop);
 
   updateCanvasVisibility();
 
   // --- WebSocket: connect and register handlers ---
-  socket.connect(currentGameId);
+  socket.connect(currentGameId, mapVersion);
 
   socket.onRemoteMove((msg) => {
     const player = players.find(p => p.characterId === msg.characterId);
@@ -510,10 +686,22 @@ function initGameUI() {
     }
   });
 
+  // --- Server rejected or clamped one of our moves — snap back to its position ---
+  socket.onMoveCorrection((msg) => {
+    const player = players.find(p => p.characterId === msg.characterId);
+    if (!player) return;
+    player.x = msg.x;
+    player.y = msg.y;
+    if (actionModeEnabled && msg.moved != null) {
+      turnDistanceMoved[msg.characterId] = msg.moved;
+    }
+  });
+
   socket.onCharacterAdded((msg) => {
     // Don't add if we already have this character
     if (players.find(p => p.characterId === msg.character.id)) return;
     const player = Player.fromServerData(msg.character);
+    player.level = levels.resolve(player.level);
     if (roster) roster.addPlayer(player, true);
     if (turnTracker) turnTracker.setPlayers(players);
   });
@@ -547,10 +735,12 @@ function initGameUI() {
         turnTracker.setPlayers(players);
       }
       turnTracker.setTurnState(msg);
+      // Saved rolls arrive with the turn state on (re)connect
+      if (msg.initiativeRolls) turnTracker.setInitiativeRolls(msg.initiativeRolls);
     }
-    // If action mode was disabled remotely, update DMTools toggle
-    if (!msg.enabled && dmTools) {
-      dmTools.setActionMode(false);
+    // Keep the DMTools toggle in sync (remote disable, or restored state on rejoin)
+    if (dmTools) {
+      dmTools.setActionMode(!!msg.enabled);
     }
   });
 
@@ -583,51 +773,92 @@ function initGameUI() {
     if (chatPanel) {
       chatPanel.addMessage(msg);
     }
+    // Our own server-rolled dice also go into the dice roller's history
+    if (diceRoller && msg.roll && msg.roll.verified && msg.senderId === currentUser.id) {
+      diceRoller.recordRoll(msg.roll);
+    }
+  });
+
+  socket.onRollError((msg) => {
+    console.warn(`[main] roll rejected (${msg.formula}):`, msg.error);
+  });
+
+  // --- Attacks ---
+  socket.onAttackError((msg) => {
+    showAttackHint(msg.error, true);
+  });
+
+  socket.onAttackPending((msg) => {
+    if (attackPanel) attackPanel.add(msg);
   });
 
-  // --- Monster HP update from server (DM only) ---
+  socket.onAttackResolved((msg) => {
+    if (attackPanel) attackPanel.remove(msg.attackId);
+  });
+
+  // --- HP update from server (DM only: manual edits and confirmed attack damage) ---
   socket.onMonsterHPUpdate((msg) => {
     const player = players.find(p => p.characterId === msg.characterId);
-    if (player && player.isMonster) {
+    if (player) {
       player.hp = msg.hp;
       // Re-render turn tracker if visible
       if (turnTracker) turnTracker._render();
     }
   });
 
-  // --- Map cell edit from server (real-time DM edits) ---
-  socket.onMapEdit((msg) => {
-    if (!gameMap || msg.x == null || msg.y == null || !msg.cellData) return;
-    const cell = gameMap.getCell(msg.x, msg.y);
-    if (cell) {
-      // Apply all cell properties from the broadcast
-      Object.assign(cell, {
-        walls: msg.cellData.walls ?? cell.walls,
-        floorColor: msg.cellData.floorColor ?? cell.floorColor,
-        ceilingColor: msg.cellData.ceilingColor ?? cell.ceilingColor,
-        wallColor: msg.cellData.wallColor ?? cell.wallColor,
-        light: msg.cellData.light ?? cell.light,
-        visible: msg.cellData.visible ?? cell.visible,
-        solid: msg.cellData.solid ?? cell.solid,
-        objects: msg.cellData.objects ?? cell.objects,
-      });
+  // --- Batched map edits from another DM (cells and map-level settings) ---
+  socket.onMapDiff((msg) => {
+    const level = msg.level ?? 0;
+    const map = levels && levels.get(level)?.map;
+    if (!map) return;
+    for (const { x, y, cell } of msg.cells) {
+      const target = map.getCell(x, y);
+      if (target) target.assign(cell);
     }
+    if (msg.settings && Object.keys(map.applySettings(msg.settings)).length > 0) {
+      if (dmTools && map === gameMap) dmTools.syncMapSettings();
+    }
+    // Walls or solid blocks may have changed — recompute line of sight
+    visions.get(level)?.invalidate();
   });
 
-  // --- Map change from server (live map switch) ---
+  // --- Map change from server (live map switch, or a level added or removed) ---
   socket.onMapChange((msg) => {
     if (!msg.mapData) return;
-    applyNewMap(msg.mapData);
+    applyNewMap(msg.mapData, msg.level ?? null);
   });
 
-  // --- Map settings update from server (e.g. wall color change) ---
-  socket.onMapSettings((msg) => {
-    if (!gameMap || !msg.settings) return;
-    if (msg.settings.wallColor !== undefined) {
-      gameMap.wallColor = msg.settings.wallColor;
-    }
-    if (msg.settings.floorOpacity !== undefined) {
-      gameMap.floorOpacity = msg.settings.floorOpacity;
+  // --- Full resync after missed map diffs: same map, so keep positions ---
+  socket.onMapSync((msg) => {
+    setLevels(msg.mapData);
+    for (const tracker of visions.values()) tracker.invalidate();
+  });
+
+  // --- Our map change was refused (the server's map comes back as a map_sync) ---
+  socket.onMapError((msg) => {
+    showAttackHint(`Map not saved: ${msg.error}`, true);
+  });
+
+  // --- Door opened, closed, locked or hidden (server echoes to everyone) ---
+  socket.onDoorUpdate((msg) => {
+    const level = msg.level ?? 0;
+    const map = levels && levels.get(level)?.map;
+    if (!map || msg.x == null || msg.y == null || !msg.edge) return;
+    map.setDoor(msg.x, msg.y, msg.edge, msg.door);
+    visions.get(level)?.invalidate();
+  });
+
+  // --- A character took stairs or a portal (server echoes to everyone) ---
+  socket.onCharacterLevel((msg) => {
+    const player = players.find(p => p.characterId === msg.characterId);
+    if (!player) return;
+    player.level = levels.resolve(msg.level);
+    player.x = msg.x;
+    player.y = msg.y;
+    // In action mode the turn's range circle and path start again on the new level
+    if (turnStartPositions[player.characterId]) {
+      turnStartPositions[player.characterId] = { x: msg.x, y: msg.y };
+      turnBreadcrumbs[player.characterId] = [{ x: msg.x, y: msg.y }];
     }
   });
 
@@ -640,6 +871,34 @@ function initGameUI() {
       if (roster) roster._renderList();
     }
   });
+
+  // --- Conditions changed (any client, including our own edits echoed back) ---
+  socket.onConditionsUpdate((msg) => {
+    const player = players.find(p => p.characterId === msg.characterId);
+    if (player) {
+      player.conditions = msg.conditions;
+      if (turnTracker) turnTracker._render();
+    }
+  });
+
+  // Kicked, banned or the game was deleted — back to the lobby
+  socket.onRemoved((msg) => {
+    leaveGame();
+    alert(msg.reason || 'You are no longer a member of this game.');
+  });
+
+  // Role changed (DM ownership transferred) — reload the game with the new UI
+  socket.onRoleChanged((msg) => {
+    if (msg.role !== currentRole && currentGameId) {
+      loadGame(currentGameId);
+    }
+  });
+
+  socket.onRateLimited((msg) => {
+    // Moves and drags are resent continuously; only mention what the user would miss
+    if (msg.messageType === 'move' || msg.messageType === 'dm_drag') return;
+    showAttackHint('Slow down – some of your actions were not sent', true);
+  });
 }
 
 function cleanup() {
@@ -686,6 +945,15 @@ function cleanup() {
   if (diceRollerEl) diceRollerEl.innerHTML = '';
   if (diceRoller) { diceRoller.destroy(); diceRoller = null; }
 
+  const sheetEl = document.getElementById('sheet-container');
+  if (sheetEl) sheetEl.innerHTML = '';
+  if (sheetPanel) { sheetPanel.destroy(); sheetPanel = null; }
+
+  if (attackPanel) { attackPanel.destroy(); attackPanel = null; }
+  cancelAttack();
+  closeEncounterLog();
+  closeMembers();
+
   const utilitiesEl = document.getElementById('utilities-container');
   if (utilitiesEl) utilitiesEl.innerHTML = '';
   if (utilitiesPanel) { utilitiesPanel.destroy(); utilitiesPanel = null; }
@@ -724,6 +992,10 @@ function cleanup() {
 
   renderer2d = null;
   rendererFP = null;
+  vision = null;
+  visions.clear();
+  followedPlayer = null;
+  followedLevel = null;
   minimapRenderer = null;
   dmTools = null;
   monsterPanel = null;
@@ -753,12 +1025,21 @@ function canControl(player) {
   return true;
 }
 
+/**
+ * Cells a character may move on its turn in action mode.
+ * Conditions like grappled or restrained drop it to zero (the server enforces the same).
+ */
+function movementBudgetCells(player) {
+  return isImmobilized(player.conditions) ? 0 : player.dndSpeedCells;
+}
+
 /** Add a monster to the game (DM only). */
 async function addMonster(monsterData) {
   if (currentRole !== 'dm' || !currentGameId) return;
 
   try {
-    const serverChar = await createMonster(currentGameId, monsterData);
+    // Monsters appear on the level the DM is looking at
+    const serverChar = await createMonster(currentGameId, { ...monsterData, level: viewLevel });
     const monsterPlayer = Player.fromServerData(serverChar);
 
     // Add to roster and players array
@@ -774,27 +1055,25 @@ async function addMonster(monsterData) {
 }
 
 /**
- * Apply a new map to the game (used for live map switching).
- * Replaces the gameMap, updates all renderer references, and resets positions.
- * @param {object} mapData – map JSON from GameMap.toJSON()
+ * Apply a new map to the game (used for live map switching): the whole map,
+ * or one level replaced, added or removed.
+ * Replaces the levels, updates all renderer references, and resets the
+ * positions of the characters on what changed.
+ * @param {object} mapData – all levels, from MapLevels.toJSON()
+ * @param {number|null} [level=null] – the level that changed; null if all did
  */
-function applyNewMap(mapData) {
-  gameMap = GameMap.fromJSON(mapData);
-
-  // Update all renderer references
-  if (renderer2d) {
-    renderer2d.gameMap = gameMap;
-    renderer2d._loadBgImage();
+function applyNewMap(mapData, level = null) {
+  // Characters on a removed level are moved to the first one by setLevels
+  const moved = players.filter(p => level == null || p.level === level);
+  setLevels(mapData, level);
+
+  // New map — forget explored cells from the previous one
+  for (const [id, tracker] of visions) {
+    if (level == null || id === level) tracker.reset();
   }
-  if (rendererFP) {
-    rendererFP.gameMap = gameMap;
-    rendererFP._loadFloorTexture();
-  }
-  if (minimapRenderer) minimapRenderer.gameMap = gameMap;
-  if (dmTools) dmTools.gameMap = gameMap;
 
-  // Reset all player positions to entrance area
-  for (const p of players) {
+  // Reset positions on the changed level to the entrance area
+  for (const p of moved) {
     p.x = 1.5;
     p.y = 1.5;
   }
@@ -805,11 +1084,112 @@ function applyNewMap(mapData) {
   } else if (renderer2d) {
     renderer2d.centreOn(gameMap.width / 2, gameMap.height / 2);
   }
+  // No save here: the server stores the map when it receives the change
+}
 
-  // Save map to server
-  if (currentRole === 'dm') {
-    saveMapData(currentGameId, mapData).catch(() => {});
+/**
+ * Swap in the game's levels and point every renderer and tool at them.
+ * @param {object} mapData – all levels, from MapLevels.toJSON()
+ * @param {number|null} [changed=null] – the only level that changed, if just one did
+ */
+function setLevels(mapData, changed = null) {
+  levels = MapLevels.fromJSON(mapData);
+  for (const p of players) p.level = levels.resolve(p.level);
+  if (dmTools) dmTools.setLevels(levels, levels.resolve(viewLevel), changed);
+  showLevel(viewLevel);
+  syncFirstPersonLevel();
+}
+
+/** View a level: point the 2D view, its fog and the DM tools at its map. */
+function showLevel(level) {
+  viewLevel = levels.resolve(level);
+  gameMap = levels.getMap(viewLevel);
+  vision = visionFor(viewLevel);
+  if (renderer2d) {
+    renderer2d.gameMap = gameMap;
+    renderer2d.level = viewLevel;
+    renderer2d.vision = vision;
+    renderer2d._loadBgImage();
   }
+  if (dmTools) dmTools.showLevel(viewLevel);
+}
+
+/**
+ * Point the first-person view and the minimap (drawn from the active
+ * character's eyes) at that character's level.
+ */
+function syncFirstPersonLevel() {
+  if (!activePlayer || !levels) return;
+  const level = levels.resolve(activePlayer.level);
+  const map = levels.getMap(level);
+  if (rendererFP && rendererFP.gameMap !== map) {
+    rendererFP.gameMap = map;
+    rendererFP._loadFloorTexture();
+  }
+  if (rendererFP) rendererFP.level = level;
+  if (minimapRenderer && minimapRenderer.gameMap !== map) {
+    minimapRenderer.gameMap = map;
+    minimapRenderer._loadBgImage();
+  }
+  if (minimapRenderer) {
+    minimapRenderer.level = level;
+    minimapRenderer.vision = visionFor(level);
+  }
+}
+
+/**
+ * Switch the view to the active character's level when a different character
+ * is selected or the selected one changes level. In between, the DM may look
+ * at any level.
+ */
+function followActiveLevel() {
+  if (!activePlayer || (activePlayer === followedPlayer && activePlayer.level === followedLevel)) return;
+  followedPlayer = activePlayer;
+  followedLevel = activePlayer.level;
+  if (activePlayer.level === viewLevel) return;
+  showLevel(activePlayer.level);
+  if (renderer2d) renderer2d.centreOn(activePlayer.x, activePlayer.y);
+}
+
+/**
+ * Line-of-sight tracker for a level (players only — null for the DM).
+ * Level 0 keeps the storage key from before games had levels.
+ */
+function visionFor(level) {
+  if (currentRole === 'dm') return null;
+  if (!visions.has(level)) {
+    const suffix = level === 0 ? '' : `_level${level}`;
+    visions.set(level, new VisionTracker(`dnd_explored_${currentGameId}_${currentUser.id}${suffix}`));
+  }
+  return visions.get(level);
+}
+
+/** Add a blank level the size of the viewed one and switch to it (DM only). */
+function addLevel() {
+  const map = new GameMap(gameMap.width, gameMap.height);
+  map.buildBorderWalls();
+  const level = levels.nextId();
+  const { name } = levels.set(level, map);
+  setLevels(levels.toJSON(), level);
+  showLevel(level);
+  socket.sendMapChange(map.toJSON(), { level, name });
+}
+
+/** Remove a level (DM only); characters on it move to the first level. */
+function removeLevel(level) {
+  const remaining = MapLevels.fromJSON(levels.toJSON());
+  if (!remaining.remove(level)) return;
+  applyNewMap(remaining.toJSON(), level);
+  socket.sendMapChange(null, { level, remove: true });
+}
+
+/** Take the stairs or portal under the active character; the server moves it. */
+function useStairs() {
+  if (!activePlayer || !activePlayer.characterId || !canControl(activePlayer)) return;
+  const cellX = Math.floor(activePlayer.x);
+  const cellY = Math.floor(activePlayer.y);
+  if (!levels.destination(activePlayer.level, cellX, cellY)) return;
+  socket.sendUseStairs(activePlayer.characterId);
 }
 
 /** Show a floating HTML input over the canvas to edit monster HP. */
@@ -922,6 +1302,13 @@ function onCanvasClick(e) {
   const x = e.clientX - rect.left;
   const y = e.clientY - rect.top;
 
+  // Picking an attack target takes over the click
+  if (attackMode && renderer2d) {
+    const world = renderer2d.screenToWorld(x, y);
+    pickAttackTarget(world.x, world.y);
+    return;
+  }
+
   // Check if DM clicked on a monster HP label
   if (currentRole === 'dm' && renderer2d) {
     const hpHit = renderer2d.getHPHitAtScreen(x, y);
@@ -931,7 +1318,128 @@ function onCanvasClick(e) {
     }
   }
 
-  if (dmTools) dmTools.handleClick(x, y);
+  if (dmTools && dmTools.handleClick(x, y)) return;
+
+  // Click a door to open or close it
+  if (!measureActive && renderer2d) {
+    const world = renderer2d.screenToWorld(x, y);
+    const hit = renderer2d.getDoorAtWorld(world.x, world.y);
+    if (hit) toggleDoor(hit.x, hit.y, hit.edge);
+  }
+}
+
+/**
+ * Start picking a target on the 2D map for an attack macro.
+ * The attacker is the macro's character, which the user must control.
+ * @param {{ id: number, name: string, characterId: number }} macro
+ */
+function startAttack(macro) {
+  const attacker = players.find(p => p.characterId === macro.characterId);
+  if (!attacker || !canControl(attacker)) {
+    showAttackHint('Select a character you control to attack with', true);
+    return;
+  }
+
+  // Measuring and targeting both own the map click
+  if (measureActive) {
+    measureActive = false;
+    isMeasuring = false;
+    measurePoints = [];
+    measureEnd = null;
+    if (utilitiesPanel) utilitiesPanel.setMeasureActive(false);
+  }
+
+  attackMode = { macro, attackerId: attacker.characterId };
+  const c2d = document.getElementById('canvas-2d');
+  if (c2d) c2d.style.cursor = 'crosshair';
+  showAttackHint(`${macro.name}: click a target · Esc to cancel`);
+}
+
+/** Leave attack targeting mode (no-op if not targeting). */
+function cancelAttack() {
+  if (!attackMode) return;
+  attackMode = null;
+  const c2d = document.getElementById('canvas-2d');
+  if (c2d) c2d.style.cursor = '';
+  hideAttackHint();
+}
+
+/** Attack the token under a world position, if it is a valid target. */
+function pickAttackTarget(worldX, worldY) {
+  const target = players.find(p =>
+    p.characterId &&
+    p.characterId !== attackMode.attackerId &&
+    Math.hypot(worldX - p.x, worldY - p.y) < 0.4 &&
+    (!renderer2d || renderer2d.isTokenVisible(p))
+  );
+  if (!target) return; // keep targeting until a token is clicked or Esc
+
+  socket.sendAttackRequest(attackMode.attackerId, target.characterId, attackMode.macro.id);
+  cancelAttack();
+}
+
+/**
+ * Show the attack hint above the map. Errors fade out on their own;
+ * the targeting prompt stays until targeting ends.
+ */
+function showAttackHint(text, isError = false) {
+  if (attackHintTimeout) { clearTimeout(attackHintTimeout); attackHintTimeout = null; }
+  if (!attackHint) {
+    attackHint = document.createElement('div');
+    attackHint.className = 'attack-hint';
+    const viewport = document.getElementById('viewport');
+    if (viewport) viewport.appendChild(attackHint);
+  }
+  attackHint.textContent = text;
+  attackHint.classList.toggle('error', isError);
+  if (isError) {
+    attackHintTimeout = setTimeout(hideAttackHint, 3000);
+  }
+}
+
+function hideAttackHint() {
+  if (attackHintTimeout) { clearTimeout(attackHintTimeout); attackHintTimeout = null; }
+  if (attackHint && attackHint.parentNode) {
+    attackHint.parentNode.removeChild(attackHint);
+  }
+  attackHint = null;
+}
+
+/** Max distance (in cells) from a character to a door's midpoint to operate it. */
+const DOOR_REACH = 1.5;
+
+/**
+ * Open or close the door on a cell edge.
+ * Players need a controllable character on the level within reach, and the
+ * door must be neither locked nor secret. The server validates and echoes the new state.
+ * @param {number} [level] – level the door is on; defaults to the viewed level
+ */
+function toggleDoor(x, y, edge, level = viewLevel) {
+  const map = levels && levels.get(level)?.map;
+  const cell = map && map.getCell(x, y);
+  const door = cell && cell.getDoor(edge);
+  if (!door) return;
+
+  if (currentRole !== 'dm') {
+    if (door.locked || door.secret) return;
+    if (!activePlayer || !canControl(activePlayer) || activePlayer.level !== level) return;
+    const midX = x + (edge === 'E' ? 1 : edge === 'W' ? 0 : 0.5);
+    const midY = y + (edge === 'S' ? 1 : edge === 'N' ? 0 : 0.5);
+    if (Math.hypot(activePlayer.x - midX, activePlayer.y - midY) > DOOR_REACH) return;
+  }
+
+  socket.sendDoorUpdate(x, y, edge, { ...door, open: !door.open }, level);
+}
+
+/** Toggle the door on the edge the active character is facing, if any. */
+function toggleFacingDoor() {
+  if (!activePlayer) return;
+  const cx = Math.floor(activePlayer.x);
+  const cy = Math.floor(activePlayer.y);
+  const dx = Math.cos(activePlayer.angle);
+  const dy = Math.sin(activePlayer.angle);
+  const edge = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'E' : 'W') : (dy > 0 ? 'S' : 'N');
+  toggleDoor(cx, cy, edge, activePlayer.level);
 }
 
 function onFPClick() {
@@ -996,10 +1504,21 @@ function onKeyDown(e) {
     _toggleAllRangeCircles();
   }
 
+  // F = open/close the door in front of the active character
+  if (e.code === 'KeyF') {
+    toggleFacingDoor();
+  }
+
+  // U = take the stairs or portal the active character stands on
+  if (e.code === 'KeyU') {
+    useStairs();
+  }
+
   if (e.code === 'Escape') {
     if (isPointerLocked) {
       document.exitPointerLock();
     }
+    cancelAttack();
     if (measureActive && utilitiesPanel) {
       measureActive = false;
       isMeasuring = false;
@@ -1029,6 +1548,14 @@ function onKeyDown(e) {
     }
   }
 
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) to undo / redo the DM's map edits
+  if (currentRole === 'dm' && dmTools && !mapCreator &&
+      (e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+    e.preventDefault();
+    if (e.code === 'KeyY' || e.shiftKey) dmTools.redo();
+    else dmTools.undo();
+  }
+
   // Ctrl+B to go back to lobby
   if (e.code === 'KeyB' && (e.ctrlKey || e.metaKey)) {
     e.preventDefault();
@@ -1064,10 +1591,13 @@ function applyTurnState(state) {
   const wasMyTurn = isMyTurn();
   const prevActiveCharId = (actionModeEnabled && turnOrder.length > 0 && turnActiveIndex >= 0)
     ? turnOrder[turnActiveIndex] : null;
+  const prevActiveIndex = turnActiveIndex;
+  const prevRound = turnRound;
 
   actionModeEnabled = state.enabled;
   turnOrder = state.order || [];
   turnActiveIndex = typeof state.activeIndex === 'number' ? state.activeIndex : -1;
+  turnRound = Number.isInteger(state.round) && state.round > 0 ? state.round : 1;
 
   if (!actionModeEnabled) {
     turnOrder = [];
@@ -1079,10 +1609,14 @@ function applyTurnState(state) {
     _hideLockInBtn();
   }
 
-  // Reset movement budget and record start position when active turn changes
+  // Reset movement budget and record start position on every new turn – also
+  // when the turn comes back to the same character, as it does each round
+  // for the only character in the order
   const newActiveCharId = (actionModeEnabled && turnOrder.length > 0 && turnActiveIndex >= 0)
     ? turnOrder[turnActiveIndex] : null;
-  if (newActiveCharId && newActiveCharId !== prevActiveCharId) {
+  const newTurn = newActiveCharId !== prevActiveCharId
+    || turnActiveIndex !== prevActiveIndex || turnRound !== prevRound;
+  if (newActiveCharId && newTurn) {
     turnDistanceMoved[newActiveCharId] = 0;
     movementLockedIn[newActiveCharId] = false;
     // Record where this character starts their turn (circle stays here)
@@ -1255,6 +1789,7 @@ function recenterCamera() {
   if (!renderer2d) return;
   const target = activePlayer || players[0];
   if (target) {
+    if (target.level !== viewLevel) showLevel(target.level);
     renderer2d.centreOn(target.x, target.y);
   }
 }
@@ -1270,6 +1805,12 @@ function onCanvasMouseDown(e) {
   const screenY = e.clientY - rect.top;
   const world = renderer2d.screenToWorld(screenX, screenY);
 
+  // --- Attack targeting: the click (see onCanvasClick) picks the target ---
+  if (attackMode) {
+    e.preventDefault();
+    return;
+  }
+
   // --- Measurement tool: intercept before drag/pan (snap to cell centres) ---
   if (measureActive) {
     const sx = Math.floor(world.x) + 0.5;
@@ -1286,7 +1827,7 @@ function onCanvasMouseDown(e) {
     const dx = world.x - player.x;
     const dy = world.y - player.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist < 0.4 && canControl(player)) {
+    if (dist < 0.4 && player.level === viewLevel && canControl(player)) {
       dragTarget = player;
       isDragging = true;
       canvas2d.style.cursor = 'grabbing';
@@ -1398,6 +1939,8 @@ function gameLoop(timestamp) {
   const dt = Math.min((timestamp - lastTime) / 1000, 0.05);
   lastTime = timestamp;
 
+  followActiveLevel();
+
   // --- Input ---
   if (input) {
     // WASD pans the 2D camera, QE zooms in/out — for everyone
@@ -1469,9 +2012,13 @@ function gameLoop(timestamp) {
         const movedDx = activePlayer.x - prevX;
         const movedDy = activePlayer.y - prevY;
         const frameDist = Math.sqrt(movedDx * movedDx + movedDy * movedDy);
-        if (frameDist > 0.001) {
-          turnDistanceMoved[activePlayer.characterId] =
-            (turnDistanceMoved[activePlayer.characterId] || 0) + frameDist;
+        const movedSoFar = turnDistanceMoved[activePlayer.characterId] || 0;
+        if (frameDist > 0.001 && movedSoFar + frameDist > movementBudgetCells(activePlayer)) {
+          // Out of movement — stay put (the server would clamp the move anyway)
+          activePlayer.x = prevX;
+          activePlayer.y = prevY;
+        } else if (frameDist > 0.001) {
+          turnDistanceMoved[activePlayer.characterId] = movedSoFar + frameDist;
 
           // Add breadcrumb waypoint (sample every ~0.15 cells to avoid excessive points)
           const crumbs = turnBreadcrumbs[activePlayer.characterId];
@@ -1509,6 +2056,7 @@ function gameLoop(timestamp) {
   /** Build a movementData entry for a given player character. */
   function _buildMovementEntry(p) {
     if (!p || !p.characterId || p.dndSpeedCells <= 0) return null;
+    if (p.level !== viewLevel) return null;
     const charId = p.characterId;
     // Check per-character visibility
     if (!isCircleVisible(charId)) return null;
@@ -1516,7 +2064,7 @@ function gameLoop(timestamp) {
     if (actionModeEnabled && turnStartPositions[charId]) {
       // Action mode with turn data: circle at turn start, breadcrumb trail
       const moved = turnDistanceMoved[charId] || 0;
-      const totalCells = p.dndSpeedCells;
+      const totalCells = movementBudgetCells(p);
       const remaining = Math.max(0, totalCells - moved);
       const startPos = turnStartPositions[charId];
       const crumbs = turnBreadcrumbs[charId] || [];
@@ -1526,7 +2074,7 @@ function gameLoop(timestamp) {
         remainingCells: remaining,
         totalCells,
         remainingFeet: Math.round(remaining * 5),
-        totalFeet: p.dndSpeed,
+        totalFeet: totalCells * 5,
         movedFeet: Math.round(moved * 5),
         overBudget: moved > totalCells,
         startX: startPos.x,
@@ -1571,6 +2119,15 @@ function gameLoop(timestamp) {
     if (entry) allMovementData.push(entry);
   }
 
+  // Line of sight from the user's own characters on the viewed level (falls back
+  // to the whole party there when the user has none, so they still see something)
+  if (vision && gameMap && gameMap.dynamicFog) {
+    const onLevel = players.filter(p => p.level === viewLevel && !p.isMonster);
+    let viewers = onLevel.filter(p => p.ownerId === currentUser.id);
+    if (viewers.length === 0) viewers = onLevel;
+    vision.update(gameMap, viewers);
+  }
+
   // Primary movement data (for HUD bar in first-person) — the active turn character's data
   const primaryMovementData = allMovementData.find(d => d.characterId === turnActiveCharId)
     || allMovementData[0] || null;
@@ -1583,6 +2140,7 @@ function gameLoop(timestamp) {
       renderer2d.draw(players, activePlayer, actionModeEnabled, turnActiveCharId, allMovementData, measureData);
     }
 
+    syncFirstPersonLevel();
     if (viewMode === 'fp' || viewMode === 'split') {
       rendererFP.draw(activePlayer, players, allMovementData, primaryMovementData);
     }
@@ -1605,54 +2163,8 @@ function gameLoop(timestamp) {
     if (roster) roster.refreshPositions();
   }
 
-  // Auto-save character positions every 3 seconds
-  saveTimer += dt;
-  if (saveTimer > 3) {
-    saveTimer = 0;
-    autoSavePositions();
-  }
-
-  // Auto-save map data every 30 seconds (DM only)
-  if (currentRole === 'dm') {
-    mapSaveTimer += dt;
-    if (mapSaveTimer > 30) {
-      mapSaveTimer = 0;
-      if (gameMap) {
-        saveMapData(currentGameId, gameMap.toJSON()).catch(() => {});
-      }
-    }
-  }
-
   animFrameId = requestAnimationFrame(gameLoop);
 }
 
-/** Save all characters owned by the current user (or all if DM). */
-function autoSavePositions() {
-  for (const p of players) {
-    if (!p.characterId) continue;
-    if (currentRole === 'dm' || p.ownerId === currentUser.id) {
-      updateCharacter(p.characterId, {
-        x: p.x,
-        y: p.y,
-        angle: p.angle,
-      }).catch(() => {}); // silent fail on save
-    }
-  }
-}
-
-// Save on page unload
-window.addEventListener('beforeunload', () => {
-  for (const p of players) {
-    if (!p.characterId) continue;
-    if (currentRole === 'dm' || (currentUser && p.ownerId === currentUser.id)) {
-      const data = JSON.stringify({ x: p.x, y: p.y, angle: p.angle });
-      navigator.sendBeacon(
-        `/api/characters/${p.characterId}`,
-        new Blob([data], { type: 'application/json' })
-      );
-    }
-  }
-});
-
 // --- Kick off ---
 boot();
@@ -4,6 +4,7 @@
  */
 
 import { WALL_N, WALL_S, WALL_E, WALL_W } from '../engine/GameMap.js';
+import { assetUrl } from '../engine/Assets.js';
 
 /** Parse a hex colour string (#rrggbb) to { r, g, b }. */
 function hexToRgb(hex) {
@@ -38,6 +39,12 @@ export class MapRenderer2D {
 
     // Role-based rendering (set externally)
     this.role = null;  // 'dm' | 'player'
+    this.userId = null; // current user ID — own tokens are never fogged
+    this.level = 0;     // ID of the map level shown — tokens on other levels are skipped
+
+    // Line-of-sight vision for dynamic fog (set externally, null = manual fog only)
+    /** @type {import('../engine/Visibility.js').VisionTracker|null} */
+    this.vision = null;
 
     // HP label hit areas for click-to-edit (populated each draw)
     this.hpHitAreas = [];
@@ -45,21 +52,22 @@ export class MapRenderer2D {
     // Solid-block fill colour
     this.solidColor = '#111';
 
-    // Background image (loaded from gameMap.backgroundImage data URL)
+    // Background image (loaded from the gameMap.backgroundAsset asset)
     this.bgImage = null;
     this._loadBgImage();
   }
 
-  /** Load background image from the gameMap data URL (if present). */
+  /** Load the gameMap's background image asset (if present). */
   _loadBgImage() {
     // Always clear stale image first so old backgrounds don't persist on map switch
     this.bgImage = null;
 
-    if (this.gameMap.backgroundImage) {
+    const url = assetUrl(this.gameMap.backgroundAsset);
+    if (url) {
       const img = new Image();
       img.onload = () => { this.bgImage = img; };
       img.onerror = () => { this.bgImage = null; };
-      img.src = this.gameMap.backgroundImage;
+      img.src = url;
     }
   }
 
@@ -100,7 +108,7 @@ export class MapRenderer2D {
     ctx.translate(-camera.x, -camera.y);
 
     // --- Background image (DM reference overlay) ---
-    if (this.bgImage && this.gameMap.backgroundImage) {
+    if (this.bgImage && this.gameMap.backgroundAsset) {
       ctx.save();
       ctx.globalAlpha = this.gameMap.bgOpacity;
       const imgW = this.bgImage.width * this.gameMap.bgScale * (ts / this.tileSize);
@@ -154,6 +162,7 @@ export class MapRenderer2D {
     ctx.lineCap = 'round';
 
     const mapWallColor = this.gameMap.wallColor;
+    const isDM = this.role === 'dm';
 
     for (let y = 0; y < gameMap.height; y++) {
       for (let x = 0; x < gameMap.width; x++) {
@@ -163,43 +172,65 @@ export class MapRenderer2D {
         const px = x * ts;
         const py = y * ts;
 
-        if (cell.hasWall(WALL_N)) {
+        if (cell.hasWall(WALL_N) && !this._showsDoor(cell, 'N', isDM)) {
           ctx.strokeStyle = mapWallColor || ec.N || cell.wallColor || this.wallColor;
           ctx.beginPath(); ctx.moveTo(px, py); ctx.lineTo(px + ts, py); ctx.stroke();
         }
-        if (cell.hasWall(WALL_S)) {
+        if (cell.hasWall(WALL_S) && !this._showsDoor(cell, 'S', isDM)) {
           ctx.strokeStyle = mapWallColor || ec.S || cell.wallColor || this.wallColor;
           ctx.beginPath(); ctx.moveTo(px, py + ts); ctx.lineTo(px + ts, py + ts); ctx.stroke();
         }
-        if (cell.hasWall(WALL_W)) {
+        if (cell.hasWall(WALL_W) && !this._showsDoor(cell, 'W', isDM)) {
           ctx.strokeStyle = mapWallColor || ec.W || cell.wallColor || this.wallColor;
           ctx.beginPath(); ctx.moveTo(px, py); ctx.lineTo(px, py + ts); ctx.stroke();
         }
-        if (cell.hasWall(WALL_E)) {
+        if (cell.hasWall(WALL_E) && !this._showsDoor(cell, 'E', isDM)) {
           ctx.strokeStyle = mapWallColor || ec.E || cell.wallColor || this.wallColor;
           ctx.beginPath(); ctx.moveTo(px + ts, py); ctx.lineTo(px + ts, py + ts); ctx.stroke();
         }
       }
     }
 
+    // --- Doors (drawn once per edge from the N/W side; mirrored doors cover S/E) ---
+    for (let y = 0; y < gameMap.height; y++) {
+      for (let x = 0; x < gameMap.width; x++) {
+        const cell = gameMap.cells[y][x];
+        for (const edge of ['N', 'W', 'S', 'E']) {
+          if (!this._showsDoor(cell, edge, isDM)) continue;
+          // S/E doors are drawn by the neighbouring cell unless this is the map edge
+          if (edge === 'S' && y < gameMap.height - 1) continue;
+          if (edge === 'E' && x < gameMap.width - 1) continue;
+          this._drawDoor(ctx, x, y, edge, cell.doors[edge], ts, z, isDM);
+        }
+      }
+    }
+
     // --- Fog of War overlay (after floor + walls, before objects & tokens) ---
-    const isDM = this.role === 'dm';
     for (let y = 0; y < gameMap.height; y++) {
       for (let x = 0; x < gameMap.width; x++) {
         const cell = gameMap.cells[y][x];
-        if (cell.solid) continue;
-        if (!cell.visible) {
-          const px = x * ts;
-          const py = y * ts;
-          if (isDM) {
-            // DM sees semi-transparent overlay so they can still see the map
-            ctx.fillStyle = 'rgba(0, 0, 40, 0.5)';
-          } else {
-            // Players see solid black fog
-            ctx.fillStyle = '#000';
+        const fog = this._fogState(x, y, cell, isDM);
+        const px = x * ts;
+        const py = y * ts;
+        if (fog === 'clear') {
+          // DM sees a warm tint on cells revealed outside line of sight
+          if (isDM && cell.revealed) {
+            ctx.fillStyle = 'rgba(255, 210, 90, 0.15)';
+            ctx.fillRect(px, py, ts, ts);
           }
-          ctx.fillRect(px, py, ts, ts);
+          continue;
         }
+        if (isDM) {
+          // DM sees semi-transparent overlay so they can still see the map
+          ctx.fillStyle = 'rgba(0, 0, 40, 0.5)';
+        } else if (fog === 'remembered') {
+          // Explored but out of sight — dimly remembered
+          ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        } else {
+          // Players see solid black fog
+          ctx.fillStyle = '#000';
+        }
+        ctx.fillRect(px, py, ts, ts);
       }
     }
 
@@ -210,36 +241,33 @@ export class MapRenderer2D {
     for (let y = 0; y < gameMap.height; y++) {
       for (let x = 0; x < gameMap.width; x++) {
         const cell = gameMap.cells[y][x];
-        // Skip objects in fogged cells for players
-        if (!isDM && !cell.visible) continue;
+        // Skip objects in fogged cells for players; remembered ones are drawn faded
+        const fog = isDM ? 'clear' : this._fogState(x, y, cell, false);
+        if (fog === 'hidden') continue;
+        const baseAlpha = fog === 'remembered' ? 0.4 : 1;
         for (const obj of cell.objects) {
           // Skip hidden objects for players; DM sees them dimmed
-          if (obj.hidden) {
-            if (!isDM) continue;
-            ctx.globalAlpha = 0.3;
-          }
+          if (obj.hidden && !isDM) continue;
+          ctx.globalAlpha = obj.hidden ? 0.3 : baseAlpha;
           const ox = (x + obj.x) * ts;
           const oy = (y + obj.y) * ts;
           ctx.fillText(obj.sprite, ox, oy);
-          if (obj.hidden) ctx.globalAlpha = 1;
         }
+        ctx.globalAlpha = 1;
       }
     }
 
     // --- Player tokens ---
     for (const player of players) {
+      if (player.level !== this.level) continue;
+
       // Skip hidden monsters for players (DM sees them dimmed)
       if (player.hiddenFromPlayers) {
         if (!isDM) continue; // players never see hidden monsters
       }
 
-      // Skip tokens in fogged cells for players
-      if (!isDM) {
-        const cellX = Math.floor(player.x);
-        const cellY = Math.floor(player.y);
-        const playerCell = gameMap.getCell(cellX, cellY);
-        if (playerCell && !playerCell.visible) continue;
-      }
+      // Skip tokens outside the player's current view (own tokens always show)
+      if (!isDM && !this._isOwnToken(player) && !this._inView(player)) continue;
 
       const px = player.x * ts;
       const py = player.y * ts;
@@ -307,6 +335,11 @@ export class MapRenderer2D {
       ctx.textAlign = 'center';
       ctx.fillText(player.name, px, py - r - 6 * z);
 
+      // Condition icons — a row off the token's top-right edge
+      if (player.conditions && player.conditions.length > 0) {
+        this._drawConditionIcons(ctx, player.conditions, px + r * 0.7, py - r * 0.7, z);
+      }
+
       // Monster HP label (DM only) — red background badge below token
       if (this.role === 'dm' && player.isMonster && player.hp !== undefined && player.hp !== null) {
         const hpText = `${player.hp}/${player.maxHp ?? '?'}`;
@@ -427,7 +460,7 @@ export class MapRenderer2D {
     }
 
     // --- FOV cone for active player ---
-    if (activePlayer) {
+    if (activePlayer && activePlayer.level === this.level) {
       const px = activePlayer.x * ts;
       const py = activePlayer.y * ts;
       const fovHalf = Math.PI / 4; // 45° half-angle
@@ -452,6 +485,142 @@ export class MapRenderer2D {
     ctx.restore();
   }
 
+  /**
+   * Fog state of a cell for the current viewer.
+   * The DM's manual `visible` flag always wins, then their `revealed` flag;
+   * otherwise, when the map uses dynamic fog, line of sight decides between
+   * clear, remembered and hidden.
+   * @returns {'clear'|'remembered'|'hidden'}
+   */
+  _fogState(x, y, cell, isDM) {
+    // Solid rock is never hand-fogged (it is already filled in)
+    if (!cell.visible && !cell.solid) return 'hidden';
+    if (cell.revealed) return 'clear';
+    if (isDM || !this.vision || !this.gameMap.dynamicFog) return 'clear';
+    if (this.vision.isVisible(x, y)) return 'clear';
+    return this.vision.isExplored(x, y) ? 'remembered' : 'hidden';
+  }
+
+  /** True if the edge should be drawn as a door (secret doors look like walls to players). */
+  _showsDoor(cell, edge, isDM) {
+    const door = cell.doors && cell.doors[edge];
+    return !!door && (isDM || !door.secret);
+  }
+
+  /**
+   * Draw a door on a cell edge. Closed doors are a solid wooden slab across
+   * the doorway; open doors are drawn swung into the cell as a thin leaf.
+   * Locked doors get a small padlock dot; the DM sees secret doors dashed.
+   */
+  _drawDoor(ctx, x, y, edge, door, ts, z, isDM) {
+    const horizontal = edge === 'N' || edge === 'S';
+    // Edge line start point and direction
+    const ex = (edge === 'E' ? x + 1 : x) * ts;
+    const ey = (edge === 'S' ? y + 1 : y) * ts;
+    const inset = ts * 0.12;
+    const thickness = Math.max(3, ts * 0.14);
+
+    ctx.save();
+    ctx.lineCap = 'butt';
+
+    // Door frame (the wall stubs either side of the opening)
+    ctx.strokeStyle = this.gameMap.wallColor || this.wallColor;
+    ctx.lineWidth = this.wallThickness * z;
+    ctx.beginPath();
+    if (horizontal) {
+      ctx.moveTo(ex, ey); ctx.lineTo(ex + inset, ey);
+      ctx.moveTo(ex + ts - inset, ey); ctx.lineTo(ex + ts, ey);
+    } else {
+      ctx.moveTo(ex, ey); ctx.lineTo(ex, ey + inset);
+      ctx.moveTo(ex, ey + ts - inset); ctx.lineTo(ex, ey + ts);
+    }
+    ctx.stroke();
+
+    if (door.secret && isDM) ctx.setLineDash([4 * z, 3 * z]);
+    ctx.strokeStyle = door.secret ? '#9b7fc4' : '#8b5a2b';
+
+    if (door.open) {
+      // Leaf swung 90° from the hinge into the cell below / right of the edge
+      ctx.lineWidth = Math.max(2, thickness * 0.4);
+      ctx.beginPath();
+      if (horizontal) {
+        ctx.moveTo(ex + inset, ey);
+        ctx.lineTo(ex + inset, ey + ts - inset * 2);
+      } else {
+        ctx.moveTo(ex, ey + inset);
+        ctx.lineTo(ex + ts - inset * 2, ey + inset);
+      }
+      ctx.stroke();
+    } else {
+      ctx.lineWidth = thickness;
+      ctx.beginPath();
+      if (horizontal) {
+        ctx.moveTo(ex + inset, ey); ctx.lineTo(ex + ts - inset, ey);
+      } else {
+        ctx.moveTo(ex, ey + inset); ctx.lineTo(ex, ey + ts - inset);
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Padlock marker for locked doors
+    if (door.locked) {
+      const cx = horizontal ? ex + ts / 2 : ex;
+      const cy = horizontal ? ey : ey + ts / 2;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Math.max(2.5, ts * 0.07), 0, Math.PI * 2);
+      ctx.fillStyle = '#d4af37';
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Find the door edge nearest a world position (within `threshold` of the edge).
+   * @returns {{ x: number, y: number, edge: string, door: object } | null}
+   */
+  getDoorAtWorld(worldX, worldY, threshold = 0.2) {
+    const gx = Math.floor(worldX);
+    const gy = Math.floor(worldY);
+    const cell = this.gameMap.getCell(gx, gy);
+    if (!cell) return null;
+    const fx = worldX - gx;
+    const fy = worldY - gy;
+
+    let edge = null;
+    if (fy < threshold) edge = 'N';
+    else if (fy > 1 - threshold) edge = 'S';
+    else if (fx < threshold) edge = 'W';
+    else if (fx > 1 - threshold) edge = 'E';
+    if (!edge || !cell.doors[edge]) return null;
+    return { x: gx, y: gy, edge, door: cell.doors[edge] };
+  }
+
+  /** True if the token belongs to the viewing user (always drawn for them). */
+  _isOwnToken(player) {
+    return this.userId != null && player.ownerId === this.userId && !player.isMonster;
+  }
+
+  /** True if the token's cell is clear of fog for a player. */
+  _inView(player) {
+    const cellX = Math.floor(player.x);
+    const cellY = Math.floor(player.y);
+    const cell = this.gameMap && this.gameMap.getCell(cellX, cellY);
+    return !cell || this._fogState(cellX, cellY, cell, false) === 'clear';
+  }
+
+  /**
+   * Whether a token is drawn for the current viewer: only tokens on the level
+   * shown; there the DM sees everything, players see their own tokens plus
+   * unhidden tokens in view.
+   */
+  isTokenVisible(player) {
+    if (player.level !== this.level) return false;
+    if (this.role === 'dm') return true;
+    if (player.hiddenFromPlayers) return false;
+    return this._isOwnToken(player) || this._inView(player);
+  }
+
   /**
    * Parse a CSS hex colour into {r,g,b} (0-255).
    */
@@ -646,6 +815,30 @@ export class MapRenderer2D {
     return { x: Math.floor(worldX), y: Math.floor(worldY) };
   }
 
+  /**
+   * Draw condition emoji in a row starting at (x, y); past four, the rest
+   * collapse into a "+N" badge.
+   */
+  _drawConditionIcons(ctx, conditions, x, y, z) {
+    const MAX_ICONS = 4;
+    const size = Math.max(8, 9 * z);
+    ctx.save();
+    ctx.font = `${size}px serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let ix = x;
+    for (const c of conditions.slice(0, MAX_ICONS)) {
+      ctx.fillText(c.icon, ix, y);
+      ix += size * 1.1;
+    }
+    if (conditions.length > MAX_ICONS) {
+      ctx.font = `bold ${size * 0.8}px sans-serif`;
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`+${conditions.length - MAX_ICONS}`, ix, y);
+    }
+    ctx.restore();
+  }
+
   /** Convert canvas pixel coords to world coords. */
   screenToWorld(screenX, screenY) {
     const z = this.camera.zoom;
@@ -5,6 +5,7 @@
  */
 
 import { WALL_N, WALL_S, WALL_E, WALL_W } from '../engine/GameMap.js';
+import { assetUrl } from '../engine/Assets.js';
 import { drawCreature } from './CreatureSprites.js';
 
 /** Parse a hex colour string (#rrggbb) to { r, g, b }. */
@@ -27,6 +28,7 @@ export class RaycastRenderer {
 
     // Role-based rendering (set externally)
     this.role = null;  // 'dm' | 'player'
+    this.level = 0;    // ID of the map level shown — characters on other levels are skipped
 
     // Rendering settings
     this.fov = Math.PI / 3; // 60° field of view
@@ -40,7 +42,7 @@ export class RaycastRenderer {
     this.fogDensity = 0.08;
     this.ambientLight = 0.25;
 
-    // Floor texture (loaded from gameMap.backgroundImage for textured floor rendering)
+    // Floor texture (loaded from gameMap.backgroundAsset for textured floor rendering)
     this._floorTexture = null;      // Uint8ClampedArray pixel data [r,g,b,a, ...]
     this._floorTextureW = 0;        // texture pixel width
     this._floorTextureH = 0;        // texture pixel height
@@ -60,7 +62,8 @@ export class RaycastRenderer {
     this._floorTextureW = 0;
     this._floorTextureH = 0;
 
-    if (!this.gameMap || !this.gameMap.backgroundImage) return;
+    const url = this.gameMap && assetUrl(this.gameMap.backgroundAsset);
+    if (!url) return;
 
     const img = new Image();
     img.onload = () => {
@@ -77,7 +80,7 @@ export class RaycastRenderer {
     img.onerror = () => {
       this._floorTexture = null;
     };
-    img.src = this.gameMap.backgroundImage;
+    img.src = url;
   }
 
   resize() {
@@ -173,13 +176,16 @@ export class RaycastRenderer {
 
       const color = this._shadeColor(wallColorBase, lightFactor, fogFactor);
 
+      // Doors get a procedural texture (secret doors look like plain wall to players)
+      const door = (result.door && (this.role === 'dm' || !result.door.secret)) ? result.door : null;
+      const strip = { x: i, y: drawStart, h: lineHeight, color, door, wallX: result.wallX, lightFactor, fogFactor };
+
       if (hasFloorTexture) {
         // Defer wall drawing until after textured floor is blitted
-        wallStrips.push({ x: i, y: drawStart, h: lineHeight, color });
+        wallStrips.push(strip);
       } else {
         // No texture: draw wall strips immediately on top of gradient
-        ctx.fillStyle = color;
-        ctx.fillRect(i, drawStart, 1, lineHeight);
+        this._drawWallStrip(strip);
       }
     }
 
@@ -187,8 +193,7 @@ export class RaycastRenderer {
     if (hasFloorTexture) {
       this._drawTexturedFloor(w, h, player.x, player.y, player.angle, depthBuffer);
       for (const strip of wallStrips) {
-        ctx.fillStyle = strip.color;
-        ctx.fillRect(strip.x, strip.y, 1, strip.h);
+        this._drawWallStrip(strip);
       }
     }
 
@@ -260,17 +265,17 @@ export class RaycastRenderer {
 
         if (stepX > 0) {
           // Moved east: check previous cell's east wall or current cell's west wall
-          if (prevCell?.hasWall(WALL_E) || cell?.hasWall(WALL_W)) {
+          if (prevCell?.blocks(WALL_E) || cell?.blocks(WALL_W)) {
             const hitCell = cell || prevCell;
             const wallEdge = cell ? 'W' : 'E';
-            return { distance, side, cell: hitCell, wallEdge };
+            return this._hitResult(distance, side, hitCell, wallEdge, py + distance * dy);
           }
         } else {
           // Moved west
-          if (prevCell?.hasWall(WALL_W) || cell?.hasWall(WALL_E)) {
+          if (prevCell?.blocks(WALL_W) || cell?.blocks(WALL_E)) {
             const hitCell = cell || prevCell;
             const wallEdge = cell ? 'E' : 'W';
-            return { distance, side, cell: hitCell, wallEdge };
+            return this._hitResult(distance, side, hitCell, wallEdge, py + distance * dy);
           }
         }
 
@@ -288,16 +293,16 @@ export class RaycastRenderer {
         const prevCell = this.gameMap.getCell(mapX, mapY - stepY);
 
         if (stepY > 0) {
-          if (prevCell?.hasWall(WALL_S) || cell?.hasWall(WALL_N)) {
+          if (prevCell?.blocks(WALL_S) || cell?.blocks(WALL_N)) {
             const hitCell = cell || prevCell;
             const wallEdge = cell ? 'N' : 'S';
-            return { distance, side, cell: hitCell, wallEdge };
+            return this._hitResult(distance, side, hitCell, wallEdge, px + distance * dx);
           }
         } else {
-          if (prevCell?.hasWall(WALL_N) || cell?.hasWall(WALL_S)) {
+          if (prevCell?.blocks(WALL_N) || cell?.blocks(WALL_S)) {
             const hitCell = cell || prevCell;
             const wallEdge = cell ? 'S' : 'N';
-            return { distance, side, cell: hitCell, wallEdge };
+            return this._hitResult(distance, side, hitCell, wallEdge, px + distance * dx);
           }
         }
 
@@ -312,6 +317,62 @@ export class RaycastRenderer {
     return null;
   }
 
+  /**
+   * Build a ray hit result. `hitCoord` is the world coordinate along the wall
+   * face; its fractional part is used to texture doors.
+   */
+  _hitResult(distance, side, cell, wallEdge, hitCoord) {
+    return {
+      distance,
+      side,
+      cell,
+      wallEdge,
+      door: cell ? cell.getDoor(wallEdge) : null,
+      wallX: hitCoord - Math.floor(hitCoord),
+    };
+  }
+
+  /**
+   * Draw one vertical wall strip. Plain walls are a flat colour; doors get a
+   * procedural wooden texture (frame, planks, lintel and handle).
+   */
+  _drawWallStrip(strip) {
+    const { ctx } = this;
+    const { x, y, h, door, wallX, lightFactor, fogFactor } = strip;
+
+    if (!door) {
+      ctx.fillStyle = strip.color;
+      ctx.fillRect(x, y, 1, h);
+      return;
+    }
+
+    const frame = '#3b2a1a';
+    // DM sees secret doors with a violet tint so they stand out
+    const plank = door.secret ? '#6a5a7e' : '#7a5230';
+    const seam = door.secret ? '#4a3e5a' : '#5a3a20';
+
+    let base;
+    if (wallX < 0.08 || wallX > 0.92) {
+      base = frame;
+    } else {
+      const plankPos = (wallX - 0.08) % 0.21;
+      base = plankPos < 0.015 ? seam : plank;
+    }
+    ctx.fillStyle = this._shadeColor(base, lightFactor, fogFactor);
+    ctx.fillRect(x, y, 1, h);
+
+    // Lintel across the top
+    ctx.fillStyle = this._shadeColor(frame, lightFactor, fogFactor);
+    ctx.fillRect(x, y, 1, h * 0.06);
+
+    // Handle (red when locked, so the DM can tell at a glance)
+    if (wallX > 0.74 && wallX < 0.8) {
+      const handle = (door.locked && this.role === 'dm') ? '#c0392b' : '#d4af37';
+      ctx.fillStyle = this._shadeColor(handle, lightFactor, fogFactor);
+      ctx.fillRect(x, y + h * 0.5, 1, h * 0.06);
+    }
+  }
+
   /**
    * Draw sprite objects and other player characters in the viewer's FOV.
    * Uses the depth buffer to occlude sprites behind walls.
@@ -347,6 +408,7 @@ export class RaycastRenderer {
     // Collect other player sprites
     for (const p of allPlayers) {
       if (p.id === viewer.id) continue; // don't draw self
+      if (p.level !== this.level) continue;
 
       const dx = p.x - viewer.x;
       const dy = p.y - viewer.y;
@@ -409,6 +471,7 @@ export class RaycastRenderer {
           ctx.fillRect(screenX - nameWidth / 2, nameY - nameSize, nameWidth, nameSize + 4);
           ctx.fillStyle = '#e74c3c';
           ctx.fillText(sp.player.name, screenX, nameY + 2);
+          this._drawConditionIcons(ctx, sp.player.conditions, screenX, nameY - nameSize - 2, nameSize);
         } else {
           const monsterColor = (sp.player.isMonster && this.role !== 'dm') ? '#e74c3c' : sp.player.color;
 
@@ -440,6 +503,7 @@ export class RaycastRenderer {
 
           ctx.fillStyle = sp.player.isMonster ? '#e74c3c' : sp.player.color;
           ctx.fillText(sp.player.name, screenX, nameY + 2);
+          this._drawConditionIcons(ctx, sp.player.conditions, screenX, nameY - nameSize - 2, nameSize);
         }
 
         ctx.globalAlpha = 1;
@@ -458,6 +522,23 @@ export class RaycastRenderer {
     }
   }
 
+  /**
+   * Draw a sprite's condition emoji in a centred row whose bottom edge is at `bottomY`.
+   */
+  _drawConditionIcons(ctx, conditions, centerX, bottomY, size) {
+    if (!conditions || conditions.length === 0) return;
+    const iconSize = size * 1.2;
+    const step = iconSize * 1.1;
+    let x = centerX - (step * (conditions.length - 1)) / 2;
+    ctx.font = `${iconSize}px serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (const c of conditions) {
+      ctx.fillText(c.icon, x, bottomY);
+      x += step;
+    }
+  }
+
   /**
    * Draw a projected ring on the ground showing movement range.
    * The ring is centred at (centreX, centreY) — the turn start position —
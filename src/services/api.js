@@ -1,9 +1,15 @@
 /**
  * Frontend API service.
  * Wraps fetch with JWT token management and typed API methods.
+ * Access tokens are short-lived; when a request is rejected the session is
+ * refreshed once with the stored refresh token and the request retried.
  */
 
 const TOKEN_KEY = 'dnd_token';
+const REFRESH_TOKEN_KEY = 'dnd_refresh_token';
+
+/** Requests that must not trigger a refresh (bad credentials aren't an expired session). */
+const NO_REFRESH_URLS = ['/api/login', '/api/register', '/api/refresh', '/api/logout'];
 
 // --- Token management ---
 
@@ -17,11 +23,74 @@ export function setToken(token) {
 
 export function clearToken() {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+function setSession(session) {
+  setToken(session.token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, session.refreshToken);
+}
+
+/** Web Lock held while refreshing, so tabs of the same browser take turns. */
+const REFRESH_LOCK = 'dnd_refresh';
+
+let refreshing = null;
+
+/**
+ * Exchange the stored refresh token for a new session. Each refresh token can
+ * only be used once, so concurrent callers share one request, and other tabs
+ * (which share the stored tokens) wait for it under a Web Lock. Where Web
+ * Locks aren't available (plain http off localhost) only this tab is covered.
+ * @returns {Promise<boolean>} false if there is no valid session any more
+ */
+export function refreshSession() {
+  if (refreshing) return refreshing;
+
+  const seen = localStorage.getItem(REFRESH_TOKEN_KEY);
+  const run = () => renewSession(seen);
+  refreshing = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run())
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+/**
+ * Refresh the session unless another tab already has: if the stored refresh
+ * token is no longer the one this tab saw, that tab's new session is ours too.
+ * @param {string|null} seen – the refresh token stored when this tab asked
+ * @returns {Promise<boolean>}
+ */
+async function renewSession(seen) {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    clearToken();
+    return false;
+  }
+  if (refreshToken !== seen) return true;
+
+  try {
+    const res = await fetch('/api/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!res.ok) {
+      // Only a rejected token ends the session; keep it through network/server errors
+      if (res.status === 401) clearToken();
+      return false;
+    }
+    setSession(await res.json());
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
  * Decode the JWT payload (without verification – the server does that).
- * Returns { id, username, iat, exp } or null.
+ * An expired access token still counts while there is a refresh token to renew it.
+ * Returns { id, username } or null.
  */
 export function getCurrentUser() {
   const token = getToken();
@@ -30,7 +99,8 @@ export function getCurrentUser() {
   try {
     const payload = JSON.parse(atob(token.split('.')[1]));
     // Check expiry
-    if (payload.exp && payload.exp * 1000 < Date.now()) {
+    const canRefresh = !!localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (payload.exp && payload.exp * 1000 < Date.now() && !canRefresh) {
       clearToken();
       return null;
     }
@@ -43,7 +113,7 @@ export function getCurrentUser() {
 
 // --- Fetch wrapper ---
 
-async function apiFetch(url, options = {}) {
+function authFetch(url, options) {
   const token = getToken();
   const headers = {
     'Content-Type': 'application/json',
@@ -52,13 +122,21 @@ async function apiFetch(url, options = {}) {
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
   }
+  return fetch(url, { ...options, headers });
+}
 
-  const res = await fetch(url, { ...options, headers });
-
-  if (res.status === 401 || res.status === 403) {
-    clearToken();
-    // Trigger re-render to show login screen
-    window.dispatchEvent(new CustomEvent('auth-expired'));
+async function apiFetch(url, options = {}) {
+  let res = await authFetch(url, options);
+
+  // 401 means the access token is missing, expired or revoked: refresh and
+  // retry once. 403 is a permission error and is reported as is.
+  if (res.status === 401 && !NO_REFRESH_URLS.includes(url)) {
+    if (await refreshSession()) {
+      res = await authFetch(url, options);
+    } else if (!getToken()) {
+      // Trigger re-render to show login screen
+      window.dispatchEvent(new CustomEvent('auth-expired'));
+    }
   }
 
   const data = await res.json();
@@ -77,7 +155,7 @@ export async function register(username, password) {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  setToken(data.token);
+  setSession(data);
   return data.user;
 }
 
@@ -86,12 +164,36 @@ export async function login(username, password) {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  setToken(data.token);
+  setSession(data);
   return data.user;
 }
 
-export function logout() {
+/**
+ * End this session on the server (or every session, with `everywhere`).
+ * Local tokens are cleared even if the server can't be reached.
+ */
+export async function logout(everywhere = false) {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
   clearToken();
+  if (!refreshToken) return;
+  try {
+    await apiFetch('/api/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken, everywhere }),
+    });
+  } catch (err) {
+    console.error('Logout request failed:', err);
+  }
+}
+
+/** Change the password; all other sessions are logged out. */
+export async function changePassword(currentPassword, newPassword) {
+  const data = await apiFetch('/api/password', {
+    method: 'PUT',
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+  setSession(data);
+  return data.user;
 }
 
 // --- Games ---
@@ -100,16 +202,23 @@ export async function getGames() {
   return apiFetch('/api/games');
 }
 
-export async function createGame(name) {
+export async function createGame(name, isPrivate = true) {
   return apiFetch('/api/games', {
     method: 'POST',
-    body: JSON.stringify({ name }),
+    body: JSON.stringify({ name, is_private: isPrivate }),
   });
 }
 
-export async function joinGame(gameId) {
+export async function joinGame(gameId, role = 'player') {
   return apiFetch(`/api/games/${gameId}/join`, {
     method: 'POST',
+    body: JSON.stringify({ role }),
+  });
+}
+
+export async function acceptInvite(code) {
+  return apiFetch(`/api/games/invites/${encodeURIComponent(code)}/accept`, {
+    method: 'POST',
   });
 }
 
@@ -117,10 +226,103 @@ export async function getGameState(gameId) {
   return apiFetch(`/api/games/${gameId}`);
 }
 
-export async function saveMapData(gameId, mapData) {
+export async function updateGame(gameId, data) {
+  return apiFetch(`/api/games/${gameId}`, {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  });
+}
+
+export async function deleteGame(gameId) {
+  return apiFetch(`/api/games/${gameId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Save a game's map: all levels, or with `level` just that level's map.
+ * @param {number} gameId
+ * @param {object} mapData – MapLevels.toJSON(), or GameMap.toJSON() for one level
+ * @param {number|null} [level=null]
+ */
+export async function saveMapData(gameId, mapData, level = null) {
   return apiFetch(`/api/games/${gameId}/map`, {
     method: 'PUT',
-    body: JSON.stringify({ map_data: mapData }),
+    body: JSON.stringify({ map_data: mapData, level }),
+  });
+}
+
+// --- Assets ---
+
+/**
+ * Upload an image (Blob or File). Identical images are stored once.
+ * @returns {Promise<{ id: string, url: string, mime: string, size: number }>}
+ */
+export async function uploadAsset(blob) {
+  return apiFetch('/api/assets', {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+    body: blob,
+  });
+}
+
+// --- Members & invites (DM only) ---
+
+export async function getMembers(gameId) {
+  return apiFetch(`/api/games/${gameId}/members`);
+}
+
+export async function setMemberRole(gameId, userId, role) {
+  return apiFetch(`/api/games/${gameId}/members/${userId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ role }),
+  });
+}
+
+export async function kickMember(gameId, userId) {
+  return apiFetch(`/api/games/${gameId}/members/${userId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function banUser(gameId, userId) {
+  return apiFetch(`/api/games/${gameId}/bans`, {
+    method: 'POST',
+    body: JSON.stringify({ userId }),
+  });
+}
+
+export async function unbanUser(gameId, userId) {
+  return apiFetch(`/api/games/${gameId}/bans/${userId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function transferGame(gameId, userId) {
+  return apiFetch(`/api/games/${gameId}/transfer`, {
+    method: 'POST',
+    body: JSON.stringify({ userId }),
+  });
+}
+
+export async function getInvites(gameId) {
+  return apiFetch(`/api/games/${gameId}/invites`);
+}
+
+/**
+ * @param {number} gameId
+ * @param {{ role: string, expires_in_hours?: number|null, max_uses?: number|null }} options
+ */
+export async function createInvite(gameId, options) {
+  return apiFetch(`/api/games/${gameId}/invites`, {
+    method: 'POST',
+    body: JSON.stringify(options),
+  });
+}
+
+export async function revokeInvite(gameId, inviteId) {
+  return apiFetch(`/api/games/${gameId}/invites/${inviteId}`, {
+    method: 'DELETE',
   });
 }
 
@@ -146,6 +348,17 @@ export async function deleteCharacter(charId) {
   });
 }
 
+export async function getCharacterSheet(charId) {
+  return apiFetch(`/api/characters/${charId}/sheet`);
+}
+
+export async function saveCharacterSheet(charId, sheet) {
+  return apiFetch(`/api/characters/${charId}/sheet`, {
+    method: 'PUT',
+    body: JSON.stringify(sheet),
+  });
+}
+
 // --- Monsters ---
 
 export async function createMonster(gameId, monsterData) {
@@ -197,6 +410,16 @@ export async function getMessages(gameId) {
   return apiFetch(`/api/games/${gameId}/messages`);
 }
 
+// --- Encounter log (DM only) ---
+
+export async function getEncounters(gameId) {
+  return apiFetch(`/api/games/${gameId}/encounters`);
+}
+
+export async function getEncounter(gameId, encounterId) {
+  return apiFetch(`/api/games/${gameId}/encounters/${encounterId}`);
+}
+
 // --- Saved Maps (Library) ---
 
 export async function getSavedMaps() {
@@ -3,7 +3,7 @@
  * Connects to the server, sends local position updates, receives remote ones.
  */
 
-import { getToken } from './api.js';
+import { getToken, refreshSession } from './api.js';
 
 let ws = null;
 let connected = false;
@@ -15,6 +15,14 @@ let reconnectDelay = 1000;
 let lastSendTime = 0;
 const SEND_INTERVAL = 66;
 
+// Map edits are batched into one versioned diff per level per interval
+const MAP_DIFF_INTERVAL = 100;
+let mapVersion = null;        // version of the map this client holds
+let pendingMapDiffs = new Map(); // level → { cells: Map<"x,y", { x, y, cell }>, settings } not yet sent
+let mapDiffTimer = null;
+let inFlightMapDiffs = [];    // Set<"level:x,y"> per sent diff, until the server acks it
+let mapSyncRequested = false;
+
 // --- Event handlers (registered by main.js) ---
 const handlers = {
   move: [],
@@ -26,19 +34,37 @@ const handlers = {
   initiative_sort: [],
   chat_message: [],
   monster_hp_update: [],
-  map_edit: [],
+  map_diff: [],
   map_change: [],
-  map_settings: [],
+  map_sync: [],
+  map_error: [],
   visibility_toggle: [],
+  door_update: [],
+  move_correction: [],
+  roll_error: [],
+  attack_pending: [],
+  attack_resolved: [],
+  attack_error: [],
+  conditions_update: [],
+  character_level: [],
+  removed: [],
+  role_changed: [],
+  rate_limited: [],
 };
 
 /**
  * Connect to the WebSocket server for a specific game.
  * @param {number} gId – game ID to join
+ * @param {number} [version] – map version the client loaded (from the game state)
  */
-export function connect(gId) {
+export function connect(gId, version = 0) {
   gameId = gId;
   reconnectDelay = 1000;
+  mapVersion = version;
+  pendingMapDiffs = new Map();
+  clearTimeout(mapDiffTimer);
+  inFlightMapDiffs = [];
+  mapSyncRequested = false;
   _open();
 }
 
@@ -79,9 +105,18 @@ function _open() {
           fn(msg.turnState);
         }
       }
+      // Map diffs sent while we were disconnected are lost: catch up
+      if (msg.mapVersion !== mapVersion) _requestMapSync();
       return;
     }
 
+    if (!_trackMapVersion(msg)) return;
+
+    // Kicked, banned or the game was deleted — don't reconnect
+    if (msg.type === 'removed') {
+      gameId = null;
+    }
+
     // Dispatch to registered handlers
     const fns = handlers[msg.type];
     if (fns) {
@@ -91,10 +126,19 @@ function _open() {
     }
   });
 
-  ws.addEventListener('close', () => {
+  ws.addEventListener('close', async (event) => {
     connected = false;
     ws = null;
 
+    // Access token expired or revoked: renew it before reconnecting
+    if (event.code === 4002 && gameId) {
+      if (!(await refreshSession()) && !getToken()) {
+        gameId = null;
+        window.dispatchEvent(new CustomEvent('auth-expired'));
+        return;
+      }
+    }
+
     // Auto-reconnect if we still have a gameId
     if (gameId) {
       clearTimeout(reconnectTimer);
@@ -110,10 +154,94 @@ function _open() {
   });
 }
 
+/**
+ * Keep the local map version in step with versioned map messages.
+ * A gap means we missed a change, so ask for the whole map instead.
+ * @returns {boolean} whether the message should still be dispatched
+ */
+function _trackMapVersion(msg) {
+  if (msg.type === 'map_change' || msg.type === 'map_sync') {
+    mapVersion = msg.version;
+    mapSyncRequested = false;
+    inFlightMapDiffs = [];
+    return msg.type === 'map_change' || msg.mapData != null;
+  }
+  if (msg.type === 'map_error') {
+    // Our map change or edit was refused: the server doesn't have it, so fetch its map
+    inFlightMapDiffs.shift();
+    _requestMapSync();
+    return true;
+  }
+  if (msg.type !== 'map_diff' && msg.type !== 'map_ack' && msg.type !== 'door_update') return true;
+  if (msg.version == null) return true;
+
+  if (msg.type === 'map_ack') {
+    inFlightMapDiffs.shift();
+    // Edits that changed nothing leave the version where it was
+    if (msg.version === mapVersion) return false;
+  }
+  if (mapSyncRequested) return false;
+  if (msg.version !== mapVersion + 1) {
+    _requestMapSync();
+    return false;
+  }
+  mapVersion = msg.version;
+
+  // Our own unacknowledged edits were applied after this diff on the server
+  if (msg.type === 'map_diff') {
+    const level = msg.level ?? 0;
+    const mine = new Set(inFlightMapDiffs.flatMap(keys => [...keys]));
+    const pending = pendingMapDiffs.get(level);
+    if (pending) for (const key of pending.cells.keys()) mine.add(`${level}:${key}`);
+    msg.cells = (msg.cells || []).filter(c => !mine.has(`${level}:${c.x},${c.y}`));
+  }
+  return msg.type !== 'map_ack';
+}
+
+function _requestMapSync() {
+  if (mapSyncRequested || !ws || ws.readyState !== 1) return;
+  mapSyncRequested = true;
+  ws.send(JSON.stringify({ type: 'map_sync_request' }));
+}
+
+function _queueMapDiff(level) {
+  if (!pendingMapDiffs.has(level)) pendingMapDiffs.set(level, { cells: new Map(), settings: {} });
+  if (!mapDiffTimer) mapDiffTimer = setTimeout(_flushMapDiff, MAP_DIFF_INTERVAL);
+  return pendingMapDiffs.get(level);
+}
+
+function _flushMapDiff() {
+  mapDiffTimer = null;
+  if (pendingMapDiffs.size === 0) return;
+  if (!gameId) {
+    pendingMapDiffs = new Map();
+    return;
+  }
+  if (!connected || !ws) {
+    // Keep the edits until the connection is back
+    mapDiffTimer = setTimeout(_flushMapDiff, MAP_DIFF_INTERVAL * 10);
+    return;
+  }
+  for (const [level, { cells, settings }] of pendingMapDiffs) {
+    inFlightMapDiffs.push(new Set([...cells.keys()].map(key => `${level}:${key}`)));
+    ws.send(JSON.stringify({
+      type: 'map_diff',
+      baseVersion: mapVersion,
+      level,
+      cells: [...cells.values()],
+      settings,
+    }));
+  }
+  pendingMapDiffs = new Map();
+}
+
 /**
  * Disconnect from the WebSocket server.
  */
 export function disconnect() {
+  _flushMapDiff();
+  clearTimeout(mapDiffTimer);
+  mapDiffTimer = null;
   gameId = null;
   connected = false;
   clearTimeout(reconnectTimer);
@@ -166,13 +294,24 @@ export function sendCharacterRemoved(characterId) {
 
 /**
  * Send a turn state update (DM only — server validates).
- * @param {{ enabled: boolean, order?: number[], activeIndex?: number }} turnState
+ * @param {{ enabled: boolean, order?: number[], activeIndex?: number, round?: number }} turnState
  */
 export function sendTurnUpdate(turnState) {
   if (!connected || !ws) return;
   ws.send(JSON.stringify({ type: 'turn_update', ...turnState }));
 }
 
+/**
+ * Ask the server to roll initiative (d20 + initiative modifier).
+ * Players may only roll for their own characters; the DM's rolls also re-sort the order.
+ * @param {number[]|null} characterIds – null rolls for every character
+ * @param {boolean} [groupMonsters] – monsters of the same type share one roll (DM only)
+ */
+export function sendInitiativeRollRequest(characterIds, groupMonsters = false) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'initiative_roll_request', characterIds, groupMonsters }));
+}
+
 /**
  * Send a DM drag-move for a character (not throttled).
  * @param {number} characterId
@@ -218,6 +357,42 @@ export function sendChatMessage(content, recipientId = null, roll = null) {
   ws.send(JSON.stringify(msg));
 }
 
+/**
+ * Attack a target with one of the attacker's attack macros. The server rolls to
+ * hit against the target's AC and, on a hit, the macro's damage formula.
+ * @param {number} attackerId – attacking character
+ * @param {number} targetId – target character
+ * @param {number} macroId – attack macro (to-hit formula + damage formula)
+ */
+export function sendAttackRequest(attackerId, targetId, macroId) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'attack_request', attackerId, targetId, macroId }));
+}
+
+/**
+ * Confirm or dismiss pending attack damage (DM only).
+ * @param {number} attackId
+ * @param {boolean} apply – false to dismiss without changing HP
+ * @param {number} [amount] – damage to apply, if the DM adjusted it
+ */
+export function sendAttackResolve(attackId, apply, amount) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'attack_resolve', attackId, apply, amount }));
+}
+
+/**
+ * Ask the server to roll a dice formula. The result is broadcast back as a
+ * chat_message whose roll is marked `verified`.
+ * @param {string} formula – e.g. "1d20+5"
+ * @param {string|null} [macroName] – label shown above the roll
+ * @param {number|null} [recipientId] – null for group, userId for a private roll
+ * @param {number|null} [characterId] – character whose sheet supplies `@variables`
+ */
+export function sendRollRequest(formula, macroName = null, recipientId = null, characterId = null) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'roll_request', formula, macroName, recipientId, characterId }));
+}
+
 /**
  * Send a monster HP update (DM only — server validates).
  * @param {number} characterId – the monster's character ID
@@ -229,32 +404,64 @@ export function sendMonsterHPUpdate(characterId, hp) {
 }
 
 /**
- * Send a map cell edit (DM only — server validates).
+ * Replace a character's conditions (DM: any character; players: their own).
+ * @param {number} characterId
+ * @param {{ id: string, label: string, icon: string, rounds: number|null }[]} conditions
+ */
+export function sendConditionsUpdate(characterId, conditions) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'conditions_update', characterId, conditions }));
+}
+
+/**
+ * Queue a map cell edit (DM only — server validates). Edits are batched into
+ * one map diff per level every 100ms; a cell edited twice is sent once.
  * @param {number} x – cell grid X
  * @param {number} y – cell grid Y
  * @param {object} cellData – serialized cell data
+ * @param {number} [level=0] – level the cell is on
  */
-export function sendMapEdit(x, y, cellData) {
-  if (!connected || !ws) return;
-  ws.send(JSON.stringify({ type: 'map_edit', x, y, cellData }));
+export function sendMapEdit(x, y, cellData, level = 0) {
+  if (!gameId) return;
+  _queueMapDiff(level).cells.set(`${x},${y}`, { x, y, cell: cellData });
 }
 
 /**
- * Send a lightweight map-level settings update (DM only — server validates).
+ * Queue a map settings update (DM only — server validates), sent with the next map diff.
  * @param {object} settings – key/value pairs to update (e.g. { wallColor: '#7a5c3a' })
+ * @param {number} [level=0] – level whose settings change
+ */
+export function sendMapSettings(settings, level = 0) {
+  if (!gameId) return;
+  Object.assign(_queueMapDiff(level).settings, settings);
+}
+
+/**
+ * Send a full map change (DM only — server validates): the whole map, or one level.
+ * @param {object|null} mapData – all levels (MapLevels.toJSON()), or with a
+ *   `level` that level's map (GameMap.toJSON()); null when removing a level
+ * @param {object} [options]
+ * @param {number} [options.level] – replace, add or remove just this level
+ * @param {string} [options.name] – name of an added level
+ * @param {boolean} [options.remove] – remove the level
  */
-export function sendMapSettings(settings) {
+export function sendMapChange(mapData, { level = null, name, remove = false } = {}) {
   if (!connected || !ws) return;
-  ws.send(JSON.stringify({ type: 'map_settings', settings }));
+  // Edits to the old map must not land on the new one
+  if (level == null) pendingMapDiffs = new Map();
+  else pendingMapDiffs.delete(level);
+  inFlightMapDiffs.push(new Set()); // the server acks a map change like a diff
+  ws.send(JSON.stringify({ type: 'map_change', mapData, level, name, remove }));
 }
 
 /**
- * Send a full map change (DM only — server validates).
- * @param {object} mapData – full map JSON from GameMap.toJSON()
+ * Take the stairs or portal a character stands on (owner or DM — server validates).
+ * The move arrives as a `character_level` broadcast.
+ * @param {number} characterId
  */
-export function sendMapChange(mapData) {
+export function sendUseStairs(characterId) {
   if (!connected || !ws) return;
-  ws.send(JSON.stringify({ type: 'map_change', mapData }));
+  ws.send(JSON.stringify({ type: 'use_stairs', characterId }));
 }
 
 /**
@@ -267,6 +474,20 @@ export function sendVisibilityToggle(characterId, hidden) {
   ws.send(JSON.stringify({ type: 'visibility_toggle', characterId, hidden }));
 }
 
+/**
+ * Send a door state change. Players may only open/close unlocked, non-secret
+ * doors; the DM may also place, remove, lock or hide them (server validates).
+ * @param {number} x – cell grid X
+ * @param {number} y – cell grid Y
+ * @param {string} edge – 'N' | 'S' | 'E' | 'W'
+ * @param {{ open: boolean, locked: boolean, secret: boolean } | null} door – null removes the door
+ * @param {number} [level=0] – level the door is on
+ */
+export function sendDoorUpdate(x, y, edge, door, level = 0) {
+  if (!connected || !ws) return;
+  ws.send(JSON.stringify({ type: 'door_update', level, x, y, edge, door }));
+}
+
 // --- Register event handlers ---
 
 /**
@@ -277,6 +498,14 @@ export function onRemoteMove(callback) {
   handlers.move.push(callback);
 }
 
+/**
+ * Register a handler for server corrections to our own moves (wall, turn or budget violations).
+ * Callback receives: { characterId, x, y, angle, moved, reason }
+ */
+export function onMoveCorrection(callback) {
+  handlers.move_correction.push(callback);
+}
+
 /**
  * Register a handler for when a remote player adds a character.
  * Callback receives: { character: { id, user_id, name, ... } }
@@ -333,6 +562,47 @@ export function onChatMessage(callback) {
   handlers.chat_message.push(callback);
 }
 
+/**
+ * Register a handler for rejected roll requests.
+ * Callback receives: { formula, error }
+ */
+export function onRollError(callback) {
+  handlers.roll_error.push(callback);
+}
+
+/**
+ * Register a handler for refused map changes and edits (DM only). The map is
+ * resynced from the server automatically.
+ * Callback receives: { error, version? }
+ */
+export function onMapError(callback) {
+  handlers.map_error.push(callback);
+}
+
+/**
+ * Register a handler for attack damage awaiting confirmation (DM only).
+ * Callback receives: { attackId, targetId, targetName, attackerName, weapon, damage, crit, hp, maxHp }
+ */
+export function onAttackPending(callback) {
+  handlers.attack_pending.push(callback);
+}
+
+/**
+ * Register a handler for confirmed or dismissed attack damage (DM only).
+ * Callback receives: { attackId, applied }
+ */
+export function onAttackResolved(callback) {
+  handlers.attack_resolved.push(callback);
+}
+
+/**
+ * Register a handler for rejected attack requests.
+ * Callback receives: { error }
+ */
+export function onAttackError(callback) {
+  handlers.attack_error.push(callback);
+}
+
 /**
  * Register a handler for monster HP updates (DM only).
  * Callback receives: { characterId, hp }
@@ -342,27 +612,29 @@ export function onMonsterHPUpdate(callback) {
 }
 
 /**
- * Register a handler for map cell edits (DM broadcast).
- * Callback receives: { x, y, cellData }
+ * Register a handler for batched map edits from another DM.
+ * Cells with our own edits still in flight are already filtered out.
+ * Callback receives: { version, level, cells: [{ x, y, cell }], settings: { wallColor?, ... } }
  */
-export function onMapEdit(callback) {
-  handlers.map_edit.push(callback);
+export function onMapDiff(callback) {
+  handlers.map_diff.push(callback);
 }
 
 /**
  * Register a handler for full map changes (DM broadcast).
- * Callback receives: { mapData }
+ * Callback receives: { mapData, version, level } – mapData holds all levels;
+ * level is the one that changed, or null if the whole map was replaced
  */
 export function onMapChange(callback) {
   handlers.map_change.push(callback);
 }
 
 /**
- * Register a handler for map-level settings updates (DM broadcast).
- * Callback receives: { settings: { wallColor?, ... } }
+ * Register a handler for a full map resync after missed map diffs.
+ * Callback receives: { mapData, version } – mapData holds all levels
  */
-export function onMapSettings(callback) {
-  handlers.map_settings.push(callback);
+export function onMapSync(callback) {
+  handlers.map_sync.push(callback);
 }
 
 /**
@@ -373,6 +645,55 @@ export function onVisibilityToggle(callback) {
   handlers.visibility_toggle.push(callback);
 }
 
+/**
+ * Register a handler for door state changes (server broadcast, including the sender).
+ * Callback receives: { level, x, y, edge, door }
+ */
+export function onDoorUpdate(callback) {
+  handlers.door_update.push(callback);
+}
+
+/**
+ * Register a handler for character condition changes (server broadcast, including the sender).
+ * Callback receives: { characterId, conditions }
+ */
+export function onConditionsUpdate(callback) {
+  handlers.conditions_update.push(callback);
+}
+
+/**
+ * Register a handler for characters taking stairs or portals (server broadcast, including the sender).
+ * Callback receives: { characterId, level, x, y }
+ */
+export function onCharacterLevel(callback) {
+  handlers.character_level.push(callback);
+}
+
+/**
+ * Register a handler for being removed from the game (kicked, banned or game deleted).
+ * The connection is closed and not re-opened.
+ * Callback receives: { reason }
+ */
+export function onRemoved(callback) {
+  handlers.removed.push(callback);
+}
+
+/**
+ * Register a handler for the user's role in the game changing (e.g. DM transfer).
+ * Callback receives: { role }
+ */
+export function onRoleChanged(callback) {
+  handlers.role_changed.push(callback);
+}
+
+/**
+ * Register a handler for the server dropping messages because we sent too many.
+ * Callback receives: { messageType }
+ */
+export function onRateLimited(callback) {
+  handlers.rate_limited.push(callback);
+}
+
 /**
  * Clear all event handlers (called on cleanup).
  */
@@ -386,8 +707,20 @@ export function clearHandlers() {
   handlers.initiative_sort.length = 0;
   handlers.chat_message.length = 0;
   handlers.monster_hp_update.length = 0;
-  handlers.map_edit.length = 0;
+  handlers.map_diff.length = 0;
   handlers.map_change.length = 0;
-  handlers.map_settings.length = 0;
+  handlers.map_sync.length = 0;
+  handlers.map_error.length = 0;
   handlers.visibility_toggle.length = 0;
+  handlers.door_update.length = 0;
+  handlers.move_correction.length = 0;
+  handlers.roll_error.length = 0;
+  handlers.attack_pending.length = 0;
+  handlers.attack_resolved.length = 0;
+  handlers.attack_error.length = 0;
+  handlers.conditions_update.length = 0;
+  handlers.character_level.length = 0;
+  handlers.removed.length = 0;
+  handlers.role_changed.length = 0;
+  handlers.rate_limited.length = 0;
 }
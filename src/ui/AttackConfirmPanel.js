@@ -0,0 +1,97 @@
+/**
+ * Attack confirmation panel – DM-only queue of attack hits waiting for damage
+ * to be applied. Each entry can be applied as rolled, halved, adjusted or dismissed.
+ */
+
+export class AttackConfirmPanel {
+  /**
+   * @param {HTMLElement} container – DOM element to mount into
+   * @param {(attackId: number, apply: boolean, amount?: number) => void} onResolve
+   */
+  constructor(container, onResolve) {
+    this.container = container;
+    this.onResolve = onResolve;
+    this.entries = new Map(); // attackId → DOM element
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'attack-confirm-panel';
+    this.panel.style.display = 'none';
+    this.container.appendChild(this.panel);
+  }
+
+  /**
+   * Add (or refresh) a pending attack.
+   * @param {{ attackId: number, attackerName: string, targetName: string, weapon: string,
+   *           damage: number, crit: boolean, hp: number|null, maxHp: number|null }} pending
+   */
+  add(pending) {
+    this.remove(pending.attackId);
+
+    const el = document.createElement('div');
+    el.className = 'attack-confirm-item';
+    const hpText = pending.hp != null ? `HP ${pending.hp}${pending.maxHp != null ? `/${pending.maxHp}` : ''}` : '';
+    el.innerHTML = `
+      <div class="attack-confirm-title">
+        ${pending.crit ? '<span class="attack-confirm-crit">CRIT</span>' : ''}
+        <strong>${this._esc(pending.attackerName)}</strong> hit
+        <strong>${this._esc(pending.targetName)}</strong>
+        <span class="attack-confirm-weapon">(${this._esc(pending.weapon)})</span>
+      </div>
+      <div class="attack-confirm-row">
+        <input type="number" class="attack-confirm-amount" min="0" value="${pending.damage}" />
+        <span class="attack-confirm-hp">damage ${hpText ? `· ${hpText}` : ''}</span>
+      </div>
+      <div class="attack-confirm-actions">
+        <button class="attack-confirm-apply">Apply</button>
+        <button class="attack-confirm-half" title="Halve (e.g. successful save or resistance)">Half</button>
+        <button class="attack-confirm-dismiss">Dismiss</button>
+      </div>
+    `;
+
+    const amountInput = el.querySelector('.attack-confirm-amount');
+    amountInput.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') el.querySelector('.attack-confirm-apply').click();
+    });
+    amountInput.addEventListener('keyup', (e) => e.stopPropagation());
+
+    el.querySelector('.attack-confirm-apply').addEventListener('click', () => {
+      const amount = Math.max(0, parseInt(amountInput.value, 10) || 0);
+      this.onResolve(pending.attackId, true, amount);
+      this.remove(pending.attackId);
+    });
+    el.querySelector('.attack-confirm-half').addEventListener('click', () => {
+      amountInput.value = Math.floor((parseInt(amountInput.value, 10) || 0) / 2);
+    });
+    el.querySelector('.attack-confirm-dismiss').addEventListener('click', () => {
+      this.onResolve(pending.attackId, false);
+      this.remove(pending.attackId);
+    });
+
+    this.entries.set(pending.attackId, el);
+    this.panel.appendChild(el);
+    this.panel.style.display = '';
+  }
+
+  /** Remove an entry (resolved here or by another DM client). */
+  remove(attackId) {
+    const el = this.entries.get(attackId);
+    if (!el) return;
+    el.remove();
+    this.entries.delete(attackId);
+    if (this.entries.size === 0) this.panel.style.display = 'none';
+  }
+
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Character sheet panel – collapsible left-side panel for the active character's
+ * ability scores, saving throws, skills, AC, HP and speed.
+ * Sheets are stored on the server; dice formulas reference them as `@variables`.
+ */
+
+import {
+  ABILITIES, ABILITY_LABELS, SKILLS, skillLabel,
+  abilityModifier, proficiencyForLevel, normalizeSheet, saveBonus, skillBonus,
+} from '../engine/CharacterSheet.js';
+import { getCharacterSheet, saveCharacterSheet } from '../services/api.js';
+
+const SKILL_RANK_ICONS = ['○', '●', '◆']; // ○ none, ● proficient, ◆ expertise
+const SKILL_RANK_TITLES = ['Not proficient', 'Proficient', 'Expertise'];
+
+function fmtBonus(n) {
+  return n >= 0 ? `+${n}` : `${n}`;
+}
+
+export class CharacterSheetPanel {
+  /**
+   * @param {HTMLElement} container – DOM element to mount into
+   * @param {(characterId: number, sheet: object) => void} onSave – called after the server stores a sheet
+   * @param {string} role – 'dm' | 'player' | 'spectator'; only the DM can change speed
+   */
+  constructor(container, onSave, role) {
+    this.container = container;
+    this.onSave = onSave;
+    this.role = role;
+    this.characterId = null;
+    this.characterName = '';
+    this.sheet = null;
+    this.dirty = false;
+    this._collapsed = true;
+
+    this._buildUI();
+  }
+
+  _buildUI() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'sheet-panel';
+    this.panel.innerHTML = `
+      <button class="sheet-toggle" id="sheet-toggle">
+        <span class="sheet-toggle-label">Character Sheet</span>
+        <span class="sheet-toggle-arrow" id="sheet-arrow">&#x25B2;</span>
+      </button>
+      <div class="sheet-body" id="sheet-body" style="display:none"></div>
+    `;
+    this.container.appendChild(this.panel);
+    this.body = this.panel.querySelector('#sheet-body');
+
+    // Toggle collapse
+    this.panel.querySelector('#sheet-toggle').addEventListener('click', () => {
+      this._collapsed = !this._collapsed;
+      this.body.style.display = this._collapsed ? 'none' : 'block';
+      this.panel.querySelector('#sheet-arrow').textContent =
+        this._collapsed ? '▲' : '▼';
+    });
+
+    this._render();
+  }
+
+  /**
+   * Show the sheet for a character (or clear the panel when null).
+   * @param {{ characterId: number, name: string }|null} player
+   */
+  async setCharacter(player) {
+    const characterId = player ? player.characterId : null;
+    if (characterId === this.characterId) return;
+
+    this.characterId = characterId;
+    this.characterName = player ? player.name : '';
+    this.sheet = null;
+    this.dirty = false;
+    this._render();
+    if (!characterId) return;
+
+    try {
+      const sheet = await getCharacterSheet(characterId);
+      // Ignore stale responses if the selection changed meanwhile
+      if (characterId !== this.characterId) return;
+      this.sheet = normalizeSheet(sheet);
+      this._render();
+    } catch (err) {
+      console.error('Failed to load character sheet:', err);
+      if (characterId === this.characterId) this._render(err.message);
+    }
+  }
+
+  _render(error = null) {
+    if (!this.characterId) {
+      this.body.innerHTML = '<div class="sheet-empty">No character selected</div>';
+      return;
+    }
+    if (!this.sheet) {
+      this.body.innerHTML = `<div class="sheet-empty">${error ? this._esc(error) : 'Loading…'}</div>`;
+      return;
+    }
+
+    const s = this.sheet;
+    const abilityRows = ABILITIES.map(a => `
+      <div class="sheet-ability" title="${ABILITY_LABELS[a]}">
+        <span class="sheet-ability-name">${a.toUpperCase()}</span>
+        <input type="number" class="sheet-input sheet-ability-score" data-ability="${a}"
+          min="1" max="30" value="${s.abilities[a]}" />
+        <span class="sheet-ability-mod" data-mod="${a}"></span>
+      </div>
+    `).join('');
+
+    const saveRows = ABILITIES.map(a => `
+      <label class="sheet-check-row">
+        <input type="checkbox" class="sheet-save-prof" data-ability="${a}"${s.saves.includes(a) ? ' checked' : ''} />
+        <span class="sheet-check-name">${ABILITY_LABELS[a]}</span>
+        <span class="sheet-check-bonus" data-save="${a}"></span>
+      </label>
+    `).join('');
+
+    const skillRows = Object.keys(SKILLS).map(skill => `
+      <div class="sheet-check-row">
+        <button class="sheet-skill-rank" data-skill="${skill}"></button>
+        <span class="sheet-check-name">${skillLabel(skill)}
+          <span class="sheet-skill-ability">(${SKILLS[skill].toUpperCase()})</span></span>
+        <span class="sheet-check-bonus" data-skill-bonus="${skill}"></span>
+      </div>
+    `).join('');
+
+    this.body.innerHTML = `
+      <div class="sheet-name">${this._esc(this.characterName)}</div>
+      <div class="sheet-stats">
+        <label>Level <input type="number" class="sheet-input" data-field="level" min="1" max="20" value="${s.level}" /></label>
+        <label>Prof <input type="number" class="sheet-input" data-field="proficiencyBonus" min="0" max="10" value="${s.proficiencyBonus}" /></label>
+        <label>AC <input type="number" class="sheet-input" data-field="ac" min="0" max="50" value="${s.ac}" /></label>
+        <label>Speed <input type="number" class="sheet-input" data-field="speed" min="0" max="200" step="5" value="${s.speed}"${this.role === 'dm' ? '' : ' disabled title="Only the DM can change speed"'} /></label>
+        <label>HP <input type="number" class="sheet-input" data-field="hp" value="${s.hp ?? ''}" /></label>
+        <label>Max <input type="number" class="sheet-input" data-field="maxHp" min="0" value="${s.maxHp ?? ''}" /></label>
+      </div>
+      <div class="sheet-abilities">${abilityRows}</div>
+      <div class="sheet-section-title">Saving Throws</div>
+      <div class="sheet-list">${saveRows}</div>
+      <div class="sheet-section-title">Skills</div>
+      <div class="sheet-list">${skillRows}</div>
+      <div class="sheet-actions">
+        <span class="sheet-status"></span>
+        <button class="sheet-save-btn">Save</button>
+      </div>
+    `;
+
+    this._attachEvents();
+    this._refreshDerived();
+  }
+
+  _attachEvents() {
+    // Keep keystrokes in the sheet from driving the map
+    this.body.querySelectorAll('input').forEach(inp => {
+      inp.addEventListener('keydown', (e) => e.stopPropagation());
+      inp.addEventListener('keyup', (e) => e.stopPropagation());
+    });
+
+    this.body.querySelectorAll('[data-field]').forEach(inp => {
+      inp.addEventListener('input', () => {
+        const field = inp.dataset.field;
+        const raw = inp.value.trim();
+        const value = raw === '' ? null : parseInt(raw, 10);
+        if ((field === 'hp' || field === 'maxHp') && value === null) {
+          this.sheet[field] = null;
+        } else if (Number.isFinite(value)) {
+          this.sheet[field] = value;
+        } else {
+          return;
+        }
+
+        // Level sets the standard proficiency bonus (it can still be overridden)
+        if (field === 'level') {
+          this.sheet.proficiencyBonus = proficiencyForLevel(value);
+          this.body.querySelector('[data-field="proficiencyBonus"]').value = this.sheet.proficiencyBonus;
+        }
+        this._markDirty();
+      });
+    });
+
+    this.body.querySelectorAll('.sheet-ability-score').forEach(inp => {
+      inp.addEventListener('input', () => {
+        const value = parseInt(inp.value, 10);
+        if (!Number.isFinite(value)) return;
+        this.sheet.abilities[inp.dataset.ability] = value;
+        this._markDirty();
+      });
+    });
+
+    this.body.querySelectorAll('.sheet-save-prof').forEach(box => {
+      box.addEventListener('change', () => {
+        const ability = box.dataset.ability;
+        this.sheet.saves = this.sheet.saves.filter(a => a !== ability);
+        if (box.checked) this.sheet.saves.push(ability);
+        this._markDirty();
+      });
+    });
+
+    // Skill rank cycles none → proficient → expertise
+    this.body.querySelectorAll('.sheet-skill-rank').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const skill = btn.dataset.skill;
+        const rank = ((this.sheet.skills[skill] || 0) + 1) % 3;
+        if (rank) this.sheet.skills[skill] = rank;
+        else delete this.sheet.skills[skill];
+        this._markDirty();
+      });
+    });
+
+    this.body.querySelector('.sheet-save-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._save();
+    });
+  }
+
+  /** Update modifiers and bonuses without rebuilding the inputs. */
+  _refreshDerived() {
+    const s = normalizeSheet(this.sheet);
+
+    for (const a of ABILITIES) {
+      const modEl = this.body.querySelector(`[data-mod="${a}"]`);
+      if (modEl) modEl.textContent = fmtBonus(abilityModifier(s.abilities[a]));
+      const saveEl = this.body.querySelector(`[data-save="${a}"]`);
+      if (saveEl) saveEl.textContent = fmtBonus(saveBonus(s, a));
+    }
+
+    for (const skill of Object.keys(SKILLS)) {
+      const rank = s.skills[skill] || 0;
+      const btn = this.body.querySelector(`.sheet-skill-rank[data-skill="${skill}"]`);
+      if (btn) {
+        btn.textContent = SKILL_RANK_ICONS[rank];
+        btn.title = SKILL_RANK_TITLES[rank];
+        btn.classList.toggle('active', rank > 0);
+      }
+      const bonusEl = this.body.querySelector(`[data-skill-bonus="${skill}"]`);
+      if (bonusEl) bonusEl.textContent = fmtBonus(skillBonus(s, skill));
+    }
+
+    this._setStatus(this.dirty ? 'Unsaved changes' : '');
+  }
+
+  _markDirty() {
+    this.dirty = true;
+    this._refreshDerived();
+  }
+
+  _setStatus(text, isError = false) {
+    const el = this.body.querySelector('.sheet-status');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('error', isError);
+  }
+
+  async _save() {
+    const characterId = this.characterId;
+    if (!characterId || !this.sheet) return;
+
+    this._setStatus('Saving…');
+    try {
+      const saved = await saveCharacterSheet(characterId, this.sheet);
+      if (characterId !== this.characterId) return;
+      this.sheet = normalizeSheet(saved);
+      this.dirty = false;
+      this._render();
+      this._setStatus('Saved');
+      if (this.onSave) this.onSave(characterId, this.sheet);
+    } catch (err) {
+      console.error('Failed to save character sheet:', err);
+      this._setStatus(err.message, true);
+    }
+  }
+
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
@@ -10,12 +10,14 @@ export class ChatPanel {
    * @param {HTMLElement} container – DOM element to mount into
    * @param {{ id: number, username: string }} currentUser
    * @param {{ userId: number, username: string, role: string }[]} gamePlayers – all players in the game
-   * @param {(content: string, recipientId: number|null, roll?: object) => void} onSend – callback to send a message
+   * @param {(content: string, recipientId: number|null) => void} onSend – callback to send a message
+   * @param {((formula: string) => void)|null} onRoll – callback to request a server dice roll (null hides dice, e.g. for spectators)
    */
-  constructor(container, currentUser, gamePlayers, onSend) {
+  constructor(container, currentUser, gamePlayers, onSend, onRoll) {
     this.container = container;
     this.currentUser = currentUser;
     this.onSend = onSend;
+    this.onRoll = onRoll;
     this.collapsed = true;
     this.activeTab = 'group'; // 'group' or a recipientUserId (number)
 
@@ -123,6 +125,9 @@ export class ChatPanel {
     });
 
     // --- Dice roll UI ---
+    if (!this.onRoll) {
+      this.panel.querySelector('.chat-dice-wrapper').style.display = 'none';
+    }
     this.diceBtn.addEventListener('click', () => {
       const visible = this.diceMenu.style.display !== 'none';
       this.diceMenu.style.display = visible ? 'none' : 'block';
@@ -284,8 +289,25 @@ export class ChatPanel {
     const body = document.createElement('div');
     body.className = 'chat-msg-body dice-roll-body';
 
+    // Server-rolled dice are verified; anything a client rolled itself is flagged
+    const trust = document.createElement('div');
+    trust.className = roll.verified ? 'dice-verified' : 'dice-unverified';
+    trust.textContent = roll.verified ? '\u2713 Server roll' : '\u26A0 Unverified roll';
+    trust.title = roll.verified
+      ? 'Rolled by the server'
+      : 'Rolled in the sender\'s browser — the result cannot be checked';
+    body.appendChild(trust);
+
     // Enhanced formula roll
     if (roll.formula && roll.groups) {
+      // Attack header: who is attacking whom
+      if (roll.attack) {
+        const header = document.createElement('div');
+        header.className = 'dice-attack-header';
+        header.textContent = `\u2694 ${roll.attack.attackerName} \u2192 ${roll.attack.targetName}`;
+        body.appendChild(header);
+      }
+
       // Macro name header
       if (roll.macroName) {
         const macroLabel = document.createElement('div');
@@ -306,59 +328,64 @@ export class ChatPanel {
         const resultsRow = document.createElement('div');
         resultsRow.className = 'dice-results';
 
-        // Build a set of dropped indices for this group
-        const droppedIndices = new Set();
-        if (group.keep && group.dropped && group.dropped.length > 0) {
-          // Figure out which indices in results were dropped
-          const sorted = group.results.map((v, i) => ({ v, i }));
-          if (group.keep.type === 'highest') {
-            sorted.sort((a, b) => b.v - a.v);
-          } else {
-            sorted.sort((a, b) => a.v - b.v);
-          }
-          const keepCount = group.keep.count || (group.results.length - group.dropped.length);
-          const keepIdxSet = new Set(sorted.slice(0, keepCount).map(x => x.i));
-          for (let i = 0; i < group.results.length; i++) {
-            if (!keepIdxSet.has(i)) droppedIndices.add(i);
-          }
-        }
-
-        for (let i = 0; i < group.results.length; i++) {
-          const val = group.results[i];
-          const die = document.createElement('span');
-          die.className = 'dice-result';
-
-          if (droppedIndices.has(i)) {
-            die.classList.add('dropped');
-          }
-
-          // Crit / fumble for d20 single rolls
-          if (group.sides === 20 && group.results.length === 1 && !droppedIndices.has(i)) {
-            if (val === 20) die.classList.add('crit');
-            else if (val === 1) die.classList.add('fumble');
-          }
-          // Crit/fumble for advantage/disadvantage (highlight the kept result)
-          if (group.sides === 20 && group.keep && !droppedIndices.has(i)) {
-            if (val === 20) die.classList.add('crit');
-            else if (val === 1) die.classList.add('fumble');
-          }
+        for (const die of this._groupDice(group)) {
+          const el = document.createElement('span');
+          el.className = 'dice-result';
+
+          if (die.dropped) el.classList.add('dropped');
+          if (die.crit) el.classList.add('crit');
+          else if (die.fumble) el.classList.add('fumble');
+          if (die.exploded || die.compounded) el.classList.add('exploded');
+          if (die.fromExplosion) el.classList.add('explosion');
+          if (die.rolls && die.rolls.length > 1) el.classList.add('rerolled');
+          if (group.target && !die.dropped) el.classList.add(die.success ? 'success' : 'failure');
+
+          // Hover shows how the die got its value
+          const history = [];
+          if (die.rolls && die.rolls.length > 1) history.push(`Rerolled: ${die.rolls.join(' → ')}`);
+          if (die.compounded) history.push(`Compounded: ${die.compounded.join(' + ')}`);
+          if (die.exploded) history.push('Exploded');
+          if (die.raisedFrom !== undefined) history.push(`Raised from ${die.raisedFrom}`);
+          if (history.length) el.title = history.join('\n');
 
           if (animate) {
-            die.style.animationDelay = `${animIndex * 0.1}s`;
+            el.style.animationDelay = `${animIndex * 0.1}s`;
           } else {
-            die.classList.add('no-anim');
+            el.classList.add('no-anim');
           }
           animIndex++;
 
-          die.textContent = val;
-          resultsRow.appendChild(die);
+          el.textContent = die.value;
+          resultsRow.appendChild(el);
         }
 
         body.appendChild(resultsRow);
+
+        if (group.target) {
+          const pool = document.createElement('div');
+          pool.className = 'dice-modifier';
+          pool.textContent = `${group.successes} success${group.successes === 1 ? '' : 'es'} (${group.target.op}${group.target.value})`;
+          body.appendChild(pool);
+        }
       }
 
-      // Modifier line
-      if (roll.modifier && roll.modifier !== 0) {
+      if (roll.crit || roll.fumble) {
+        const banner = document.createElement('div');
+        banner.className = `dice-crit-banner ${roll.crit ? 'crit' : 'fumble'}`;
+        banner.textContent = roll.crit ? 'Natural 20!' : 'Natural 1';
+        body.appendChild(banner);
+      }
+
+      // Expressions like 2*1d6 or max(1d4, 2) aren't dice + modifier — show the worked breakdown
+      const diceSum = roll.groups.reduce(
+        (sum, g) => sum + (g.sign || 1) * (g.value ?? (g.kept || g.results).reduce((a, b) => a + b, 0)), 0);
+      if (roll.breakdown && diceSum + (roll.modifier || 0) !== roll.total) {
+        const exprLine = document.createElement('div');
+        exprLine.className = 'dice-modifier';
+        exprLine.textContent = roll.breakdown;
+        body.appendChild(exprLine);
+      } else if (roll.modifier && roll.modifier !== 0) {
+        // Modifier line
         const modLine = document.createElement('div');
         modLine.className = 'dice-modifier';
         modLine.textContent = `${roll.modifier > 0 ? '+' : ''}${roll.modifier}`;
@@ -371,6 +398,8 @@ export class ChatPanel {
       total.textContent = `Total: ${roll.total}`;
       body.appendChild(total);
 
+      if (roll.attack) this._appendAttackResult(body, roll);
+
       return body;
     }
 
@@ -415,6 +444,63 @@ export class ChatPanel {
     return body;
   }
 
+  /**
+   * Append an attack's outcome (hit/miss against AC) and its damage roll.
+   * @param {HTMLElement} body
+   * @param {{ crit: boolean, attack: { hit: boolean, damage: object|null } }} roll
+   */
+  _appendAttackResult(body, roll) {
+    const { attack } = roll;
+    const crit = attack.hit && roll.crit;
+    const outcome = document.createElement('div');
+    outcome.className = `dice-attack-outcome ${attack.hit ? 'hit' : 'miss'}`;
+    outcome.textContent = crit ? 'CRITICAL HIT' : attack.hit ? 'HIT' : 'MISS';
+    body.appendChild(outcome);
+
+    if (attack.damage) {
+      const damage = document.createElement('div');
+      damage.className = 'dice-attack-damage';
+      damage.textContent = `${attack.damage.total} damage (${attack.damage.breakdown})`;
+      damage.title = attack.damage.formula;
+      body.appendChild(damage);
+    }
+  }
+
+  /**
+   * Per-die view of a rolled group. Rolls made before dice modifiers existed
+   * only carry results/kept/dropped, so rebuild the dropped and crit flags for those.
+   */
+  _groupDice(group) {
+    if (Array.isArray(group.dice)) return group.dice;
+
+    const droppedIndices = new Set();
+    if (group.keep && group.dropped && group.dropped.length > 0) {
+      const sorted = group.results.map((v, i) => ({ v, i }));
+      if (group.keep.type === 'highest') {
+        sorted.sort((a, b) => b.v - a.v);
+      } else {
+        sorted.sort((a, b) => a.v - b.v);
+      }
+      const keepCount = group.keep.count || (group.results.length - group.dropped.length);
+      const keepIdxSet = new Set(sorted.slice(0, keepCount).map(x => x.i));
+      for (let i = 0; i < group.results.length; i++) {
+        if (!keepIdxSet.has(i)) droppedIndices.add(i);
+      }
+    }
+
+    // Crit / fumble for single d20s and for the kept die of advantage/disadvantage
+    const flagCrits = group.sides === 20 && (group.results.length === 1 || group.keep);
+    return group.results.map((value, i) => {
+      const dropped = droppedIndices.has(i);
+      return {
+        value,
+        dropped,
+        crit: flagCrits && !dropped && value === 20,
+        fumble: flagCrits && !dropped && value === 1,
+      };
+    });
+  }
+
   _formatTime(isoStr) {
     if (!isoStr) return '';
     try {
@@ -462,32 +548,11 @@ export class ChatPanel {
   }
 
   /**
-   * Roll dice and broadcast result to group chat.
+   * Request a dice roll from the server; the verified result arrives in group chat.
    * @param {number} count – number of dice
    * @param {number} sides – sides per die
    */
   _rollDice(count, sides) {
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      results.push(Math.floor(Math.random() * sides) + 1);
-    }
-    const total = results.reduce((a, b) => a + b, 0);
-    const notation = `${count}d${sides}`;
-    const content = `rolled ${notation}: [${results.join(', ')}] = ${total}`;
-    const roll = { sides, count, results, total };
-
-    // Optimistically add locally
-    const localMsg = {
-      id: null,
-      senderId: this.currentUser.id,
-      senderName: this.currentUser.username,
-      recipientId: null, // Always group
-      content,
-      roll,
-      createdAt: new Date().toISOString(),
-      _local: true,
-    };
-
     // Switch to group tab so user sees the roll
     if (this.activeTab !== 'group') {
       this.activeTab = 'group';
@@ -496,8 +561,7 @@ export class ChatPanel {
       this._renderMessages();
     }
 
-    this.addMessage(localMsg);
-    this.onSend(content, null, roll);
+    this.onRoll(`${count}d${sides}`);
   }
 
   /**
@@ -2,35 +2,59 @@
  * DM map-editing toolbar.
  * Allows the DM to click on the 2D map to toggle walls and adjust cell properties.
  * Only rendered for users with the 'dm' role.
+ * The DM views and edits one level of the map at a time, and links levels
+ * with the Stairs tool.
+ * Edits can be undone with undo()/redo() (each level has its own history);
+ * the reverted cells are broadcast like any other edit.
  */
 
-import { WALL_N, WALL_S, WALL_E, WALL_W, GameMap } from '../engine/GameMap.js';
+import { WALL_N, WALL_S, WALL_E, WALL_W, FLAG_EDGES, GameMap, nextDoorState } from '../engine/GameMap.js';
+import { assetUrl } from '../engine/Assets.js';
+import { EditHistory } from '../engine/EditHistory.js';
+import { LINK_OBJECT_TYPES, STAIRS_SPRITE } from '../engine/MapLevels.js';
 
 export class DMTools {
   /**
    * @param {HTMLElement} container – DOM element to mount the toolbar into
-   * @param {import('../engine/GameMap.js').GameMap} gameMap
+   * @param {import('../engine/MapLevels.js').MapLevels} levels – all levels of the game's map
    * @param {import('../renderers/MapRenderer2D.js').MapRenderer2D} renderer2d
    * @param {string} role – 'dm' | 'player'
    * @param {(enabled: boolean) => void} [onActionModeToggle] – callback when Action Mode is toggled
-   * @param {() => void} [onEditMap] – callback to open map editor
-   * @param {(x: number, y: number, cellData: object) => void} [onCellEdit] – callback when a cell is edited (real-time broadcast)
-   * @param {(mapData: object) => void} [onMapSwitch] – callback when DM switches to a different map
-   * @param {(settings: object) => void} [onMapSettings] – callback when a map-level setting changes (e.g. wallColor)
+   * @param {() => void} [onEditMap] – callback to open map editor (on the viewed level)
+   * @param {(x: number, y: number, cellData: object, level: number) => void} [onCellEdit] – callback when a cell is edited (real-time broadcast)
+   * @param {(mapData: object) => void} [onMapSwitch] – callback when DM switches the viewed level to a different map
+   * @param {(settings: object, level: number) => void} [onMapSettings] – callback when a map-level setting changes (e.g. wallColor)
+   * @param {(x: number, y: number, edge: string, door: object|null, level: number) => void} [onDoorChange] – callback when a door is placed, cycled or removed
+   * @param {() => void} [onOpenEncounterLog] – callback to open the encounter log
+   * @param {() => void} [onOpenMembers] – callback to open member, invite and game management
+   * @param {(level: number) => void} [onViewLevel] – callback when the DM picks a level to view
+   * @param {() => void} [onAddLevel] – callback to add a level
+   * @param {(level: number) => void} [onRemoveLevel] – callback to remove a level
    */
-  constructor(container, gameMap, renderer2d, role = 'dm', onActionModeToggle = null, onEditMap = null, onCellEdit = null, onMapSwitch = null, onMapSettings = null) {
-    this.gameMap = gameMap;
+  constructor(container, levels, renderer2d, role = 'dm', onActionModeToggle = null, onEditMap = null, onCellEdit = null, onMapSwitch = null, onMapSettings = null, onDoorChange = null, onOpenEncounterLog = null, onOpenMembers = null, onViewLevel = null, onAddLevel = null, onRemoveLevel = null) {
+    this.levels = levels;
+    this.level = levels.resolve(0);
+    this.gameMap = levels.getMap(this.level);
     this.renderer2d = renderer2d;
     this.enabled = false;
-    this.activeTool = 'wall'; // 'wall' | 'light' | 'floor' | 'fog' | 'objvis' | 'drag'
+    this.activeTool = 'wall'; // 'wall' | 'door' | 'light' | 'floor' | 'fog' | 'objvis' | 'stairs' | 'drag'
     this.role = role;
     this.onActionModeToggle = onActionModeToggle;
     this.onEditMap = onEditMap;
     this.onCellEdit = onCellEdit;
     this.onMapSwitch = onMapSwitch;
     this.onMapSettings = onMapSettings;
+    this.onDoorChange = onDoorChange;
+    this.onOpenEncounterLog = onOpenEncounterLog;
+    this.onOpenMembers = onOpenMembers;
+    this.onViewLevel = onViewLevel;
+    this.onAddLevel = onAddLevel;
+    this.onRemoveLevel = onRemoveLevel;
     this.actionModeEnabled = false;
     this._collapsed = true;
+    this._histories = new Map(); // level → EditHistory
+    this.history = this._historyFor(this.level);
+    this._stairsFrom = null; // { level, x, y } – first end of stairs being placed
 
     // Only build UI for DM
     if (this.role === 'dm') {
@@ -47,6 +71,11 @@ export class DMTools {
         <span class="dm-toolbar-toggle-arrow" id="dm-toolbar-arrow">&#x25B2;</span>
       </button>
       <div class="dm-toolbar-body" id="dm-toolbar-body" style="display:none">
+        <div class="dm-level-row">
+          <select id="dm-level-select" class="dm-map-select" title="Level to view and edit"></select>
+          <button class="dm-level-btn" id="dm-level-add" title="Add a level">+</button>
+          <button class="dm-level-btn" id="dm-level-remove" title="Remove this level">&minus;</button>
+        </div>
         <div class="dm-map-select-row">
           <select id="dm-map-select" class="dm-map-select">
             <option value="">— Switch Map —</option>
@@ -69,10 +98,12 @@ export class DMTools {
         </label>
         <div class="dm-tools-group" id="dm-tools-group">
           <button class="dm-btn active" data-tool="wall">Wall</button>
+          <button class="dm-btn" data-tool="door">Door</button>
           <button class="dm-btn" data-tool="light">Light</button>
           <button class="dm-btn" data-tool="floor">Floor Color</button>
           <button class="dm-btn" data-tool="fog">Fog</button>
           <button class="dm-btn" data-tool="objvis">Obj Vis</button>
+          <button class="dm-btn" data-tool="stairs">Stairs</button>
         </div>
         <div class="dm-hint" id="dm-hint">Click cell edges to toggle walls</div>
         <div class="dm-wall-theme" id="dm-wall-theme">
@@ -91,12 +122,18 @@ export class DMTools {
                  value="#6b6b6b" title="Custom wall color">
         </div>
         <div class="dm-divider"></div>
+        <label class="dm-toggle dm-los-toggle" title="Players only see what their characters can see">
+          <input type="checkbox" id="dm-los-toggle">
+          <span>Line of Sight Fog</span>
+        </label>
         <label class="dm-toggle dm-action-toggle">
           <input type="checkbox" id="dm-action-mode-toggle">
           <span>Action Mode</span>
         </label>
         <button class="dm-btn dm-drag-btn" id="dm-drag-btn" style="display:none">Drag Player</button>
+        <button class="dm-btn dm-edit-map-btn" id="dm-encounter-log">Encounter Log</button>
         <div class="dm-divider"></div>
+        <button class="dm-btn dm-edit-map-btn" id="dm-members">Members &amp; Invites</button>
         <button class="dm-btn dm-edit-map-btn" id="dm-edit-map">Edit Map</button>
       </div>
     `;
@@ -109,6 +146,20 @@ export class DMTools {
       this.toolbar.querySelector('#dm-toolbar-arrow').textContent = this._collapsed ? '\u25B2' : '\u25BC';
     });
 
+    // Level selector and add/remove buttons
+    this.toolbar.querySelector('#dm-level-select').addEventListener('change', (e) => {
+      if (this.onViewLevel) this.onViewLevel(parseInt(e.target.value, 10));
+    });
+    this.toolbar.querySelector('#dm-level-add').addEventListener('click', () => {
+      if (this.onAddLevel) this.onAddLevel();
+    });
+    this.toolbar.querySelector('#dm-level-remove').addEventListener('click', () => {
+      const level = this.levels.get(this.level);
+      if (!level || this.levels.levels.length <= 1 || !this.onRemoveLevel) return;
+      if (!confirm(`Remove "${level.name}"? Characters on it move to the first level.`)) return;
+      this.onRemoveLevel(this.level);
+    });
+
     // Toggle edit mode
     this.toolbar.querySelector('#dm-mode-toggle').addEventListener('change', (e) => {
       this.enabled = e.target.checked;
@@ -121,16 +172,31 @@ export class DMTools {
     this.toolbar.querySelectorAll('.dm-wall-preset').forEach(btn => {
       btn.addEventListener('click', () => {
         const color = btn.dataset.color;
+        this.history.begin(this.gameMap);
         this._setWallColor(color);
+        this.history.commit(this.gameMap);
         // Update color picker to reflect current selection
         this.toolbar.querySelector('#dm-wall-color-picker').value = color || '#d4c9a8';
       });
     });
 
-    // Wall color custom picker
-    this.toolbar.querySelector('#dm-wall-color-picker').addEventListener('input', (e) => {
+    // Wall color custom picker – one undo step per pick, committed when the picker closes
+    const picker = this.toolbar.querySelector('#dm-wall-color-picker');
+    picker.addEventListener('input', (e) => {
+      this.history.begin(this.gameMap);
       this._setWallColor(e.target.value);
     });
+    picker.addEventListener('change', () => this.history.commit(this.gameMap));
+
+    // Line-of-sight fog toggle (map-level setting)
+    this.toolbar.querySelector('#dm-los-toggle').addEventListener('change', (e) => {
+      this.history.begin(this.gameMap);
+      this.gameMap.dynamicFog = e.target.checked;
+      this.history.commit(this.gameMap);
+      if (this.onMapSettings) {
+        this.onMapSettings({ dynamicFog: e.target.checked }, this.level);
+      }
+    });
 
     // Tool selection
     this.toolbar.querySelectorAll('.dm-btn').forEach(btn => {
@@ -138,6 +204,7 @@ export class DMTools {
         this.toolbar.querySelectorAll('.dm-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         this.activeTool = btn.dataset.tool;
+        this._stairsFrom = null;
         this._updateHint();
       });
     });
@@ -173,6 +240,16 @@ export class DMTools {
       if (this.onEditMap) this.onEditMap();
     });
 
+    // Encounter log button
+    this.toolbar.querySelector('#dm-encounter-log').addEventListener('click', () => {
+      if (this.onOpenEncounterLog) this.onOpenEncounterLog();
+    });
+
+    // Members & invites button
+    this.toolbar.querySelector('#dm-members').addEventListener('click', () => {
+      if (this.onOpenMembers) this.onOpenMembers();
+    });
+
     // Map selector dropdown — show preview instead of switching immediately
     this._pendingMapData = null;
     this.toolbar.querySelector('#dm-map-select').addEventListener('change', async (e) => {
@@ -227,27 +304,108 @@ export class DMTools {
     this.toolbar.querySelector('#dm-hint').style.display = 'none';
     this.toolbar.querySelector('#dm-wall-theme').style.display = 'none';
 
-    // Sync wall color picker to current map setting
+    this._renderLevelSelect();
+    this.syncMapSettings();
+  }
+
+  /**
+   * Point the tools at a different set of levels (a map change or a full reload).
+   * Edit history belongs to the old map, so it is dropped – just for the level
+   * that changed, if only one did.
+   * @param {import('../engine/MapLevels.js').MapLevels} levels
+   * @param {number} level – the level being viewed
+   * @param {number|null} [changed=null] – the level that changed; null if all did
+   */
+  setLevels(levels, level, changed = null) {
+    this.levels = levels;
+    if (changed == null) this._histories.clear();
+    else this._histories.delete(changed);
+    this._stairsFrom = null;
+    this.showLevel(level);
+  }
+
+  /**
+   * Show and edit another level. Called by the app once it has switched its
+   * view, including when the DM picks one from the level selector.
+   * @param {number} level
+   */
+  showLevel(level) {
+    this.history.cancel();
+    this.level = this.levels.resolve(level);
+    this.gameMap = this.levels.getMap(this.level);
+    this.history = this._historyFor(this.level);
+    this._renderLevelSelect();
+    this.syncMapSettings();
+    if (this.activeTool === 'stairs') this._updateHint();
+  }
+
+  _historyFor(level) {
+    if (!this._histories.has(level)) this._histories.set(level, new EditHistory());
+    return this._histories.get(level);
+  }
+
+  /** Fill the level selector from the current levels. */
+  _renderLevelSelect() {
+    if (!this.toolbar) return;
+    const select = this.toolbar.querySelector('#dm-level-select');
+    select.innerHTML = '';
+    for (const { id, name } of this.levels.levels) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      select.appendChild(opt);
+    }
+    select.value = this.level;
+    this.toolbar.querySelector('#dm-level-remove').disabled = this.levels.levels.length <= 1;
+  }
+
+  /** Undo the latest edit and broadcast what it reverted. */
+  undo() {
+    this._applyHistory(this.history.undo(this.gameMap));
+  }
+
+  /** Redo the latest undone edit and broadcast it. */
+  redo() {
+    this._applyHistory(this.history.redo(this.gameMap));
+  }
+
+  _applyHistory(changes) {
+    if (!changes) return;
+    for (const { x, y } of changes.cells) this._emitCellEdit(x, y);
+    if (changes.settings) {
+      if (this.onMapSettings) this.onMapSettings(changes.settings, this.level);
+      this.syncMapSettings();
+    }
+  }
+
+  /** Sync map-level setting controls (wall color, LOS fog) to the current map. */
+  syncMapSettings() {
+    if (!this.toolbar) return;
     if (this.gameMap.wallColor) {
       this.toolbar.querySelector('#dm-wall-color-picker').value = this.gameMap.wallColor;
     }
+    this.toolbar.querySelector('#dm-los-toggle').checked = this.gameMap.dynamicFog !== false;
   }
 
   /** Set the map-level wall color and broadcast the change. */
   _setWallColor(color) {
     this.gameMap.wallColor = color;
     if (this.onMapSettings) {
-      this.onMapSettings({ wallColor: color });
+      this.onMapSettings({ wallColor: color }, this.level);
     }
   }
 
   _updateHint() {
     const hints = {
       wall: 'Click cell edges to toggle walls',
+      door: 'Click cell edges to cycle doors: closed → open → locked → secret → none',
       light: 'Click cells to cycle light level',
       floor: 'Click cells to cycle floor color',
-      fog: 'Click cells to toggle fog of war',
+      fog: 'Click cells to cycle fog: hidden (even in line of sight) → revealed (even out of it) → normal',
       objvis: 'Click cells to toggle object visibility',
+      stairs: this._stairsFrom
+        ? 'Click where the stairs lead – switch level first to link two levels (same cell cancels)'
+        : 'Click a cell for one end of stairs or a portal',
       drag: 'Click and drag player tokens to move them',
     };
     if (this.toolbar) {
@@ -267,18 +425,21 @@ export class DMTools {
       floorColor: cell.floorColor,
       ceilingColor: cell.ceilingColor,
       wallColor: cell.wallColor,
+      wallEdgeColors: cell.wallEdgeColors,
       light: cell.light,
       visible: cell.visible,
+      revealed: cell.revealed,
       solid: cell.solid,
       objects: cell.objects,
+      doors: cell.doors,
     };
   }
 
   /** Emit a cell edit via the onCellEdit callback. */
-  _emitCellEdit(x, y) {
+  _emitCellEdit(x, y, level = this.level) {
     if (this.onCellEdit) {
-      const cell = this.gameMap.getCell(x, y);
-      if (cell) this.onCellEdit(x, y, this._serializeCell(cell));
+      const cell = this.levels.getMap(level)?.getCell(x, y);
+      if (cell) this.onCellEdit(x, y, this._serializeCell(cell), level);
     }
   }
 
@@ -292,7 +453,15 @@ export class DMTools {
     const cell = this.gameMap.getCell(gridX, gridY);
     if (!cell) return false;
 
-    if (this.activeTool === 'wall') {
+    this.history.begin(this.gameMap);
+    const handled = this._applyTool(cell, gridX, gridY, world);
+    this.history.commit(this.gameMap);
+    return handled;
+  }
+
+  /** Apply the active tool to a clicked cell. Returns whether the click was used. */
+  _applyTool(cell, gridX, gridY, world) {
+    if (this.activeTool === 'wall' || this.activeTool === 'door') {
       // Determine which edge of the cell was clicked
       const fx = world.x - gridX; // fractional position within cell
       const fy = world.y - gridY;
@@ -305,6 +474,19 @@ export class DMTools {
       else if (fx < edgeThreshold) wallFlag = WALL_W;
       else if (fx > 1 - edgeThreshold) wallFlag = WALL_E;
 
+      // Doors are server-authoritative — the change is applied when it echoes back.
+      // The wall tool turns a door edge back into a plain wall.
+      const edge = wallFlag !== null ? FLAG_EDGES[wallFlag] : null;
+      if (edge && (this.activeTool === 'door' || cell.getDoor(edge))) {
+        if (this.onDoorChange) {
+          const before = cell.getDoor(edge);
+          const door = this.activeTool === 'door' ? nextDoorState(before) : null;
+          this.onDoorChange(gridX, gridY, edge, door, this.level);
+          this.history.push(this._doorCommand(gridX, gridY, edge, before, door));
+        }
+        return true;
+      }
+
       if (wallFlag !== null) {
         cell.toggleWall(wallFlag);
         this._emitCellEdit(gridX, gridY);
@@ -332,8 +514,15 @@ export class DMTools {
     }
 
     if (this.activeTool === 'fog') {
-      // Toggle fog of war: visible ↔ hidden
-      cell.visible = !cell.visible;
+      // Cycle fog of war: normal → hidden → revealed → normal
+      if (cell.revealed) {
+        cell.revealed = false;
+      } else if (!cell.visible) {
+        cell.visible = true;
+        cell.revealed = true;
+      } else {
+        cell.visible = false;
+      }
       this._emitCellEdit(gridX, gridY);
       return true;
     }
@@ -347,9 +536,60 @@ export class DMTools {
       return true;
     }
 
+    if (this.activeTool === 'stairs') {
+      this._placeStairs(gridX, gridY);
+      return true;
+    }
+
     return false;
   }
 
+  /**
+   * Stairs tool: the first click marks one end, the second (possibly on
+   * another level) links the two. Each end gets stairs pointing at the other;
+   * stairs or a portal already in the cell are relinked instead.
+   */
+  _placeStairs(x, y) {
+    const from = this._stairsFrom;
+    if (!from) {
+      this._stairsFrom = { level: this.level, x, y };
+      this._updateHint();
+      return;
+    }
+    this._stairsFrom = null;
+    this._updateHint();
+    if (from.level === this.level && from.x === x && from.y === y) return;
+
+    const fromMap = this.levels.getMap(from.level);
+    if (!this.levels.get(from.level) || !fromMap.getCell(from.x, from.y)) return;
+
+    // This click's cell is covered by the edit handleClick has open; the first
+    // end is recorded in its own level's history if it is on another level
+    const fromHistory = from.level === this.level ? null : this._historyFor(from.level);
+    if (fromHistory) fromHistory.begin(fromMap);
+    linkCell(fromMap.getCell(from.x, from.y), { level: this.level, x, y });
+    if (fromHistory) fromHistory.commit(fromMap);
+    linkCell(this.gameMap.getCell(x, y), { level: from.level, x: from.x, y: from.y });
+
+    this._emitCellEdit(from.x, from.y, from.level);
+    this._emitCellEdit(x, y);
+  }
+
+  /**
+   * Undo step for a door change. Doors only change when the server echoes the
+   * request, so undo and redo send another request rather than editing the cell.
+   * Skipped if the door has changed again since.
+   */
+  _doorCommand(x, y, edge, before, after) {
+    const level = this.level;
+    const send = (from, to) => (map) => {
+      const current = map.getCell(x, y)?.getDoor(edge) || null;
+      if (JSON.stringify(current) === JSON.stringify(from)) this.onDoorChange(x, y, edge, to, level);
+      return { cells: [], settings: null, replaced: false };
+    };
+    return { undo: send(after, before), redo: send(before, after) };
+  }
+
   /** Programmatically set the Action Mode toggle (e.g. from TurnTracker ending). */
   setActionMode(enabled) {
     this.actionModeEnabled = enabled;
@@ -444,7 +684,7 @@ export class DMTools {
     ctx.translate(offsetX, offsetY);
 
     // Background image (if present)
-    if (mapData.backgroundImage) {
+    if (assetUrl(mapData.backgroundAsset)) {
       const img = new Image();
       img.onload = () => {
         ctx.save();
@@ -459,7 +699,7 @@ export class DMTools {
         // Re-draw floor + walls on top after bg loads
         this._drawMapPreviewCells(ctx, mapData, ts, mapW, mapH);
       };
-      img.src = mapData.backgroundImage;
+      img.src = assetUrl(mapData.backgroundAsset);
     }
 
     // Draw cells (floor + walls) immediately (may be re-drawn after bg loads)
@@ -536,3 +776,13 @@ export class DMTools {
     }
   }
 }
+
+/** Point the stairs or portal in a cell at `link`, adding stairs if it has neither. */
+function linkCell(cell, link) {
+  const existing = cell.objects.find(obj => LINK_OBJECT_TYPES.includes(obj.type));
+  if (existing) {
+    existing.link = link;
+  } else {
+    cell.objects.push({ type: 'stairs', sprite: STAIRS_SPRITE, x: 0.5, y: 0.5, link });
+  }
+}
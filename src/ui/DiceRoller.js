@@ -3,11 +3,13 @@
  *
  * Tabbed dice rolling panel with quick-roll buttons, modifier control,
  * custom macro management, and a Quick Checks sidebar for common D&D ability/skill checks.
- * Sits on the right side of the screen. Rolls broadcast to chat via onRoll callback.
+ * Sits on the right side of the screen. Rolls are requested from the server via the
+ * onRoll callback and come back to everyone as verified chat messages.
  */
 
-import { rollFormula, validateFormula } from '../engine/DiceFormulaParser.js';
-import { getMacros, createMacro, updateMacro, deleteMacro } from '../services/api.js';
+import { validateFormula } from '../engine/DiceFormulaParser.js';
+import { sheetVariables } from '../engine/CharacterSheet.js';
+import { getMacros, createMacro, updateMacro, deleteMacro, getCharacterSheet } from '../services/api.js';
 
 const DICE_PRESETS = [
   { label: 'd4', sides: 4 },
@@ -28,12 +30,13 @@ const CATEGORY_LABELS = {
   custom: 'Custom',
 };
 
+// `stat` names the character sheet variable added to the d20 (see CharacterSheet.js)
 const DEFAULT_CHECKS = [
-  { name: 'DEX', label: 'Dexterity' },
-  { name: 'STR', label: 'Strength' },
-  { name: 'WIS', label: 'Wisdom' },
-  { name: 'INT', label: 'Knowledge' },
-  { name: 'SPOT', label: 'Spot' },
+  { name: 'DEX', label: 'Dexterity', stat: 'dex' },
+  { name: 'STR', label: 'Strength', stat: 'str' },
+  { name: 'WIS', label: 'Wisdom', stat: 'wis' },
+  { name: 'INT', label: 'Knowledge', stat: 'int' },
+  { name: 'SPOT', label: 'Spot', stat: 'perception' },
 ];
 
 const CHECKS_STORAGE_KEY = 'dnd_quick_checks';
@@ -43,17 +46,20 @@ export class DiceRoller {
    * @param {HTMLElement} container - DOM element to mount into
    * @param {{ id: number, username: string }} currentUser
    * @param {string} role - 'dm' or 'player'
-   * @param {(content: string, recipientId: null, roll: object) => void} onRoll
+   * @param {(formula: string, macroName: string|null, characterId: number|null) => void} onRoll – request a server roll
+   * @param {(macro: object) => void} [onAttack] – start picking a target for an attack macro
    */
-  constructor(container, currentUser, role, onRoll) {
+  constructor(container, currentUser, role, onRoll, onAttack = null) {
     this.container = container;
     this.currentUser = currentUser;
     this.role = role;
     this.onRoll = onRoll;
+    this.onAttack = onAttack;
     this.collapsed = true;
     this.activeTab = 'quick'; // 'quick' | 'macros'
     this.activeCharacterId = null;
     this.activeCharacter = null; // { name, color, isMonster }
+    this.sheetVars = {}; // @variables from the active character's sheet
     this.macros = [];
     this.rollHistory = []; // last 20 rolls
     this.editingMacroId = null; // null = creating new, number = editing existing
@@ -74,7 +80,15 @@ export class DiceRoller {
     try {
       const key = `${CHECKS_STORAGE_KEY}_${this.activeCharacterId || 'default'}`;
       const stored = localStorage.getItem(key);
-      if (stored) return JSON.parse(stored);
+      if (stored) {
+        // Checks saved before sheets existed carried the whole bonus in their
+        // modifier; hook them up to the sheet and take its part out of the
+        // modifier once the sheet has loaded (see _migrateChecks).
+        return JSON.parse(stored).map(c => {
+          const def = DEFAULT_CHECKS.find(d => d.name === c.name);
+          return def && !c.stat ? { ...c, stat: def.stat, legacyModifier: true } : c;
+        });
+      }
     } catch (e) { /* ignore */ }
     // Return defaults with modifier 0
     return DEFAULT_CHECKS.map(c => ({ ...c, modifier: 0 }));
@@ -86,6 +100,23 @@ export class DiceRoller {
     } catch (e) { /* ignore */ }
   }
 
+  /**
+   * Finish migrating checks from before sheets: the sheet now supplies the
+   * stat's bonus, so the modifier keeps only the rest (e.g. a magic item's +1)
+   * and the total stays the same. A modifier of 0 was never set and stays 0.
+   * Until the sheet loads, these checks roll with their old modifier alone.
+   */
+  _migrateChecks() {
+    let migrated = false;
+    for (const check of this.quickChecks) {
+      if (!check.legacyModifier || !this._usesSheet(check)) continue;
+      if (check.modifier) check.modifier -= this.sheetVars[check.stat];
+      delete check.legacyModifier;
+      migrated = true;
+    }
+    if (migrated) this._saveChecks();
+  }
+
   _build() {
     this.el = document.createElement('div');
     this.el.id = 'dice-roller-wrapper';
@@ -155,7 +186,8 @@ export class DiceRoller {
               <button class="dice-macro-add-btn">+ New Macro</button>
               <div class="dice-macro-form" style="display:none">
                 <input type="text" class="dice-macro-name" placeholder="Macro name (e.g. Greatsword Attack)" maxlength="50" />
-                <input type="text" class="dice-macro-formula" placeholder="Formula (e.g. 1d20+7)" maxlength="100" />
+                <input type="text" class="dice-macro-formula" placeholder="Formula (e.g. 1d20+@str+@prof)" maxlength="100" />
+                <input type="text" class="dice-macro-damage" placeholder="Damage on hit (e.g. 1d8+@str)" maxlength="100" style="display:none" />
                 <input type="text" class="dice-macro-desc" placeholder="Description (e.g. STR + proficiency)" maxlength="200" />
                 <select class="dice-macro-category">
                   <option value="attack">Attack</option>
@@ -272,6 +304,11 @@ export class DiceRoller {
       inp.addEventListener('keyup', (e) => e.stopPropagation());
     });
 
+    // Damage formula only applies to attack macros
+    this.el.querySelector('.dice-macro-category').addEventListener('change', (e) => {
+      this.el.querySelector('.dice-macro-damage').style.display = e.target.value === 'attack' ? '' : 'none';
+    });
+
     // Macro save
     this.el.querySelector('.dice-macro-save-btn').addEventListener('click', (e) => {
       e.stopPropagation();
@@ -345,10 +382,12 @@ export class DiceRoller {
       </div>
     ` + this.quickChecks.map((c, i) => {
       const modDisplay = c.modifier >= 0 ? `+${c.modifier}` : `${c.modifier}`;
+      const bonus = this._checkBonus(c);
+      const bonusDisplay = bonus >= 0 ? `+${bonus}` : `${bonus}`;
       const isCustom = !DEFAULT_CHECKS.some(d => d.name === c.name);
       return `
         <div class="dice-check-item" data-index="${i}">
-          <button class="dice-check-roll-btn" data-index="${i}" title="${c.label}: 1d20${modDisplay}">
+          <button class="dice-check-roll-btn" data-index="${i}" title="${c.label}: 1d20${bonusDisplay}">
             ${this._esc(c.name)}
           </button>
           <div class="dice-check-mod"${modsHidden ? ' style="display:none"' : ''}>
@@ -422,11 +461,7 @@ export class DiceRoller {
         const idx = parseInt(btn.dataset.index, 10);
         const check = this.quickChecks[idx];
         if (!check) return;
-        const mod = check.modifier;
-        let formula = '1d20';
-        if (mod > 0) formula += `+${mod}`;
-        else if (mod < 0) formula += `${mod}`;
-        this._executeRoll(formula, `${check.label} Check`);
+        this._executeRoll(this._checkFormula(check), `${check.label} Check`);
       });
     });
 
@@ -478,6 +513,25 @@ export class DiceRoller {
     this._hideCheckForm();
   }
 
+  /** Whether a check's sheet stat can be used (needs a character with a loaded sheet). */
+  _usesSheet(check) {
+    return !!check.stat && this.activeCharacterId != null && check.stat in this.sheetVars;
+  }
+
+  /** Total bonus shown on a check button: sheet stat plus the manual modifier. */
+  _checkBonus(check) {
+    return (this._usesSheet(check) ? this.sheetVars[check.stat] : 0) + check.modifier;
+  }
+
+  /** Formula sent for a check, e.g. `1d20+@dex+1`. The server fills in the sheet value. */
+  _checkFormula(check) {
+    let formula = '1d20';
+    if (this._usesSheet(check)) formula += `+@${check.stat}`;
+    if (check.modifier > 0) formula += `+${check.modifier}`;
+    else if (check.modifier < 0) formula += `${check.modifier}`;
+    return formula;
+  }
+
   _hideCheckForm() {
     this.el.querySelector('.dice-checks-add-form').style.display = 'none';
     this.el.querySelector('.dice-checks-add-btn').style.display = '';
@@ -490,7 +544,7 @@ export class DiceRoller {
     const formula = input.value.trim();
     if (!formula) return;
 
-    const validation = validateFormula(formula);
+    const validation = validateFormula(formula, { variables: this.sheetVars });
     if (!validation.valid) {
       // Flash the input red briefly
       input.style.borderColor = '#e74c3c';
@@ -503,48 +557,25 @@ export class DiceRoller {
   }
 
   _executeRoll(formula, macroName = null) {
-    const result = rollFormula(formula);
+    // Rolled on the server — the result comes back as a chat message (see recordRoll)
+    this.onRoll(formula, macroName, this.activeCharacterId);
+  }
 
-    // Add to local history
+  /**
+   * Add a roll to the local history panel.
+   * Called by main.js when the server broadcasts one of our own rolls.
+   * @param {{ formula: string, macroName?: string|null, total: number, breakdown: string }} roll
+   */
+  recordRoll(roll) {
     this.rollHistory.unshift({
-      formula: result.formula,
-      macroName,
-      total: result.total,
-      breakdown: result.breakdown,
+      formula: roll.formula,
+      macroName: roll.macroName || null,
+      total: roll.total,
+      breakdown: roll.breakdown,
       timestamp: new Date(),
     });
     if (this.rollHistory.length > 20) this.rollHistory.pop();
     this._renderHistory();
-
-    // Build chat content string
-    const label = macroName ? `${macroName} (${result.formula})` : result.formula;
-    const content = `rolled ${label}: ${result.breakdown}`;
-
-    // Build roll data — backward-compatible with existing ChatPanel
-    const rollData = {
-      formula: result.formula,
-      macroName: macroName || null,
-      groups: result.groups,
-      modifier: result.modifier,
-      total: result.total,
-      breakdown: result.breakdown,
-    };
-
-    // Add backward-compatible fields for simple rolls (single dice group, no keep)
-    if (result.groups.length === 1 && !result.groups[0].keep) {
-      rollData.count = result.groups[0].count;
-      rollData.sides = result.groups[0].sides;
-      rollData.results = result.groups[0].results;
-    } else {
-      // For complex rolls, use first group as fallback
-      const g = result.groups[0] || { count: 1, sides: 20, results: [result.total] };
-      rollData.count = g.count;
-      rollData.sides = g.sides;
-      rollData.results = g.kept || g.results;
-    }
-
-    // Broadcast via callback
-    this.onRoll(content, null, rollData);
   }
 
   _renderHistory() {
@@ -572,13 +603,15 @@ export class DiceRoller {
   // --- Macros ---
 
   /**
-   * Set the active character, update theme/indicator, and reload macros + checks.
+   * Set the active character, update theme/indicator, and reload macros, checks
+   * and sheet variables.
    * @param {Player|null} player - Player object with characterId, name, color, isMonster
    */
   async setActiveCharacter(player) {
     if (!player) {
       this.activeCharacter = null;
       this.activeCharacterId = null;
+      this.sheetVars = {};
       this._renderCharacterIndicator();
       this._applyTheme(null);
       this.macros = [];
@@ -599,8 +632,32 @@ export class DiceRoller {
     this._renderCharacterIndicator();
     this._applyTheme(player.isMonster ? player.color : null);
     this.quickChecks = this._loadChecks();
+    this.sheetVars = {};
     this._renderChecks();
-    await this._loadMacros();
+    await Promise.all([this._loadSheet(), this._loadMacros()]);
+  }
+
+  /**
+   * Use a character sheet's values for check bonuses and macro validation.
+   * Called after the sheet is loaded or edited.
+   * @param {object|null} sheet
+   */
+  setSheet(sheet) {
+    this.sheetVars = sheet ? sheetVariables(sheet) : {};
+    this._migrateChecks();
+    this._renderChecks();
+  }
+
+  async _loadSheet() {
+    const characterId = this.activeCharacterId;
+    if (!characterId) return;
+    try {
+      const sheet = await getCharacterSheet(characterId);
+      // Ignore stale responses if the active character changed meanwhile
+      if (characterId === this.activeCharacterId) this.setSheet(sheet);
+    } catch (err) {
+      console.error('Failed to load character sheet:', err);
+    }
   }
 
   _renderCharacterIndicator() {
@@ -687,10 +744,11 @@ export class DiceRoller {
           <span class="dice-macro-item-name">${this._esc(m.name)}</span>
         </div>
         <div class="dice-macro-item-detail">
-          <span class="dice-macro-item-formula">${this._esc(m.formula)}</span>
+          <span class="dice-macro-item-formula">${this._esc(m.formula)}${m.damage_formula ? ` \u2192 ${this._esc(m.damage_formula)}` : ''}</span>
           ${m.description ? `<span class="dice-macro-item-desc">${this._esc(m.description)}</span>` : ''}
         </div>
         <div class="dice-macro-item-actions">
+          ${m.category === 'attack' && this.onAttack ? `<button class="dice-macro-attack-btn" data-macro-id="${m.id}" title="Attack a target">\u2694</button>` : ''}
           <button class="dice-macro-edit-btn" data-macro-id="${m.id}" title="Edit">&#9998;</button>
           <button class="dice-macro-delete-btn" data-macro-id="${m.id}" title="Delete">&times;</button>
         </div>
@@ -700,8 +758,8 @@ export class DiceRoller {
     // Click macro to roll
     listEl.querySelectorAll('.dice-macro-item').forEach(item => {
       item.addEventListener('click', (e) => {
-        // Don't trigger roll if clicking edit/delete buttons
-        if (e.target.closest('.dice-macro-edit-btn') || e.target.closest('.dice-macro-delete-btn')) return;
+        // Don't trigger roll if clicking edit/delete/attack buttons
+        if (e.target.closest('.dice-macro-item-actions')) return;
         e.stopPropagation();
         const macroId = parseInt(item.dataset.macroId, 10);
         const macro = this.macros.find(m => m.id === macroId);
@@ -711,6 +769,16 @@ export class DiceRoller {
       });
     });
 
+    // Attack buttons — main.js takes over to pick the target on the map
+    listEl.querySelectorAll('.dice-macro-attack-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const macroId = parseInt(btn.dataset.macroId, 10);
+        const macro = this.macros.find(m => m.id === macroId);
+        if (macro && this.onAttack) this.onAttack({ ...macro, characterId: this.activeCharacterId });
+      });
+    });
+
     // Edit buttons
     listEl.querySelectorAll('.dice-macro-edit-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -738,14 +806,17 @@ export class DiceRoller {
 
     const nameInput = form.querySelector('.dice-macro-name');
     const formulaInput = form.querySelector('.dice-macro-formula');
+    const damageInput = form.querySelector('.dice-macro-damage');
     const descInput = form.querySelector('.dice-macro-desc');
     const categorySelect = form.querySelector('.dice-macro-category');
     const errorEl = form.querySelector('.dice-macro-form-error');
 
     nameInput.value = existingMacro ? existingMacro.name : '';
     formulaInput.value = existingMacro ? existingMacro.formula : '';
+    damageInput.value = existingMacro ? (existingMacro.damage_formula || '') : '';
     descInput.value = existingMacro ? (existingMacro.description || '') : '';
     categorySelect.value = existingMacro ? existingMacro.category : 'custom';
+    damageInput.style.display = categorySelect.value === 'attack' ? '' : 'none';
     errorEl.textContent = '';
 
     const saveBtn = form.querySelector('.dice-macro-save-btn');
@@ -771,6 +842,7 @@ export class DiceRoller {
     const formula = form.querySelector('.dice-macro-formula').value.trim();
     const description = form.querySelector('.dice-macro-desc').value.trim();
     const category = form.querySelector('.dice-macro-category').value;
+    const damageFormula = category === 'attack' ? form.querySelector('.dice-macro-damage').value.trim() : '';
     const errorEl = form.querySelector('.dice-macro-form-error');
 
     if (!name) {
@@ -782,17 +854,25 @@ export class DiceRoller {
       return;
     }
 
-    const validation = validateFormula(formula);
+    const validation = validateFormula(formula, { variables: this.sheetVars });
     if (!validation.valid) {
       errorEl.textContent = validation.error;
       return;
     }
+    if (damageFormula) {
+      const damageValidation = validateFormula(damageFormula, { variables: this.sheetVars });
+      if (!damageValidation.valid) {
+        errorEl.textContent = `Damage: ${damageValidation.error}`;
+        return;
+      }
+    }
 
+    const data = { name, formula, description, category, damage_formula: damageFormula };
     try {
       if (this.editingMacroId) {
-        await updateMacro(this.editingMacroId, { name, formula, description, category });
+        await updateMacro(this.editingMacroId, data);
       } else {
-        await createMacro(this.activeCharacterId, { name, formula, description, category });
+        await createMacro(this.activeCharacterId, data);
       }
       this._hideMacroForm();
       await this._loadMacros();
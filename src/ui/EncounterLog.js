@@ -0,0 +1,230 @@
+/**
+ * Encounter log modal overlay (DM only).
+ * Lists the game's encounters and shows each one round by round – turns,
+ * rolls, attacks, damage and condition changes – with export to JSON or text.
+ */
+
+import { getEncounters, getEncounter } from '../services/api.js';
+
+const EVENT_ICONS = {
+  start: '\u2694',     // ⚔
+  turn: '\u25B6',      // ▶
+  roll: '\u{1F3B2}',   // 🎲
+  attack: '\u{1F5E1}', // 🗡
+  damage: '\u{1F494}', // 💔
+  condition: '\u{1F300}', // 🌀
+  end: '\u{1F3C1}',    // 🏁
+};
+
+export class EncounterLog {
+  /**
+   * @param {HTMLElement} container – parent to mount the overlay into
+   * @param {number} gameId
+   * @param {() => void} onClose – called when the user closes the log
+   */
+  constructor(container, gameId, onClose) {
+    this.container = container;
+    this.gameId = gameId;
+    this.onClose = onClose;
+    this.encounters = [];
+    this.selected = null; // { encounter, events }
+
+    this._build();
+    this._refresh();
+  }
+
+  _build() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'encounter-log-overlay';
+    this.overlay.innerHTML = `
+      <div class="enc-modal">
+        <div class="enc-header">
+          <h2>Encounter Log</h2>
+          <button class="enc-btn" id="enc-refresh" title="Reload">&#x21BB;</button>
+          <button class="enc-close-btn" id="enc-close">&times;</button>
+        </div>
+        <div class="enc-content">
+          <div class="enc-list" id="enc-list">
+            <div class="enc-empty">Loading...</div>
+          </div>
+          <div class="enc-detail" id="enc-detail">
+            <div class="enc-empty">Select an encounter</div>
+          </div>
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.overlay);
+
+    this.overlay.querySelector('#enc-close').addEventListener('click', () => {
+      if (this.onClose) this.onClose();
+    });
+
+    this.overlay.querySelector('#enc-refresh').addEventListener('click', () => {
+      this._refresh();
+    });
+
+    // Click outside modal to close
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        if (this.onClose) this.onClose();
+      }
+    });
+  }
+
+  async _refresh() {
+    const list = this.overlay.querySelector('#enc-list');
+    try {
+      const { encounters } = await getEncounters(this.gameId);
+      this.encounters = encounters;
+      this._renderList();
+      // Keep the open encounter up to date (e.g. a fight still running)
+      const selectedId = this.selected ? this.selected.encounter.id : (encounters[0] && encounters[0].id);
+      if (selectedId) this._select(selectedId);
+    } catch (err) {
+      console.error('Failed to load encounters:', err);
+      list.innerHTML = `<div class="enc-empty">${this._esc(err.message)}</div>`;
+    }
+  }
+
+  _renderList() {
+    const list = this.overlay.querySelector('#enc-list');
+
+    if (this.encounters.length === 0) {
+      list.innerHTML = '<div class="enc-empty">No encounters yet. Start turns in Action Mode to begin one.</div>';
+      return;
+    }
+
+    list.innerHTML = this.encounters.map(e => `
+      <div class="enc-item${this.selected && this.selected.encounter.id === e.id ? ' active' : ''}" data-id="${e.id}">
+        <div class="enc-item-title">
+          Encounter #${e.id}
+          ${e.ended_at ? '' : '<span class="enc-running">running</span>'}
+        </div>
+        <div class="enc-item-meta">
+          ${this._formatDate(e.started_at)} · ${e.round} round${e.round === 1 ? '' : 's'} · ${e.event_count} events
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.enc-item').forEach(item => {
+      item.addEventListener('click', () => this._select(parseInt(item.dataset.id, 10)));
+    });
+  }
+
+  async _select(encounterId) {
+    const detail = this.overlay.querySelector('#enc-detail');
+    try {
+      this.selected = await getEncounter(this.gameId, encounterId);
+      this._renderList();
+      this._renderDetail();
+    } catch (err) {
+      console.error('Failed to load encounter:', err);
+      detail.innerHTML = `<div class="enc-empty">${this._esc(err.message)}</div>`;
+    }
+  }
+
+  _renderDetail() {
+    const detail = this.overlay.querySelector('#enc-detail');
+    const { encounter, events } = this.selected;
+
+    let html = `
+      <div class="enc-detail-header">
+        <div>
+          <div class="enc-detail-title">Encounter #${encounter.id}</div>
+          <div class="enc-item-meta">
+            ${this._formatDate(encounter.started_at)} → ${encounter.ended_at ? this._formatDate(encounter.ended_at) : 'still running'}
+          </div>
+        </div>
+        <div class="enc-export">
+          <button class="enc-btn" id="enc-export-json">Export JSON</button>
+          <button class="enc-btn" id="enc-export-text">Export Text</button>
+        </div>
+      </div>
+      <div class="enc-events">
+    `;
+
+    let round = null;
+    for (const ev of events) {
+      if (ev.round !== round && ev.type !== 'start') {
+        round = ev.round;
+        html += `<div class="enc-round">Round ${round}</div>`;
+      }
+      const actor = ev.actor_name && ev.type !== 'turn' ? `<span class="enc-actor">${this._esc(ev.actor_name)}</span> ` : '';
+      html += `
+        <div class="enc-event enc-event-${ev.type}">
+          <span class="enc-time">${this._formatTime(ev.created_at)}</span>
+          <span class="enc-icon">${EVENT_ICONS[ev.type] || '•'}</span>
+          <span class="enc-text">${actor}${this._esc(ev.content)}</span>
+        </div>
+      `;
+    }
+    html += `</div>`;
+    detail.innerHTML = html;
+
+    detail.querySelector('#enc-export-json').addEventListener('click', () => {
+      this._download(`encounter-${encounter.id}.json`, JSON.stringify(this.selected, null, 2), 'application/json');
+    });
+    detail.querySelector('#enc-export-text').addEventListener('click', () => {
+      this._download(`encounter-${encounter.id}.txt`, this._toText(), 'text/plain');
+    });
+  }
+
+  /** Plain-text transcript of the selected encounter. */
+  _toText() {
+    const { encounter, events } = this.selected;
+    const lines = [
+      `Encounter #${encounter.id}`,
+      `Started: ${this._formatDate(encounter.started_at)}`,
+      `Ended: ${encounter.ended_at ? this._formatDate(encounter.ended_at) : 'still running'}`,
+      `Rounds: ${encounter.round}`,
+    ];
+    let round = null;
+    for (const ev of events) {
+      if (ev.round !== round && ev.type !== 'start') {
+        round = ev.round;
+        lines.push('', `Round ${round}`);
+      }
+      const actor = ev.actor_name && ev.type !== 'turn' ? `${ev.actor_name}: ` : '';
+      lines.push(`  [${this._formatTime(ev.created_at)}] ${actor}${ev.content}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  _download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /** SQLite timestamps are UTC without a zone suffix. */
+  _parseDate(dateStr) {
+    return new Date(dateStr.includes('T') ? dateStr : dateStr.replace(' ', 'T') + 'Z');
+  }
+
+  _formatDate(dateStr) {
+    if (!dateStr) return '';
+    return this._parseDate(dateStr).toLocaleString();
+  }
+
+  _formatTime(dateStr) {
+    if (!dateStr) return '';
+    return this._parseDate(dateStr).toLocaleTimeString();
+  }
+
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+  }
+}
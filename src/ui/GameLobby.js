@@ -1,16 +1,18 @@
 /**
  * Game lobby – create or join a game.
- * Shown after login, before the game canvas.
+ * Shown after login, before the game canvas. Lists the user's games and
+ * public games; private games are joined with an invite code.
  */
 
-import { getGames, createGame, joinGame } from '../services/api.js';
+import { getGames, createGame, joinGame, acceptInvite, changePassword } from '../services/api.js';
 
 export class GameLobby {
   /**
    * @param {HTMLElement} container
    * @param {{ id: number, username: string }} user
    * @param {Function} onGameSelected – callback({ id, role }) when a game is entered
-   * @param {Function} onLogout – callback when user clicks logout
+   * @param {Function} onLogout – callback(everywhere) when user clicks logout
+   *   (everywhere = true to end every session, not just this one)
    */
   constructor(container, user, onGameSelected, onLogout, onEditMap = null) {
     this.container = container;
@@ -31,21 +33,38 @@ export class GameLobby {
         <div class="lobby-logo">D&D Crawler</div>
         <div class="lobby-user">
           <span class="lobby-username">${this.user.username}</span>
+          <button class="lobby-logout" id="lobby-password-toggle">Change Password</button>
+          <button class="lobby-logout" id="lobby-logout-all" title="Log out on every device">Log Out Everywhere</button>
           <button class="lobby-logout" id="lobby-logout">Logout</button>
         </div>
       </div>
       <div class="lobby-content">
+        <form class="lobby-password-form" id="lobby-password-form" style="display:none">
+          <h2>Change Password</h2>
+          <p class="lobby-hint">Your other sessions will be logged out.</p>
+          <input type="password" id="lobby-current-password" placeholder="Current password" autocomplete="current-password" required />
+          <input type="password" id="lobby-new-password" placeholder="New password" autocomplete="new-password" minlength="4" required />
+          <button type="submit" class="lobby-btn small">Save</button>
+        </form>
         <div class="lobby-create">
           <h2>Create New Game</h2>
           <p class="lobby-hint">You will be the Dungeon Master.</p>
           <form class="lobby-create-form" id="lobby-create-form">
             <input type="text" id="lobby-game-name" placeholder="Game name" maxlength="40" required />
+            <label class="lobby-private-toggle" title="Private games can only be joined with an invite code">
+              <input type="checkbox" id="lobby-game-private" checked />
+              Private (invite only)
+            </label>
             <button type="submit" class="lobby-btn primary">Create Game</button>
           </form>
         </div>
         <div class="lobby-divider"></div>
         <div class="lobby-join">
           <h2>Join a Game</h2>
+          <form class="lobby-code-form" id="lobby-code-form">
+            <input type="text" id="lobby-invite-code" placeholder="Invite code" maxlength="40" autocomplete="off" required />
+            <button type="submit" class="lobby-btn small">Join</button>
+          </form>
           <div class="lobby-games-list" id="lobby-games-list">
             <div class="lobby-loading">Loading games...</div>
           </div>
@@ -62,14 +81,34 @@ export class GameLobby {
       this._createGame();
     });
 
+    // Join with an invite code
+    this.panel.querySelector('#lobby-code-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._joinWithCode();
+    });
+
     // Refresh
     this.panel.querySelector('#lobby-refresh').addEventListener('click', () => {
       this.refresh();
     });
 
+    // Account
+    const passwordForm = this.panel.querySelector('#lobby-password-form');
+    this.panel.querySelector('#lobby-password-toggle').addEventListener('click', () => {
+      passwordForm.style.display = passwordForm.style.display === 'none' ? '' : 'none';
+    });
+    passwordForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._changePassword();
+    });
+
     // Logout
     this.panel.querySelector('#lobby-logout').addEventListener('click', () => {
-      this.onLogout();
+      this.onLogout(false);
+    });
+    this.panel.querySelector('#lobby-logout-all').addEventListener('click', () => {
+      if (!confirm('Log out of every session, including this one?')) return;
+      this.onLogout(true);
     });
   }
 
@@ -101,16 +140,20 @@ export class GameLobby {
       const roleLabel = game.my_role
         ? `<span class="lobby-role ${game.my_role}">${game.my_role.toUpperCase()}</span>`
         : '';
+      const statusLabel = game.archived_at
+        ? '<span class="lobby-status">ARCHIVED</span>'
+        : (game.is_private ? '<span class="lobby-status">PRIVATE</span>' : '');
 
       const showEditMap = game.my_role === 'dm' && this.onEditMap;
 
       item.innerHTML = `
         <div class="lobby-game-info">
-          <div class="lobby-game-name">${game.name} ${roleLabel}</div>
+          <div class="lobby-game-name">${game.name} ${roleLabel} ${statusLabel}</div>
           <div class="lobby-game-meta">DM: ${game.dm_name} · ${game.player_count} player${game.player_count !== 1 ? 's' : ''}</div>
         </div>
         <div class="lobby-game-actions">
           ${showEditMap ? '<button class="lobby-btn small secondary lobby-edit-map-btn">Edit Map</button>' : ''}
+          ${game.my_role ? '' : '<button class="lobby-btn small secondary lobby-watch-btn" title="Join as a spectator">Watch</button>'}
           <button class="lobby-btn small lobby-enter-btn">${game.my_role ? 'Enter' : 'Join'}</button>
         </div>
       `;
@@ -119,6 +162,13 @@ export class GameLobby {
         this._enterGame(game);
       });
 
+      const watchBtn = item.querySelector('.lobby-watch-btn');
+      if (watchBtn) {
+        watchBtn.addEventListener('click', () => {
+          this._enterGame(game, 'spectator');
+        });
+      }
+
       if (showEditMap) {
         item.querySelector('.lobby-edit-map-btn').addEventListener('click', () => {
           this.onEditMap(game);
@@ -137,7 +187,8 @@ export class GameLobby {
     this._clearError();
 
     try {
-      const game = await createGame(name);
+      const isPrivate = this.panel.querySelector('#lobby-game-private').checked;
+      const game = await createGame(name, isPrivate);
       nameInput.value = '';
       this.onGameSelected({ id: game.id, role: 'dm' });
     } catch (err) {
@@ -145,13 +196,17 @@ export class GameLobby {
     }
   }
 
-  async _enterGame(game) {
+  /**
+   * @param {object} game
+   * @param {'player'|'spectator'} [joinAs] – role to join with if not yet a member
+   */
+  async _enterGame(game, joinAs = 'player') {
     this._clearError();
 
     try {
       if (!game.my_role) {
         // Need to join first
-        const result = await joinGame(game.id);
+        const result = await joinGame(game.id, joinAs);
         this.onGameSelected({ id: game.id, role: result.role });
       } else {
         this.onGameSelected({ id: game.id, role: game.my_role });
@@ -161,6 +216,42 @@ export class GameLobby {
     }
   }
 
+  async _joinWithCode() {
+    const codeInput = this.panel.querySelector('#lobby-invite-code');
+    // Accept a pasted invite link as well as the bare code
+    let code = codeInput.value.trim();
+    const match = code.match(/[?&]invite=([^&#]+)/);
+    if (match) code = decodeURIComponent(match[1]);
+    if (!code) return;
+
+    this._clearError();
+
+    try {
+      const result = await acceptInvite(code);
+      codeInput.value = '';
+      this.onGameSelected({ id: result.id, role: result.role });
+    } catch (err) {
+      this._showError(err.message);
+    }
+  }
+
+  async _changePassword() {
+    const form = this.panel.querySelector('#lobby-password-form');
+    const current = this.panel.querySelector('#lobby-current-password');
+    const next = this.panel.querySelector('#lobby-new-password');
+
+    this._clearError();
+
+    try {
+      await changePassword(current.value, next.value);
+      form.reset();
+      form.style.display = 'none';
+      alert('Password changed. Your other sessions have been logged out.');
+    } catch (err) {
+      this._showError(err.message);
+    }
+  }
+
   _showError(msg) {
     this.panel.querySelector('#lobby-error').textContent = msg;
   }
@@ -0,0 +1,319 @@
+/**
+ * Members & invites modal overlay (DM only).
+ * Lists the game's members and banned users (kick, ban, unban), manages invite
+ * codes (role, expiry, use limit) and the game's privacy and archiving. The
+ * owner can also appoint co-DMs, hand the game over and delete it.
+ */
+
+import {
+  getGameState, getMembers, setMemberRole, kickMember, banUser, unbanUser, transferGame,
+  getInvites, createInvite, revokeInvite, updateGame, deleteGame,
+} from '../services/api.js';
+
+export class GameMembers {
+  /**
+   * @param {HTMLElement} container – parent to mount the overlay into
+   * @param {number} gameId
+   * @param {{ id: number, username: string }} currentUser
+   * @param {() => void} onClose – called when the user closes the modal
+   * @param {() => void} onDeleted – called after the game was deleted
+   */
+  constructor(container, gameId, currentUser, onClose, onDeleted) {
+    this.container = container;
+    this.gameId = gameId;
+    this.currentUser = currentUser;
+    this.onClose = onClose;
+    this.onDeleted = onDeleted;
+    this.game = null;
+    this.ownerId = null;
+    this.members = [];
+    this.bans = [];
+    this.invites = [];
+
+    this._build();
+    this._refresh();
+  }
+
+  _build() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'members-overlay';
+    this.overlay.innerHTML = `
+      <div class="members-modal">
+        <div class="members-header">
+          <h2>Members &amp; Invites</h2>
+          <button class="members-close-btn" id="members-close">&times;</button>
+        </div>
+        <div class="members-content">
+          <div class="members-section">
+            <h3>Members</h3>
+            <div id="members-list"><div class="members-empty">Loading...</div></div>
+            <div id="members-bans"></div>
+          </div>
+          <div class="members-section">
+            <h3>Invite Codes</h3>
+            <form class="members-invite-form" id="members-invite-form">
+              <select id="members-invite-role">
+                <option value="player">Player</option>
+                <option value="spectator">Spectator</option>
+              </select>
+              <select id="members-invite-expiry" title="Expires after">
+                <option value="1">1 hour</option>
+                <option value="24" selected>1 day</option>
+                <option value="168">7 days</option>
+                <option value="">Never</option>
+              </select>
+              <select id="members-invite-uses" title="Use limit">
+                <option value="1">1 use</option>
+                <option value="5" selected>5 uses</option>
+                <option value="25">25 uses</option>
+                <option value="">Unlimited</option>
+              </select>
+              <button type="submit" class="members-btn primary">Create</button>
+            </form>
+            <div id="members-invites"></div>
+            <h3>Game</h3>
+            <div id="members-game"></div>
+          </div>
+        </div>
+        <div class="members-error" id="members-error"></div>
+      </div>
+    `;
+    this.container.appendChild(this.overlay);
+
+    this.overlay.querySelector('#members-close').addEventListener('click', () => {
+      if (this.onClose) this.onClose();
+    });
+
+    // Click outside modal to close
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        if (this.onClose) this.onClose();
+      }
+    });
+
+    this.overlay.querySelector('#members-invite-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._createInvite();
+    });
+  }
+
+  async _refresh() {
+    try {
+      const [state, { owner_id, members, bans }, { invites }] = await Promise.all([
+        getGameState(this.gameId),
+        getMembers(this.gameId),
+        getInvites(this.gameId),
+      ]);
+      this.game = state;
+      this.ownerId = owner_id;
+      this.members = members;
+      this.bans = bans;
+      this.invites = invites;
+      this._render();
+    } catch (err) {
+      console.error('Failed to load members:', err);
+      this._showError(err.message);
+    }
+  }
+
+  _render() {
+    this._renderMembers();
+    this._renderInvites();
+    this._renderGame();
+  }
+
+  _renderMembers() {
+    const list = this.overlay.querySelector('#members-list');
+    const amOwner = this._isOwner();
+    list.innerHTML = this.members.map(m => {
+      const isSelf = m.user_id === this.currentUser.id;
+      const isOwner = m.user_id === this.ownerId;
+      const isDM = m.role === 'dm';
+      // Only the owner can act on other DMs; nobody can kick or ban the owner
+      const canManage = !isSelf && !isOwner && (amOwner || !isDM);
+      let actions = isSelf ? '<span class="members-you">you</span>' : '';
+      if (amOwner && !isSelf) {
+        actions += isDM
+          ? `<button class="members-btn" data-action="demote" data-user-id="${m.user_id}">Remove Co-DM</button>`
+          : `<button class="members-btn" data-action="promote" data-user-id="${m.user_id}">Make Co-DM</button>`;
+        actions += `<button class="members-btn" data-action="transfer" data-user-id="${m.user_id}">Make Owner</button>`;
+      }
+      if (canManage) {
+        actions += `
+          <button class="members-btn" data-action="kick" data-user-id="${m.user_id}">Kick</button>
+          <button class="members-btn danger" data-action="ban" data-user-id="${m.user_id}">Ban</button>
+        `;
+      }
+      return `
+        <div class="members-row">
+          <span class="members-name">${this._esc(m.username)}</span>
+          <span class="lobby-role ${m.role}">${m.role.toUpperCase()}</span>
+          ${isOwner ? '<span class="lobby-role owner">OWNER</span>' : ''}
+          <span class="members-actions">${actions}</span>
+        </div>
+      `;
+    }).join('');
+
+    const bans = this.overlay.querySelector('#members-bans');
+    bans.innerHTML = this.bans.length === 0 ? '' : `
+      <h4>Banned</h4>
+      ${this.bans.map(b => `
+        <div class="members-row">
+          <span class="members-name">${this._esc(b.username)}</span>
+          <span class="members-actions">
+            <button class="members-btn" data-action="unban" data-user-id="${b.user_id}">Unban</button>
+          </span>
+        </div>
+      `).join('')}
+    `;
+
+    this.overlay.querySelectorAll('#members-list [data-action], #members-bans [data-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._memberAction(btn.dataset.action, parseInt(btn.dataset.userId, 10));
+      });
+    });
+  }
+
+  _renderInvites() {
+    const el = this.overlay.querySelector('#members-invites');
+    if (this.invites.length === 0) {
+      el.innerHTML = '<div class="members-empty">No active invite codes.</div>';
+      return;
+    }
+
+    el.innerHTML = this.invites.map(inv => `
+      <div class="members-row">
+        <code class="members-code">${this._esc(inv.code)}</code>
+        <span class="lobby-role ${inv.role}">${inv.role.toUpperCase()}</span>
+        <span class="members-invite-meta">
+          ${inv.uses}/${inv.max_uses ?? '∞'} used
+          · ${inv.expires_at ? `expires ${this._formatDate(inv.expires_at)}` : 'no expiry'}
+        </span>
+        <span class="members-actions">
+          <button class="members-btn" data-copy="${this._esc(inv.code)}">Copy Link</button>
+          <button class="members-btn danger" data-revoke="${inv.id}">Revoke</button>
+        </span>
+      </div>
+    `).join('');
+
+    el.querySelectorAll('[data-copy]').forEach(btn => {
+      btn.addEventListener('click', () => this._copyLink(btn, btn.dataset.copy));
+    });
+    el.querySelectorAll('[data-revoke]').forEach(btn => {
+      btn.addEventListener('click', () => this._run(() => revokeInvite(this.gameId, parseInt(btn.dataset.revoke, 10))));
+    });
+  }
+
+  _renderGame() {
+    const el = this.overlay.querySelector('#members-game');
+    const archived = !!this.game.archived_at;
+    el.innerHTML = `
+      <label class="members-toggle" title="Private games can only be joined with an invite code">
+        <input type="checkbox" id="members-private" ${this.game.is_private ? 'checked' : ''} />
+        Private (invite only)
+      </label>
+      <div class="members-game-actions">
+        <button class="members-btn" id="members-archive">${archived ? 'Unarchive' : 'Archive'}</button>
+        ${this._isOwner() ? '<button class="members-btn danger" id="members-delete">Delete Game</button>' : ''}
+      </div>
+      ${archived ? `<div class="members-empty">Archived ${this._formatDate(this.game.archived_at)} — nobody new can join.</div>` : ''}
+    `;
+
+    el.querySelector('#members-private').addEventListener('change', (e) => {
+      this._run(() => updateGame(this.gameId, { is_private: e.target.checked }));
+    });
+    el.querySelector('#members-archive').addEventListener('click', () => {
+      this._run(() => updateGame(this.gameId, { archived: !archived }));
+    });
+    el.querySelector('#members-delete')?.addEventListener('click', async () => {
+      if (!confirm(`Delete "${this.game.name}" with all its characters and chat? This cannot be undone.`)) return;
+      try {
+        await deleteGame(this.gameId);
+        if (this.onDeleted) this.onDeleted();
+      } catch (err) {
+        this._showError(err.message);
+      }
+    });
+  }
+
+  async _memberAction(action, userId) {
+    const member = this.members.find(m => m.user_id === userId) || this.bans.find(b => b.user_id === userId);
+    const name = member ? member.username : 'this user';
+
+    if (action === 'transfer') {
+      if (!confirm(`Make ${name} the owner of this game? You will stay on as a co-DM.`)) return;
+      this._run(() => transferGame(this.gameId, userId));
+    } else if (action === 'promote') {
+      this._run(() => setMemberRole(this.gameId, userId, 'dm'));
+    } else if (action === 'demote') {
+      this._run(() => setMemberRole(this.gameId, userId, 'player'));
+    } else if (action === 'kick') {
+      if (!confirm(`Kick ${name}? They can rejoin with an invite code.`)) return;
+      this._run(() => kickMember(this.gameId, userId));
+    } else if (action === 'ban') {
+      if (!confirm(`Ban ${name}? They will be removed and can't rejoin.`)) return;
+      this._run(() => banUser(this.gameId, userId));
+    } else if (action === 'unban') {
+      this._run(() => unbanUser(this.gameId, userId));
+    }
+  }
+
+  async _createInvite() {
+    const role = this.overlay.querySelector('#members-invite-role').value;
+    const expiry = this.overlay.querySelector('#members-invite-expiry').value;
+    const uses = this.overlay.querySelector('#members-invite-uses').value;
+    this._run(() => createInvite(this.gameId, {
+      role,
+      expires_in_hours: expiry ? parseInt(expiry, 10) : null,
+      max_uses: uses ? parseInt(uses, 10) : null,
+    }));
+  }
+
+  /** Run an API call, then reload everything (or show its error). */
+  async _run(fn) {
+    this._showError('');
+    try {
+      await fn();
+      await this._refresh();
+    } catch (err) {
+      this._showError(err.message);
+    }
+  }
+
+  _copyLink(btn, code) {
+    const url = `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(code)}`;
+    if (!navigator.clipboard) {
+      prompt('Invite link:', url);
+      return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+      btn.textContent = 'Copied!';
+      setTimeout(() => { btn.textContent = 'Copy Link'; }, 1500);
+    }).catch(() => prompt('Invite link:', url));
+  }
+
+  _isOwner() {
+    return this.ownerId === this.currentUser.id;
+  }
+
+  _showError(msg) {
+    this.overlay.querySelector('#members-error').textContent = msg;
+  }
+
+  /** SQLite timestamps are UTC without a zone suffix. */
+  _formatDate(dateStr) {
+    return new Date(dateStr.includes('T') ? dateStr : dateStr.replace(' ', 'T') + 'Z').toLocaleString();
+  }
+
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+  }
+}
@@ -2,15 +2,25 @@
  * Full-screen map editor for DMs.
  * Allows uploading a background image, painting walls/solidity/floors/objects,
  * resizing the grid, and saving the result as a GameMap.
+ * Dungeons can also be generated from a seed and then edited like any other map.
+ * Auto-detect aligns the grid to the image's own and suggests walls and solid
+ * cells, which the DM accepts or rejects before they are applied.
+ * Every edit can be undone (Ctrl+Z) and redone (Ctrl+Y / Ctrl+Shift+Z).
+ * Maps can be exported as self-contained files and imported again on any
+ * server, along with Universal VTT (.dd2vtt) maps from other tools.
  */
 
-import { GameMap, Cell, WALL_N, WALL_S, WALL_E, WALL_W } from '../engine/GameMap.js';
+import { GameMap, Cell, WALL_N, WALL_S, WALL_E, WALL_W, nextDoorState } from '../engine/GameMap.js';
 import { MapLibrary } from './MapLibrary.js';
+import { assetUrl } from '../engine/Assets.js';
+import { uploadAsset } from '../services/api.js';
+import { generateDungeon, randomSeed, DUNGEON_STYLES, LIGHTING_THEMES } from '../engine/DungeonGenerator.js';
+import { EditHistory } from '../engine/EditHistory.js';
+import { createMapFile, readMapFile } from '../engine/MapFiles.js';
 
 const OBJECT_PALETTE = [
   { type: 'torch', sprite: '🔥', label: 'Torch' },
   { type: 'chest', sprite: '📦', label: 'Chest' },
-  { type: 'door', sprite: '🚪', label: 'Door' },
   { type: 'skeleton', sprite: '💀', label: 'Skeleton' },
   { type: 'altar', sprite: '🗿', label: 'Altar' },
   { type: 'treasure', sprite: '💎', label: 'Gem' },
@@ -18,6 +28,9 @@ const OBJECT_PALETTE = [
   { type: 'key', sprite: '🔑', label: 'Key' },
   { type: 'trap', sprite: '⚠️', label: 'Trap' },
   { type: 'barrel', sprite: '🛢️', label: 'Barrel' },
+  // Linked to another level in-game with the DM's Stairs tool
+  { type: 'stairs', sprite: '🪜', label: 'Stairs' },
+  { type: 'portal', sprite: '🌀', label: 'Portal' },
 ];
 
 const FLOOR_COLORS = [
@@ -27,6 +40,26 @@ const FLOOR_COLORS = [
 
 const LIGHT_LEVELS = [0.2, 0.4, 0.6, 0.8, 1.0];
 
+/** Load an image from a URL (or data URL). */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not read the image'));
+    img.src = src;
+  });
+}
+
+/** Read a Blob as a data URL. */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
 export class MapCreator {
   /**
    * @param {HTMLElement} container
@@ -62,6 +95,13 @@ export class MapCreator {
     this.imgDragLastX = 0;
     this.imgDragLastY = 0;
 
+    // Undo/redo: each tool action, drag stroke or slider drag is one step
+    this.history = new EditHistory({ replaceMap: (map) => this._setMap(map) });
+
+    // Auto-detect: the running worker, then the suggestions under review
+    this._detectWorker = null;
+    this.detection = null; // { suggestions: object[], byKey: Map<string, object> }
+
     // Hover state for cursor highlight
     this.hoverGridX = -1;
     this.hoverGridY = -1;
@@ -98,6 +138,8 @@ export class MapCreator {
       <div class="mc-header">
         <h1>Map Creator</h1>
         <div class="mc-header-actions">
+          <button class="mc-btn" id="mc-undo" title="Undo (Ctrl+Z)" disabled>Undo</button>
+          <button class="mc-btn" id="mc-redo" title="Redo (Ctrl+Y)" disabled>Redo</button>
           <button class="mc-btn" id="mc-cancel">Cancel</button>
           <button class="mc-btn" id="mc-save-library">Save to Library</button>
           <button class="mc-btn primary" id="mc-save">Save Map</button>
@@ -114,6 +156,24 @@ export class MapCreator {
             </div>
             <button class="mc-btn small" id="mc-resize">Resize Grid</button>
           </div>
+          <!-- Dungeon Generator -->
+          <div class="mc-panel">
+            <div class="mc-panel-title">Generate Dungeon</div>
+            <div class="mc-row mc-gen-seed">
+              <label>Seed <input type="text" id="mc-gen-seed" maxlength="32" value="${randomSeed()}"></label>
+              <button class="mc-btn small" id="mc-gen-reseed" title="New random seed">&#x1F3B2;</button>
+            </div>
+            <label>Style <select id="mc-gen-style">
+              ${Object.entries(DUNGEON_STYLES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            </select></label>
+            <label>Rooms <input type="number" id="mc-gen-rooms" min="1" max="50" value="8"></label>
+            <label>Lighting <select id="mc-gen-lighting">
+              ${Object.entries(LIGHTING_THEMES).map(([key, t]) => `<option value="${key}">${t.label}</option>`).join('')}
+            </select></label>
+            <label>Objects <input type="range" id="mc-gen-density" min="0" max="100" value="30"></label>
+            <button class="mc-btn small" id="mc-gen-run">Generate</button>
+            <div class="mc-hint">Uses the width and height above. The same seed always gives the same dungeon.</div>
+          </div>
           <!-- Background Image -->
           <div class="mc-panel">
             <div class="mc-panel-title">Background Image</div>
@@ -126,11 +186,26 @@ export class MapCreator {
             <label>Grid Lines <input type="range" id="mc-grid-opacity" min="0" max="100" value="${Math.round(this.gameMap.gridOpacity * 100)}"></label>
             <div class="mc-hint">Shift+drag to reposition image</div>
           </div>
+          <!-- Auto-Detect -->
+          <div class="mc-panel">
+            <div class="mc-panel-title">Auto-Detect</div>
+            <button class="mc-btn small" id="mc-detect">Detect Grid &amp; Walls</button>
+            <div class="mc-hint" id="mc-detect-status">Aligns the grid to the image and suggests walls</div>
+            <div class="mc-detect-review" id="mc-detect-review" style="display:none">
+              <button class="mc-btn small primary" id="mc-detect-apply">Apply Accepted</button>
+              <div class="mc-row">
+                <button class="mc-btn small" id="mc-detect-accept-all">Accept All</button>
+                <button class="mc-btn small" id="mc-detect-reject-all">Reject All</button>
+              </div>
+              <button class="mc-btn small mc-danger" id="mc-detect-discard">Discard</button>
+            </div>
+          </div>
           <!-- Tools -->
           <div class="mc-panel">
             <div class="mc-panel-title">Tools</div>
             <div class="mc-tools-grid">
               <button class="mc-tool-btn active" data-tool="wall">Wall</button>
+              <button class="mc-tool-btn" data-tool="door">Door</button>
               <button class="mc-tool-btn" data-tool="solid">Solid</button>
               <button class="mc-tool-btn" data-tool="floor">Floor</button>
               <button class="mc-tool-btn" data-tool="light">Light</button>
@@ -169,6 +244,14 @@ export class MapCreator {
             <div class="mc-panel-title">Map Library</div>
             <button class="mc-btn small" id="mc-browse-library">Browse Library</button>
           </div>
+          <!-- Import / Export -->
+          <div class="mc-panel">
+            <div class="mc-panel-title">Map Files</div>
+            <button class="mc-btn small" id="mc-import-btn">Import File</button>
+            <input type="file" id="mc-import-input" accept=".json,.dd2vtt,.uvtt,.df2vtt,application/json" style="display:none">
+            <button class="mc-btn small" id="mc-export">Export File</button>
+            <div class="mc-hint">Exported files include the background image. Also imports Universal VTT (.dd2vtt) maps.</div>
+          </div>
           <!-- Quick Actions -->
           <div class="mc-panel">
             <div class="mc-panel-title">Quick Actions</div>
@@ -204,6 +287,16 @@ export class MapCreator {
     this.panel.querySelector('#mc-browse-library').addEventListener('click', () => {
       this._openLibrary('browse');
     });
+    this.panel.querySelector('#mc-import-btn').addEventListener('click', () => {
+      this.panel.querySelector('#mc-import-input').click();
+    });
+    this.panel.querySelector('#mc-import-input').addEventListener('change', (e) => {
+      if (e.target.files[0]) this._importMapFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    this.panel.querySelector('#mc-export').addEventListener('click', () => this._exportMapFile());
+    this.panel.querySelector('#mc-undo').addEventListener('click', () => this._undo());
+    this.panel.querySelector('#mc-redo').addEventListener('click', () => this._redo());
 
     // Resize grid
     this.panel.querySelector('#mc-resize').addEventListener('click', () => {
@@ -213,10 +306,16 @@ export class MapCreator {
         if (w < this.gameMap.width || h < this.gameMap.height) {
           if (!confirm('Shrinking the grid will lose data outside the new bounds. Continue?')) return;
         }
-        this._resizeGrid(w, h);
+        this._edit(() => this._resizeGrid(w, h));
       }
     });
 
+    // Dungeon generator
+    this.panel.querySelector('#mc-gen-reseed').addEventListener('click', () => {
+      this.panel.querySelector('#mc-gen-seed').value = randomSeed();
+    });
+    this.panel.querySelector('#mc-gen-run').addEventListener('click', () => this._generateDungeon());
+
     // Image upload
     this.panel.querySelector('#mc-upload-btn').addEventListener('click', () => {
       this.panel.querySelector('#mc-file-input').click();
@@ -225,29 +324,35 @@ export class MapCreator {
       if (e.target.files[0]) this._handleImageUpload(e.target.files[0]);
     });
     this.panel.querySelector('#mc-clear-img').addEventListener('click', () => {
-      this.gameMap.backgroundImage = null;
+      this._edit(() => { this.gameMap.backgroundAsset = null; });
       this.bgImage = null;
       this.panel.querySelector('#mc-clear-img').style.display = 'none';
       this._render();
     });
 
-    // Background sliders
-    this.panel.querySelector('#mc-bg-opacity').addEventListener('input', (e) => {
-      this.gameMap.bgOpacity = parseInt(e.target.value, 10) / 100;
-      this._render();
-    });
-    this.panel.querySelector('#mc-bg-scale').addEventListener('input', (e) => {
-      this.gameMap.bgScale = parseInt(e.target.value, 10) / 100;
-      this._render();
-    });
-    this.panel.querySelector('#mc-floor-opacity').addEventListener('input', (e) => {
-      this.gameMap.floorOpacity = parseInt(e.target.value, 10) / 100;
-      this._render();
-    });
-    this.panel.querySelector('#mc-grid-opacity').addEventListener('input', (e) => {
-      this.gameMap.gridOpacity = parseInt(e.target.value, 10) / 100;
-      this._render();
-    });
+    // Auto-detect
+    this.panel.querySelector('#mc-detect').addEventListener('click', () => this._runDetection());
+    this.panel.querySelector('#mc-detect-apply').addEventListener('click', () => this._applyDetection());
+    this.panel.querySelector('#mc-detect-accept-all').addEventListener('click', () => this._setAllSuggestions(true));
+    this.panel.querySelector('#mc-detect-reject-all').addEventListener('click', () => this._setAllSuggestions(false));
+    this.panel.querySelector('#mc-detect-discard').addEventListener('click', () => this._endDetection());
+
+    // Background sliders – a whole drag is one undo step, committed on release
+    const sliders = {
+      '#mc-bg-opacity': 'bgOpacity',
+      '#mc-bg-scale': 'bgScale',
+      '#mc-floor-opacity': 'floorOpacity',
+      '#mc-grid-opacity': 'gridOpacity',
+    };
+    for (const [selector, key] of Object.entries(sliders)) {
+      const slider = this.panel.querySelector(selector);
+      slider.addEventListener('input', (e) => {
+        this.history.begin(this.gameMap);
+        this.gameMap[key] = parseInt(e.target.value, 10) / 100;
+        this._render();
+      });
+      slider.addEventListener('change', () => this._commitEdit());
+    }
 
     // Wall color presets (per-cell painting brush)
     this.panel.querySelectorAll('.mc-wall-preset').forEach(btn => {
@@ -290,45 +395,41 @@ export class MapCreator {
 
     // Quick actions
     this.panel.querySelector('#mc-new-map').addEventListener('click', () => {
-      const hasWork = this._mapHasContent() || this.gameMap.backgroundImage;
+      const hasWork = this._mapHasContent() || this.gameMap.backgroundAsset;
       if (hasWork && !confirm('Create a new blank map? All current work will be lost.')) return;
       const w = parseInt(this.panel.querySelector('#mc-width').value, 10) || 20;
       const h = parseInt(this.panel.querySelector('#mc-height').value, 10) || 20;
-      this.gameMap = this._createBlankMap(w, h);
-      this.bgImage = null;
-      this.panel.querySelector('#mc-width').value = w;
-      this.panel.querySelector('#mc-height').value = h;
-      this.panel.querySelector('#mc-bg-opacity').value = 50;
-      this.panel.querySelector('#mc-bg-scale').value = 100;
-      this.panel.querySelector('#mc-floor-opacity').value = 70;
-      this.panel.querySelector('#mc-grid-opacity').value = 12;
+      this._edit(() => this._setMap(this._createBlankMap(w, h)));
       this.wallColorBrush = '#6b6b6b';
       this.panel.querySelector('#mc-wall-color').value = '#6b6b6b';
-      this.panel.querySelector('#mc-clear-img').style.display = 'none';
       this.camera = { x: 0, y: 0, zoom: 1 };
       this._render();
     });
     this.panel.querySelector('#mc-fill-solid').addEventListener('click', () => {
-      for (let y = 0; y < this.gameMap.height; y++)
-        for (let x = 0; x < this.gameMap.width; x++) {
-          const cell = this.gameMap.cells[y][x];
-          cell.solid = true;
-          cell.walls = WALL_N | WALL_S | WALL_E | WALL_W;
-        }
+      this._edit(() => {
+        for (let y = 0; y < this.gameMap.height; y++)
+          for (let x = 0; x < this.gameMap.width; x++) {
+            const cell = this.gameMap.cells[y][x];
+            cell.solid = true;
+            cell.walls = WALL_N | WALL_S | WALL_E | WALL_W;
+          }
+      });
       this._render();
     });
     this.panel.querySelector('#mc-clear-solid').addEventListener('click', () => {
-      for (let y = 0; y < this.gameMap.height; y++)
-        for (let x = 0; x < this.gameMap.width; x++) {
-          const cell = this.gameMap.cells[y][x];
-          cell.solid = false;
-          cell.walls = 0;
-          cell.objects = [];
-        }
+      this._edit(() => {
+        for (let y = 0; y < this.gameMap.height; y++)
+          for (let x = 0; x < this.gameMap.width; x++) {
+            const cell = this.gameMap.cells[y][x];
+            cell.solid = false;
+            cell.walls = 0;
+            cell.objects = [];
+          }
+      });
       this._render();
     });
     this.panel.querySelector('#mc-border-walls').addEventListener('click', () => {
-      this.gameMap.buildBorderWalls();
+      this._edit(() => this.gameMap.buildBorderWalls());
       this._render();
     });
 
@@ -360,6 +461,7 @@ export class MapCreator {
   _updateToolHint() {
     const hints = {
       wall: 'Click edges to toggle walls (uses selected color)',
+      door: 'Click edges to cycle doors: closed → open → locked → secret → none',
       solid: 'Click cells to toggle solid/passable',
       floor: 'Click cells to cycle floor color',
       light: 'Click cells to cycle light level',
@@ -402,46 +504,39 @@ export class MapCreator {
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => {
+      img.onload = async () => {
         // Ask user if they want to clear existing work
-        const hasExistingWork = this._mapHasContent();
-        if (hasExistingWork) {
-          const clearIt = confirm(
-            'Clear existing map content?\n\n' +
-            'OK = Start fresh with this image\n' +
-            'Cancel = Keep existing walls/objects and just change the background'
-          );
-          if (clearIt) {
-            this._resetMapContent();
-          }
+        const clearIt = this._mapHasContent() && confirm(
+          'Clear existing map content?\n\n' +
+          'OK = Start fresh with this image\n' +
+          'Cancel = Keep existing walls/objects and just change the background'
+        );
+
+        const { blob, width: w, height: h } = await this._shrinkImage(img);
+
+        let asset;
+        try {
+          asset = await uploadAsset(blob);
+        } catch (err) {
+          console.error('Failed to upload background image:', err);
+          alert(`Failed to upload image: ${err.message}`);
+          return;
         }
 
-        const maxDim = 2048;
-        let w = img.width, h = img.height;
-        if (w > maxDim || h > maxDim) {
-          const ratio = Math.min(maxDim / w, maxDim / h);
-          w = Math.floor(w * ratio);
-          h = Math.floor(h * ratio);
-        }
-        const offscreen = document.createElement('canvas');
-        offscreen.width = w;
-        offscreen.height = h;
-        const octx = offscreen.getContext('2d');
-        octx.drawImage(img, 0, 0, w, h);
-        const dataUrl = offscreen.toDataURL('image/jpeg', 0.7);
-
-        this.gameMap.backgroundImage = dataUrl;
-
-        // Fit the image to the grid: scale so the image covers exactly
-        // the grid's width × height cells (1 cell = tileSize pixels).
-        // bgScale is relative to the tileSize, so bgScale=1 means
-        // 1 image-pixel = 1 world-pixel at tileSize.
-        const gridW = this.gameMap.width * this.tileSize;
-        const gridH = this.gameMap.height * this.tileSize;
-        const scaleToFit = Math.min(gridW / w, gridH / h);
-        this.gameMap.bgScale = scaleToFit;
-        this.gameMap.bgOffsetX = 0;
-        this.gameMap.bgOffsetY = 0;
+        this._edit(() => {
+          if (clearIt) this._resetMapContent();
+          this.gameMap.backgroundAsset = asset.id;
+
+          // Fit the image to the grid: scale so the image covers exactly
+          // the grid's width × height cells (1 cell = tileSize pixels).
+          // bgScale is relative to the tileSize, so bgScale=1 means
+          // 1 image-pixel = 1 world-pixel at tileSize.
+          const gridW = this.gameMap.width * this.tileSize;
+          const gridH = this.gameMap.height * this.tileSize;
+          this.gameMap.bgScale = Math.min(gridW / w, gridH / h);
+          this.gameMap.bgOffsetX = 0;
+          this.gameMap.bgOffsetY = 0;
+        });
 
         // Update sidebar controls
         this.panel.querySelector('#mc-bg-scale').value = Math.round(this.gameMap.bgScale * 100);
@@ -454,6 +549,28 @@ export class MapCreator {
     reader.readAsDataURL(file);
   }
 
+  /**
+   * Re-encode an image for upload as a JPEG no larger than 2048px a side.
+   * @param {HTMLImageElement} img
+   * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+   */
+  async _shrinkImage(img) {
+    const maxDim = 2048;
+    let w = img.width, h = img.height;
+    if (w > maxDim || h > maxDim) {
+      const ratio = Math.min(maxDim / w, maxDim / h);
+      w = Math.floor(w * ratio);
+      h = Math.floor(h * ratio);
+    }
+    const offscreen = document.createElement('canvas');
+    offscreen.width = w;
+    offscreen.height = h;
+    const octx = offscreen.getContext('2d');
+    octx.drawImage(img, 0, 0, w, h);
+    const blob = await new Promise(resolve => offscreen.toBlob(resolve, 'image/jpeg', 0.7));
+    return { blob, width: w, height: h };
+  }
+
   _mapHasContent() {
     for (let y = 0; y < this.gameMap.height; y++) {
       for (let x = 0; x < this.gameMap.width; x++) {
@@ -473,6 +590,7 @@ export class MapCreator {
       for (let x = 0; x < w; x++) {
         const cell = this.gameMap.cells[y][x];
         cell.walls = 0;
+        cell.doors = {};
         cell.solid = false;
         cell.objects = [];
         cell.floorColor = '#3a3a2a';
@@ -482,25 +600,218 @@ export class MapCreator {
   }
 
   _loadBackgroundImage() {
-    if (this.gameMap.backgroundImage) {
+    const url = assetUrl(this.gameMap.backgroundAsset);
+    if (url) {
       const img = new Image();
       img.onload = () => {
         this.bgImage = img;
         this.panel.querySelector('#mc-clear-img').style.display = 'block';
         this._render();
       };
-      img.src = this.gameMap.backgroundImage;
+      img.src = url;
     } else {
       this.bgImage = null;
     }
   }
 
+  // --- Auto-Detect ---
+
+  /**
+   * Analyse the background image in a worker: find its grid, then suggest
+   * walls and solid cells. If no grid is found, the current alignment is used.
+   */
+  _runDetection() {
+    if (!this.bgImage) {
+      alert('Upload a background image first.');
+      return;
+    }
+    if (this._detectWorker) return; // already running
+    if (this.detection) this._endDetection();
+
+    const img = this.bgImage;
+    const offscreen = document.createElement('canvas');
+    offscreen.width = img.width;
+    offscreen.height = img.height;
+    const octx = offscreen.getContext('2d');
+    octx.drawImage(img, 0, 0);
+    const { data } = octx.getImageData(0, 0, img.width, img.height);
+
+    // The grid as currently aligned, in image pixels
+    const pitch = this.tileSize / this.gameMap.bgScale;
+    const fallbackGrid = {
+      pitch,
+      originX: -this.gameMap.bgOffsetX * pitch,
+      originY: -this.gameMap.bgOffsetY * pitch,
+      cols: this.gameMap.width,
+      rows: this.gameMap.height,
+    };
+
+    this.panel.querySelector('#mc-detect').disabled = true;
+    this._setDetectStatus('Analysing image…');
+
+    this._detectWorker = new Worker(new URL('../engine/WallDetectWorker.js', import.meta.url), { type: 'module' });
+    this._detectWorker.onmessage = (e) => {
+      this._stopDetectWorker();
+      this._onDetectResult(e.data);
+    };
+    this._detectWorker.onerror = (e) => {
+      this._stopDetectWorker();
+      console.error('Wall detection failed:', e);
+      this._setDetectStatus(`Detection failed: ${e.message}`);
+    };
+    this._detectWorker.postMessage(
+      { width: img.width, height: img.height, data, fallbackGrid },
+      [data.buffer]
+    );
+  }
+
+  _stopDetectWorker() {
+    if (this._detectWorker) {
+      this._detectWorker.terminate();
+      this._detectWorker = null;
+    }
+    const btn = this.panel?.querySelector('#mc-detect');
+    if (btn) btn.disabled = false;
+  }
+
+  _onDetectResult(result) {
+    if (result.error) {
+      this._setDetectStatus(`Detection failed: ${result.error}`);
+      return;
+    }
+
+    const { grid } = result;
+    let note = 'No grid found in the image; using the current alignment.';
+    if (result.gridDetected) {
+      const cols = Math.min(100, Math.max(5, grid.cols));
+      const rows = Math.min(100, Math.max(5, grid.rows));
+      const resize = (cols !== this.gameMap.width || rows !== this.gameMap.height) &&
+        confirm(`The image's grid is ${cols}×${rows} cells. Resize the map to match?`);
+      this._edit(() => {
+        if (resize) this._resizeGrid(cols, rows);
+        // Cell (x, y) starts at image pixel origin + x * pitch
+        this.gameMap.bgScale = this.tileSize / grid.pitch;
+        this.gameMap.bgOffsetX = -grid.originX / grid.pitch;
+        this.gameMap.bgOffsetY = -grid.originY / grid.pitch;
+      });
+      this.panel.querySelector('#mc-bg-scale').value = Math.round(this.gameMap.bgScale * 100);
+      note = `Grid found: ${grid.pitch.toFixed(1)}px cells.`;
+    }
+
+    // Only suggest what isn't on the map already
+    const suggestions = [];
+    for (const s of result.solids) {
+      const cell = this.gameMap.getCell(s.x, s.y);
+      if (cell && !cell.solid) suggestions.push({ kind: 'solid', x: s.x, y: s.y, accepted: true });
+    }
+    for (const w of result.walls) {
+      const cell = this.gameMap.getCell(w.x, w.y);
+      if (cell && !cell.hasWall(this._edgeToFlag(w.edge))) {
+        suggestions.push({ kind: 'wall', x: w.x, y: w.y, edge: w.edge, accepted: true });
+      }
+    }
+
+    if (suggestions.length === 0) {
+      this._setDetectStatus(`${note} No new walls found.`);
+      this._render();
+      return;
+    }
+
+    const byKey = new Map();
+    for (const s of suggestions) {
+      byKey.set(s.kind === 'wall' ? this._edgeKey(s.x, s.y, s.edge) : `${s.x},${s.y}`, s);
+    }
+    this.detection = { suggestions, byKey, note };
+    this.panel.querySelector('#mc-detect-review').style.display = 'flex';
+    this._updateDetectStatus();
+    this._render();
+  }
+
+  /**
+   * Key for a cell edge, the same whichever of its two cells it is named from.
+   */
+  _edgeKey(x, y, edge) {
+    if (edge === 'S') return `${x},${y + 1},N`;
+    if (edge === 'E') return `${x + 1},${y},W`;
+    return `${x},${y},${edge}`;
+  }
+
+  _toggleSuggestionAt(sx, sy) {
+    const world = this._screenToWorld(sx, sy);
+    const gx = Math.floor(world.x);
+    const gy = Math.floor(world.y);
+    if (!this.gameMap.inBounds(gx, gy)) return;
+
+    const edge = this._getEdge(world.x - gx, world.y - gy);
+    const suggestion = (edge && this.detection.byKey.get(this._edgeKey(gx, gy, edge)))
+      || this.detection.byKey.get(`${gx},${gy}`);
+    if (!suggestion) return;
+
+    suggestion.accepted = !suggestion.accepted;
+    this._updateDetectStatus();
+    this._render();
+  }
+
+  _setAllSuggestions(accepted) {
+    if (!this.detection) return;
+    for (const s of this.detection.suggestions) s.accepted = accepted;
+    this._updateDetectStatus();
+    this._render();
+  }
+
+  /** Add the accepted suggestions to the map, painted in the current wall color. */
+  _applyDetection() {
+    if (!this.detection) return;
+    this.history.begin(this.gameMap);
+    for (const s of this.detection.suggestions) {
+      if (!s.accepted) continue;
+      const cell = this.gameMap.getCell(s.x, s.y);
+      if (!cell) continue;
+      if (s.kind === 'solid') {
+        cell.solid = true;
+        cell.walls = WALL_N | WALL_S | WALL_E | WALL_W;
+      } else {
+        const flag = this._edgeToFlag(s.edge);
+        if (!cell.hasWall(flag)) {
+          cell.toggleWall(flag);
+          this._mirrorWall(s.x, s.y, flag);
+        }
+        this._applyEdgeColor(s.x, s.y, s.edge, this.wallColorBrush);
+      }
+    }
+    this._commitEdit();
+    this._endDetection();
+  }
+
+  _endDetection() {
+    this.detection = null;
+    this.panel.querySelector('#mc-detect-review').style.display = 'none';
+    this._setDetectStatus('Aligns the grid to the image and suggests walls');
+    this._render();
+  }
+
+  _updateDetectStatus() {
+    const { suggestions, note } = this.detection;
+    const walls = suggestions.filter(s => s.kind === 'wall');
+    const solids = suggestions.filter(s => s.kind === 'solid');
+    const accepted = (list) => list.filter(s => s.accepted).length;
+    this._setDetectStatus(
+      `${note} Accepting ${accepted(walls)}/${walls.length} walls and ` +
+      `${accepted(solids)}/${solids.length} solid cells — click one to accept or reject it.`
+    );
+  }
+
+  _setDetectStatus(text) {
+    this.panel.querySelector('#mc-detect-status').textContent = text;
+  }
+
   // --- Grid Resize ---
 
   _resizeGrid(newW, newH) {
+    if (this.detection) this._endDetection();
     const oldMap = this.gameMap;
     const newMap = new GameMap(newW, newH);
-    newMap.backgroundImage = oldMap.backgroundImage;
+    newMap.backgroundAsset = oldMap.backgroundAsset;
     newMap.bgOffsetX = 0;
     newMap.bgOffsetY = 0;
     newMap.bgOpacity = oldMap.bgOpacity;
@@ -515,8 +826,10 @@ export class MapCreator {
           ceilingColor: src.ceilingColor,
           wallColor: src.wallColor,
           wallEdgeColors: src.wallEdgeColors ? { ...src.wallEdgeColors } : null,
+          doors: { ...src.doors },
           light: src.light,
           visible: src.visible,
+          revealed: src.revealed,
           solid: src.solid,
           objects: [...src.objects],
         });
@@ -545,6 +858,7 @@ export class MapCreator {
     const sy = e.clientY - rect.top;
 
     if (e.shiftKey && this.bgImage) {
+      this.history.begin(this.gameMap);
       this.isDraggingImage = true;
       this.imgDragLastX = sx;
       this.imgDragLastY = sy;
@@ -562,6 +876,13 @@ export class MapCreator {
       return;
     }
 
+    // While reviewing auto-detect suggestions, left-click accepts/rejects them
+    if (e.button === 0 && this.detection) {
+      this._toggleSuggestionAt(sx, sy);
+      e.preventDefault();
+      return;
+    }
+
     // Left-click: start drag-painting for wall tool (edges only)
     if (e.button === 0 && this.activeTool === 'wall') {
       const world = this._screenToWorld(sx, sy);
@@ -573,6 +894,7 @@ export class MapCreator {
         const edge = this._getEdge(fx, fy);
         if (edge) {
           // Always add/repaint — clicking existing walls recolors them
+          this.history.begin(this.gameMap);
           this.paintWallAdd = true;
           this.isPainting = true;
           this.lastPaintKey = `${gx},${gy},${edge}`;
@@ -592,6 +914,7 @@ export class MapCreator {
       const gx = Math.floor(world.x);
       const gy = Math.floor(world.y);
       if (this.gameMap.inBounds(gx, gy)) {
+        this.history.begin(this.gameMap);
         this.isPainting = true;
         this.lastPaintKey = `${gx},${gy}`;
         this._eraseCell(gx, gy);
@@ -637,7 +960,7 @@ export class MapCreator {
     this.hoverGridX = gx;
     this.hoverGridY = gy;
 
-    if (this.activeTool === 'wall' && this.gameMap.inBounds(gx, gy)) {
+    if ((this.activeTool === 'wall' || this.activeTool === 'door') && this.gameMap.inBounds(gx, gy)) {
       const fx = world.x - gx;
       const fy = world.y - gy;
       const edge = this._getEdge(fx, fy);
@@ -679,6 +1002,7 @@ export class MapCreator {
   }
 
   _onMouseUp() {
+    if (this.history.recording) this._commitEdit();
     if (this.isDraggingImage) {
       this.isDraggingImage = false;
       this.canvas.style.cursor = '';
@@ -715,6 +1039,7 @@ export class MapCreator {
   _onCanvasClick(e) {
     if (this.isPanning || this.isDraggingImage) return;
     if (e.button !== 0) return;
+    if (this.detection) return; // handled in mousedown
     // Wall and erase tools are handled by mousedown/mousemove drag-painting
     if (this.activeTool === 'wall' || this.activeTool === 'erase') return;
 
@@ -728,8 +1053,14 @@ export class MapCreator {
     if (!this.gameMap.inBounds(gx, gy)) return;
 
     const cell = this.gameMap.getCell(gx, gy);
+    this.history.begin(this.gameMap);
 
     switch (this.activeTool) {
+      case 'door': {
+        const edge = this._getEdge(world.x - gx, world.y - gy);
+        if (edge) this.gameMap.setDoor(gx, gy, edge, nextDoorState(cell.getDoor(edge)));
+        break;
+      }
       case 'solid':
         cell.solid = !cell.solid;
         if (cell.solid) {
@@ -757,6 +1088,7 @@ export class MapCreator {
       // erase is handled by drag-painting in mousedown/mousemove
     }
 
+    this._commitEdit();
     this._render();
   }
 
@@ -790,6 +1122,10 @@ export class MapCreator {
     const cell = this.gameMap.getCell(gx, gy);
     if (!cell) return;
     cell.objects = [];
+    // Remove doors from both sides before the walls they sit in
+    for (const edge of Object.keys(cell.doors)) {
+      this.gameMap.setDoor(gx, gy, edge, null);
+    }
     cell.walls = 0;
     cell.solid = false;
     this._clearMirroredWalls(gx, gy);
@@ -865,6 +1201,116 @@ export class MapCreator {
     }
   }
 
+  /**
+   * Draw a door as a slab across its edge: brown when closed, a hollow outline
+   * when open, violet when secret, with a gold dot when locked.
+   */
+  _drawDoorEdge(ctx, x, y, edge, door, ts, z) {
+    const horizontal = edge === 'N' || edge === 'S';
+    const ex = (edge === 'E' ? x + 1 : x) * ts;
+    const ey = (edge === 'S' ? y + 1 : y) * ts;
+    const inset = ts * 0.15;
+    const thick = Math.max(3, ts * 0.16);
+    const rx = horizontal ? ex + inset : ex - thick / 2;
+    const ry = horizontal ? ey - thick / 2 : ey + inset;
+    const rw = horizontal ? ts - inset * 2 : thick;
+    const rh = horizontal ? thick : ts - inset * 2;
+
+    const color = door.secret ? '#9b7fc4' : '#8b5a2b';
+    ctx.lineWidth = 2 * z;
+    ctx.strokeStyle = color;
+    if (door.open) {
+      ctx.setLineDash([4 * z, 3 * z]);
+      ctx.strokeRect(rx, ry, rw, rh);
+      ctx.setLineDash([]);
+    } else {
+      ctx.fillStyle = color;
+      ctx.fillRect(rx, ry, rw, rh);
+    }
+
+    if (door.locked) {
+      ctx.fillStyle = '#c9a84c';
+      ctx.beginPath();
+      ctx.arc(rx + rw / 2, ry + rh / 2, Math.max(2, ts * 0.06), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // --- Map Files ---
+
+  /**
+   * Load a map file (ours or Universal VTT) into the editor as one undoable
+   * edit, uploading its background image to this server's assets first.
+   * @param {File} file
+   */
+  async _importMapFile(file) {
+    let imported;
+    try {
+      imported = readMapFile(JSON.parse(await file.text()));
+    } catch (err) {
+      alert(`Couldn't import ${file.name}: ${err.message}`);
+      return;
+    }
+
+    const { map, background, pixelsPerGrid } = imported;
+    if (background) {
+      try {
+        let blob = await (await fetch(background)).blob();
+        if (pixelsPerGrid) {
+          // Universal VTT images are full-size renders: shrink them like an upload
+          // and scale so one grid square of the image covers one cell
+          const img = await loadImage(background);
+          const shrunk = await this._shrinkImage(img);
+          blob = shrunk.blob;
+          map.bgScale = (this.tileSize / pixelsPerGrid) * (img.width / shrunk.width);
+          map.bgOffsetX = 0;
+          map.bgOffsetY = 0;
+        }
+        map.backgroundAsset = (await uploadAsset(blob)).id;
+        if (pixelsPerGrid) {
+          // The image is the finished map, so show it rather than painted floors
+          map.bgOpacity = 1;
+          map.floorOpacity = 0;
+        }
+      } catch (err) {
+        console.error('Failed to upload imported background image:', err);
+        alert(`The map was imported without its background image: ${err.message}`);
+      }
+    }
+
+    this._edit(() => this._setMap(map));
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this._render();
+  }
+
+  /** Download the map as a self-contained file, background image included. */
+  async _exportMapFile() {
+    this.gameMap.syncWalls();
+    const mapData = this.gameMap.toJSON();
+    const assets = {};
+    const url = assetUrl(mapData.backgroundAsset);
+    if (url) {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        assets[mapData.backgroundAsset] = await blobToDataUrl(await res.blob());
+      } catch (err) {
+        console.error('Failed to fetch background image for export:', err);
+        if (!confirm(`Couldn't include the background image (${err.message}). Export without it?`)) return;
+      }
+    }
+
+    const text = JSON.stringify(createMapFile(mapData, assets));
+    const blobUrl = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = blobUrl;
+    a.download = `map-${mapData.width}x${mapData.height}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(blobUrl);
+  }
+
   // --- Library ---
 
   _openLibrary(mode) {
@@ -879,17 +1325,9 @@ export class MapCreator {
       this.panel,
       (mapData) => {
         // Load map into the editor
-        this.gameMap = GameMap.fromJSON(mapData);
-        this._loadBackgroundImage();
-        this.panel.querySelector('#mc-width').value = this.gameMap.width;
-        this.panel.querySelector('#mc-height').value = this.gameMap.height;
-        this.panel.querySelector('#mc-bg-opacity').value = Math.round(this.gameMap.bgOpacity * 100);
-        this.panel.querySelector('#mc-bg-scale').value = Math.round(this.gameMap.bgScale * 100);
-        this.panel.querySelector('#mc-floor-opacity').value = Math.round(this.gameMap.floorOpacity * 100);
-        this.panel.querySelector('#mc-grid-opacity').value = Math.round(this.gameMap.gridOpacity * 100);
+        this._edit(() => this._setMap(GameMap.fromJSON(mapData)));
         this.wallColorBrush = '#6b6b6b';
         this.panel.querySelector('#mc-wall-color').value = '#6b6b6b';
-        this._render();
       },
       () => {
         // Close library
@@ -902,6 +1340,87 @@ export class MapCreator {
     );
   }
 
+  /**
+   * Replace the map being edited and bring the sidebar controls in line with it.
+   * @param {GameMap} gameMap
+   */
+  _setMap(gameMap) {
+    if (this.detection) this._endDetection();
+    this.gameMap = gameMap;
+    this.panel.querySelector('#mc-clear-img').style.display = 'none';
+    this._loadBackgroundImage();
+    this.panel.querySelector('#mc-width').value = this.gameMap.width;
+    this.panel.querySelector('#mc-height').value = this.gameMap.height;
+    this.panel.querySelector('#mc-bg-opacity').value = Math.round(this.gameMap.bgOpacity * 100);
+    this.panel.querySelector('#mc-bg-scale').value = Math.round(this.gameMap.bgScale * 100);
+    this.panel.querySelector('#mc-floor-opacity').value = Math.round(this.gameMap.floorOpacity * 100);
+    this.panel.querySelector('#mc-grid-opacity').value = Math.round(this.gameMap.gridOpacity * 100);
+    this._render();
+  }
+
+  // --- Undo / Redo ---
+
+  /** Run `fn` as a single undoable edit. */
+  _edit(fn) {
+    this.history.begin(this.gameMap);
+    fn();
+    this._commitEdit();
+  }
+
+  _commitEdit() {
+    this.history.commit(this.gameMap);
+    this._updateUndoButtons();
+  }
+
+  _undo() {
+    this._stepHistory(() => this.history.undo(this.gameMap));
+  }
+
+  _redo() {
+    this._stepHistory(() => this.history.redo(this.gameMap));
+  }
+
+  _stepHistory(step) {
+    // A drag still in progress becomes its own step, and is what gets undone
+    if (this.history.recording) this._commitEdit();
+    this.isPainting = false;
+    this.isDraggingImage = false;
+    if (this.detection) this._endDetection();
+
+    const changes = step();
+    // Whole-map swaps already went through _setMap; a settings change may
+    // include the background, so refresh the image and sliders the same way
+    if (changes && !changes.replaced && changes.settings) this._setMap(this.gameMap);
+    this._updateUndoButtons();
+    this._render();
+  }
+
+  _updateUndoButtons() {
+    this.panel.querySelector('#mc-undo').disabled = !this.history.canUndo;
+    this.panel.querySelector('#mc-redo').disabled = !this.history.canRedo;
+  }
+
+  // --- Dungeon Generator ---
+
+  _generateDungeon() {
+    const hasWork = this._mapHasContent() || this.gameMap.backgroundAsset;
+    if (hasWork && !confirm('Replace the current map with a generated dungeon? All current work will be lost.')) return;
+
+    const seedInput = this.panel.querySelector('#mc-gen-seed');
+    if (!seedInput.value.trim()) seedInput.value = randomSeed();
+
+    const map = generateDungeon({
+      seed: seedInput.value.trim(),
+      width: parseInt(this.panel.querySelector('#mc-width').value, 10) || 30,
+      height: parseInt(this.panel.querySelector('#mc-height').value, 10) || 30,
+      rooms: parseInt(this.panel.querySelector('#mc-gen-rooms').value, 10) || 8,
+      style: this.panel.querySelector('#mc-gen-style').value,
+      lighting: this.panel.querySelector('#mc-gen-lighting').value,
+      objectDensity: parseInt(this.panel.querySelector('#mc-gen-density').value, 10) / 100,
+    });
+    this._edit(() => this._setMap(map));
+  }
+
   // --- Save ---
 
   _save() {
@@ -995,25 +1514,37 @@ export class MapCreator {
         const px = x * ts;
         const py = y * ts;
 
-        if (cell.hasWall(WALL_N)) {
+        if (cell.hasWall(WALL_N) && !cell.doors.N) {
           ctx.strokeStyle = ec.N || cell.wallColor || defaultWallColor;
           ctx.beginPath(); ctx.moveTo(px, py); ctx.lineTo(px + ts, py); ctx.stroke();
         }
-        if (cell.hasWall(WALL_S)) {
+        if (cell.hasWall(WALL_S) && !cell.doors.S) {
           ctx.strokeStyle = ec.S || cell.wallColor || defaultWallColor;
           ctx.beginPath(); ctx.moveTo(px, py + ts); ctx.lineTo(px + ts, py + ts); ctx.stroke();
         }
-        if (cell.hasWall(WALL_W)) {
+        if (cell.hasWall(WALL_W) && !cell.doors.W) {
           ctx.strokeStyle = ec.W || cell.wallColor || defaultWallColor;
           ctx.beginPath(); ctx.moveTo(px, py); ctx.lineTo(px, py + ts); ctx.stroke();
         }
-        if (cell.hasWall(WALL_E)) {
+        if (cell.hasWall(WALL_E) && !cell.doors.E) {
           ctx.strokeStyle = ec.E || cell.wallColor || defaultWallColor;
           ctx.beginPath(); ctx.moveTo(px + ts, py); ctx.lineTo(px + ts, py + ts); ctx.stroke();
         }
       }
     }
 
+    // --- Doors (drawn from the N/W side; S/E only on the map border) ---
+    for (let y = 0; y < gameMap.height; y++) {
+      for (let x = 0; x < gameMap.width; x++) {
+        const cell = gameMap.cells[y][x];
+        for (const edge of Object.keys(cell.doors)) {
+          if (edge === 'S' && y < gameMap.height - 1) continue;
+          if (edge === 'E' && x < gameMap.width - 1) continue;
+          this._drawDoorEdge(ctx, x, y, edge, cell.doors[edge], ts, z);
+        }
+      }
+    }
+
     // --- Objects ---
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
@@ -1029,12 +1560,15 @@ export class MapCreator {
       }
     }
 
+    // --- Auto-detect suggestions ---
+    if (this.detection) this._drawSuggestions(ctx, ts, z);
+
     // --- Hover highlight ---
-    if (this.gameMap.inBounds(this.hoverGridX, this.hoverGridY)) {
+    if (!this.detection && this.gameMap.inBounds(this.hoverGridX, this.hoverGridY)) {
       const px = this.hoverGridX * ts;
       const py = this.hoverGridY * ts;
 
-      if (this.activeTool === 'wall' && this.hoverEdge) {
+      if ((this.activeTool === 'wall' || this.activeTool === 'door') && this.hoverEdge) {
         ctx.strokeStyle = 'rgba(201, 168, 76, 0.8)';
         ctx.lineWidth = 5 * z;
         ctx.lineCap = 'round';
@@ -1046,7 +1580,7 @@ export class MapCreator {
           case 'E': ctx.moveTo(px + ts, py); ctx.lineTo(px + ts, py + ts); break;
         }
         ctx.stroke();
-      } else if (this.activeTool !== 'wall') {
+      } else if (this.activeTool !== 'wall' && this.activeTool !== 'door') {
         ctx.fillStyle = 'rgba(201, 168, 76, 0.15)';
         ctx.fillRect(px, py, ts, ts);
         ctx.strokeStyle = 'rgba(201, 168, 76, 0.5)';
@@ -1065,6 +1599,35 @@ export class MapCreator {
     ctx.restore();
   }
 
+  /**
+   * Suggested walls and solid cells: cyan while accepted, dashed red once rejected.
+   */
+  _drawSuggestions(ctx, ts, z) {
+    ctx.save();
+    ctx.lineCap = 'round';
+    for (const s of this.detection.suggestions) {
+      const px = s.x * ts;
+      const py = s.y * ts;
+      ctx.strokeStyle = s.accepted ? 'rgba(80, 220, 230, 0.9)' : 'rgba(231, 76, 60, 0.6)';
+      if (s.kind === 'solid') {
+        ctx.fillStyle = s.accepted ? 'rgba(80, 220, 230, 0.25)' : 'rgba(231, 76, 60, 0.12)';
+        ctx.fillRect(px, py, ts, ts);
+        ctx.lineWidth = 1.5 * z;
+        ctx.setLineDash([4 * z, 3 * z]);
+        ctx.strokeRect(px + 2 * z, py + 2 * z, ts - 4 * z, ts - 4 * z);
+      } else {
+        ctx.lineWidth = 4 * z;
+        ctx.setLineDash(s.accepted ? [] : [4 * z, 4 * z]);
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        if (s.edge === 'N') ctx.lineTo(px + ts, py);
+        else ctx.lineTo(px, py + ts);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
   // --- WASD Keyboard Panning ---
 
   _onKeyDown(e) {
@@ -1074,6 +1637,14 @@ export class MapCreator {
     // Ignore if MapCreator panel is not visible
     if (!this.panel || this.panel.style.display === 'none') return;
 
+    // Ctrl+Z = undo, Ctrl+Y / Ctrl+Shift+Z = redo
+    if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+      e.preventDefault();
+      if (e.code === 'KeyY' || e.shiftKey) this._redo();
+      else this._undo();
+      return;
+    }
+
     const keys = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyQ', 'KeyE'];
     if (!keys.includes(e.code)) return;
     e.preventDefault();
@@ -1136,6 +1707,7 @@ export class MapCreator {
   // --- Cleanup ---
 
   destroy() {
+    this._stopDetectWorker();
     if (this._panRAF) {
       cancelAnimationFrame(this._panRAF);
       this._panRAF = null;
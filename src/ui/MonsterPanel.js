@@ -3,6 +3,9 @@
  * Only rendered for users with the 'dm' role.
  */
 
+import { assetUrl } from '../engine/Assets.js';
+import { uploadAsset } from '../services/api.js';
+
 export class MonsterPanel {
   /**
    * @param {HTMLElement} container – DOM element to mount into
@@ -14,7 +17,7 @@ export class MonsterPanel {
     this.role = role;
     this.onAddMonster = onAddMonster;
     this._collapsed = true;
-    this._monsterImageData = null;
+    this._monsterImageId = null;
 
     if (this.role === 'dm') {
       this._build();
@@ -116,7 +119,7 @@ export class MonsterPanel {
 
     // Clear image
     this.el.querySelector('#mp-clear-img').addEventListener('click', () => {
-      this._monsterImageData = null;
+      this._monsterImageId = null;
       this.el.querySelector('#mp-img-preview').style.display = 'none';
       this.el.querySelector('#mp-image').value = '';
     });
@@ -131,7 +134,7 @@ export class MonsterPanel {
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => {
+      img.onload = async () => {
         const maxSize = 256;
         let w = img.width;
         let h = img.height;
@@ -145,11 +148,21 @@ export class MonsterPanel {
         canvas.height = h;
         const ctx = canvas.getContext('2d');
         ctx.drawImage(img, 0, 0, w, h);
-        this._monsterImageData = canvas.toDataURL('image/jpeg', 0.7);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+
+        try {
+          const asset = await uploadAsset(blob);
+          this._monsterImageId = asset.id;
+        } catch (err) {
+          console.error('Failed to upload monster image:', err);
+          alert(`Failed to upload image: ${err.message}`);
+          this.el.querySelector('#mp-image').value = '';
+          return;
+        }
 
         const preview = this.el.querySelector('#mp-img-preview');
         const thumb = this.el.querySelector('#mp-img-thumb');
-        thumb.src = this._monsterImageData;
+        thumb.src = assetUrl(this._monsterImageId);
         preview.style.display = 'flex';
       };
       img.src = e.target.result;
@@ -183,7 +196,7 @@ export class MonsterPanel {
       max_hp: hp,
       color,
       speed,
-      monster_image: this._monsterImageData || null,
+      monster_image: this._monsterImageId || null,
       creature_type,
       size,
     };
@@ -200,7 +213,7 @@ export class MonsterPanel {
     this.el.querySelector('#mp-creature').value = 'humanoid';
     this.el.querySelector('#mp-size').value = 'medium';
     this.el.querySelector('#mp-image').value = '';
-    this._monsterImageData = null;
+    this._monsterImageId = null;
     this.el.querySelector('#mp-img-preview').style.display = 'none';
   }
 
@@ -24,7 +24,7 @@ export class PlayerRoster {
    * @param {Function} onSelect – callback(player) when active player changes
    * @param {Function} onPlayersChange – callback(players[]) when roster changes
    * @param {{ id: number, username: string }} currentUser
-   * @param {string} role – 'dm' | 'player'
+   * @param {string} role – 'dm' | 'player' | 'spectator'
    * @param {number} gameId – current game ID for API calls
    * @param {{ isCircleVisible: Function, toggleCharacterCircle: Function }} [rangeCallbacks] – range circle toggle callbacks
    */
@@ -68,7 +68,7 @@ export class PlayerRoster {
           <span class="roster-user-name">${this.currentUser.username}</span>
         </div>
         <div class="roster-list" id="roster-list"></div>
-        <button class="roster-add-btn" id="roster-add-btn">+ Add Character</button>
+        <button class="roster-add-btn" id="roster-add-btn" ${this.role === 'spectator' ? 'style="display:none"' : ''}>+ Add Character</button>
         <div class="roster-add-form" id="roster-add-form" style="display:none">
           <input type="text" id="new-player-name" placeholder="Character name" maxlength="20" />
           <input type="text" id="new-player-class" placeholder="Class (optional)" maxlength="20" />
@@ -345,9 +345,9 @@ export class PlayerRoster {
         });
       }
 
-      // Inline speed editing (for controllable characters)
+      // Inline speed editing (DM only – speed sets the movement budget)
       const speedEl = item.querySelector('.roster-item-speed');
-      if (speedEl && canCtrl) {
+      if (speedEl && this.role === 'dm') {
         speedEl.addEventListener('click', (e) => {
           e.stopPropagation();
           this._showSpeedEditor(speedEl, player);
@@ -4,8 +4,14 @@
  * Players see a read-only view of whose turn it is.
  * Players can submit initiative rolls for their own characters;
  * DM can edit any roll and sort the order by initiative.
+ * Initiative can also be rolled on the server (d20 + initiative modifier), for
+ * everyone or a selection, with like monsters optionally sharing a roll.
+ * Each row shows the character's conditions; timed ones count down at the end
+ * of that character's turn.
  */
 
+import { CONDITIONS, conditionTitle, normalizeConditions, tickConditions } from '../engine/Conditions.js';
+
 export class TurnTracker {
   /**
    * @param {HTMLElement} container – DOM element to mount into
@@ -15,8 +21,11 @@ export class TurnTracker {
    * @param {(turnState: object) => void} onTurnChange – called when DM changes turn state
    * @param {(characterId: number, roll: number|null) => void} [onInitiativeRoll] – called when a roll is submitted
    * @param {(sortedCharIds: number[]) => void} [onInitiativeSort] – called when DM sorts initiative order
+   * @param {(characterId: number, hp: number) => void} [onMonsterHPChange] – called when DM edits monster HP
+   * @param {(characterId: number, conditions: object[]) => void} [onConditionsChange] – called when conditions are added, removed or expire
+   * @param {(characterIds: number[]|null, groupMonsters: boolean) => void} [onRollInitiative] – called to roll initiative on the server (null = everyone)
    */
-  constructor(container, players, currentUser, role, onTurnChange, onInitiativeRoll = null, onInitiativeSort = null, onMonsterHPChange = null) {
+  constructor(container, players, currentUser, role, onTurnChange, onInitiativeRoll = null, onInitiativeSort = null, onMonsterHPChange = null, onConditionsChange = null, onRollInitiative = null) {
     this.container = container;
     this.players = [...players];
     this.currentUser = currentUser;
@@ -25,19 +34,28 @@ export class TurnTracker {
     this.onInitiativeRoll = onInitiativeRoll;
     this.onInitiativeSort = onInitiativeSort;
     this.onMonsterHPChange = onMonsterHPChange;
+    this.onConditionsChange = onConditionsChange;
+    this.onRollInitiative = onRollInitiative;
 
     // Turn state
     this.enabled = false;
     this.order = [];           // characterId[]
     this.activeIndex = -1;
-    this.turnCounter = 0;
+    this.turnCounter = 0;      // completed rounds (the current round is turnCounter + 1)
 
     // Initiative rolls: Map<characterId, number|null>
     this.initiativeRolls = new Map();
 
+    // DM's selection for "Roll Selected", and whether like monsters share a roll
+    this._rollSelection = new Set();
+    this._groupMonsters = true;
+
     // Drag reorder state
     this._dragSrcIndex = null;
 
+    // Character whose "add condition" picker is open
+    this._conditionPickerFor = null;
+
     this._build();
   }
 
@@ -57,11 +75,16 @@ export class TurnTracker {
     if (isDM && this.enabled) {
       html += `<div class="turn-controls">`;
       html += `<button class="turn-btn prev-turn" ${this.activeIndex <= 0 ? 'disabled' : ''}>Prev</button>`;
-      html += `<span class="turn-counter">Turn ${this.turnCounter + 1}</span>`;
+      html += `<span class="turn-counter">Round ${this.turnCounter + 1}</span>`;
       html += `<button class="turn-btn next-turn">Next</button>`;
       html += `</div>`;
     }
 
+    // Round counter for players (the DM's is in the controls)
+    if (!isDM && this.enabled && this.order.length > 0) {
+      html += `<div class="turn-round">Round ${this.turnCounter + 1}</div>`;
+    }
+
     // Active turn banner for players
     if (!isDM && this.enabled && this.activeIndex >= 0 && this.order.length > 0) {
       const activeCharId = this.order[this.activeIndex];
@@ -104,6 +127,14 @@ export class TurnTracker {
       if (this.order.length === 0) {
         // Pre-start: sort + start buttons
         const hasAnyRolls = this._hasAnyRolls();
+        if (this.onRollInitiative) {
+          html += `<div class="turn-action-row">`;
+          html += `<button class="turn-btn roll-initiative-all" title="Roll d20 + initiative for every character and sort">Roll All</button>`;
+          html += `<button class="turn-btn roll-initiative-selected" ${this._rollSelection.size ? '' : 'disabled'} title="Roll for the ticked characters and re-sort">Roll Selected</button>`;
+          html += `</div>`;
+          html += `<label class="initiative-group-toggle" title="Monsters with the same type and name share one roll">`;
+          html += `<input type="checkbox" class="initiative-group-monsters" ${this._groupMonsters ? 'checked' : ''} /> Group monsters</label>`;
+        }
         html += `<div class="turn-action-row">`;
         html += `<button class="turn-btn sort-initiative" ${hasAnyRolls ? '' : 'disabled'} title="Sort characters by initiative roll (highest first)">Sort by Initiative</button>`;
         html += `</div>`;
@@ -130,10 +161,11 @@ export class TurnTracker {
     const roll = this.initiativeRolls.get(player.characterId);
     const rollValue = roll != null ? roll : '';
 
-    // Can this user edit this character's initiative?
-    // Players can edit their own before turns start; DM can edit any before turns start
+    // Before turns start the DM can type in or reroll anyone's initiative;
+    // players roll their own characters once, on the server
     const turnsStarted = this.order.length > 0;
-    const canEditRoll = !turnsStarted && (isDM || isMyChar);
+    const canEditRoll = !turnsStarted && isDM;
+    const canRoll = !turnsStarted && this.onRollInitiative && (isDM || (isMyChar && roll == null));
 
     // Initiative input or display
     let initiativeHtml;
@@ -144,6 +176,9 @@ export class TurnTracker {
       const displayVal = rollValue !== '' ? rollValue : '—';
       initiativeHtml = `<span class="initiative-display" title="Initiative roll">${displayVal}</span>`;
     }
+    if (canRoll) {
+      initiativeHtml += `<button class="initiative-roll-btn" data-char-id="${player.characterId}" title="Roll d20 + initiative">\u{1F3B2}</button>`;
+    }
 
     // Monster HP display (DM only, clickable to edit)
     let hpHtml = '';
@@ -151,18 +186,81 @@ export class TurnTracker {
       hpHtml = `<span class="turn-monster-hp" data-char-id="${player.characterId}" title="Click to edit HP">${player.hp}/${player.maxHp}</span>`;
     }
 
+    // Condition icons (click to remove if you may edit them; players can't remove the DM's)
+    const canEditConditions = this._canEditConditions(player);
+    const conditions = player.conditions || [];
+    let conditionsHtml = '';
+    if (conditions.length > 0 || canEditConditions) {
+      conditionsHtml = `<div class="turn-conditions">`;
+      conditions.forEach((c, i) => {
+        const removable = canEditConditions && (isDM || !c.fromDM);
+        const title = conditionTitle(c) + (removable ? ' — click to remove' : '');
+        const rounds = c.rounds != null ? `<span class="turn-condition-rounds">${c.rounds}</span>` : '';
+        conditionsHtml += `<span class="turn-condition${removable ? ' editable' : ''}" data-char-id="${player.characterId}" data-index="${i}" title="${this._esc(title)}">${this._esc(c.icon)}${rounds}</span>`;
+      });
+      if (canEditConditions) {
+        conditionsHtml += `<button class="turn-condition-add" data-char-id="${player.characterId}" title="Add condition">+</button>`;
+      }
+      conditionsHtml += `</div>`;
+    }
+
+    const pickerHtml = this._conditionPickerFor === player.characterId && canEditConditions
+      ? this._renderConditionPicker(player)
+      : '';
+
+    // DM picks characters for "Roll Selected" before turns start
+    const selectHtml = isDM && !turnsStarted && this.onRollInitiative
+      ? `<input type="checkbox" class="initiative-select" data-char-id="${player.characterId}" title="Select for Roll Selected" ${this._rollSelection.has(player.characterId) ? 'checked' : ''} />`
+      : '';
+
     return `
       <div class="turn-order-item${activeClass}" data-index="${index}" data-char-id="${player.characterId}" ${draggable}>
         ${dragHandle}
+        ${selectHtml}
         <span class="turn-order-num">${orderNum}</span>
         <span class="turn-order-token" style="background:${player.color}"></span>
         <span class="turn-order-name">${player.name}${monsterBadge}${youBadge}</span>
         ${hpHtml}
         ${initiativeHtml}
+        ${conditionsHtml}
+      </div>
+      ${pickerHtml}
+    `;
+  }
+
+  _renderConditionPicker(player) {
+    const options = Object.entries(CONDITIONS)
+      .map(([id, c]) => `<option value="${id}">${c.icon} ${c.label}</option>`)
+      .join('');
+    return `
+      <div class="turn-condition-picker" data-char-id="${player.characterId}">
+        <select class="turn-condition-select">
+          ${options}
+          <option value="custom">Custom…</option>
+        </select>
+        <input type="text" class="turn-condition-label" placeholder="Name" maxlength="24" style="display:none" />
+        <input type="text" class="turn-condition-icon" placeholder="✳️" maxlength="4" style="display:none" />
+        <input type="number" class="turn-condition-duration" placeholder="∞" min="1" max="999" title="Rounds (blank = until removed)" />
+        <button class="turn-btn turn-condition-confirm">Add</button>
+        <button class="turn-btn turn-condition-cancel" title="Cancel">&times;</button>
       </div>
     `;
   }
 
+  /** DM may edit anyone's conditions; players only their own characters' (minus the DM's). */
+  _canEditConditions(player) {
+    if (!this.onConditionsChange || !player.characterId) return false;
+    return this.role === 'dm' || (player.ownerId === this.currentUser.id && !player.isMonster);
+  }
+
+  /** Store a character's new conditions locally and report them. */
+  _setConditions(player, conditions) {
+    player.conditions = normalizeConditions(conditions);
+    if (this.onConditionsChange) {
+      this.onConditionsChange(player.characterId, player.conditions);
+    }
+  }
+
   _attachEvents() {
     const isDM = this.role === 'dm';
 
@@ -189,6 +287,42 @@ export class TurnTracker {
       sortBtn.addEventListener('click', () => this._sortByInitiative());
     }
 
+    // Server-side initiative rolls
+    const rollAllBtn = this.el.querySelector('.roll-initiative-all');
+    if (rollAllBtn) {
+      rollAllBtn.addEventListener('click', () => {
+        this.onRollInitiative(null, this._groupMonsters);
+      });
+    }
+    const rollSelectedBtn = this.el.querySelector('.roll-initiative-selected');
+    if (rollSelectedBtn) {
+      rollSelectedBtn.addEventListener('click', () => {
+        this.onRollInitiative([...this._rollSelection], this._groupMonsters);
+        this._rollSelection.clear();
+        this._render();
+      });
+    }
+    const groupToggle = this.el.querySelector('.initiative-group-monsters');
+    if (groupToggle) {
+      groupToggle.addEventListener('change', () => {
+        this._groupMonsters = groupToggle.checked;
+      });
+    }
+    this.el.querySelectorAll('.initiative-select').forEach(box => {
+      box.addEventListener('change', () => {
+        const charId = parseInt(box.dataset.charId, 10);
+        if (box.checked) this._rollSelection.add(charId);
+        else this._rollSelection.delete(charId);
+        this._render();
+      });
+    });
+    this.el.querySelectorAll('.initiative-roll-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.onRollInitiative([parseInt(btn.dataset.charId, 10)], false);
+      });
+    });
+
     // Initiative roll inputs
     const inputs = this.el.querySelectorAll('.initiative-input');
     inputs.forEach(input => {
@@ -260,6 +394,83 @@ export class TurnTracker {
       });
     });
 
+    // Condition icons: click to remove
+    this.el.querySelectorAll('.turn-condition.editable').forEach(icon => {
+      icon.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const player = this.players.find(p => p.characterId === parseInt(icon.dataset.charId, 10));
+        if (!player) return;
+        const index = parseInt(icon.dataset.index, 10);
+        this._setConditions(player, player.conditions.filter((_, i) => i !== index));
+        this._render();
+      });
+    });
+
+    // "+" opens (or closes) the condition picker under the row
+    this.el.querySelectorAll('.turn-condition-add').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const charId = parseInt(btn.dataset.charId, 10);
+        this._conditionPickerFor = this._conditionPickerFor === charId ? null : charId;
+        this._render();
+      });
+    });
+
+    const picker = this.el.querySelector('.turn-condition-picker');
+    if (picker) {
+      const select = picker.querySelector('.turn-condition-select');
+      const labelInput = picker.querySelector('.turn-condition-label');
+      const iconInput = picker.querySelector('.turn-condition-icon');
+      const durationInput = picker.querySelector('.turn-condition-duration');
+
+      // Keep typing in the picker from driving the map
+      picker.querySelectorAll('input').forEach(inp => {
+        inp.addEventListener('keydown', (e) => {
+          e.stopPropagation();
+          if (e.key === 'Enter') picker.querySelector('.turn-condition-confirm').click();
+        });
+        inp.addEventListener('keyup', (e) => e.stopPropagation());
+      });
+
+      select.addEventListener('change', () => {
+        const custom = select.value === 'custom';
+        labelInput.style.display = custom ? '' : 'none';
+        iconInput.style.display = custom ? '' : 'none';
+        if (custom) labelInput.focus();
+      });
+
+      picker.querySelector('.turn-condition-confirm').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const player = this.players.find(p => p.characterId === parseInt(picker.dataset.charId, 10));
+        if (!player) return;
+        const rounds = parseInt(durationInput.value, 10);
+        const condition = select.value === 'custom'
+          ? { id: 'custom', label: labelInput.value, icon: iconInput.value }
+          : { id: select.value };
+        condition.rounds = Number.isFinite(rounds) && rounds > 0 ? rounds : null;
+        if (condition.id === 'custom' && !labelInput.value.trim()) {
+          labelInput.focus();
+          return;
+        }
+
+        // Re-applying a condition replaces it (e.g. to reset its duration)
+        const existing = normalizeConditions([condition])[0];
+        const others = (player.conditions || []).filter(c =>
+          existing.id === 'custom'
+            ? !(c.id === 'custom' && c.label.toLowerCase() === existing.label.toLowerCase())
+            : c.id !== existing.id);
+        this._setConditions(player, [...others, existing]);
+        this._conditionPickerFor = null;
+        this._render();
+      });
+
+      picker.querySelector('.turn-condition-cancel').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._conditionPickerFor = null;
+        this._render();
+      });
+    }
+
     // Drag reorder (DM only)
     if (isDM && this.enabled) {
       const items = this.el.querySelectorAll('.turn-order-item');
@@ -350,6 +561,12 @@ export class TurnTracker {
   _advanceTurn(direction) {
     if (this.order.length === 0) return;
 
+    // Timed conditions count down as the affected character's turn ends.
+    // Stepping back with Prev does not restore them.
+    if (direction > 0 && this.activeIndex >= 0) {
+      this._tickConditions(this.order[this.activeIndex]);
+    }
+
     let newIndex = this.activeIndex + direction;
     if (newIndex >= this.order.length) {
       // Wrap to beginning, increment turn counter
@@ -370,6 +587,13 @@ export class TurnTracker {
     this._render();
   }
 
+  /** Count down a character's timed conditions, dropping expired ones. */
+  _tickConditions(characterId) {
+    const player = this.players.find(p => p.characterId === characterId);
+    if (!player || !(player.conditions || []).some(c => c.rounds != null)) return;
+    this._setConditions(player, tickConditions(player.conditions));
+  }
+
   _reorder(fromIdx, toIdx) {
     // If turns haven't started, reorder in the players display list
     if (this.order.length === 0) {
@@ -407,6 +631,7 @@ export class TurnTracker {
       enabled: true,
       order: [...this.order],
       activeIndex: this.activeIndex,
+      round: this.turnCounter + 1,
     });
   }
 
@@ -443,7 +668,7 @@ export class TurnTracker {
 
   /**
    * Apply a remote turn state update (from WebSocket).
-   * @param {{ enabled: boolean, order: number[], activeIndex: number }} state
+   * @param {{ enabled: boolean, order: number[], activeIndex: number, round?: number }} state
    */
   setTurnState(state) {
     console.log('[TurnTracker] setTurnState called', JSON.stringify(state));
@@ -451,6 +676,9 @@ export class TurnTracker {
     this.enabled = state.enabled;
     this.order = state.order || [];
     this.activeIndex = typeof state.activeIndex === 'number' ? state.activeIndex : -1;
+    if (typeof state.round === 'number' && state.round > 0) {
+      this.turnCounter = state.round - 1;
+    }
 
     if (!this.enabled) {
       this.order = [];
@@ -484,6 +712,18 @@ export class TurnTracker {
     this._render();
   }
 
+  /**
+   * Replace all initiative rolls (saved state restored from the server).
+   * @param {Record<string, number>} rolls – characterId → roll
+   */
+  setInitiativeRolls(rolls) {
+    this.initiativeRolls.clear();
+    for (const [charId, roll] of Object.entries(rolls)) {
+      if (roll != null) this.initiativeRolls.set(Number(charId), roll);
+    }
+    this._render();
+  }
+
   /**
    * Apply a sorted initiative order from a remote WebSocket update.
    * Rebuilds the local player list to match the sorted character ID order.
@@ -535,6 +775,7 @@ export class TurnTracker {
       enabled: this.enabled,
       order: [...this.order],
       activeIndex: this.activeIndex,
+      round: this.turnCounter + 1,
     };
   }
 
@@ -546,6 +787,13 @@ export class TurnTracker {
     return this.order[this.activeIndex];
   }
 
+  /** Escape text for HTML content and double-quoted attributes. */
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   destroy() {
     if (this.el && this.el.parentNode) {
       this.el.parentNode.removeChild(this.el);